@@ -0,0 +1,108 @@
+// Writes exported search results to a file the user picked in a save dialog.
+// The dialog runs on the Rust side and the chosen path never leaves it: the
+// webview only gets a handle, and writes through a handle can only append.
+use std::collections::HashMap;
+use std::fs::OpenOptions;
+use std::io::Write;
+use std::path::PathBuf;
+use std::sync::atomic::{AtomicU32, Ordering};
+use std::sync::Mutex;
+
+use serde::Serialize;
+use tauri::{AppHandle, State};
+use tauri_plugin_dialog::DialogExt;
+
+/// Files opened by `export_open`, by handle
+#[derive(Default)]
+pub struct ExportFiles {
+    next: AtomicU32,
+    paths: Mutex<HashMap<u32, PathBuf>>,
+}
+
+impl ExportFiles {
+    fn get(&self, handle: u32) -> Result<PathBuf, String> {
+        self.paths
+            .lock()
+            .map_err(|_| "The export state is unavailable".to_string())?
+            .get(&handle)
+            .cloned()
+            .ok_or_else(|| "The export file is closed".to_string())
+    }
+}
+
+#[derive(Serialize)]
+pub struct ExportTarget {
+    handle: u32,
+    path: String,
+}
+
+/// Asks for the file to export to, then creates (or truncates) it.
+/// Returns `None` when the dialog is cancelled.
+#[tauri::command]
+pub async fn export_open(
+    app: AppHandle,
+    files: State<'_, ExportFiles>,
+    default_name: String,
+    extension: String,
+) -> Result<Option<ExportTarget>, String> {
+    let chosen = app
+        .dialog()
+        .file()
+        .set_file_name(default_name)
+        .add_filter(extension.to_uppercase(), &[extension.as_str()])
+        .blocking_save_file();
+    let Some(chosen) = chosen else {
+        return Ok(None);
+    };
+    let path = chosen
+        .into_path()
+        .map_err(|e| format!("Cannot export to the chosen file: {e}"))?;
+    let display = path.display().to_string();
+
+    OpenOptions::new()
+        .create(true)
+        .write(true)
+        .truncate(true)
+        .open(&path)
+        .map_err(|e| format!("Failed to create {display}: {e}"))?;
+
+    let handle = files.next.fetch_add(1, Ordering::Relaxed) + 1;
+    files
+        .paths
+        .lock()
+        .map_err(|_| "The export state is unavailable".to_string())?
+        .insert(handle, path);
+    Ok(Some(ExportTarget {
+        handle,
+        path: display,
+    }))
+}
+
+/// Appends to a file opened by `export_open`. Returns the file size after the write.
+#[tauri::command]
+pub async fn export_write(
+    files: State<'_, ExportFiles>,
+    handle: u32,
+    contents: String,
+) -> Result<u64, String> {
+    let path = files.get(handle)?;
+    let display = path.display().to_string();
+
+    let mut file = OpenOptions::new()
+        .append(true)
+        .open(&path)
+        .map_err(|e| format!("Failed to open {display}: {e}"))?;
+    file.write_all(contents.as_bytes())
+        .map_err(|e| format!("Failed to write {display}: {e}"))?;
+    file.metadata()
+        .map(|m| m.len())
+        .map_err(|e| format!("Failed to read {display}: {e}"))
+}
+
+/// Forgets a handle; later writes through it fail.
+#[tauri::command]
+pub fn export_close(files: State<'_, ExportFiles>, handle: u32) {
+    if let Ok(mut paths) = files.paths.lock() {
+        paths.remove(&handle);
+    }
+}
@@ -1,3 +1,6 @@
+mod export_file;
+mod tls_fetch;
+
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
@@ -5,6 +8,16 @@ pub fn run() {
         .plugin(tauri_plugin_opener::init())
         .plugin(tauri_plugin_store::Builder::new().build())
         .plugin(tauri_plugin_http::init())
+        .plugin(tauri_plugin_dialog::init())
+        .manage(export_file::ExportFiles::default())
+        .manage(tls_fetch::TlsClients::default())
+        .invoke_handler(tauri::generate_handler![
+            tls_fetch::tls_fetch,
+            tls_fetch::tls_fetch_cancel,
+            export_file::export_open,
+            export_file::export_write,
+            export_file::export_close
+        ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
@@ -0,0 +1,205 @@
+// HTTP requests with per-connection TLS settings (custom CA, client certificate,
+// accept invalid certificates), which tauri-plugin-http does not expose.
+// One client is kept per TLS configuration so connections are reused, and every
+// request carries an id the webview can cancel it with.
+use std::collections::HashMap;
+use std::sync::Mutex;
+use std::time::Duration;
+
+use serde::{Deserialize, Serialize};
+use tauri::State;
+use tokio::sync::oneshot;
+
+#[derive(Debug, Default, Clone, PartialEq, Eq, Hash, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TlsOptions {
+    ca_file: Option<String>,
+    cert_file: Option<String>,
+    key_file: Option<String>,
+    #[serde(default)]
+    accept_invalid_certs: bool,
+}
+
+#[derive(Debug, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TlsRequest {
+    id: u32,
+    method: String,
+    url: String,
+    #[serde(default)]
+    headers: Vec<(String, String)>,
+    body: Option<String>,
+    #[serde(default)]
+    tls: TlsOptions,
+    /// Connect timeout of the connection in seconds, 0 for none
+    #[serde(default)]
+    connect_timeout_seconds: u64,
+    /// Timeout of the whole request in seconds, 0 for none
+    #[serde(default)]
+    timeout_seconds: u64,
+}
+
+/// Clients by TLS configuration and connect timeout, and the cancel senders of
+/// the requests in flight by id
+#[derive(Default)]
+pub struct TlsClients {
+    clients: Mutex<HashMap<(TlsOptions, u64), reqwest::Client>>,
+    pending: Mutex<HashMap<u32, oneshot::Sender<()>>>,
+}
+
+impl TlsClients {
+    fn client(
+        &self,
+        tls: &TlsOptions,
+        connect_timeout_seconds: u64,
+    ) -> Result<reqwest::Client, String> {
+        let key = (tls.clone(), connect_timeout_seconds);
+        let mut clients = self
+            .clients
+            .lock()
+            .map_err(|_| "The HTTP client cache is unavailable".to_string())?;
+        if let Some(client) = clients.get(&key) {
+            return Ok(client.clone());
+        }
+        let client = build_client(tls, connect_timeout_seconds)?;
+        clients.insert(key, client.clone());
+        Ok(client)
+    }
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TlsResponse {
+    status: u16,
+    status_text: String,
+    headers: Vec<(String, String)>,
+    body: String,
+}
+
+fn non_empty(value: &Option<String>) -> Option<&str> {
+    value.as_deref().map(str::trim).filter(|v| !v.is_empty())
+}
+
+fn read_file(path: &str, what: &str) -> Result<Vec<u8>, String> {
+    std::fs::read(path).map_err(|e| format!("Failed to read {what} {path}: {e}"))
+}
+
+fn build_client(tls: &TlsOptions, connect_timeout_seconds: u64) -> Result<reqwest::Client, String> {
+    let mut builder = reqwest::Client::builder();
+    if connect_timeout_seconds > 0 {
+        builder = builder.connect_timeout(Duration::from_secs(connect_timeout_seconds));
+    }
+
+    if let Some(path) = non_empty(&tls.ca_file) {
+        let pem = read_file(path, "CA bundle")?;
+        let certs = reqwest::Certificate::from_pem_bundle(&pem)
+            .map_err(|e| format!("Invalid CA bundle {path}: {e}"))?;
+        for cert in certs {
+            builder = builder.add_root_certificate(cert);
+        }
+    }
+
+    match (non_empty(&tls.cert_file), non_empty(&tls.key_file)) {
+        (Some(cert_path), Some(key_path)) => {
+            let mut pem = read_file(cert_path, "client certificate")?;
+            pem.push(b'\n');
+            pem.extend(read_file(key_path, "client key")?);
+            let identity = reqwest::Identity::from_pem(&pem)
+                .map_err(|e| format!("Invalid client certificate or key: {e}"))?;
+            builder = builder.identity(identity);
+        }
+        (None, None) => {}
+        _ => return Err("Client certificate and key must be provided together".into()),
+    }
+
+    if tls.accept_invalid_certs {
+        builder = builder.danger_accept_invalid_certs(true);
+    }
+
+    builder
+        .build()
+        .map_err(|e| format!("Failed to build HTTP client: {e}"))
+}
+
+fn describe_error(error: reqwest::Error) -> String {
+    if error.is_connect() {
+        format!("Failed to connect: {error}")
+    } else if error.is_timeout() {
+        format!("Request timed out: {error}")
+    } else {
+        error.to_string()
+    }
+}
+
+async fn send(client: reqwest::Client, request: TlsRequest) -> Result<TlsResponse, String> {
+    let method = reqwest::Method::from_bytes(request.method.as_bytes())
+        .map_err(|e| format!("Invalid method {}: {e}", request.method))?;
+
+    let mut builder = client.request(method, &request.url);
+    if request.timeout_seconds > 0 {
+        builder = builder.timeout(Duration::from_secs(request.timeout_seconds));
+    }
+    for (name, value) in &request.headers {
+        builder = builder.header(name, value);
+    }
+    if let Some(body) = request.body {
+        builder = builder.body(body);
+    }
+
+    let response = builder.send().await.map_err(describe_error)?;
+    let status = response.status();
+    let headers = response
+        .headers()
+        .iter()
+        .map(|(name, value)| {
+            (
+                name.to_string(),
+                value.to_str().unwrap_or_default().to_string(),
+            )
+        })
+        .collect();
+    let body = response.text().await.map_err(describe_error)?;
+
+    Ok(TlsResponse {
+        status: status.as_u16(),
+        status_text: status.canonical_reason().unwrap_or_default().to_string(),
+        headers,
+        body,
+    })
+}
+
+#[tauri::command]
+pub async fn tls_fetch(
+    clients: State<'_, TlsClients>,
+    request: TlsRequest,
+) -> Result<TlsResponse, String> {
+    let client = clients.client(&request.tls, request.connect_timeout_seconds)?;
+    let id = request.id;
+    let (cancel, cancelled) = oneshot::channel();
+    if let Ok(mut pending) = clients.pending.lock() {
+        pending.insert(id, cancel);
+    }
+
+    // Dropping the request future on cancel closes its connection
+    let result = tokio::select! {
+        result = send(client, request) => result,
+        _ = cancelled => Err("Request cancelled".to_string()),
+    };
+
+    if let Ok(mut pending) = clients.pending.lock() {
+        pending.remove(&id);
+    }
+    result
+}
+
+#[tauri::command]
+pub fn tls_fetch_cancel(clients: State<'_, TlsClients>, id: u32) {
+    let cancel = clients
+        .pending
+        .lock()
+        .ok()
+        .and_then(|mut pending| pending.remove(&id));
+    if let Some(cancel) = cancel {
+        let _ = cancel.send(());
+    }
+}
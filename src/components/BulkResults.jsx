@@ -0,0 +1,50 @@
+import { cn } from '@/lib/utils'
+
+/**
+ * _bulk 中失败的操作：行号指向编辑器中的 action 行，原因来自每一项的 error
+ * 结果未知的操作（请求发出后被取消或超时）排在后面，单独标出
+ */
+export function BulkResults({ failures, unknown = [] }) {
+  const rows = [...failures, ...unknown]
+  if (rows.length === 0) {
+    return (
+      <div className="h-full p-3 bg-background text-xs text-muted-foreground">All actions succeeded</div>
+    )
+  }
+
+  return (
+    <div className="h-full overflow-auto bg-background text-sm">
+      <table className="w-full border-collapse">
+        <thead className="sticky top-0 bg-muted">
+          <tr className="text-xs">
+            <th className="w-14 px-2 py-1 border-b text-right font-medium text-muted-foreground" title="Line of the action in the editor">Line</th>
+            <th className="px-2 py-1 border-b border-l text-left font-medium">Action</th>
+            <th className="px-2 py-1 border-b border-l text-left font-medium">Index</th>
+            <th className="px-2 py-1 border-b border-l text-left font-medium">Id</th>
+            <th className="px-2 py-1 border-b border-l text-right font-medium">Status</th>
+            <th className="px-2 py-1 border-b border-l text-left font-medium">Error</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((failure, i) => (
+            <tr key={i} className={cn('align-top hover:bg-muted/50', failure.type === 'unknown' && 'bg-amber-500/10')}>
+              <td className="px-2 py-1 border-b text-right text-xs text-muted-foreground">{failure.item.actionLine.lineNumber}</td>
+              <td className="px-2 py-1 border-b border-l font-mono text-xs">{failure.action}</td>
+              <td className="px-2 py-1 border-b border-l font-mono text-xs whitespace-nowrap">{failure.index ?? '—'}</td>
+              <td className="px-2 py-1 border-b border-l font-mono text-xs whitespace-nowrap max-w-48 truncate" title={failure.id ?? ''}>
+                {failure.id ?? '—'}
+              </td>
+              <td className="px-2 py-1 border-b border-l text-right text-xs">{failure.status ?? '—'}</td>
+              <td className="px-2 py-1 border-b border-l text-xs">
+                {failure.type && (
+                  <div className={cn('font-mono', failure.type === 'unknown' ? 'text-amber-500' : 'text-destructive')}>{failure.type}</div>
+                )}
+                <div className="whitespace-pre-wrap break-words">{failure.reason}</div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import { cn } from '@/lib/utils'
+
+const STATUS_STYLES = {
+  green: { dot: 'bg-green-500', label: 'Green' },
+  yellow: { dot: 'bg-yellow-500', label: 'Yellow' },
+  red: { dot: 'bg-red-500', label: 'Red' },
+  unreachable: { dot: 'bg-gray-400 animate-pulse', label: 'Unreachable' },
+  unknown: { dot: 'bg-gray-400', label: 'Unknown' },
+}
+
+/**
+ * 工具栏中的集群健康状态指示器
+ */
+export function ClusterHealthIndicator({ health, status, failures, lastChecked }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.unknown
+
+  const tooltip = [
+    `Cluster health: ${style.label}`,
+    health && `Nodes: ${health.number_of_nodes} (${health.number_of_data_nodes} data)`,
+    health && `Active shards: ${health.active_shards} (${health.active_primary_shards} primary)`,
+    health && `Unassigned shards: ${health.unassigned_shards}`,
+    health && `Pending tasks: ${health.number_of_pending_tasks}`,
+    failures > 0 && `Failed checks: ${failures}`,
+    lastChecked && `Last checked: ${lastChecked.toLocaleTimeString()}`,
+  ].filter(Boolean).join('\n')
+
+  return (
+    <div className="flex items-center gap-2" title={tooltip}>
+      <div className={cn('h-2 w-2 rounded-full', style.dot)} />
+      <span className="text-sm text-muted-foreground">
+        {status === 'unreachable' ? 'Unreachable' : 'Connected'}
+      </span>
+    </div>
+  )
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { CODE_FORMATS, createCodeRequest, generateCode } from '@/lib/esCodegen'
+
+/**
+ * “Copy as” 对话框：把当前请求转换为 curl / 控制台 / 客户端代码
+ * request 为 { method, path, body }，path 以 / 开头
+ */
+export function CopyAsDialog({ open, onOpenChange, request, profile }) {
+  const [format, setFormat] = useState('curl')
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (open) setCopied(false)
+  }, [open, format])
+
+  const { code, error } = useMemo(() => {
+    if (!open || !request) return { code: '', error: null }
+    try {
+      const codeRequest = createCodeRequest(request.method, request.path, request.body)
+      return { code: generateCode(format, codeRequest, profile), error: null }
+    } catch (err) {
+      return { code: '', error: err.message }
+    }
+  }, [open, request, profile, format])
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code)
+      setCopied(true)
+    } catch (err) {
+      console.error('Failed to copy to clipboard:', err)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[760px]">
+        <DialogHeader>
+          <DialogTitle>Copy as</DialogTitle>
+          <DialogDescription>
+            Uses this connection&apos;s URL and authentication scheme. Passwords, API keys, tokens and
+            secret headers are replaced with placeholders.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-2 py-4">
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="h-9 px-2 text-sm rounded-md border border-input bg-background w-fit"
+          >
+            {CODE_FORMATS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          {error ? (
+            <span className="text-sm text-destructive">{error}</span>
+          ) : (
+            <pre className="max-h-[50vh] overflow-auto p-3 text-xs font-mono rounded-md border bg-muted whitespace-pre">
+              {code}
+            </pre>
+          )}
+        </div>
+        <DialogFooter>
+          <Button onClick={handleCopy} disabled={!code}>
+            {copied ? 'Copied' : 'Copy to clipboard'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
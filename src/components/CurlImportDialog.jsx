@@ -0,0 +1,80 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { getIgnoredHeaders, parseCurl } from '@/lib/esCurl'
+
+/**
+ * “Paste as curl” 对话框：解析 curl 命令并填入请求编辑器
+ */
+export function CurlImportDialog({ open, onOpenChange, onImport }) {
+  const [command, setCommand] = useState('')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (open) {
+      setCommand('')
+      setError(null)
+    }
+  }, [open])
+
+  // 输入时预览不会导入的请求头（命令还不完整时不提示）
+  const ignoredHeaders = useMemo(() => {
+    try {
+      return getIgnoredHeaders(parseCurl(command).headers)
+    } catch (e) {
+      return []
+    }
+  }, [command])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    try {
+      onImport(parseCurl(command))
+      onOpenChange(false)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[640px]">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>Paste as curl</DialogTitle>
+            <DialogDescription>
+              The method, path and body are loaded into the editor. The request is sent to the active
+              connection, so the host and any credentials in the command are ignored.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-2 py-4">
+            <textarea
+              value={command}
+              onChange={(e) => {
+                setCommand(e.target.value)
+                setError(null)
+              }}
+              placeholder={`curl -XPOST "localhost:9200/logs/_search" -H 'Content-Type: application/json' -d '{"query": {"match_all": {}}}'`}
+              className="h-48 w-full p-2 text-sm font-mono rounded-md border border-input bg-background resize-none"
+              autoFocus
+              spellCheck={false}
+            />
+            {ignoredHeaders.length > 0 && (
+              <span className="text-sm text-amber-700 dark:text-amber-400">
+                Not imported: {ignoredHeaders.join(', ')}. Add headers the request needs to the connection profile.
+              </span>
+            )}
+            {error && (
+              <span className="text-sm text-destructive">{error}</span>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="submit" disabled={!command.trim()}>
+              Import
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,59 @@
+import { cn } from '@/lib/utils'
+
+// 单元格的显示文本：多值列为数组，对象写为 JSON
+function formatCell(value) {
+  if (value === null || value === undefined) return null
+  if (Array.isArray(value)) return value.map(item => formatCell(item) ?? 'null').join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const NUMERIC_TYPES = ['long', 'integer', 'double', 'float', 'unsigned_long', 'counter_long', 'counter_integer', 'counter_double']
+
+/**
+ * ES|QL 的结果表格：_query 返回的列和行，表头显示列的类型
+ */
+export function EsqlResults({ table }) {
+  return (
+    <div className="h-full overflow-auto bg-background text-sm">
+      <table className="border-collapse">
+        <thead className="sticky top-0 bg-muted">
+          <tr>
+            <th className="w-10 px-2 py-1 border-b text-right text-xs font-medium text-muted-foreground">#</th>
+            {table.columns.map((column, i) => (
+              <th key={i} className="px-2 py-1 border-b border-l text-left align-top whitespace-nowrap">
+                <div className="font-medium">{column.name}</div>
+                <div className="text-xs font-normal text-muted-foreground">{column.type}</div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, rowIndex) => (
+            <tr key={rowIndex} className="hover:bg-muted/50">
+              <td className="px-2 py-1 border-b text-right text-xs text-muted-foreground">{rowIndex + 1}</td>
+              {table.columns.map((column, i) => {
+                const text = formatCell(row[i])
+                return (
+                  <td
+                    key={i}
+                    className={cn(
+                      'px-2 py-1 border-b border-l font-mono text-xs whitespace-nowrap max-w-md truncate',
+                      NUMERIC_TYPES.includes(column.type) && 'text-right'
+                    )}
+                    title={text ?? ''}
+                  >
+                    {text === null ? <span className="text-muted-foreground">null</span> : text}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {table.rows.length === 0 && (
+        <div className="p-3 text-xs text-muted-foreground">No rows</div>
+      )}
+    </div>
+  )
+}
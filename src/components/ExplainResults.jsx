@@ -0,0 +1,121 @@
+import { useState } from 'react'
+import { ChevronDown, ChevronRight, CircleCheck, CircleX } from 'lucide-react'
+import { cn } from '@/lib/utils'
+
+// 得分保留 4 位有效数字，统计值（如文档数）保持原样
+function formatValue(value, kind) {
+  if (kind === 'stat' && Number.isInteger(value)) return String(value)
+  return Number(value.toPrecision(4)).toString()
+}
+
+function ExplainNode({ node, depth, rootValue, collapsed, onToggle }) {
+  const isCollapsed = collapsed.has(node.key)
+  const share = rootValue > 0 && node.kind !== 'stat' ? node.value / rootValue : null
+  return (
+    <>
+      <div
+        className={cn(
+          'flex items-start gap-2 px-3 py-0.5 hover:bg-muted/50',
+          node.kind === 'stat' && 'text-muted-foreground'
+        )}
+        style={{ paddingLeft: 12 + depth * 16 }}
+      >
+        <button
+          type="button"
+          className={cn('mt-0.5 shrink-0 text-muted-foreground', node.details.length === 0 && 'invisible')}
+          onClick={() => onToggle(node.key)}
+        >
+          {isCollapsed ? <ChevronRight className="h-3.5 w-3.5" /> : <ChevronDown className="h-3.5 w-3.5" />}
+        </button>
+        <span className={cn('w-20 shrink-0 text-right font-mono text-xs mt-0.5', node.kind === 'weight' && 'font-semibold')}>
+          {formatValue(node.value, node.kind)}
+        </span>
+        <span className="w-24 shrink-0 mt-1.5">
+          {share !== null && (
+            <span className="flex h-1.5 w-full overflow-hidden rounded-sm bg-muted" title={`${(share * 100).toFixed(1)}% of the score`}>
+              <span
+                className={node.kind === 'weight' ? 'bg-amber-500' : 'bg-sky-500'}
+                style={{ width: `${Math.min(100, share * 100)}%` }}
+              />
+            </span>
+          )}
+        </span>
+        <span className={cn('min-w-0 break-words', node.kind === 'stat' ? 'text-xs mt-0.5' : 'text-sm')}>
+          {node.clause ? (
+            <>
+              weight(<span className="font-mono text-amber-500">{node.clause}</span>)
+              <span className="text-xs text-muted-foreground"> {node.description.replace(/^weight\(.+ in \d+\)\s*/, '')}</span>
+            </>
+          ) : node.description}
+        </span>
+      </div>
+      {!isCollapsed && node.details.map(child => (
+        <ExplainNode
+          key={child.key}
+          node={child}
+          depth={depth + 1}
+          rootValue={rootValue}
+          collapsed={collapsed}
+          onToggle={onToggle}
+        />
+      ))}
+    </>
+  )
+}
+
+/**
+ * _explain 的结果：文档是否匹配、不匹配的原因，以及可折叠的得分树
+ * 每个节点显示它的值和占总分的比例，词项统计（n、N、freq、dl 等）以较淡的样式显示
+ */
+export function ExplainResults({ explanation }) {
+  const [collapsed, setCollapsed] = useState(() => new Set())
+
+  const toggle = (key) => {
+    setCollapsed(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  const { root, matched, diagnosis } = explanation
+  return (
+    <div className="h-full overflow-auto bg-background text-sm">
+      <div className="flex items-center gap-2 px-3 py-2 border-b">
+        {matched ? (
+          <CircleCheck className="h-4 w-4 shrink-0 text-green-500" />
+        ) : (
+          <CircleX className="h-4 w-4 shrink-0 text-destructive" />
+        )}
+        <span>
+          Document <span className="font-mono">{explanation.id}</span> in <span className="font-mono">{explanation.index}</span>
+          {matched ? ` matches with a score of ${formatValue(root?.value ?? 0, 'function')}` : ' does not match the query'}
+        </span>
+      </div>
+      {!matched && (
+        <div className="px-3 py-2 border-b bg-destructive/10 text-xs">
+          <div className="mb-1 font-medium">Why it did not match</div>
+          <ul className="space-y-0.5">
+            {diagnosis.map((reason, i) => (
+              <li key={i}>
+                {reason.message}
+                {reason.clause && (
+                  <div className="font-mono text-muted-foreground">{reason.clause}</div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {root && (
+        <div className="py-1">
+          <ExplainNode node={root} depth={0} rootValue={root.value} collapsed={collapsed} onToggle={toggle} />
+        </div>
+      )}
+    </div>
+  )
+}
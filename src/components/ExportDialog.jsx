@@ -0,0 +1,266 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { EXPORT_FORMATS, META_COLUMNS, ExportJob, formatEta, getExportColumns, openExportFile } from '@/lib/esExport'
+import { getVersionFeatures } from '@/lib/esVersion'
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+// 保存对话框中的默认文件名
+function getDefaultFileName(index, format) {
+  const extension = EXPORT_FORMATS.find(f => f.value === format).extension
+  return `${(index || 'export').replace(/[^\w.-]+/g, '_')}.${extension}`
+}
+
+/**
+ * 导出对话框：把当前搜索的全部命中写入 NDJSON / CSV 文件
+ * request 为 { path, index, body }（变量已替换），CSV 的列来自当前索引的 mapping
+ * 开始时在保存对话框中选择文件，PIT 导出失败或取消后可以从中断的位置继续写入同一个文件（scroll 导出只能重新开始）
+ */
+export function ExportDialog({ open, onOpenChange, request, fields, clusterInfo, send, timeoutSeconds }) {
+  const [format, setFormat] = useState('ndjson')
+  const [filePath, setFilePath] = useState(null)
+  const [columns, setColumns] = useState([])
+  const [columnFilter, setColumnFilter] = useState('')
+  const [status, setStatus] = useState('idle')
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const jobRef = useRef(null)
+
+  const availableColumns = useMemo(() => [...META_COLUMNS, ...getExportColumns(fields)], [fields])
+  const pointInTime = getVersionFeatures(clusterInfo).pointInTime
+  const isRunning = status === 'running'
+
+  // 关闭对话框或卸载时取消任务，并释放 PIT / scroll 和导出文件
+  const stopJob = () => {
+    const job = jobRef.current
+    jobRef.current = null
+    if (job) {
+      job.cancel()
+      job.release()
+    }
+  }
+
+  useEffect(() => stopJob, [])
+
+  useEffect(() => {
+    if (!open || !request) return
+    stopJob()
+    setStatus('idle')
+    setProgress(null)
+    setError(null)
+    setColumnFilter('')
+    setFilePath(null)
+  }, [open, request])
+
+  // mapping 可能在对话框打开后才加载完成
+  useEffect(() => {
+    if (open) setColumns(availableColumns)
+  }, [open, request, availableColumns])
+
+  const handleOpenChange = (isOpen) => {
+    if (!isOpen) stopJob()
+    onOpenChange(isOpen)
+  }
+
+  const toggleColumn = (column) => {
+    setColumns(prev => prev.includes(column)
+      ? prev.filter(c => c !== column)
+      // 保持 mapping 中的顺序
+      : availableColumns.filter(c => c === column || prev.includes(c)))
+  }
+
+  const visibleColumns = availableColumns.filter(column => (
+    column.toLowerCase().includes(columnFilter.toLowerCase())
+  ))
+
+  const runJob = async (job) => {
+    setStatus('running')
+    setError(null)
+    try {
+      await job.run()
+      if (jobRef.current !== job) return
+      setStatus('done')
+      job.release()
+    } catch (err) {
+      if (jobRef.current !== job) return
+      setStatus('failed')
+      if (job.canResume) {
+        setError(err.message)
+        return
+      }
+      // scroll 可能已经被推进，继续会漏掉一批：释放它，只能重新开始
+      stopJob()
+      setError(`${err.message}\nThe scroll export stopped and cannot be resumed without missing documents. Start over to export again.`)
+    }
+  }
+
+  const handleStart = async () => {
+    stopJob()
+    if (format === 'csv' && columns.length === 0) {
+      setError('Select at least one column')
+      return
+    }
+    let target
+    try {
+      target = await openExportFile(getDefaultFileName(request.index, format), format)
+    } catch (err) {
+      setError(String(err?.message || err))
+      return
+    }
+    if (!target) return
+    setFilePath(target.path)
+
+    const job = new ExportJob({
+      send,
+      clusterInfo,
+      pointInTime,
+      path: request.path,
+      index: request.index || '*',
+      bodyText: request.body,
+      format,
+      columns,
+      file: target.handle,
+      timeoutSeconds,
+      onProgress: (value) => {
+        if (jobRef.current === job) setProgress(value)
+      },
+    })
+    jobRef.current = job
+    setProgress(null)
+    runJob(job)
+  }
+
+  const percent = progress?.total ? Math.min(100, (progress.written / progress.total) * 100) : 0
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-[560px]">
+        <DialogHeader>
+          <DialogTitle>Export results</DialogTitle>
+          <DialogDescription>
+            Streams every hit of the current search into a file
+            {pointInTime ? ' using a point in time and search_after.' : ' using the scroll API.'}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-3 py-4">
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="export-format" className="text-right">Format</Label>
+            <select
+              id="export-format"
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              disabled={isRunning}
+              className="col-span-3 h-8 px-2 text-sm rounded-md border border-input bg-background w-fit"
+            >
+              {EXPORT_FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label className="text-right">File</Label>
+            <span className="col-span-3 text-sm font-mono break-all text-muted-foreground">
+              {filePath || 'Chosen when the export starts'}
+            </span>
+          </div>
+          {format === 'csv' && (
+            <div className="grid grid-cols-4 items-start gap-4">
+              <Label className="text-right pt-2">Columns</Label>
+              <div className="col-span-3 grid gap-2">
+                <div className="flex items-center gap-2">
+                  <Input
+                    value={columnFilter}
+                    onChange={(e) => setColumnFilter(e.target.value)}
+                    placeholder="Filter fields"
+                    className="h-8"
+                    spellCheck={false}
+                  />
+                  <Button variant="ghost" size="sm" disabled={isRunning} onClick={() => setColumns(availableColumns)}>
+                    All
+                  </Button>
+                  <Button variant="ghost" size="sm" disabled={isRunning} onClick={() => setColumns([])}>
+                    None
+                  </Button>
+                </div>
+                <div className="max-h-48 overflow-auto rounded-md border p-2 grid gap-1">
+                  {visibleColumns.map(column => (
+                    <label key={column} className="flex items-center gap-2 text-sm font-mono">
+                      <input
+                        type="checkbox"
+                        checked={columns.includes(column)}
+                        onChange={() => toggleColumn(column)}
+                        disabled={isRunning}
+                      />
+                      <span className="truncate">{column}</span>
+                      {fields?.[column]?.type && (
+                        <span className="ml-auto text-xs text-muted-foreground">{fields[column].type}</span>
+                      )}
+                    </label>
+                  ))}
+                </div>
+                <span className="text-xs text-muted-foreground">
+                  {columns.length} of {availableColumns.length} columns
+                  {availableColumns.length === META_COLUMNS.length && ' (select an index to load its mapping)'}
+                </span>
+              </div>
+            </div>
+          )}
+          {progress && (
+            <div className="grid gap-1">
+              <div className="h-2 rounded-full bg-muted overflow-hidden">
+                <div className="h-full bg-primary transition-all" style={{ width: `${percent}%` }} />
+              </div>
+              <span className="text-xs text-muted-foreground">
+                {progress.written}{progress.total !== null && ` of ${progress.total}`} documents
+                {` · ${formatBytes(progress.bytes)}`}
+                {isRunning && progress.eta !== null && ` · ${formatEta(progress.eta)} left`}
+                {status === 'done' && ' · done'}
+              </span>
+            </div>
+          )}
+          {isRunning && !progress && (
+            <span className="text-xs text-muted-foreground">Starting…</span>
+          )}
+          {error && (
+            <span className="text-sm text-destructive whitespace-pre-wrap break-all">{error}</span>
+          )}
+          {status === 'failed' && jobRef.current?.canResume && (
+            <span className="text-xs text-muted-foreground">
+              Resume continues after the last written document.
+            </span>
+          )}
+        </div>
+        <DialogFooter>
+          {isRunning ? (
+            <Button variant="destructive" onClick={() => jobRef.current?.cancel()}>
+              Cancel
+            </Button>
+          ) : (
+            <>
+              <Button variant="ghost" onClick={() => handleOpenChange(false)}>
+                Close
+              </Button>
+              {status === 'failed' && jobRef.current?.canResume && (
+                <Button variant="outline" onClick={() => runJob(jobRef.current)}>
+                  Resume
+                </Button>
+              )}
+              <Button onClick={handleStart} disabled={!request}>
+                {status === 'idle' ? 'Export…' : 'Start over…'}
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,71 @@
+import { cn } from '@/lib/utils'
+
+/**
+ * 并排比较 _msearch 的每个响应：耗时、命中总数，以及按排名对齐的前几个命中
+ * 第一个查询作为基准，其他查询的命中显示相对基准的排名变化
+ */
+export function MultiSearchResults({ results }) {
+  const baseline = results[0]?.hits.map(hit => hit.id) || []
+  const rows = Math.max(0, ...results.map(result => result.hits.length))
+
+  const getRankChange = (id, rank) => {
+    const baselineRank = baseline.indexOf(id)
+    if (baselineRank === -1) return { label: 'new', className: 'text-green-500' }
+    if (baselineRank === rank) return null
+    return baselineRank > rank
+      ? { label: `↑${baselineRank - rank}`, className: 'text-green-500' }
+      : { label: `↓${rank - baselineRank}`, className: 'text-amber-500' }
+  }
+
+  return (
+    <div className="h-full overflow-auto bg-background text-sm">
+      <table className="w-full border-collapse">
+        <thead className="sticky top-0 bg-muted">
+          <tr>
+            <th className="w-10 px-2 py-1 border-b text-right text-xs font-medium text-muted-foreground">#</th>
+            {results.map((result, i) => (
+              <th key={i} className="px-2 py-1 border-b border-l text-left align-top">
+                <div className="font-medium truncate" title={result.label}>{result.label}</div>
+                {result.index && (
+                  <div className="text-xs font-normal text-muted-foreground truncate">{result.index}</div>
+                )}
+                {result.error ? (
+                  <div className="text-xs font-normal text-destructive">{result.error}</div>
+                ) : (
+                  <div className="text-xs font-normal text-muted-foreground">
+                    {result.total !== null && `${result.relation === 'gte' ? '≥' : ''}${result.total} hits`}
+                    {result.took !== undefined && ` · ${result.took}ms`}
+                  </div>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Array.from({ length: rows }, (_, rank) => (
+            <tr key={rank} className="hover:bg-muted/50">
+              <td className="px-2 py-1 border-b text-right text-xs text-muted-foreground">{rank + 1}</td>
+              {results.map((result, i) => {
+                const hit = result.hits[rank]
+                const change = hit && i > 0 ? getRankChange(hit.id, rank) : null
+                return (
+                  <td key={i} className="px-2 py-1 border-b border-l font-mono text-xs">
+                    {hit && (
+                      <div className="flex items-center gap-2" title={`${hit.index}/${hit.id}`}>
+                        <span className="truncate">{hit.id}</span>
+                        {change && <span className={cn('shrink-0', change.className)}>{change.label}</span>}
+                        <span className="ml-auto shrink-0 text-muted-foreground">
+                          {typeof hit.score === 'number' ? hit.score.toFixed(3) : ''}
+                        </span>
+                      </div>
+                    )}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,213 @@
+import { useState } from 'react'
+import { ChevronDown, ChevronRight, Crosshair, Flame } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { PROFILE_PHASES, formatNanos } from '@/lib/esProfile'
+
+const PHASE_COLORS = [
+  'bg-sky-500',
+  'bg-indigo-500',
+  'bg-emerald-500',
+  'bg-teal-500',
+  'bg-lime-500',
+  'bg-amber-500',
+  'bg-orange-500',
+  'bg-rose-500',
+  'bg-pink-500',
+  'bg-fuchsia-500',
+]
+
+function getPhaseColor(phase) {
+  const index = PROFILE_PHASES.indexOf(phase)
+  return index === -1 ? 'bg-muted-foreground' : PHASE_COLORS[index % PHASE_COLORS.length]
+}
+
+// 各阶段耗时的堆叠条，宽度为占节点耗时的比例
+function BreakdownBar({ breakdown }) {
+  const total = breakdown.reduce((sum, item) => sum + item.time, 0)
+  if (total === 0) return <div className="h-2 w-32 rounded-sm bg-muted" />
+  return (
+    <div className="flex h-2 w-32 overflow-hidden rounded-sm bg-muted">
+      {breakdown.map(item => (
+        <div
+          key={item.phase}
+          className={getPhaseColor(item.phase)}
+          style={{ width: `${(item.time / total) * 100}%` }}
+          title={`${item.phase}: ${formatNanos(item.time)}${item.count !== null ? ` (${item.count}×)` : ''}`}
+        />
+      ))}
+    </div>
+  )
+}
+
+// 树中出现的所有阶段（用于图例）
+function collectPhases(nodes) {
+  return nodes.flatMap(node => [...node.breakdown.map(item => item.phase), ...collectPhases(node.children)])
+}
+
+function ProfileNode({ node, depth, totalTime, collapsed, onToggle, onLocate }) {
+  const isCollapsed = collapsed.has(node.key)
+  const canLocate = onLocate && (node.kind === 'aggregation' || node.field)
+  return (
+    <>
+      <tr className={cn('align-top hover:bg-muted/50', node.hot && 'bg-red-500/10')}>
+        <td className="px-2 py-1 border-b">
+          <div className="flex items-start gap-1" style={{ paddingLeft: depth * 16 }}>
+            <button
+              type="button"
+              className={cn('mt-0.5 shrink-0 text-muted-foreground', node.children.length === 0 && 'invisible')}
+              onClick={() => onToggle(node.key)}
+            >
+              {isCollapsed ? <ChevronRight className="h-3.5 w-3.5" /> : <ChevronDown className="h-3.5 w-3.5" />}
+            </button>
+            <div className="min-w-0">
+              <div className="flex items-center gap-1">
+                {node.hot && (
+                  <span title="One of the most expensive clauses of this shard">
+                    <Flame className="h-3.5 w-3.5 shrink-0 text-red-500" />
+                  </span>
+                )}
+                <span className="font-medium">{node.type}</span>
+                {canLocate && (
+                  <button
+                    type="button"
+                    className="text-muted-foreground hover:text-foreground"
+                    onClick={() => onLocate(node)}
+                    title="Show the clause in the editor"
+                  >
+                    <Crosshair className="h-3.5 w-3.5" />
+                  </button>
+                )}
+              </div>
+              <div className="font-mono text-xs text-muted-foreground break-all">{node.description}</div>
+            </div>
+          </div>
+        </td>
+        <td className={cn('px-2 py-1 border-b border-l text-right font-mono text-xs whitespace-nowrap', node.hot && 'text-red-500 font-semibold')}>
+          {formatNanos(node.selfTime)}
+        </td>
+        <td className="px-2 py-1 border-b border-l text-right font-mono text-xs whitespace-nowrap">
+          <div>{formatNanos(node.time)}</div>
+          <div className="text-muted-foreground">{totalTime > 0 ? `${((node.time / totalTime) * 100).toFixed(1)}%` : ''}</div>
+        </td>
+        <td className="px-2 py-1 border-b border-l">
+          <div className="mt-1">
+            <BreakdownBar breakdown={node.breakdown} />
+          </div>
+        </td>
+      </tr>
+      {!isCollapsed && node.children.map(child => (
+        <ProfileNode
+          key={child.key}
+          node={child}
+          depth={depth + 1}
+          totalTime={totalTime}
+          collapsed={collapsed}
+          onToggle={onToggle}
+          onLocate={onLocate}
+        />
+      ))}
+    </>
+  )
+}
+
+/**
+ * profile: true 的结果：每个分片一个可折叠的计时树（query 和 aggregation）
+ * 显示自身耗时和总耗时、各阶段耗时的堆叠条，并标出最耗时的子句
+ */
+export function ProfileResults({ shards, onLocate }) {
+  const [collapsed, setCollapsed] = useState(() => new Set())
+
+  const toggle = (key) => {
+    setCollapsed(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  const phases = [...new Set(shards.flatMap(shard => collectPhases([
+    ...shard.searches.flatMap(search => search.queries),
+    ...shard.aggregations,
+  ])))].sort((a, b) => PROFILE_PHASES.indexOf(a) - PROFILE_PHASES.indexOf(b))
+
+  return (
+    <div className="h-full overflow-auto bg-background text-sm">
+      {phases.length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 px-3 py-2 border-b text-xs text-muted-foreground">
+          {phases.map(phase => (
+            <span key={phase} className="flex items-center gap-1">
+              <span className={cn('h-2 w-2 rounded-sm', getPhaseColor(phase))} />
+              {phase}
+            </span>
+          ))}
+        </div>
+      )}
+      {shards.map(shard => {
+        const isCollapsed = collapsed.has(shard.key)
+        const sections = [
+          ...shard.searches.map((search, i) => ({
+            label: shard.searches.length > 1 ? `Query ${i + 1}` : 'Query',
+            detail: `rewrite ${formatNanos(search.rewriteTime)}`,
+            nodes: search.queries,
+          })),
+          { label: 'Aggregations', detail: formatNanos(shard.aggregationTime), nodes: shard.aggregations },
+        ].filter(section => section.nodes.length > 0)
+
+        return (
+          <div key={shard.key} className="border-b">
+            <button
+              type="button"
+              className="flex w-full items-center gap-2 px-3 py-1.5 bg-muted/50 text-left hover:bg-muted"
+              onClick={() => toggle(shard.key)}
+            >
+              {isCollapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+              <span className="font-medium">{shard.index ?? shard.id}</span>
+              {shard.shard !== null && <span className="text-xs text-muted-foreground">shard {shard.shard}</span>}
+              {shard.node && <span className="text-xs text-muted-foreground truncate">node {shard.node}</span>}
+              <span className="ml-auto font-mono text-xs text-muted-foreground">
+                query {formatNanos(shard.queryTime)} · aggs {formatNanos(shard.aggregationTime)}
+              </span>
+            </button>
+            {!isCollapsed && sections.map(section => (
+              <table key={section.label} className="w-full border-collapse">
+                <thead>
+                  <tr className="text-xs text-muted-foreground">
+                    <th className="px-3 py-1 border-b text-left font-medium">
+                      {section.label} <span className="font-normal">· {section.detail}</span>
+                    </th>
+                    <th className="w-20 px-2 py-1 border-b border-l text-right font-medium">Self</th>
+                    <th className="w-20 px-2 py-1 border-b border-l text-right font-medium">Total</th>
+                    <th className="w-36 px-2 py-1 border-b border-l text-left font-medium">Breakdown</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.nodes.map(node => (
+                    <ProfileNode
+                      key={node.key}
+                      node={node}
+                      depth={0}
+                      totalTime={shard.totalTime}
+                      collapsed={collapsed}
+                      onToggle={toggle}
+                      onLocate={onLocate}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            ))}
+            {!isCollapsed && sections.length === 0 && (
+              <div className="px-3 py-2 text-xs text-muted-foreground">No profiled queries on this shard</div>
+            )}
+          </div>
+        )
+      })}
+      {shards.length === 0 && (
+        <div className="p-3 text-xs text-muted-foreground">The response has no profiled shards</div>
+      )}
+    </div>
+  )
+}
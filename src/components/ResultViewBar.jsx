@@ -0,0 +1,31 @@
+import { Button } from '@/components/ui/button'
+
+/**
+ * 结果编辑器上方的视图切换栏：在表格、计时树等视图和原始 JSON 之间切换
+ * children 显示在汇总和切换按钮之间（例如 Bulk 的重试按钮）
+ */
+export function ResultViewBar({ icon: Icon, summary, viewLabel, showView, onShowViewChange, children }) {
+  return (
+    <div className="flex items-center gap-2 px-3 h-8 bg-muted border-b shrink-0">
+      <Icon className="h-4 w-4 text-muted-foreground" />
+      <span className="text-xs text-muted-foreground">{summary}</span>
+      {children}
+      <Button
+        variant={showView ? 'secondary' : 'ghost'}
+        size="sm"
+        className="ml-auto h-6"
+        onClick={() => onShowViewChange(true)}
+      >
+        {viewLabel}
+      </Button>
+      <Button
+        variant={showView ? 'ghost' : 'secondary'}
+        size="sm"
+        className="h-6"
+        onClick={() => onShowViewChange(false)}
+      >
+        JSON
+      </Button>
+    </div>
+  )
+}
@@ -3,34 +3,49 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
-import { load } from '@tauri-apps/plugin-store'
+import { Plus, Copy, Trash2, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { AUTH_TYPES, getAuthType } from '@/lib/esAuth'
+import { credentialVault } from '@/lib/credentialVault'
+import { NODE_SELECTIONS } from '@/lib/esConnection'
+import {
+  PROFILE_COLORS,
+  createHeader,
+  createProfile,
+  duplicateProfile,
+  getProfileColorClass,
+  loadProfiles,
+  saveProfiles,
+} from '@/lib/profileStore'
 
-const STORE_PATH = 'settings.json'
-
-export function SettingsDialog({ open, onOpenChange }) {
-  const [url, setUrl] = useState('http://localhost:9200')
-  const [username, setUsername] = useState('')
-  const [password, setPassword] = useState('')
+export function SettingsDialog({ open, onOpenChange, onChangePassphrase, onUnlock }) {
+  const [profiles, setProfiles] = useState([])
+  const [activeProfileId, setActiveProfileId] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [environmentIndex, setEnvironmentIndex] = useState(0)
   const [isLoading, setIsLoading] = useState(false)
+  const [saveError, setSaveError] = useState(null)
 
   // Load settings when dialog opens
   useEffect(() => {
     if (open) {
+      setSaveError(null)
       loadSettings()
     }
   }, [open])
 
+  // 切换 profile 时回到第一个环境
+  useEffect(() => {
+    setEnvironmentIndex(0)
+  }, [selectedId])
+
   const loadSettings = async () => {
     try {
       setIsLoading(true)
-      const store = await load(STORE_PATH)
-      const savedUrl = await store.get('url')
-      const savedUsername = await store.get('username')
-      const savedPassword = await store.get('password')
-
-      if (savedUrl) setUrl(savedUrl)
-      if (savedUsername) setUsername(savedUsername)
-      if (savedPassword) setPassword(savedPassword)
+      const { profiles: savedProfiles, activeProfileId: savedActiveId } = await loadProfiles()
+      setProfiles(savedProfiles)
+      setActiveProfileId(savedActiveId)
+      setSelectedId(savedActiveId)
     } catch (error) {
       console.error('Failed to load settings:', error)
     } finally {
@@ -38,75 +53,630 @@ export function SettingsDialog({ open, onOpenChange }) {
     }
   }
 
+  const selectedProfile = profiles.find(p => p.id === selectedId)
+  const isVaultUnlocked = credentialVault.isUnlocked
+  const secretPlaceholder = isVaultUnlocked ? '••••••••' : 'Unlock credentials to edit'
+
+  const updateSelected = (changes) => {
+    setProfiles(prev => prev.map(p => (p.id === selectedId ? { ...p, ...changes } : p)))
+  }
+
+  const updateHeader = (index, changes) => {
+    updateSelected({
+      headers: (selectedProfile.headers || []).map((h, i) => (i === index ? { ...h, ...changes } : h)),
+    })
+  }
+
+  const addHeader = () => {
+    updateSelected({ headers: [...(selectedProfile.headers || []), createHeader()] })
+  }
+
+  const removeHeader = (index) => {
+    updateSelected({ headers: (selectedProfile.headers || []).filter((_, i) => i !== index) })
+  }
+
+  const environments = selectedProfile?.environments || []
+  const selectedEnvironment = environments[environmentIndex] || null
+
+  const updateEnvironment = (changes) => {
+    updateSelected({
+      environments: environments.map((env, i) => (i === environmentIndex ? { ...env, ...changes } : env)),
+    })
+  }
+
+  const addEnvironment = () => {
+    const names = ['dev', 'staging', 'prod']
+    const name = names.find(n => !environments.some(env => env.name === n)) || `env${environments.length + 1}`
+    updateSelected({ environments: [...environments, { name, variables: [] }] })
+    setEnvironmentIndex(environments.length)
+  }
+
+  const removeEnvironment = () => {
+    updateSelected({ environments: environments.filter((_, i) => i !== environmentIndex) })
+    setEnvironmentIndex(0)
+  }
+
+  const updateVariable = (index, changes) => {
+    updateEnvironment({
+      variables: selectedEnvironment.variables.map((v, i) => (i === index ? { ...v, ...changes } : v)),
+    })
+  }
+
+  const addVariable = () => {
+    updateEnvironment({ variables: [...selectedEnvironment.variables, { key: '', value: '' }] })
+  }
+
+  const removeVariable = (index) => {
+    updateEnvironment({ variables: selectedEnvironment.variables.filter((_, i) => i !== index) })
+  }
+
+  const handleCreate = () => {
+    const profile = createProfile()
+    setProfiles(prev => [...prev, profile])
+    setSelectedId(profile.id)
+  }
+
+  const handleDuplicate = () => {
+    if (!selectedProfile) return
+    const profile = duplicateProfile(selectedProfile)
+    setProfiles(prev => [...prev, profile])
+    setSelectedId(profile.id)
+  }
+
+  const handleDelete = () => {
+    // 至少保留一个 profile
+    if (!selectedProfile || profiles.length <= 1) return
+    const remaining = profiles.filter(p => p.id !== selectedId)
+    setProfiles(remaining)
+    setSelectedId(remaining[0].id)
+    if (activeProfileId === selectedId) {
+      setActiveProfileId(remaining[0].id)
+    }
+  }
+
   const handleSave = async () => {
+    setSaveError(null)
     try {
-      const store = await load(STORE_PATH)
-      await store.set('url', url)
-      await store.set('username', username)
-      await store.set('password', password)
-      await store.save()
-
-      // Trigger a custom event to notify parent component
-      window.dispatchEvent(new CustomEvent('settings-saved', { detail: { url, username, password } }))
+      await saveProfiles(profiles, activeProfileId)
+
+      // Trigger a custom event to notify parent component (credentials are reloaded from the vault, never broadcast)
+      window.dispatchEvent(new CustomEvent('settings-saved'))
       onOpenChange(false)
     } catch (error) {
       console.error('Failed to save settings:', error)
+      setSaveError(error.message)
     }
   }
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="sm:max-w-[425px]">
+      <DialogContent className="sm:max-w-[800px] max-h-[90vh] overflow-y-auto">
         <DialogHeader>
-          <DialogTitle>Elasticsearch Settings</DialogTitle>
+          <DialogTitle>Connection Profiles</DialogTitle>
           <DialogDescription>
-            Configure your Elasticsearch connection settings.
+            Manage named Elasticsearch connections.
           </DialogDescription>
         </DialogHeader>
-        <div className="grid gap-4 py-4">
-          <div className="grid grid-cols-4 items-center gap-4">
-            <Label htmlFor="url" className="text-right">
-              URL
-            </Label>
-            <Input
-              id="url"
-              type="url"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              className="col-span-3"
-              placeholder="http://localhost:9200"
-              disabled={isLoading}
-            />
-          </div>
-          <div className="grid grid-cols-4 items-center gap-4">
-            <Label htmlFor="username" className="text-right">
-              Username
-            </Label>
-            <Input
-              id="username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              className="col-span-3"
-              placeholder="elastic"
-              disabled={isLoading}
-            />
-          </div>
-          <div className="grid grid-cols-4 items-center gap-4">
-            <Label htmlFor="password" className="text-right">
-              Password
-            </Label>
-            <Input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="col-span-3"
-              placeholder="••••••••"
-              disabled={isLoading}
-            />
+        <div className="flex gap-4 py-4">
+          {/* Profile List */}
+          <div className="flex flex-col w-48 shrink-0 border rounded-md">
+            <div className="flex-1 overflow-y-auto max-h-72">
+              {profiles.map((profile) => (
+                <button
+                  key={profile.id}
+                  type="button"
+                  onClick={() => setSelectedId(profile.id)}
+                  className={cn(
+                    'flex items-center gap-2 w-full px-3 py-2 text-sm text-left hover:bg-accent',
+                    profile.id === selectedId && 'bg-accent'
+                  )}
+                >
+                  <span className={cn('h-2 w-2 rounded-full shrink-0', getProfileColorClass(profile))} />
+                  <span className="truncate">{profile.name || 'Untitled'}</span>
+                </button>
+              ))}
+            </div>
+            <div className="flex border-t">
+              <Button variant="ghost" size="icon" onClick={handleCreate} title="New profile" disabled={isLoading}>
+                <Plus className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="icon" onClick={handleDuplicate} title="Duplicate profile" disabled={isLoading || !selectedProfile}>
+                <Copy className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={handleDelete}
+                title="Delete profile"
+                disabled={isLoading || profiles.length <= 1}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
           </div>
+
+          {/* Profile Form */}
+          {selectedProfile && (
+            <div className="grid flex-1 gap-4 content-start">
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="name" className="text-right">
+                  Name
+                </Label>
+                <Input
+                  id="name"
+                  value={selectedProfile.name}
+                  onChange={(e) => updateSelected({ name: e.target.value })}
+                  className="col-span-3"
+                  placeholder="Production"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="url" className="text-right">
+                  Nodes
+                </Label>
+                <Input
+                  id="url"
+                  value={selectedProfile.url}
+                  onChange={(e) => updateSelected({ url: e.target.value })}
+                  className="col-span-3"
+                  placeholder="http://es-1:9200, http://es-2:9200"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="nodeSelection" className="text-right">
+                  Node selection
+                </Label>
+                <div className="col-span-3 flex items-center gap-4">
+                  <select
+                    id="nodeSelection"
+                    value={selectedProfile.nodeSelection || 'round-robin'}
+                    onChange={(e) => updateSelected({ nodeSelection: e.target.value })}
+                    className="h-10 px-3 text-sm rounded-md border border-input bg-background"
+                    disabled={isLoading}
+                  >
+                    {NODE_SELECTIONS.map((selection) => (
+                      <option key={selection.value} value={selection.value}>
+                        {selection.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!!selectedProfile.sniffOnConnect}
+                      onChange={(e) => updateSelected({ sniffOnConnect: e.target.checked })}
+                      disabled={isLoading}
+                    />
+                    Sniff nodes on connect
+                  </label>
+                </div>
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <div />
+                <label className="col-span-3 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedProfile.readOnly}
+                    onChange={(e) => updateSelected({ readOnly: e.target.checked })}
+                    disabled={isLoading}
+                  />
+                  Read-only (block write requests and scripts)
+                </label>
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <div />
+                <label className="col-span-3 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedProfile.serverValidation}
+                    onChange={(e) => updateSelected({ serverValidation: e.target.checked })}
+                    disabled={isLoading}
+                  />
+                  Validate queries on the server (_validate/query while typing)
+                </label>
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="healthInterval" className="text-right">
+                  Health poll (s)
+                </Label>
+                <Input
+                  id="healthInterval"
+                  type="number"
+                  min={0}
+                  value={selectedProfile.healthInterval ?? 30}
+                  onChange={(e) => updateSelected({ healthInterval: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className="col-span-3"
+                  placeholder="30 (0 disables polling)"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="requestTimeout" className="text-right">
+                  Timeout (s)
+                </Label>
+                <Input
+                  id="requestTimeout"
+                  type="number"
+                  min={0}
+                  value={selectedProfile.requestTimeout ?? 30}
+                  onChange={(e) => updateSelected({ requestTimeout: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className="col-span-3"
+                  placeholder="30 (0 disables the timeout)"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="authType" className="text-right">
+                  Auth
+                </Label>
+                <select
+                  id="authType"
+                  value={getAuthType(selectedProfile)}
+                  onChange={(e) => updateSelected({ authType: e.target.value })}
+                  className="col-span-3 h-10 px-3 text-sm rounded-md border border-input bg-background"
+                  disabled={isLoading}
+                >
+                  {AUTH_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {getAuthType(selectedProfile) === 'basic' && (
+                <>
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="username" className="text-right">
+                      Username
+                    </Label>
+                    <Input
+                      id="username"
+                      value={selectedProfile.username}
+                      onChange={(e) => updateSelected({ username: e.target.value })}
+                      className="col-span-3"
+                      placeholder="elastic"
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="password" className="text-right">
+                      Password
+                    </Label>
+                    <Input
+                      id="password"
+                      type="password"
+                      value={selectedProfile.password}
+                      onChange={(e) => updateSelected({ password: e.target.value })}
+                      className="col-span-3"
+                      placeholder={secretPlaceholder}
+                      disabled={isLoading || !isVaultUnlocked}
+                    />
+                  </div>
+                </>
+              )}
+              {getAuthType(selectedProfile) === 'apikey' && (
+                <>
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="apiKeyId" className="text-right">
+                      Key ID
+                    </Label>
+                    <Input
+                      id="apiKeyId"
+                      value={selectedProfile.apiKeyId || ''}
+                      onChange={(e) => updateSelected({ apiKeyId: e.target.value })}
+                      className="col-span-3"
+                      placeholder="VuaCfGcBCdbkQm-e5aOx"
+                      disabled={isLoading || !!selectedProfile.apiKey}
+                    />
+                  </div>
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="apiKeySecret" className="text-right">
+                      Key secret
+                    </Label>
+                    <Input
+                      id="apiKeySecret"
+                      type="password"
+                      value={selectedProfile.apiKeySecret || ''}
+                      onChange={(e) => updateSelected({ apiKeySecret: e.target.value })}
+                      className="col-span-3"
+                      placeholder={secretPlaceholder}
+                      disabled={isLoading || !isVaultUnlocked || !!selectedProfile.apiKey}
+                    />
+                  </div>
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="apiKey" className="text-right">
+                      Encoded key
+                    </Label>
+                    <Input
+                      id="apiKey"
+                      type="password"
+                      value={selectedProfile.apiKey || ''}
+                      onChange={(e) => updateSelected({ apiKey: e.target.value })}
+                      className="col-span-3"
+                      placeholder={isVaultUnlocked ? 'Base64 id:secret (overrides ID and secret)' : secretPlaceholder}
+                      disabled={isLoading || !isVaultUnlocked}
+                    />
+                  </div>
+                </>
+              )}
+              {getAuthType(selectedProfile) === 'bearer' && (
+                <div className="grid grid-cols-4 items-center gap-4">
+                  <Label htmlFor="bearerToken" className="text-right">
+                    Token
+                  </Label>
+                  <Input
+                    id="bearerToken"
+                    type="password"
+                    value={selectedProfile.bearerToken || ''}
+                    onChange={(e) => updateSelected({ bearerToken: e.target.value })}
+                    className="col-span-3"
+                    placeholder={secretPlaceholder}
+                    disabled={isLoading || !isVaultUnlocked}
+                  />
+                </div>
+              )}
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="tlsCaFile" className="text-right">
+                  CA bundle
+                </Label>
+                <Input
+                  id="tlsCaFile"
+                  value={selectedProfile.tlsCaFile || ''}
+                  onChange={(e) => updateSelected({ tlsCaFile: e.target.value })}
+                  className="col-span-3"
+                  placeholder="/path/to/ca.pem"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="tlsCertFile" className="text-right">
+                  Client cert
+                </Label>
+                <Input
+                  id="tlsCertFile"
+                  value={selectedProfile.tlsCertFile || ''}
+                  onChange={(e) => updateSelected({ tlsCertFile: e.target.value })}
+                  className="col-span-3"
+                  placeholder="/path/to/client.crt"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="tlsKeyFile" className="text-right">
+                  Client key
+                </Label>
+                <Input
+                  id="tlsKeyFile"
+                  value={selectedProfile.tlsKeyFile || ''}
+                  onChange={(e) => updateSelected({ tlsKeyFile: e.target.value })}
+                  className="col-span-3"
+                  placeholder="/path/to/client.key"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <div />
+                <div className="col-span-3 flex flex-col gap-1">
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!!selectedProfile.tlsAcceptInvalidCerts}
+                      onChange={(e) => updateSelected({ tlsAcceptInvalidCerts: e.target.checked })}
+                      disabled={isLoading}
+                    />
+                    Accept invalid certificates
+                  </label>
+                  {selectedProfile.tlsAcceptInvalidCerts && (
+                    <span className="text-xs text-destructive">
+                      Certificate verification is disabled. Only use this for trusted test clusters.
+                    </span>
+                  )}
+                </div>
+              </div>
+              <div className="grid grid-cols-4 items-start gap-4">
+                <Label className="text-right pt-2">
+                  Headers
+                </Label>
+                <div className="col-span-3 flex flex-col gap-2">
+                  {(selectedProfile.headers || []).map((header, index) => {
+                    // secret 请求头的值保存在保险库中，未解锁时不可编辑
+                    const isLocked = header.secret && !isVaultUnlocked
+                    return (
+                      <div key={header.id} className="flex items-center gap-2">
+                        <Input
+                          value={header.key}
+                          onChange={(e) => updateHeader(index, { key: e.target.value })}
+                          placeholder="X-Tenant-Id"
+                          className="h-8 flex-1"
+                          disabled={isLoading || isLocked}
+                        />
+                        <Input
+                          type={header.secret ? 'password' : 'text'}
+                          value={header.value}
+                          onChange={(e) => updateHeader(index, { value: e.target.value })}
+                          placeholder={isLocked ? secretPlaceholder : 'value'}
+                          className="h-8 flex-1"
+                          disabled={isLoading || isLocked}
+                        />
+                        <label className="flex items-center gap-1 text-xs text-muted-foreground" title="Mask and encrypt this value">
+                          <input
+                            type="checkbox"
+                            checked={!!header.secret}
+                            onChange={(e) => updateHeader(index, { secret: e.target.checked })}
+                            disabled={isLoading || !isVaultUnlocked}
+                          />
+                          Secret
+                        </label>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8"
+                          onClick={() => removeHeader(index)}
+                          title="Remove header"
+                          disabled={isLoading || isLocked}
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )
+                  })}
+                  <div className="flex items-center justify-between">
+                    <Button variant="outline" size="sm" className="h-8" onClick={addHeader} disabled={isLoading}>
+                      <Plus className="h-4 w-4" />
+                      Add header
+                    </Button>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={selectedProfile.opaqueId !== false}
+                        onChange={(e) => updateSelected({ opaqueId: e.target.checked })}
+                        disabled={isLoading}
+                      />
+                      Tag requests with X-Opaque-Id
+                    </label>
+                  </div>
+                </div>
+              </div>
+              <div className="grid grid-cols-4 items-start gap-4">
+                <Label className="text-right pt-2">
+                  Environments
+                </Label>
+                <div className="col-span-3 flex flex-col gap-2">
+                  <div className="flex items-center gap-2">
+                    {environments.length > 0 && (
+                      <>
+                        <select
+                          value={environmentIndex}
+                          onChange={(e) => setEnvironmentIndex(Number(e.target.value))}
+                          className="h-8 px-2 text-sm rounded-md border border-input bg-background"
+                          disabled={isLoading}
+                          title="Environment to edit (the first one is used by default)"
+                        >
+                          {environments.map((env, index) => (
+                            <option key={index} value={index}>
+                              {env.name || '(unnamed)'}
+                            </option>
+                          ))}
+                        </select>
+                        <Input
+                          value={selectedEnvironment?.name || ''}
+                          onChange={(e) => updateEnvironment({ name: e.target.value })}
+                          placeholder="staging"
+                          className="h-8 flex-1"
+                          disabled={isLoading}
+                          title="Environment name"
+                        />
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8"
+                          onClick={removeEnvironment}
+                          title="Remove environment"
+                          disabled={isLoading}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </>
+                    )}
+                    <Button variant="outline" size="sm" className="h-8" onClick={addEnvironment} disabled={isLoading}>
+                      <Plus className="h-4 w-4" />
+                      Add environment
+                    </Button>
+                  </div>
+                  {selectedEnvironment && (
+                    <>
+                      {selectedEnvironment.variables.map((variable, index) => (
+                        <div key={index} className="flex items-center gap-2">
+                          <Input
+                            value={variable.key}
+                            onChange={(e) => updateVariable(index, { key: e.target.value })}
+                            placeholder="tenant_id"
+                            className="h-8 flex-1 font-mono"
+                            disabled={isLoading}
+                          />
+                          <Input
+                            value={variable.value}
+                            onChange={(e) => updateVariable(index, { value: e.target.value })}
+                            placeholder="value"
+                            className="h-8 flex-1 font-mono"
+                            disabled={isLoading}
+                          />
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-8 w-8"
+                            onClick={() => removeVariable(index)}
+                            title="Remove variable"
+                            disabled={isLoading}
+                          >
+                            <X className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      <div className="flex items-center justify-between">
+                        <Button variant="outline" size="sm" className="h-8" onClick={addVariable} disabled={isLoading}>
+                          <Plus className="h-4 w-4" />
+                          Add variable
+                        </Button>
+                        <span className="text-xs text-muted-foreground">
+                          Use as {'{{name}}'} in request paths and bodies
+                        </span>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="defaultIndex" className="text-right">
+                  Default index
+                </Label>
+                <Input
+                  id="defaultIndex"
+                  value={selectedProfile.defaultIndex}
+                  onChange={(e) => updateSelected({ defaultIndex: e.target.value })}
+                  className="col-span-3"
+                  placeholder="logs-*"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label className="text-right">
+                  Colour
+                </Label>
+                <div className="col-span-3 flex gap-2">
+                  {Object.entries(PROFILE_COLORS).map(([color, className]) => (
+                    <button
+                      key={color}
+                      type="button"
+                      title={color}
+                      onClick={() => updateSelected({ color })}
+                      className={cn(
+                        'h-5 w-5 rounded-full',
+                        className,
+                        selectedProfile.color === color && 'ring-2 ring-ring ring-offset-2'
+                      )}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
         </div>
         <DialogFooter>
+          {isVaultUnlocked ? (
+            <Button variant="ghost" onClick={onChangePassphrase} className="mr-auto">
+              Change passphrase
+            </Button>
+          ) : (
+            <Button variant="ghost" onClick={onUnlock} className="mr-auto">
+              Unlock credentials
+            </Button>
+          )}
+          {saveError && (
+            <span className="self-center text-sm text-destructive">{saveError}</span>
+          )}
           <Button onClick={handleSave} disabled={isLoading}>
             {isLoading ? 'Saving...' : 'Save'}
           </Button>
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+
+/**
+ * 变量值对话框：运行前输入环境中没有定义的变量，也可以临时覆盖环境中的值
+ * 输入的值在工作区中保留，下次运行不再询问
+ */
+export function VariablesDialog({ open, names, values, missing, onSubmit, onCancel }) {
+  const [entries, setEntries] = useState({})
+
+  useEffect(() => {
+    if (open) {
+      setEntries(Object.fromEntries(names.map(name => [name, values[name] ?? ''])))
+    }
+  }, [open])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit(entries)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="sm:max-w-[480px]">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{missing ? 'Enter variable values' : 'Request variables'}</DialogTitle>
+            <DialogDescription>
+              {missing
+                ? 'These variables are not defined in the selected environment. The values are kept for this tab.'
+                : 'Values entered here override the selected environment for this tab.'}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-3 py-4">
+            {names.length === 0 && (
+              <span className="text-sm text-muted-foreground">
+                The request does not use any {'{{variables}}'}.
+              </span>
+            )}
+            {names.map((name, index) => (
+              <div key={name} className="grid grid-cols-3 items-center gap-4">
+                <Label htmlFor={`variable-${name}`} className="text-right font-mono">
+                  {name}
+                </Label>
+                <Input
+                  id={`variable-${name}`}
+                  value={entries[name] ?? ''}
+                  onChange={(e) => setEntries(prev => ({ ...prev, [name]: e.target.value }))}
+                  className="col-span-2 h-8 font-mono"
+                  autoFocus={index === 0}
+                  spellCheck={false}
+                />
+              </div>
+            ))}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="ghost" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit">
+              {missing ? 'Run' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { credentialVault } from '@/lib/credentialVault'
+
+/**
+ * 主密码对话框
+ * mode 为 'unlock' 时解锁（首次使用时创建）保险库，为 'rekey' 时更换主密码
+ * 为 'migrate' 时同 'unlock'，但 profile 中还有明文凭据，解锁前不能关闭
+ */
+export function VaultDialog({ open, onOpenChange, mode = 'unlock', onUnlocked }) {
+  const [isInitialized, setIsInitialized] = useState(true)
+  const [passphrase, setPassphrase] = useState('')
+  const [newPassphrase, setNewPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setPassphrase('')
+      setNewPassphrase('')
+      setConfirmPassphrase('')
+      setError(null)
+      credentialVault.isInitialized()
+        .then(setIsInitialized)
+        .catch(err => console.error('Failed to read credential vault:', err))
+    }
+  }, [open])
+
+  const isMigrating = mode === 'migrate'
+  const isCreating = (mode === 'unlock' || isMigrating) && !isInitialized
+  const isRekey = mode === 'rekey'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if ((isCreating || isRekey) && (isRekey ? newPassphrase : passphrase) !== confirmPassphrase) {
+      setError('Passphrases do not match')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      if (isRekey) {
+        await credentialVault.rekey(passphrase, newPassphrase)
+      } else {
+        await credentialVault.unlock(passphrase)
+      }
+      onUnlocked?.()
+      onOpenChange(false)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!window.confirm('Resetting the vault permanently deletes all saved credentials. Continue?')) {
+      return
+    }
+    try {
+      await credentialVault.reset()
+      setIsInitialized(false)
+      setPassphrase('')
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={isMigrating ? undefined : onOpenChange}>
+      <DialogContent className="sm:max-w-[425px]">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>
+              {isRekey ? 'Change Master Passphrase' : isCreating ? 'Create Master Passphrase' : 'Unlock Credentials'}
+            </DialogTitle>
+            <DialogDescription>
+              {isMigrating && 'Some connection profiles still store credentials in plain text. '}
+              {isCreating
+                ? 'Saved passwords, API keys and tokens are encrypted with this passphrase.'
+                : isMigrating
+                  ? 'Enter your master passphrase to encrypt them.'
+                  : 'Enter your master passphrase to decrypt saved credentials.'}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-4 py-4">
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="passphrase" className="text-right">
+                {isRekey ? 'Current' : 'Passphrase'}
+              </Label>
+              <Input
+                id="passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                className="col-span-3"
+                autoFocus
+                disabled={isLoading}
+              />
+            </div>
+            {isRekey && (
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="newPassphrase" className="text-right">
+                  New
+                </Label>
+                <Input
+                  id="newPassphrase"
+                  type="password"
+                  value={newPassphrase}
+                  onChange={(e) => setNewPassphrase(e.target.value)}
+                  className="col-span-3"
+                  disabled={isLoading}
+                />
+              </div>
+            )}
+            {(isCreating || isRekey) && (
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="confirmPassphrase" className="text-right">
+                  Confirm
+                </Label>
+                <Input
+                  id="confirmPassphrase"
+                  type="password"
+                  value={confirmPassphrase}
+                  onChange={(e) => setConfirmPassphrase(e.target.value)}
+                  className="col-span-3"
+                  disabled={isLoading}
+                />
+              </div>
+            )}
+            {error && (
+              <span className="text-sm text-destructive">{error}</span>
+            )}
+          </div>
+          <DialogFooter>
+            {!isRekey && isInitialized && (
+              <Button type="button" variant="ghost" onClick={handleReset} disabled={isLoading} className="mr-auto">
+                Reset vault
+              </Button>
+            )}
+            <Button type="submit" disabled={isLoading || !passphrase}>
+              {isLoading ? 'Working...' : isRekey ? 'Change' : isCreating ? 'Create' : 'Unlock'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,1677 @@
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import Editor from '@monaco-editor/react'
+import { Plug, Unplug, Play, Loader2, Database, AlertCircle, ShieldAlert, ShieldCheck, History, ClipboardPaste, Copy, CircleStop, TimerOff, Braces, ChevronLeft, ChevronRight, Download, ScanSearch } from 'lucide-react'
+import { ResizablePanelGroup, ResizablePanel, ResizableHandle } from '@/components/ui/resizable'
+import { ClusterHealthIndicator } from '@/components/ClusterHealthIndicator'
+import { CurlImportDialog } from '@/components/CurlImportDialog'
+import { CopyAsDialog } from '@/components/CopyAsDialog'
+import { ExportDialog } from '@/components/ExportDialog'
+import { VariablesDialog } from '@/components/VariablesDialog'
+import { ExplainResults } from '@/components/ExplainResults'
+import { ResultViewBar } from '@/components/ResultViewBar'
+import { useConsoleMode } from '@/components/modes/ConsoleMode'
+import { useTemplateMode } from '@/components/modes/TemplateMode'
+import { useMultiSearchMode } from '@/components/modes/MultiSearchMode'
+import { useSqlMode } from '@/components/modes/SqlMode'
+import { useEsqlMode } from '@/components/modes/EsqlMode'
+import { useBulkMode } from '@/components/modes/BulkMode'
+import { useSearchProfile } from '@/components/modes/SearchProfile'
+import { useClusterHealth } from '@/hooks/useClusterHealth'
+import { cn } from '@/lib/utils'
+import { ESMappingService } from '@/lib/esMappingService'
+import { ESCompletionProvider } from '@/lib/esCompletionProvider'
+import { ESDiagnosticsProvider } from '@/lib/esDiagnosticsProvider'
+import { attachModelProviders, registerESProviders } from '@/lib/esEditorProviders'
+import { createRequestHeaders } from '@/lib/esHeaders'
+import { ESConnection, getNodeLabel } from '@/lib/esConnection'
+import { formatClusterInfo, getEndpointIssue, getVersionFeatures, parseClusterInfo } from '@/lib/esVersion'
+import { HTTP_METHODS, buildRequestPath, isQueryDslPath, prepareRequestBody, readResponseBody, withServerTimeout } from '@/lib/esRequest'
+import { createRequestController, describeAbort } from '@/lib/esRequestControl'
+import {
+  createPageBody,
+  createPagePath,
+  createPitClose,
+  createPitOpenPath,
+  getNextSearchAfter,
+  getPageSize,
+  getPitId,
+  isSearchPath,
+} from '@/lib/esPagination'
+import { createExplainBody, createExplainPath, findResultHits, getExplanation } from '@/lib/esExplain'
+import { SERVER_VALIDATION_DELAY, createValidateBody, createValidatePath, getServerValidation } from '@/lib/esServerValidation'
+import { getBlockIndex } from '@/lib/esConsoleParser'
+import { getProfileColorClass } from '@/lib/profileStore'
+import { getEnvironmentVariables, getVariableNames, isTemplatePath, substituteVariables } from '@/lib/esVariables'
+
+// 每个工作区保留的查询结果数量
+const HISTORY_LIMIT = 20
+
+// 编辑器模式
+const EDITOR_MODES = [
+  { value: 'dsl', label: 'Request' },
+  { value: 'console', label: 'Console' },
+  { value: 'template', label: 'Template' },
+  { value: 'msearch', label: 'Multi-search' },
+  { value: 'sql', label: 'SQL' },
+  { value: 'esql', label: 'ES|QL' },
+  { value: 'bulk', label: 'Bulk' },
+]
+
+// Request 模式的编辑器 model（按工作区区分）、语言和运行按钮的提示，其他模式见 components/modes
+const REQUEST_EDITOR = {
+  file: 'request.json',
+  language: 'json',
+  runTitle: 'Send Request (Ctrl+Enter)',
+}
+
+/**
+ * 一个集群连接的工作区：自己的连接、索引列表、mapping 缓存、编辑器上下文和结果历史
+ * 切换标签页时工作区保持挂载（只是隐藏），后台连接继续轮询健康状态
+ */
+export function Workspace({
+  workspaceId,
+  profiles,
+  profileId,
+  isActive,
+  isVaultUnlocked,
+  onProfileChange,
+  onUrlChange,
+  onConnectedChange,
+}) {
+  const [isConnected, setIsConnected] = useState(false)
+  const [clusterInfo, setClusterInfo] = useState(null)
+  const [lastNode, setLastNode] = useState(null)
+  const [initialHealth, setInitialHealth] = useState(null)
+  const [connectionLost, setConnectionLost] = useState(false)
+  const [dslQuery, setDslQuery] = useState(`{
+  "query": {
+    "match_all": {}
+  }
+}`)
+  const [showExplanation, setShowExplanation] = useState(true)
+  // 服务端验证的结果 { index, valid, errors, explanations, queryRange }
+  const [serverValidation, setServerValidation] = useState(null)
+  const [pager, setPager] = useState(null)
+  const [editorMode, setEditorMode] = useState('dsl')
+  const [isEditorReady, setIsEditorReady] = useState(false)
+  const [showCurlImport, setShowCurlImport] = useState(false)
+  const [copyRequest, setCopyRequest] = useState(null)
+  const [exportRequest, setExportRequest] = useState(null)
+  const [queryResult, setQueryResult] = useState('')
+  const [resultLanguage, setResultLanguage] = useState('json')
+  const [method, setMethod] = useState('POST')
+  const [requestPath, setRequestPath] = useState('_search')
+  const [history, setHistory] = useState([])
+  const [historyId, setHistoryId] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isExecuting, setIsExecuting] = useState(false)
+  const [error, setError] = useState(null)
+  const [abortNotice, setAbortNotice] = useState(null)
+  const [timeoutOverride, setTimeoutOverride] = useState('')
+  const [environmentName, setEnvironmentName] = useState('')
+  const [promptValues, setPromptValues] = useState({})
+  const [variablePrompt, setVariablePrompt] = useState(null)
+  const [indexName, setIndexName] = useState('*')
+  const [availableIndices, setAvailableIndices] = useState([])
+  const [currentFields, setCurrentFields] = useState({})
+  const [isMappingLoading, setIsMappingLoading] = useState(false)
+
+  // Refs for providers (one set per workspace, bound to this workspace's editor model)
+  const completionProviderRef = useRef(null)
+  const diagnosticsProviderRef = useRef(null)
+  const editorModelRef = useRef(null)
+  const editorRef = useRef(null)
+  const resultModelRef = useRef(null)
+  // 请求编辑器和结果编辑器当前 model 的 provider 绑定，切换 model 时先解除上一个
+  const detachProvidersRef = useRef({ editor: null, result: null })
+  // 编辑器事件在挂载时注册一次，通过 ref 调用最新的处理函数
+  const editorModeRef = useRef(editorMode)
+  const handlersRef = useRef({})
+  // 当前渲染中各模式的 hook 返回值，编辑器事件通过它调用当前模式
+  const modesRef = useRef({})
+  const consoleTimerRef = useRef(null)
+  const diagnosticsTimerRef = useRef(null)
+  // 等待中的服务端验证 { timer, control }
+  const serverValidationRef = useRef({ timer: null, control: null })
+  // 正在执行的请求（用于 Stop 按钮）
+  const requestControlRef = useRef(null)
+  // 当前的翻页会话（卸载时关闭它的 PIT）
+  const pagerRef = useRef(null)
+  editorModeRef.current = editorMode
+
+  const activeProfile = profiles.find(p => p.id === profileId) || null
+  const elasticsearchUrl = activeProfile?.url || ''
+  // Every request goes through this workspace's connection (node failover, TLS, headers)
+  // 连接在选择 profile 和点击 Connect 时创建，连接期间修改 profile 在下次连接时生效
+  const [connection, setConnection] = useState(() => new ESConnection(activeProfile))
+  // 请求使用的设置：连接中为连接时的 profile，未连接时为所选的 profile
+  const sessionProfile = isConnected ? connection.profile : activeProfile
+  // 每个连接单独的 mapping 缓存，同一地址的不同 profile 之间也不会共用
+  const mappingService = useMemo(() => new ESMappingService({ fetch: connection.fetch }), [connection])
+  // {{variable}} 的值：所选环境的变量，被临时输入的值覆盖
+  const environments = activeProfile?.environments || []
+  const variableValues = useMemo(() => ({
+    ...getEnvironmentVariables(activeProfile, environmentName),
+    ...promptValues,
+  }), [activeProfile, environmentName, promptValues])
+
+  useEffect(() => {
+    if (!isConnected && connection.profile?.id !== activeProfile?.id) {
+      setConnection(new ESConnection(activeProfile))
+    }
+  }, [activeProfile?.id])
+
+  // 跟踪响应来自哪个节点
+  useEffect(() => {
+    setLastNode(null)
+    return connection.onNodeUsed(setLastNode)
+  }, [connection])
+
+  useEffect(() => {
+    onConnectedChange?.(isConnected)
+  }, [isConnected])
+
+  // 切换 profile 或删除了所选环境时，使用 profile 的第一个环境
+  useEffect(() => {
+    if (!environments.some(env => env.name === environmentName)) {
+      setEnvironmentName(environments[0]?.name || '')
+    }
+  }, [activeProfile])
+
+  // 把变量提供给补全和诊断
+  useEffect(() => {
+    completionProviderRef.current?.updateVariables(variableValues)
+    diagnosticsProviderRef.current?.updateVariables(Object.keys(variableValues))
+    runDiagnostics(indexName, currentFields)
+  }, [variableValues])
+
+  // 锁定凭据后断开连接
+  useEffect(() => {
+    if (!isVaultUnlocked && isConnected) {
+      disconnect()
+    }
+  }, [isVaultUnlocked])
+
+  useEffect(() => () => {
+    Object.values(detachProvidersRef.current).forEach(detach => detach?.())
+    clearTimeout(consoleTimerRef.current)
+    clearTimeout(diagnosticsTimerRef.current)
+    clearTimeout(serverValidationRef.current.timer)
+    serverValidationRef.current.control?.cancel()
+    // 关闭标签页时取消正在执行的请求，并关闭翻页用的 PIT
+    requestControlRef.current?.cancel()
+    handlersRef.current.closePager?.()
+  }, [])
+
+  // Helper function to create headers with authentication and profile headers
+  const createHeaders = (options = {}) => createRequestHeaders(sessionProfile, options)
+
+  // Load index mapping with error handling
+  const loadIndexMapping = useCallback(async (index) => {
+    if (!isConnected || index === '*') {
+      setCurrentFields({})
+      return
+    }
+
+    setIsMappingLoading(true)
+    try {
+      console.log(`[Mapping] Fetching mapping for index: ${index}`)
+      const fields = await mappingService.fetchMapping(
+        connection.key,
+        index,
+        createHeaders()
+      )
+
+      // 确保 fields 是一个对象
+      if (!fields || typeof fields !== 'object') {
+        console.warn('[Mapping] Invalid fields data received:', fields)
+        setCurrentFields({})
+        return
+      }
+
+      setCurrentFields(fields)
+
+      // 更新 completion provider 的上下文
+      if (completionProviderRef.current) {
+        completionProviderRef.current.updateContext(
+          connection.key,
+          index,
+          createHeaders(),
+          fields
+        )
+      }
+
+      // 更新 diagnostics provider
+      diagnosticsProviderRef.current?.updateFields(fields)
+      runDiagnostics(index, fields)
+
+      const fieldCount = Object.keys(fields).length
+      console.log(`[Mapping] Loaded ${fieldCount} fields for index: ${index}`)
+    } catch (err) {
+      console.warn('[Mapping] Failed to load mapping:', err)
+      setCurrentFields({})
+    } finally {
+      setIsMappingLoading(false)
+    }
+  }, [isConnected, mappingService])
+
+  // 服务端验证：索引、路径、变量或设置变化后重新验证（不满足条件时清除结果）
+  useEffect(() => {
+    scheduleServerValidation()
+  }, [indexName, requestPath, method, editorMode, isConnected, sessionProfile?.serverValidation, variableValues])
+
+  // Load mapping when index changes
+  useEffect(() => {
+    loadIndexMapping(indexName)
+  }, [indexName, loadIndexMapping])
+
+  // Feed the cluster version to the editor providers
+  useEffect(() => {
+    completionProviderRef.current?.updateVersion(clusterInfo)
+    if (diagnosticsProviderRef.current) {
+      diagnosticsProviderRef.current.updateVersion(clusterInfo)
+      runDiagnostics(indexName, currentFields)
+    }
+  }, [clusterInfo])
+
+  // 查询改变后之前的翻页不再有效，关闭 PIT
+  useEffect(() => {
+    closePager()
+  }, [dslQuery, requestPath, indexName, method])
+
+  // 显示渲染后的模板时，在结果编辑器中运行 DSL 诊断；其他结果清除诊断
+  useEffect(() => {
+    const model = resultModelRef.current
+    const provider = diagnosticsProviderRef.current
+    if (!model || !provider) return
+    if (history.find(h => h.id === historyId)?.rendered) {
+      provider.validate(model, indexName, currentFields)
+    } else {
+      provider.clear(model)
+    }
+  }, [queryResult, historyId])
+
+  // 切换模式后对新的编辑器内容重新诊断
+  useEffect(() => {
+    if (modesRef.current[editorMode]?.getContextIndex) {
+      scheduleConsoleContext()
+    } else {
+      runDiagnostics(indexName, currentFields)
+    }
+  }, [editorMode])
+
+  /**
+   * 运行 DSL 诊断
+   * Request 模式验证整个编辑器；其他模式由各自的 diagnose 处理（见 components/modes）
+   */
+  const runDiagnostics = (index, fields) => {
+    const provider = diagnosticsProviderRef.current
+    const model = editorModelRef.current
+    if (!provider || !model) return
+
+    const mode = modesRef.current[editorModeRef.current]
+    if (mode) {
+      mode.diagnose(provider, model, index, fields)
+      return
+    }
+
+    if (index !== '*') {
+      provider.validate(model, index, fields)
+    }
+  }
+
+  // 光标移动或内容变化后（防抖）更新控制台、SQL 或 ES|QL 的上下文
+  const scheduleConsoleContext = () => {
+    if (!modesRef.current[editorModeRef.current]?.getContextIndex) return
+    clearTimeout(consoleTimerRef.current)
+    consoleTimerRef.current = setTimeout(() => handlersRef.current.updateConsoleContext(), 300)
+  }
+
+  // _msearch 和 Bulk 模式：内容变化后（防抖）重新诊断所有行
+  const scheduleDiagnostics = () => {
+    clearTimeout(diagnosticsTimerRef.current)
+    diagnosticsTimerRef.current = setTimeout(() => handlersRef.current.runDiagnostics(), 300)
+  }
+
+  // 服务端验证（profile 中开启时）：Request 模式下停止输入后用 _validate/query 检查 query
+  const scheduleServerValidation = () => {
+    clearTimeout(serverValidationRef.current.timer)
+    serverValidationRef.current.timer = setTimeout(() => handlersRef.current.runServerValidation(), SERVER_VALIDATION_DELAY)
+  }
+
+  /**
+   * 用 _validate/query?explain=true 在请求路径的索引上验证 query
+   * 错误作为单独的 markers 和本地诊断同时显示，成功时保存改写后的 Lucene 查询（悬停在 "query" 上或编辑器下方显示）
+   * 验证请求本身失败（没有权限、索引不存在等）时不显示任何结果
+   */
+  const runServerValidation = async () => {
+    const pending = serverValidationRef.current
+    pending.control?.cancel()
+    pending.control = null
+
+    const model = editorModelRef.current
+    const provider = diagnosticsProviderRef.current
+    if (!model || !provider) return
+
+    const text = model.getValue()
+    const path = buildRequestPath(indexName, requestPath)
+    const hasMissingVariables = getVariableNames(text).some(name => !(name in variableValues))
+    const body = editorModeRef.current === 'dsl' && isConnected && sessionProfile?.serverValidation &&
+      method !== 'HEAD' && isQueryDslPath(path) && !hasMissingVariables
+      ? createValidateBody(substituteVariables(text, variableValues))
+      : null
+    if (!body) {
+      provider.clearServer(model)
+      setServerValidation(null)
+      return
+    }
+
+    const control = createRequestController(getRequestTimeout())
+    pending.control = control
+    const versionId = model.getVersionId()
+    try {
+      const response = await connection.request(createValidatePath(path), {
+        method: 'POST',
+        headers: createHeaders({ method: 'POST', contentType: 'application/json' }),
+        body,
+        signal: control.signal,
+      })
+      const { data } = await readResponseBody(response, 'POST')
+      // 等待期间内容已经变化，或者已经开始了新的验证
+      if (pending.control !== control || model.isDisposed() || model.getVersionId() !== versionId) return
+      if (!response.ok || !data) {
+        throw new Error(`${response.status} ${response.statusText}`)
+      }
+      const result = getServerValidation(text, data)
+      provider.setServerMarkers(model, result.errors)
+      setServerValidation({ index: indexName, ...result })
+    } catch (err) {
+      if (pending.control !== control) return
+      console.warn('[Validation] Server-side validation failed:', err)
+      if (!model.isDisposed()) provider.clearServer(model)
+      setServerValidation(null)
+    } finally {
+      control.dispose()
+      if (pending.control === control) pending.control = null
+    }
+  }
+
+  // 悬停在 "query" 键上时显示服务端改写后的 Lucene 查询
+  const getServerValidationHover = (model, position) => {
+    if (!serverValidation || serverValidation.explanations.length === 0 || model !== editorModelRef.current) return null
+    const start = model.getPositionAt(serverValidation.queryRange.start)
+    const end = model.getPositionAt(serverValidation.queryRange.end)
+    if (position.lineNumber !== start.lineNumber || position.column < start.column || position.column > end.column) return null
+    return {
+      range: {
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column,
+      },
+      contents: [
+        { value: '**Lucene query** (from `_validate/query`)' },
+        ...serverValidation.explanations.map(item => ({
+          value: [item.index && `\`${item.index}\``, '```', item.explanation, '```'].filter(Boolean).join('\n'),
+        })),
+      ],
+    }
+  }
+
+  // 使用当前模式的 getContextIndex 给出的索引 mapping（控制台的请求块、SQL 或 ES|QL 查询 FROM 的索引），并重新诊断
+  const updateConsoleContext = () => {
+    const mode = modesRef.current[editorModeRef.current]
+    if (!mode?.getContextIndex) return
+    const blockIndex = mode.getContextIndex()
+    if (isConnected && blockIndex !== indexName) {
+      // loadIndexMapping 加载完成后会重新诊断
+      setIndexName(blockIndex)
+    } else {
+      runDiagnostics(blockIndex, currentFields)
+    }
+  }
+
+  // Test Elasticsearch connection by pinging the server
+  const testConnection = async (connection) => {
+    const headers = createHeaders()
+    const response = await connection.request('/_cluster/health', {
+      method: 'GET',
+      headers: headers,
+    })
+
+    if (!response.ok) {
+      const bodyText = await response.text()
+      throw new Error(`Connection failed: ${response.status} ${response.statusText}\n${bodyText}`)
+    }
+    return await response.json()
+  }
+
+  // Detect cluster version and distribution from the root endpoint
+  const fetchClusterInfo = async (connection) => {
+    const response = await connection.request('/', {
+      method: 'GET',
+      headers: createHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to read cluster info: ${response.status} ${response.statusText}`)
+    }
+    return parseClusterInfo(await response.json())
+  }
+
+  // Fetch available indices from Elasticsearch
+  const fetchIndices = async (connection) => {
+    const response = await connection.request('/_cat/indices?format=json', {
+      method: 'GET',
+      headers: createHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch indices: ${response.status} ${response.statusText}`)
+    }
+    const data = await response.json()
+    return data.map(index => index.index)
+  }
+
+  const disconnect = () => {
+    closePager()
+    setIsConnected(false)
+    setConnectionLost(false)
+    setInitialHealth(null)
+    setClusterInfo(null)
+    setAvailableIndices([])
+    setQueryResult('')
+    setResultLanguage('json')
+    setHistory([])
+    setHistoryId('')
+    setError(null)
+    setCurrentFields({})
+    mappingService.clearCache()
+  }
+
+  // Health polling failed repeatedly: mark the session disconnected but keep results
+  const handleConnectionLost = (err) => {
+    setIsConnected(false)
+    setConnectionLost(true)
+    setError(`Lost connection to cluster: ${err.message}`)
+  }
+
+  const clusterHealth = useClusterHealth({
+    connection,
+    enabled: isConnected,
+    interval: sessionProfile?.healthInterval ?? 30,
+    timeout: sessionProfile?.requestTimeout ?? 30,
+    getHeaders: () => createHeaders(),
+    initialHealth,
+    onUnreachable: handleConnectionLost,
+  })
+
+  const handleProfileChange = (id) => {
+    setConnectionLost(false)
+    onProfileChange(id)
+  }
+
+  const handleConnect = async () => {
+    if (isConnected) {
+      disconnect()
+      return
+    }
+
+    // Connect with the current settings of the profile
+    const connection = new ESConnection(activeProfile)
+    setConnection(connection)
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      // Discover the other HTTP nodes of the cluster
+      if (activeProfile?.sniffOnConnect) {
+        try {
+          const nodes = await connection.sniff(createHeaders())
+          console.log(`[Connection] Sniffed ${nodes.length} nodes`)
+        } catch (err) {
+          console.warn('[Connection] Sniffing failed:', err)
+        }
+      }
+
+      // Test connection
+      const info = await fetchClusterInfo(connection)
+      const health = await testConnection(connection)
+      setClusterInfo(info)
+      setInitialHealth(health)
+
+      // Fetch indices
+      const indices = await fetchIndices(connection)
+      setAvailableIndices(indices)
+
+      setIsConnected(true)
+      setConnectionLost(false)
+
+      // Prefer the profile's default index, otherwise load mapping for first index
+      if (activeProfile?.defaultIndex) {
+        setIndexName(activeProfile.defaultIndex)
+      } else if (indices.length > 0) {
+        setIndexName(indices[0])
+      }
+
+      setResultLanguage('json')
+      setQueryResult(JSON.stringify({
+        status: 'connected',
+        message: `Successfully connected to ${formatClusterInfo(info)}`,
+        cluster_info: {
+          cluster_name: info.clusterName,
+          distribution: info.distribution,
+          version: info.version,
+          build_flavor: info.buildFlavor,
+          health: health.status,
+          indices_count: indices.length,
+          indices: indices
+        }
+      }, null, 2))
+    } catch (err) {
+      setError(err.message)
+      setIsConnected(false)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // 记录一次请求结果，并显示它
+  const addToHistory = (label, result) => {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      time: new Date(),
+      label,
+      took: result.data?.took,
+      hits: result.data?.hits?.total?.value ?? result.data?.hits?.total,
+      text: result.text,
+      language: result.language,
+      // 渲染后的模板，显示时在结果编辑器中运行 DSL 诊断
+      rendered: !!result.rendered,
+      // _msearch 的每个响应的汇总，用于并排比较（见 MultiSearchMode）
+      comparison: result.comparison || null,
+      // _search 结果的翻页信息 { page, size, total, hasMore }
+      paging: result.paging || null,
+      // SQL 结果的游标 { page, cursor, format }，cursor 为 null 表示没有更多行
+      sqlPaging: result.sqlPaging || null,
+      // ES|QL 结果的表格 { columns, rows }
+      esqlTable: result.esqlTable || null,
+      // _bulk 的汇总 { total, chunks, failed }
+      bulkReport: result.bulkReport || null,
+      // profile: true 的每个分片的计时树
+      profile: result.profile || null,
+      // _explain 的得分树和不匹配的原因
+      explanation: result.explanation || null,
+    }
+    setHistory(prev => [entry, ...prev].slice(0, HISTORY_LIMIT))
+    setHistoryId(entry.id)
+    setQueryResult(entry.text)
+    setResultLanguage(entry.language)
+  }
+
+  // 当前显示的结果
+  const currentEntry = history.find(h => h.id === historyId)
+  const explanation = currentEntry?.explanation || null
+  // 只有最新的搜索结果可以翻页
+  const paging = editorMode === 'dsl' && currentEntry && currentEntry.id === history[0]?.id
+    ? currentEntry.paging
+    : null
+  // 请求路径中 type 的写法是否适合当前集群版本
+  const endpointIssue = editorMode === 'dsl' ? getEndpointIssue(clusterInfo, buildRequestPath(indexName, requestPath)) : null
+
+  const handleHistoryChange = (id) => {
+    const entry = history.find(h => h.id === id)
+    if (entry) {
+      setHistoryId(id)
+      setQueryResult(entry.text)
+      setResultLanguage(entry.language)
+    }
+  }
+
+  // 本次请求的超时（秒）：工具栏中的值优先，否则使用 profile 的默认值
+  const getRequestTimeout = () => (
+    timeoutOverride !== ''
+      ? Math.max(0, Number(timeoutOverride) || 0)
+      : sessionProfile?.requestTimeout ?? 30
+  )
+
+  // 开始一个可以被 Stop 按钮取消的请求
+  const startRequest = () => {
+    const control = createRequestController(getRequestTimeout())
+    requestControlRef.current = control
+    return control
+  }
+
+  const finishRequest = (control) => {
+    control.dispose()
+    if (requestControlRef.current === control) {
+      requestControlRef.current = null
+    }
+  }
+
+  const handleStop = () => {
+    requestControlRef.current?.cancel()
+  }
+
+  /**
+   * 打开变量对话框
+   * @param {Array<string>} names 变量名
+   * @param {boolean} missing 是否为运行前询问未定义的变量
+   * @returns {Promise<Object|null>} 输入的值，取消时为 null
+   */
+  const askVariables = (names, missing) => new Promise((resolve) => {
+    setVariablePrompt({ names, missing, resolve })
+  })
+
+  const closeVariablePrompt = (entries) => {
+    variablePrompt?.resolve(entries)
+    setVariablePrompt(null)
+  }
+
+  /**
+   * 获取请求中用到的变量的值，未定义的变量先询问用户
+   * @param {...(string|Object)} texts 路径和请求体（模板请求的请求体为 { text, template: true }，见 getVariableNames）
+   * @returns {Promise<Object|null>} 变量名 -> 值，用户取消时为 null
+   */
+  const resolveVariables = async (...texts) => {
+    const missing = getVariableNames(...texts).filter(name => !(name in variableValues))
+    if (missing.length === 0) return variableValues
+
+    const entries = await askVariables(missing, true)
+    if (!entries) return null
+    setPromptValues(prev => ({ ...prev, ...entries }))
+    return { ...variableValues, ...entries }
+  }
+
+  // 工具栏按钮：查看和临时覆盖当前请求用到的变量
+  const handleEditVariables = async () => {
+    const mode = modesRef.current[editorMode]
+    const texts = mode ? mode.getVariableTexts() : [requestPath, { text: dslQuery, template: isTemplatePath(requestPath) }]
+    const names = [...new Set([...getVariableNames(...texts), ...Object.keys(promptValues)])]
+    const entries = await askVariables(names, false)
+    if (entries) {
+      setPromptValues(prev => ({ ...prev, ...entries }))
+    }
+  }
+
+  /**
+   * 通过当前连接发送一个请求
+   * @param {string} requestMethod HTTP 方法
+   * @param {string} path 以 / 开头的路径
+   * @param {string} bodyText 请求体（可以为空）
+   * @param {Object} control createRequestController 的结果（取消和超时）
+   * @returns {Promise<{ response: Response, result: Object }>}
+   */
+  const sendRequest = async (requestMethod, path, bodyText, control) => {
+    // Validate the body (optional for GET/DELETE, ignored for HEAD)
+    const request = prepareRequestBody(requestMethod, path, bodyText)
+
+    // Execute the request through the workspace connection, with the server-side timeout where supported
+    const response = await connection.request(withServerTimeout(request.method, path, control.timeoutSeconds), {
+      method: request.method,
+      headers: createHeaders({ method: request.method, contentType: request.contentType }),
+      ...(request.body !== null && { body: request.body }),
+      signal: control.signal,
+      // Rust 端 tls_fetch 的请求超时（其他通道忽略）
+      timeoutSeconds: control.timeoutSeconds,
+    })
+
+    const result = await readResponseBody(response, requestMethod)
+    return { response, result }
+  }
+
+  /**
+   * 发送一个请求并把结果加入历史
+   * @param {string} requestMethod HTTP 方法
+   * @param {string} path 以 / 开头的路径
+   * @param {string} bodyText 请求体（可以为空）
+   * @param {Function} transform 可选，(result, response) => 要显示的结果（如只显示渲染后的模板）
+   * @returns {Promise<Object|null>} 响应的 JSON，失败或取消时为 null
+   */
+  const executeRequest = async (requestMethod, path, bodyText, transform) => {
+    setIsExecuting(true)
+    setError(null)
+    setAbortNotice(null)
+
+    const control = startRequest()
+    try {
+      const { response, result } = await sendRequest(requestMethod, path, bodyText, control)
+
+      // HEAD 只关心状态码（如索引是否存在），不当作错误
+      if (!response.ok && requestMethod !== 'HEAD') {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}\n${result.text}`)
+      }
+
+      addToHistory(`${requestMethod} ${path}`, transform ? transform(result, response) : result)
+      return result.data
+    } catch (err) {
+      // 取消和超时单独提示，不当作 HTTP 错误
+      const aborted = describeAbort(control)
+      if (aborted) {
+        setAbortNotice(aborted)
+      } else {
+        setError(err.message)
+      }
+      return null
+    } finally {
+      finishRequest(control)
+      setIsExecuting(false)
+    }
+  }
+
+  const handleExecuteQuery = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+
+    // 模板请求的 source 中的 {{...}} 是模板参数，不替换
+    const template = isTemplatePath(requestPath)
+    const values = await resolveVariables(requestPath, { text: dslQuery, template })
+    if (!values) return
+
+    // 重新运行查询后从第一页开始
+    closePager()
+
+    const path = buildRequestPath(indexName, substituteVariables(requestPath, values, { json: false }))
+    const bodyText = substituteVariables(dslQuery, values, { template })
+    await executeRequest(method, path, bodyText, result => ({
+      ...result,
+      paging: method !== 'HEAD' && isSearchPath(path) && result.data?.hits
+        ? getPaging(result.data, 0, getPageSize(bodyText, path))
+        : null,
+    }))
+  }
+
+  // 一页搜索结果的翻页信息
+  const getPaging = (data, page, size) => ({
+    page,
+    size,
+    count: data.hits.hits?.length || 0,
+    total: data.hits.total?.value ?? data.hits.total,
+    hasMore: (data.hits.hits?.length || 0) >= size && size > 0,
+  })
+
+  // 关闭翻页会话和它的 PIT（不等待结果，PIT 过期后也会被集群释放）
+  const closePager = () => {
+    const session = pagerRef.current
+    pagerRef.current = null
+    setPager(null)
+    if (!session?.pitId) return
+
+    const { path, body } = createPitClose(session.clusterInfo, session.pitId)
+    connection.request(path, {
+      method: 'DELETE',
+      headers: createHeaders({ method: 'DELETE', contentType: 'application/json' }),
+      body,
+    }).catch(err => console.warn('[Pagination] Failed to close point in time:', err))
+  }
+
+  const updatePager = (session) => {
+    pagerRef.current = session
+    setPager(session)
+  }
+
+  /**
+   * 翻页：第一次翻页时打开 PIT，并在 PIT 中重新运行第一页以取得排序值
+   * 每一页的 search_after 保存在页栈中，返回上一页时直接使用
+   * @param {number} delta 1 为下一页，-1 为上一页
+   */
+  const handlePageChange = async (delta) => {
+    if (!isConnected || isExecuting) return
+    if (!getVersionFeatures(clusterInfo).pointInTime) {
+      setError(`Paging with a point in time needs Elasticsearch 7.12+ or OpenSearch 2.4+ (connected to ${formatClusterInfo(clusterInfo)})`)
+      return
+    }
+
+    let session = pagerRef.current
+    if (!session) {
+      const values = await resolveVariables(requestPath, dslQuery)
+      if (!values) return
+      const path = buildRequestPath(indexName, substituteVariables(requestPath, values, { json: false }))
+      const bodyText = substituteVariables(dslQuery, values)
+      session = {
+        clusterInfo,
+        path,
+        bodyText,
+        size: getPageSize(bodyText, path),
+        pitId: null,
+        searchAfters: [null],
+        page: 0,
+      }
+    }
+    const target = session.page + delta
+    if (target < 0) return
+
+    setIsExecuting(true)
+    setError(null)
+    setAbortNotice(null)
+
+    const control = startRequest()
+    // 执行一页搜索，并更新 PIT id（响应中的 pit_id 可能会变化）
+    const fetchPage = async (page) => {
+      const body = createPageBody(session.clusterInfo, session.bodyText, session.pitId, session.searchAfters[page])
+      const { response, result } = await sendRequest('POST', createPagePath(session.path), body, control)
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}\n${result.text}`)
+      }
+      session = { ...session, pitId: result.data?.pit_id || session.pitId }
+      updatePager(session)
+      return result
+    }
+
+    try {
+      if (!session.pitId) {
+        const index = getBlockIndex(session.path) || '*'
+        const { response, result } = await sendRequest('POST', createPitOpenPath(session.clusterInfo, index), '', control)
+        if (!response.ok) {
+          throw new Error(`Failed to open point in time: ${response.status} ${response.statusText}\n${result.text}`)
+        }
+        session = { ...session, pitId: getPitId(result.data) }
+        updatePager(session)
+      }
+
+      // 页栈中还没有目标页时，从前一页的最后一个命中取得 search_after
+      while (session.searchAfters.length <= target) {
+        const previous = await fetchPage(session.searchAfters.length - 1)
+        const searchAfter = getNextSearchAfter(previous.data)
+        if (!searchAfter) {
+          throw new Error('There are no more results')
+        }
+        session = { ...session, searchAfters: [...session.searchAfters, searchAfter] }
+      }
+
+      const result = await fetchPage(target)
+      session = { ...session, page: target }
+      updatePager(session)
+      addToHistory(`${method} ${session.path} · page ${target + 1}`, {
+        ...result,
+        paging: getPaging(result.data, target, session.size),
+      })
+    } catch (err) {
+      const aborted = describeAbort(control)
+      if (aborted) {
+        setAbortNotice(aborted)
+      } else {
+        setError(err.message)
+      }
+    } finally {
+      finishRequest(control)
+      setIsExecuting(false)
+    }
+  }
+
+  // 导出任务的请求：非 2xx 的响应作为错误
+  const sendExportRequest = async (requestMethod, path, bodyText, control) => {
+    const { response, result } = await sendRequest(requestMethod, path, bodyText, control)
+    if (!response.ok) {
+      throw new Error(`Request failed: ${response.status} ${response.statusText}\n${result.text}`)
+    }
+    return result.data
+  }
+
+  // 打开导出对话框：导出当前搜索的全部命中
+  const handleExport = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    const values = await resolveVariables(requestPath, dslQuery)
+    if (!values) return
+
+    const path = buildRequestPath(indexName, substituteVariables(requestPath, values, { json: false }))
+    if (!isSearchPath(path)) {
+      setError('Only _search requests can be exported')
+      return
+    }
+    setExportRequest({ path, index: getBlockIndex(path), body: substituteVariables(dslQuery, values) })
+  }
+
+  /**
+   * 结果中命中上方的 Explain：用当前的查询对这个文档运行 _explain
+   * 模式可以提供自己的请求体（控制台模式使用光标所在的请求块），否则使用 Request 模式的请求体
+   * @param {{ index: string, id: string, type: string|null }} hit 命中
+   */
+  const handleExplainHit = async (hit) => {
+    if (!isConnected || isExecuting) return
+    const bodyText = modesRef.current[editorMode]?.getExplainBody?.() ?? dslQuery
+    const values = await resolveVariables(bodyText)
+    if (!values) return
+
+    let body
+    try {
+      body = createExplainBody(substituteVariables(bodyText, values))
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    await executeRequest('POST', createExplainPath(getVersionFeatures(clusterInfo), hit), body, result => ({
+      ...result,
+      explanation: getExplanation(result.data),
+    }))
+    setShowExplanation(true)
+  }
+
+  // 运行光标所在的请求（Ctrl+Enter）
+  const runAtCursor = () => {
+    if (isExecuting) return
+    const mode = modesRef.current[editorMode]
+    if (mode) {
+      mode.run()
+      return
+    }
+    handleExecuteQuery()
+  }
+
+  // 在 Request 模式中打开一个请求（SQL 翻译得到的 Query DSL 等）
+  const openInRequestMode = ({ index, method: requestMethod, path, body }) => {
+    setIndexName(index)
+    setMethod(requestMethod)
+    setRequestPath(path)
+    setDslQuery(body)
+    setEditorMode('dsl')
+  }
+
+  // 各模式的状态、运行函数、工具栏和结果面板，没有对应模式时是 Request 模式
+  const modeContext = {
+    workspaceId,
+    editorMode,
+    editorRef,
+    isEditorReady,
+    isConnected,
+    isExecuting,
+    clusterInfo,
+    indexName,
+    requestPath,
+    dslQuery,
+    history,
+    currentEntry,
+    availableIndices,
+    currentFields,
+    connection,
+    createHeaders,
+    resolveVariables,
+    executeRequest,
+    openInRequestMode,
+    closePager,
+    sendRequest,
+    startRequest,
+    finishRequest,
+    addToHistory,
+    setError,
+    setAbortNotice,
+    setIsExecuting,
+    scheduleContext: scheduleConsoleContext,
+    setEditorMode,
+    runDiagnostics: () => runDiagnostics(indexName, currentFields),
+    scheduleDiagnostics,
+  }
+  const modes = {
+    console: useConsoleMode(modeContext),
+    template: useTemplateMode(modeContext),
+    msearch: useMultiSearchMode(modeContext),
+    sql: useSqlMode(modeContext),
+    esql: useEsqlMode(modeContext),
+    bulk: useBulkMode(modeContext),
+  }
+  modesRef.current = modes
+  const activeMode = modes[editorMode]
+  const searchProfile = useSearchProfile(modeContext)
+  // 结果编辑器上方的视图（表格、计时树等），显示视图时隐藏 JSON 结果
+  const resultViews = { ...modes, profile: searchProfile }
+
+  // 点击行号旁的运行按钮
+  const runLine = (lineNumber) => {
+    if (isExecuting) return
+    modesRef.current[editorModeRef.current]?.runLine?.(lineNumber)
+  }
+
+  handlersRef.current = {
+    runAtCursor,
+    runLine,
+    updateConsoleContext,
+    runDiagnostics: () => runDiagnostics(indexName, currentFields),
+    closePager,
+    explainHit: handleExplainHit,
+    runServerValidation,
+    getServerValidationHover,
+  }
+
+  // 把解析后的 curl 命令填入索引选择器和请求编辑器
+  const handleImportCurl = ({ method: curlMethod, path, body }) => {
+    const index = getBlockIndex(path)
+    const match = path.match(/^\/[^/?]+(?:\/|(?=\?)|$)(.*)$/)
+    if (index && match) {
+      setIndexName(index)
+      setRequestPath(match[1])
+    } else {
+      setRequestPath(path)
+    }
+
+    let bodyText = body || ''
+    try {
+      bodyText = body ? JSON.stringify(JSON.parse(body), null, 2) : ''
+    } catch (e) {
+      // NDJSON 或其他文本，保持原样
+    }
+
+    setEditorMode('dsl')
+    setMethod(HTTP_METHODS.includes(curlMethod) ? curlMethod : 'POST')
+    setDslQuery(bodyText)
+  }
+
+  // 打开 “Copy as” 对话框：控制台模式下复制光标所在的请求
+  // 变量和运行时一样先替换（未定义的变量先询问），模板源码中的 {{...}} 保持原样
+  const handleCopyAs = async () => {
+    const mode = modesRef.current[editorMode]
+    if (mode) {
+      try {
+        const request = await mode.getCopyRequest()
+        if (request) setCopyRequest(request)
+      } catch (err) {
+        setError(err.message)
+      }
+    } else {
+      const template = isTemplatePath(requestPath)
+      const values = await resolveVariables(requestPath, { text: dslQuery, template })
+      if (!values) return
+      setCopyRequest({
+        method,
+        path: buildRequestPath(indexName, substituteVariables(requestPath, values, { json: false })),
+        body: substituteVariables(dslQuery, values, { template }),
+      })
+    }
+  }
+
+  return (
+    <div className={cn('flex flex-col flex-1 min-h-0', !isActive && 'hidden')}>
+      <CurlImportDialog
+        open={showCurlImport}
+        onOpenChange={setShowCurlImport}
+        onImport={handleImportCurl}
+      />
+      <CopyAsDialog
+        open={copyRequest !== null}
+        onOpenChange={(open) => !open && setCopyRequest(null)}
+        request={copyRequest}
+        profile={sessionProfile}
+      />
+      <ExportDialog
+        open={exportRequest !== null}
+        onOpenChange={(open) => !open && setExportRequest(null)}
+        request={exportRequest}
+        fields={currentFields}
+        clusterInfo={clusterInfo}
+        send={sendExportRequest}
+        timeoutSeconds={getRequestTimeout()}
+      />
+      <VariablesDialog
+        open={variablePrompt !== null}
+        names={variablePrompt?.names || []}
+        values={variableValues}
+        missing={variablePrompt?.missing}
+        onSubmit={closeVariablePrompt}
+        onCancel={() => closeVariablePrompt(null)}
+      />
+      {/* Connection Toolbar */}
+      <div className="flex items-center gap-2 p-3 border-b">
+        {/* Profile Selector */}
+        <div className="flex items-center gap-2">
+          <span className={cn('h-3 w-3 rounded-full shrink-0', getProfileColorClass(activeProfile))} />
+          <select
+            value={profileId || ''}
+            onChange={(e) => handleProfileChange(e.target.value)}
+            className="h-10 px-2 text-sm rounded-md border border-input bg-background"
+            disabled={isConnected}
+            title="Connection profile"
+          >
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* URL Input */}
+        <Input
+          value={elasticsearchUrl}
+          onChange={(e) => onUrlChange(e.target.value)}
+          placeholder="Elasticsearch URL (comma-separate multiple nodes)"
+          className="flex-1 max-w-md"
+          disabled={isConnected}
+        />
+
+        {/* Connect/Disconnect Button */}
+        <Button
+          variant={isConnected ? "destructive" : "default"}
+          size="icon"
+          onClick={handleConnect}
+          title={isConnected ? "Disconnect" : "Connect"}
+          disabled={isLoading}
+        >
+          {isLoading ? (
+            <Loader2 className="h-5 w-5 animate-spin" />
+          ) : isConnected ? (
+            <Unplug className="h-5 w-5" />
+          ) : (
+            <Plug className="h-5 w-5" />
+          )}
+        </Button>
+
+        {/* Read-only Badge */}
+        {sessionProfile?.readOnly && (
+          <div
+            className="flex items-center gap-1 px-2 py-1 rounded bg-amber-500 text-white text-xs font-bold uppercase tracking-wide"
+            title="Write requests and scripts are blocked for this connection"
+          >
+            <ShieldCheck className="h-3.5 w-3.5" />
+            <span>Read-only</span>
+          </div>
+        )}
+
+        {/* Insecure TLS Warning */}
+        {sessionProfile?.tlsAcceptInvalidCerts && (
+          <div
+            className="flex items-center gap-1 px-2 py-1 rounded bg-destructive/10 text-destructive text-xs font-medium"
+            title="Certificate verification is disabled for this connection"
+          >
+            <ShieldAlert className="h-3.5 w-3.5" />
+            <span>Insecure TLS</span>
+          </div>
+        )}
+
+        {/* Connection Status */}
+        {connectionLost && !isConnected && (
+          <div className="flex items-center gap-2 ml-2">
+            <div className="h-2 w-2 rounded-full bg-red-500" />
+            <span className="text-sm text-muted-foreground">Disconnected</span>
+            <Button variant="outline" size="sm" className="h-7" onClick={handleConnect} disabled={isLoading}>
+              Reconnect
+            </Button>
+          </div>
+        )}
+        {isConnected && (
+          <div className="flex items-center gap-2 ml-2">
+            <ClusterHealthIndicator {...clusterHealth} />
+            {lastNode && (
+              <span className="text-xs text-muted-foreground" title={`Last response served by ${lastNode}`}>
+                via {getNodeLabel(lastNode)}
+              </span>
+            )}
+            {clusterInfo && (
+              <span className="text-xs px-1.5 py-0.5 rounded bg-muted text-muted-foreground" title={clusterInfo.clusterName || ''}>
+                {formatClusterInfo(clusterInfo)}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="flex items-center gap-2 px-3 py-2 bg-destructive/10 border-b border-destructive/20">
+          <AlertCircle className="h-4 w-4 text-destructive" />
+          <span className="text-sm text-destructive">{error}</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="ml-auto h-6"
+            onClick={() => setError(null)}
+          >
+            Clear
+          </Button>
+        </div>
+      )}
+
+      {/* Cancelled / Timed-out Notice */}
+      {abortNotice && (
+        <div className="flex items-center gap-2 px-3 py-2 bg-amber-500/10 border-b border-amber-500/20">
+          <TimerOff className="h-4 w-4 text-amber-600" />
+          <span className="text-sm text-amber-700 dark:text-amber-400">{abortNotice}</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="ml-auto h-6"
+            onClick={() => setAbortNotice(null)}
+          >
+            Clear
+          </Button>
+        </div>
+      )}
+
+      {/* DSL Query Toolbar */}
+      <div className="flex items-center justify-between px-3 h-10 bg-muted border-b shrink-0">
+        <div className="flex items-center gap-2">
+          <Database className="h-4 w-4" />
+          {/* Editor Mode */}
+          <select
+            value={editorMode}
+            onChange={(e) => setEditorMode(e.target.value)}
+            className="h-7 px-2 text-sm font-medium rounded border border-input bg-background"
+            title="Editor mode"
+          >
+            {EDITOR_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+          {/* Index Selector */}
+          {isConnected && !activeMode?.hasOwnIndex && (
+            <select
+              value={indexName}
+              onChange={(e) => setIndexName(e.target.value)}
+              className="ml-2 h-7 px-2 text-sm rounded border border-input bg-background"
+            >
+              <option value="*">All Indices (*)</option>
+              {indexName !== '*' && !availableIndices.includes(indexName) && (
+                <option value={indexName}>{indexName}</option>
+              )}
+              {availableIndices.map((index) => (
+                <option key={index} value={index}>
+                  {index}
+                </option>
+              ))}
+            </select>
+          )}
+          {/* Method and Path */}
+          {editorMode === 'dsl' && (
+            <>
+              <select
+                value={method}
+                onChange={(e) => setMethod(e.target.value)}
+                className="ml-2 h-7 px-2 text-sm font-mono rounded border border-input bg-background"
+                title="HTTP method"
+              >
+                {HTTP_METHODS.map((m) => (
+                  <option key={m} value={m}>
+                    {m}
+                  </option>
+                ))}
+              </select>
+              <Input
+                value={requestPath}
+                onChange={(e) => setRequestPath(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && isConnected && !isExecuting && handleExecuteQuery()}
+                placeholder="_search"
+                className={cn(
+                  'h-7 w-72 text-sm font-mono',
+                  endpointIssue && (endpointIssue.severity === 'error' ? 'border-destructive' : 'border-amber-500')
+                )}
+                title={endpointIssue?.message || 'Path relative to the selected index, or an absolute path such as /_cat/indices?v'}
+              />
+              {endpointIssue && (
+                <span title={endpointIssue.message}>
+                  <AlertCircle className={cn('h-4 w-4', endpointIssue.severity === 'error' ? 'text-destructive' : 'text-amber-500')} />
+                </span>
+              )}
+            </>
+          )}
+          {activeMode?.toolbar}
+          {/* Mapping Status */}
+          {isConnected && indexName !== '*' && (
+            <div className="flex items-center gap-1 ml-2 text-xs text-muted-foreground">
+              {isMappingLoading ? (
+                <>
+                  <Loader2 className="h-3 w-3 animate-spin" />
+                  <span>Loading mapping...</span>
+                </>
+              ) : Object.keys(currentFields).length > 0 ? (
+                <>
+                  <span className="w-2 h-2 rounded-full bg-green-500" />
+                  <span>{Object.keys(currentFields).length} fields loaded</span>
+                </>
+              ) : (
+                <>
+                  <span className="w-2 h-2 rounded-full bg-yellow-500" />
+                  <span>No mapping data</span>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {/* Result History */}
+          {history.length > 0 && (
+            <div className="flex items-center gap-1">
+              <History className="h-4 w-4 text-muted-foreground" />
+              <select
+                value={historyId}
+                onChange={(e) => handleHistoryChange(e.target.value)}
+                className="h-7 px-2 text-sm rounded border border-input bg-background"
+                title="Result history"
+              >
+                {history.map((entry) => (
+                  <option key={entry.id} value={entry.id}>
+                    {entry.time.toLocaleTimeString()} · {entry.label}
+                    {entry.hits !== undefined ? ` · ${entry.hits} hits` : ''}
+                    {entry.took !== undefined ? ` · ${entry.took}ms` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {/* Environment and Variables */}
+          {environments.length > 0 && (
+            <select
+              value={environmentName}
+              onChange={(e) => setEnvironmentName(e.target.value)}
+              className="h-7 px-2 text-sm rounded border border-input bg-background"
+              title="Environment for {{variables}}"
+            >
+              {environments.map((env) => (
+                <option key={env.name} value={env.name}>
+                  {env.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            onClick={handleEditVariables}
+            title="Request variables"
+          >
+            <Braces className="h-4 w-4" />
+          </Button>
+          {/* Request Timeout Override */}
+          <Input
+            type="number"
+            min={0}
+            value={timeoutOverride}
+            onChange={(e) => setTimeoutOverride(e.target.value)}
+            placeholder={`${sessionProfile?.requestTimeout ?? 30}s`}
+            className="h-7 w-20 text-sm"
+            title="Request timeout in seconds (empty uses the connection default, 0 disables it)"
+          />
+          {/* curl Import / Copy as */}
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            onClick={() => setShowCurlImport(true)}
+            title="Paste as curl"
+          >
+            <ClipboardPaste className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            onClick={handleCopyAs}
+            title="Copy as curl, console or client code"
+          >
+            <Copy className="h-4 w-4" />
+          </Button>
+          {editorMode === 'dsl' && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              onClick={handleExport}
+              disabled={!isConnected || isExecuting}
+              title="Export all hits to an NDJSON or CSV file"
+            >
+              <Download className="h-4 w-4" />
+            </Button>
+          )}
+          {searchProfile.action}
+          {activeMode?.actions}
+          {isExecuting ? (
+            <Button
+              size="icon"
+              variant="destructive"
+              onClick={handleStop}
+              title="Stop Request"
+              className="h-8 w-8"
+            >
+              <CircleStop className="h-3.5 w-3.5" />
+            </Button>
+          ) : (
+            <Button
+              size="icon"
+              variant="default"
+              onClick={runAtCursor}
+              disabled={!isConnected}
+              title={(activeMode || REQUEST_EDITOR).runTitle}
+              className="h-8 w-8"
+            >
+              <Play className="h-3.5 w-3.5" />
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Editors Section - Split Panel */}
+      <ResizablePanelGroup direction="horizontal" className="flex-1">
+        {/* Request Editor Panel */}
+        <ResizablePanel defaultSize={50} minSize={20}>
+          <div className="flex h-full">
+            <div className="flex flex-col flex-1 min-w-0">
+              <div className="flex-1 min-h-0">
+                <Editor
+                  height="100%"
+                  path={`${workspaceId}/${(activeMode || REQUEST_EDITOR).file}`}
+                  language={(activeMode || REQUEST_EDITOR).language}
+                  value={activeMode ? activeMode.text : dslQuery}
+                  onChange={(value) => {
+                    const mode = modesRef.current[editorModeRef.current]
+                    if (mode) {
+                      mode.onChange(value || '')
+                    } else {
+                      setDslQuery(value || '')
+                      scheduleServerValidation()
+                    }
+                  }}
+                  theme="vs-dark"
+                  beforeMount={(monaco) => {
+                    // 注册全局的 completion / hover provider（只注册一次）
+                    registerESProviders(monaco)
+
+                    if (!completionProviderRef.current) {
+                      completionProviderRef.current = new ESCompletionProvider()
+                      completionProviderRef.current.updateVariables(variableValues)
+                    }
+
+                    // 创建 diagnostics provider
+                    if (!diagnosticsProviderRef.current) {
+                      diagnosticsProviderRef.current = new ESDiagnosticsProvider()
+                      diagnosticsProviderRef.current.updateVariables(Object.keys(variableValues))
+                    }
+                  }}
+                  onMount={(editor, monaco) => {
+                    editorRef.current = editor
+
+                    // 每种模式各有一个 model，切换模式时把 provider 绑定到新的 model
+                    const attachModel = () => {
+                      const model = editor.getModel()
+                      editorModelRef.current = model
+                      const completion = modesRef.current[editorModeRef.current]?.completion || completionProviderRef.current
+                      detachProvidersRef.current.editor?.()
+                      detachProvidersRef.current.editor = attachModelProviders(model, {
+                        completion,
+                        getQueryBlock: (text, lineNumber) => (
+                          modesRef.current[editorModeRef.current]?.getQueryBlock?.(text, lineNumber) ?? null
+                        ),
+                        hover: {
+                          provideHover: (hoverModel, position) => handlersRef.current.getServerValidationHover(hoverModel, position),
+                        },
+                      })
+                    }
+                    attachModel()
+                    editor.onDidChangeModel(attachModel)
+
+                    // Ctrl+Enter 运行光标所在的请求
+                    editor.addAction({
+                      id: 'es-run-request',
+                      label: 'Run Request Under Cursor',
+                      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter],
+                      run: () => handlersRef.current.runAtCursor(),
+                    })
+
+                    // 点击行号旁的运行按钮
+                    editor.onMouseDown((e) => {
+                      if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN && e.target.position) {
+                        handlersRef.current.runLine(e.target.position.lineNumber)
+                      }
+                    })
+
+                    editor.onDidChangeCursorPosition(scheduleConsoleContext)
+                    setIsEditorReady(true)
+
+                    // 初始化时验证一次
+                    runDiagnostics(indexName, currentFields)
+                  }}
+                  options={{
+                    minimap: { enabled: false },
+                    fontSize: 14,
+                    lineNumbers: 'on',
+                    glyphMargin: !!activeMode?.runLine,
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true,
+                    tabSize: 2,
+                    quickSuggestions: true,
+                    suggestOnTriggerCharacters: true,
+                    parameterHints: { enabled: true },
+                    wordBasedSuggestions: false,
+                    scrollbar: {
+                      vertical: 'auto',
+                      horizontal: 'auto',
+                    },
+                  }}
+                />
+              </div>
+              {/* Server-side Validation (rewritten Lucene query) */}
+              {editorMode === 'dsl' && serverValidation && (
+                <div
+                  className={cn(
+                    'flex items-center gap-2 px-3 h-7 border-t shrink-0 text-xs',
+                    serverValidation.valid ? 'text-muted-foreground' : 'text-destructive'
+                  )}
+                  title={serverValidation.valid
+                    ? serverValidation.explanations.map(item => `${item.index ? `[${item.index}] ` : ''}${item.explanation}`).join('\n')
+                    : serverValidation.errors.map(error => error.message).join('\n')}
+                >
+                  {serverValidation.valid ? <ShieldCheck className="h-3.5 w-3.5 shrink-0" /> : <AlertCircle className="h-3.5 w-3.5 shrink-0" />}
+                  <span className="shrink-0">{serverValidation.valid ? 'Lucene:' : 'Invalid on the server:'}</span>
+                  <span className="font-mono truncate">
+                    {serverValidation.valid
+                      ? serverValidation.explanations[0]?.explanation ?? ''
+                      : serverValidation.errors[0]?.message}
+                  </span>
+                </div>
+              )}
+            </div>
+            {activeMode?.sidePanel}
+          </div>
+        </ResizablePanel>
+
+        <ResizableHandle withHandle />
+
+        {/* Response Editor Panel */}
+        <ResizablePanel defaultSize={50} minSize={20}>
+          <div className="flex flex-col h-full">
+            {/* Pagination (search_after + point in time) */}
+            {paging && (
+              <div className="flex items-center gap-2 px-3 h-8 bg-muted border-b shrink-0 text-xs text-muted-foreground">
+                <span>
+                  Page {paging.page + 1}
+                  {paging.count > 0 && ` · hits ${paging.page * paging.size + 1}–${paging.page * paging.size + paging.count}`}
+                  {paging.total !== undefined && ` of ${paging.total}`}
+                </span>
+                {pager?.pitId && (
+                  <span className="px-1.5 rounded bg-background" title="Pages are read from a point in time, so they stay consistent while the index changes">
+                    PIT
+                  </span>
+                )}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="ml-auto h-6 w-6"
+                  onClick={() => handlePageChange(-1)}
+                  disabled={paging.page === 0 || isExecuting}
+                  title="Previous page"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-6 w-6"
+                  onClick={() => handlePageChange(1)}
+                  disabled={!paging.hasMore || isExecuting}
+                  title="Next page"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            )}
+            {/* 各模式和 profile 的结果视图（_msearch 比较、计时树等） */}
+            {Object.entries(resultViews).map(([id, view]) => (
+              <Fragment key={id}>
+                {view.resultBar}
+                {view.resultPanel}
+              </Fragment>
+            ))}
+            {/* Score Explanation */}
+            {explanation && (
+              <ResultViewBar
+                icon={ScanSearch}
+                summary={`Explain · ${explanation.matched ? 'matched' : 'not matched'}`}
+                viewLabel="Tree"
+                showView={showExplanation}
+                onShowViewChange={setShowExplanation}
+              />
+            )}
+            {explanation && showExplanation && (
+              <div className="flex-1 min-h-0">
+                <ExplainResults key={historyId} explanation={explanation} />
+              </div>
+            )}
+            <div className={cn('flex-1 min-h-0', (Object.values(resultViews).some(view => view.resultPanel) || (explanation && showExplanation)) && 'hidden')}>
+              <Editor
+                height="100%"
+                language={resultLanguage}
+                value={queryResult}
+                theme="vs-dark"
+                onMount={(editor) => {
+                  // 搜索结果中每个命中的 "_id" 上方显示 Explain
+                  const explainCommand = editor.addCommand(0, (accessor, hit) => handlersRef.current.explainHit(hit))
+                  const codeLens = {
+                    provideCodeLenses: (model) => findResultHits(model.getValue()).map(hit => ({
+                      range: { startLineNumber: hit.lineNumber, startColumn: 1, endLineNumber: hit.lineNumber, endColumn: 1 },
+                      command: { id: explainCommand, title: 'Explain score', arguments: [hit] },
+                    })),
+                  }
+                  const attachResultModel = () => {
+                    resultModelRef.current = editor.getModel()
+                    detachProvidersRef.current.result?.()
+                    detachProvidersRef.current.result = attachModelProviders(editor.getModel(), { codeLens })
+                  }
+                  attachResultModel()
+                  editor.onDidChangeModel(attachResultModel)
+                }}
+                options={{
+                  readOnly: true,
+                  minimap: { enabled: false },
+                  fontSize: 14,
+                  lineNumbers: 'on',
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                  tabSize: 2,
+                  scrollbar: {
+                    vertical: 'auto',
+                    horizontal: 'auto',
+                  },
+                }}
+              />
+            </div>
+          </div>
+        </ResizablePanel>
+      </ResizablePanelGroup>
+    </div>
+  )
+}
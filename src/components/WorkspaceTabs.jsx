@@ -0,0 +1,54 @@
+import { Plus, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { getProfileColorClass } from '@/lib/profileStore'
+
+/**
+ * 工作区标签栏：每个标签对应一个集群连接
+ */
+export function WorkspaceTabs({ workspaces, profiles, activeId, connectedIds, onSelect, onAdd, onClose }) {
+  return (
+    <div className="flex items-center gap-1 min-w-0 overflow-x-auto">
+      {workspaces.map((workspace) => {
+        const profile = profiles.find(p => p.id === workspace.profileId) || null
+        const isActive = workspace.id === activeId
+        const isConnected = connectedIds.includes(workspace.id)
+        return (
+          <div
+            key={workspace.id}
+            className={cn(
+              'group flex items-center gap-2 h-8 pl-3 pr-1 rounded-md border text-sm cursor-pointer shrink-0',
+              isActive ? 'bg-background border-input' : 'bg-muted border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => onSelect(workspace.id)}
+            title={profile?.url || ''}
+          >
+            <span className={cn('h-2.5 w-2.5 rounded-full shrink-0', getProfileColorClass(profile))} />
+            <span className="max-w-[160px] truncate">{profile?.name || 'No profile'}</span>
+            {isConnected && <span className="h-1.5 w-1.5 rounded-full bg-green-500" title="Connected" />}
+            {workspaces.length > 1 && (
+              <button
+                type="button"
+                className="flex items-center justify-center h-5 w-5 rounded opacity-0 group-hover:opacity-100 hover:bg-muted-foreground/20"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onClose(workspace.id)
+                }}
+                title="Close workspace"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        )
+      })}
+      <button
+        type="button"
+        className="flex items-center justify-center h-8 w-8 rounded-md text-muted-foreground hover:bg-muted hover:text-foreground shrink-0"
+        onClick={onAdd}
+        title="New workspace"
+      >
+        <Plus className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
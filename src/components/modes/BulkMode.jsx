@@ -0,0 +1,281 @@
+import { useEffect, useRef, useState } from 'react'
+import { FileUp, RotateCcw, Table } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { BulkResults } from '@/components/BulkResults'
+import { ResultViewBar } from '@/components/ResultViewBar'
+import { buildRequestPath } from '@/lib/esRequest'
+import { REQUEST_CANCELLED, describeAbort } from '@/lib/esRequestControl'
+import { NDJSON_LANGUAGE_ID } from '@/lib/esNdjsonLanguage'
+import {
+  DEFAULT_BULK_CHUNK_SIZE,
+  chunkBulkItems,
+  createBulkBody,
+  getBulkFailures,
+  getBulkFailuresText,
+  getBulkLines,
+  parseBulk,
+} from '@/lib/esBulk'
+import { substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_BULK_TEXT = `# One action line per operation, followed by its source line (delete has none)
+# Actions without "_index" use the selected index
+{"index": {"_index": "my-index", "_id": "1"}}
+{"message": "first document"}
+{"create": {"_index": "my-index", "_id": "2"}}
+{"message": "second document"}
+{"update": {"_index": "my-index", "_id": "1"}}
+{"doc": {"message": "first document, updated"}}
+{"delete": {"_index": "my-index", "_id": "2"}}
+`
+
+/**
+ * Bulk 模式：把 NDJSON 中的操作按批发送到 _bulk，汇总每一批中失败的项
+ * 失败的项可以重试或放回编辑器修改；诊断逐行检查 action 和 source 行
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useBulkMode(workspace) {
+  const {
+    editorMode,
+    isConnected,
+    isExecuting,
+    indexName,
+    availableIndices,
+    currentEntry,
+    resolveVariables,
+    sendRequest,
+    startRequest,
+    finishRequest,
+    addToHistory,
+    setError,
+    setAbortNotice,
+    setIsExecuting,
+    setEditorMode,
+    runDiagnostics,
+    scheduleDiagnostics,
+  } = workspace
+  const [text, setText] = useState(DEFAULT_BULK_TEXT)
+  const [chunkSize, setChunkSize] = useState(String(DEFAULT_BULK_CHUNK_SIZE))
+  const [showFailures, setShowFailures] = useState(true)
+  // 加载 NDJSON 文件的 <input type="file">
+  const fileRef = useRef(null)
+  // 当前显示的结果的汇总 { total, chunks, failed, unknown }
+  const report = currentEntry?.bulkReport || null
+
+  // 默认索引或索引列表变化后重新检查 action 行
+  useEffect(() => {
+    if (editorMode === 'bulk') {
+      runDiagnostics()
+    }
+  }, [indexName, availableIndices])
+
+  /**
+   * 把操作按批发送到 _bulk
+   * 某一批返回错误状态时它的所有操作都算作失败，可以重试；
+   * 发出后被取消、超时或连接中断的一批结果未知（可能已经执行），不会被重试；
+   * 点击 Stop 后剩下的批算作未发送
+   * @param {Array} items parseBulk 的结果（已替换变量）
+   * @param {string} label 历史记录中的名称
+   */
+  const runItems = async (items, label) => {
+    let chunks
+    try {
+      chunks = chunkBulkItems(items, Number(chunkSize)).map(chunk => ({ items: chunk, body: createBulkBody(chunk) }))
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    setIsExecuting(true)
+    setError(null)
+    setAbortNotice(null)
+
+    const path = buildRequestPath(indexName, '_bulk')
+    const results = []
+    const failed = []
+    const unknown = []
+    let took = 0
+    try {
+      for (const [i, chunk] of chunks.entries()) {
+        const control = startRequest()
+        const toFailure = (type, reason) => item => ({ item, action: item.action, index: null, id: null, status: null, type, reason })
+        try {
+          const { response, result } = await sendRequest('POST', path, chunk.body, control)
+          if (!response.ok) {
+            // 整个请求被拒绝（如请求体错误、过大），没有操作被执行
+            failed.push(...chunk.items.map(toFailure('request_failed', `Request failed: ${response.status} ${response.statusText}\n${result.text}`)))
+            continue
+          }
+          took += result.data?.took || 0
+          results.push(...(result.data?.items || []))
+          failed.push(...getBulkFailures(result.data, chunk.items))
+        } catch (err) {
+          const aborted = describeAbort(control)
+          unknown.push(...chunk.items.map(toFailure('unknown', `${aborted || err.message}. The request was sent; check the cluster before sending these actions again.`)))
+          if (control.reason === REQUEST_CANCELLED) {
+            failed.push(...chunks.slice(i + 1).flatMap(c => c.items).map(toFailure('not_sent', 'Not sent: the bulk run was cancelled')))
+            setAbortNotice(aborted)
+            break
+          }
+        } finally {
+          finishRequest(control)
+        }
+      }
+
+      const data = { took, errors: failed.length > 0, items: results }
+      addToHistory(label, {
+        data,
+        text: JSON.stringify(data, null, 2),
+        language: 'json',
+        bulkReport: { total: items.length, chunks: chunks.length, failed, unknown },
+      })
+      setShowFailures(true)
+    } finally {
+      setIsExecuting(false)
+    }
+  }
+
+  const run = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    const values = await resolveVariables(text)
+    if (!values) return
+
+    const items = parseBulk(substituteVariables(text, values))
+    if (items.length === 0) {
+      setError('Write at least one bulk action to send')
+      return
+    }
+    await runItems(items, `POST ${buildRequestPath(indexName, '_bulk')} · ${items.length} actions`)
+  }
+
+  // 重新发送当前结果中失败的操作
+  const handleRetry = async () => {
+    if (!isConnected || !report?.failed.length) return
+    const items = report.failed.map(failure => failure.item)
+    await runItems(items, `POST ${buildRequestPath(indexName, '_bulk')} · retry ${items.length} failed`)
+  }
+
+  // 把失败的操作放回编辑器，修改后再发送
+  const handleEditFailed = () => {
+    if (!report?.failed.length) return
+    setText(getBulkFailuresText(report.failed))
+    setEditorMode('bulk')
+    scheduleDiagnostics()
+  }
+
+  // 读取 NDJSON 文件到编辑器
+  const handleLoadFile = async (e) => {
+    const file = e.target.files?.[0]
+    // 清空选择，再次选择同一个文件时也会触发 onChange
+    e.target.value = ''
+    if (!file) return
+    try {
+      setText(await file.text())
+      scheduleDiagnostics()
+    } catch (err) {
+      setError(`Failed to read ${file.name}: ${err.message}`)
+    }
+  }
+
+  const getCopyRequest = async () => {
+    const values = await resolveVariables(text)
+    if (!values) return null
+    return { method: 'POST', path: buildRequestPath(indexName, '_bulk'), body: createBulkBody(parseBulk(substituteVariables(text, values))) }
+  }
+
+  return {
+    file: 'bulk.ndjson',
+    language: NDJSON_LANGUAGE_ID,
+    runTitle: 'Send All Actions with _bulk in Chunks (Ctrl+Enter)',
+    text,
+    onChange: (value) => {
+      setText(value)
+      scheduleDiagnostics()
+    },
+    run,
+    // index 为没有 _index 的 action 使用的默认索引
+    diagnose: (provider, model, index, fields) => {
+      const lines = getBulkLines(parseBulk(model.getValue()), { defaultIndex: index, indices: availableIndices })
+      provider.validateLines(model, lines, fields)
+    },
+    getVariableTexts: () => [text],
+    getCopyRequest,
+    toolbar: (
+      <>
+        <Input
+          type="number"
+          min={1}
+          value={chunkSize}
+          onChange={(e) => setChunkSize(e.target.value)}
+          className="ml-2 h-7 w-24 text-sm"
+          title="Actions per _bulk request"
+        />
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".ndjson,.jsonl,.json,.txt"
+          className="hidden"
+          onChange={handleLoadFile}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={() => fileRef.current?.click()}
+          title="Load an NDJSON file into the editor"
+        >
+          <FileUp className="h-4 w-4" />
+          Load file
+        </Button>
+      </>
+    ),
+    resultBar: report && (
+      <ResultViewBar
+        icon={Table}
+        summary={
+          <>
+            {report.total} actions in {report.chunks} {report.chunks === 1 ? 'request' : 'requests'} · {report.failed.length} failed
+            {report.unknown.length > 0 && ` · ${report.unknown.length} unknown`}
+          </>
+        }
+        viewLabel="Failures"
+        showView={showFailures}
+        onShowViewChange={setShowFailures}
+      >
+        {report.failed.length > 0 && (
+          <>
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-6"
+              onClick={handleRetry}
+              disabled={!isConnected || isExecuting}
+              title="Send the failed actions again"
+            >
+              <RotateCcw className="h-3.5 w-3.5" />
+              Retry failed
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6"
+              onClick={handleEditFailed}
+              title="Replace the Bulk editor content with the failed actions"
+            >
+              Edit failed
+            </Button>
+          </>
+        )}
+      </ResultViewBar>
+    ),
+    resultPanel: report && showFailures && (
+      <div className="flex-1 min-h-0">
+        <BulkResults failures={report.failed} unknown={report.unknown} />
+      </div>
+    ),
+  }
+}
@@ -0,0 +1,229 @@
+import { useEffect, useRef, useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { REQUEST_CANCELLED, describeAbort } from '@/lib/esRequestControl'
+import { CONSOLE_LANGUAGE_ID } from '@/lib/esConsoleLanguage'
+import { findBlockAtLine, getBlockBody, getBlockIndex, getBlockPath, getBlocksInRange, parseConsole } from '@/lib/esConsoleParser'
+import { isTemplatePath, substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_CONSOLE_TEXT = `# Kibana Dev Tools syntax: one request per block, Ctrl+Enter runs the block under the cursor
+GET /_cluster/health
+
+GET /_search
+{
+  "query": {
+    "match_all": {}
+  }
+}
+`
+
+// 请求块中可能用到变量的文本：路径和请求体（模板请求的 source 中的 {{...}} 是模板参数）
+function getBlockTexts(block) {
+  return [block.path, { text: getBlockBody(block), template: isTemplatePath(block.path) }]
+}
+
+/**
+ * 控制台模式：Kibana Dev Tools 格式，一个缓冲区中有多个请求块
+ * 每个请求行的行号旁有运行按钮；Ctrl+Enter 运行光标所在的请求块，也可以运行选中范围内或全部的请求
+ * 补全和诊断只针对光标所在的请求块，mapping 使用它的路径中的索引
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useConsoleMode(workspace) {
+  const {
+    editorMode,
+    editorRef,
+    isEditorReady,
+    isConnected,
+    isExecuting,
+    resolveVariables,
+    sendRequest,
+    startRequest,
+    finishRequest,
+    addToHistory,
+    setError,
+    setAbortNotice,
+    setIsExecuting,
+    scheduleContext,
+  } = workspace
+  const [text, setText] = useState(DEFAULT_CONSOLE_TEXT)
+  const decorationsRef = useRef(null)
+  const isActive = editorMode === 'console'
+
+  // 在每个请求行的行号旁显示运行按钮
+  useEffect(() => {
+    const editor = editorRef.current
+    if (!editor) return
+    if (!decorationsRef.current) {
+      decorationsRef.current = editor.createDecorationsCollection()
+    }
+    const blocks = isActive ? parseConsole(text) : []
+    decorationsRef.current.set(blocks.map(block => ({
+      range: { startLineNumber: block.startLine, startColumn: 1, endLineNumber: block.startLine, endColumn: 1 },
+      options: {
+        glyphMarginClassName: 'es-console-run-glyph',
+        glyphMarginHoverMessage: { value: `Run ${block.method} ${block.path}` },
+      },
+    })))
+  }, [isActive, text, isEditorReady])
+
+  // 光标所在的请求块
+  const getCursorBlock = () => {
+    const editor = editorRef.current
+    if (!editor || !editor.getPosition()) return null
+    return findBlockAtLine(parseConsole(editor.getValue()), editor.getPosition().lineNumber)
+  }
+
+  /**
+   * 按顺序运行多个请求块，收集每个响应
+   * 某个请求失败或超时不会中断后面的请求；点击 Stop 会取消当前请求并停止运行
+   * @param {Array} blocks 请求块
+   */
+  const runBlocks = async (blocks) => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    if (blocks.length === 0) return
+
+    const values = await resolveVariables(...blocks.flatMap(getBlockTexts))
+    if (!values) return
+
+    setIsExecuting(true)
+    setError(null)
+    setAbortNotice(null)
+
+    const outputs = []
+    let lastData = null
+    try {
+      for (const block of blocks) {
+        const path = getBlockPath(substituteVariables(block.path, values, { json: false }))
+        const startedAt = Date.now()
+        const control = startRequest()
+        try {
+          const body = substituteVariables(getBlockBody(block), values, { template: isTemplatePath(block.path) })
+          const { response, result } = await sendRequest(block.method, path, body, control)
+          outputs.push(`# ${block.method} ${path}  ${response.status} ${response.statusText} (${Date.now() - startedAt} ms)\n${result.text}`)
+          lastData = result.data
+        } catch (err) {
+          const aborted = describeAbort(control)
+          const message = aborted || err.message
+          outputs.push(`# ${block.method} ${path}  ${aborted ? 'aborted' : 'failed'}\n${message.split('\n').map(line => `# ${line}`).join('\n')}`)
+          lastData = null
+          if (control.reason === REQUEST_CANCELLED) {
+            setAbortNotice(aborted)
+            break
+          }
+        } finally {
+          finishRequest(control)
+        }
+      }
+
+      const first = blocks[0]
+      addToHistory(
+        blocks.length === 1 ? `${first.method} ${getBlockPath(substituteVariables(first.path, values, { json: false }))}` : `Console: ${blocks.length} requests`,
+        { text: outputs.join('\n\n'), language: CONSOLE_LANGUAGE_ID, data: blocks.length === 1 ? lastData : null }
+      )
+    } finally {
+      setIsExecuting(false)
+    }
+  }
+
+  // 运行光标所在的请求（Ctrl+Enter）
+  const run = () => {
+    const block = getCursorBlock()
+    runBlocks(block ? [block] : [])
+  }
+
+  // 运行选中范围内的请求，没有选择时运行光标所在的请求
+  const runSelection = () => {
+    const selection = editorRef.current?.getSelection()
+    if (!selection || selection.isEmpty()) {
+      run()
+      return
+    }
+    runBlocks(getBlocksInRange(parseConsole(text), selection.startLineNumber, selection.endLineNumber))
+  }
+
+  const runAll = () => runBlocks(parseConsole(text))
+
+  // 点击行号旁的运行按钮
+  const runLine = (lineNumber) => {
+    if (isExecuting) return
+    const block = parseConsole(text).find(b => b.startLine === lineNumber)
+    if (block) runBlocks([block])
+  }
+
+  // 复制光标所在的请求（变量已替换）
+  const getCopyRequest = async () => {
+    const block = getCursorBlock()
+    if (!block) {
+      throw new Error('Place the cursor inside a request to copy it')
+    }
+    const values = await resolveVariables(...getBlockTexts(block))
+    if (!values) return null
+    return {
+      method: block.method,
+      path: getBlockPath(substituteVariables(block.path, values, { json: false })),
+      body: substituteVariables(getBlockBody(block), values, { template: isTemplatePath(block.path) }),
+    }
+  }
+
+  return {
+    file: 'console.es',
+    language: CONSOLE_LANGUAGE_ID,
+    runTitle: 'Run Request Under Cursor (Ctrl+Enter)',
+    // 索引来自光标所在请求块的路径，不使用索引选择器
+    hasOwnIndex: true,
+    text,
+    onChange: (value) => {
+      setText(value)
+      scheduleContext()
+    },
+    run,
+    runLine,
+    // 只验证光标所在的请求块（请求行的路径，以及 _search 等 Query DSL 接口的请求体）
+    diagnose: (provider, model, index, fields) => {
+      const block = getCursorBlock()
+      if (block) {
+        provider.validateBlock(model, block, fields)
+      } else {
+        provider.clear(model)
+      }
+    },
+    getContextIndex: () => {
+      const block = getCursorBlock()
+      return (block && getBlockIndex(block.path)) || '*'
+    },
+    getVariableTexts: () => parseConsole(text).flatMap(getBlockTexts),
+    getCopyRequest,
+    // Explain 使用光标所在请求块的查询
+    getExplainBody: () => {
+      const block = getCursorBlock()
+      return block ? getBlockBody(block) : null
+    },
+    actions: (
+      <>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={runSelection}
+          disabled={!isConnected || isExecuting}
+          title="Run the requests in the selection"
+        >
+          Run selection
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={runAll}
+          disabled={!isConnected || isExecuting}
+          title="Run every request in order"
+        >
+          Run all
+        </Button>
+      </>
+    ),
+  }
+}
@@ -0,0 +1,130 @@
+import { useEffect, useRef, useState } from 'react'
+import { Table } from 'lucide-react'
+import { EsqlResults } from '@/components/EsqlResults'
+import { ResultViewBar } from '@/components/ResultViewBar'
+import { EsqlCompletionProvider } from '@/lib/esEsqlCompletion'
+import { ESQL_LANGUAGE_ID } from '@/lib/esEsqlLanguage'
+import { ESQL_QUERY_PATH, createEsqlBody, getEsqlSource, getEsqlTable } from '@/lib/esEsql'
+import { formatClusterInfo, getVersionFeatures } from '@/lib/esVersion'
+import { substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_ESQL_TEXT = `// ES|QL (Elasticsearch 8.11+): Ctrl+Enter runs the query, or the selection
+FROM logs-*
+| WHERE @timestamp > NOW() - 1 hour
+| STATS count = COUNT(*) BY host.name
+| SORT count DESC
+| LIMIT 10
+`
+
+/**
+ * ES|QL 模式：用 _query 运行查询（有选择时运行选择的部分），列式的响应显示为表格
+ * 字段补全使用查询 FROM 的索引 mapping，诊断检查查询的基本语法
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useEsqlMode(workspace) {
+  const {
+    editorRef,
+    isConnected,
+    clusterInfo,
+    currentEntry,
+    availableIndices,
+    currentFields,
+    resolveVariables,
+    executeRequest,
+    setError,
+    scheduleContext,
+    scheduleDiagnostics,
+  } = workspace
+  const [text, setText] = useState(DEFAULT_ESQL_TEXT)
+  const [showTable, setShowTable] = useState(true)
+  const completionRef = useRef(null)
+  if (!completionRef.current) {
+    completionRef.current = new EsqlCompletionProvider()
+  }
+  // 当前显示的结果的表格 { columns, rows }
+  const table = currentEntry?.esqlTable || null
+
+  // 表来自索引列表，字段来自 FROM 的索引的 mapping
+  useEffect(() => {
+    completionRef.current.updateIndices(availableIndices)
+  }, [availableIndices])
+
+  useEffect(() => {
+    completionRef.current.updateFields(currentFields)
+  }, [currentFields])
+
+  // 要运行的查询：有选择时运行选择的部分
+  const getQuery = () => {
+    const editor = editorRef.current
+    const selection = editor?.getSelection()
+    const query = selection && !selection.isEmpty() ? editor.getModel().getValueInRange(selection) : text
+    return query.trim()
+  }
+
+  const run = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    if (!getVersionFeatures(clusterInfo).esql) {
+      setError(`ES|QL needs Elasticsearch 8.11+ (connected to ${formatClusterInfo(clusterInfo)})`)
+      return
+    }
+    const query = getQuery()
+    if (!query) {
+      setError('Write an ES|QL query to run')
+      return
+    }
+    const values = await resolveVariables(query)
+    if (!values) return
+
+    await executeRequest('POST', ESQL_QUERY_PATH, createEsqlBody(substituteVariables(query, values, { json: false })), result => ({
+      ...result,
+      esqlTable: getEsqlTable(result.data),
+    }))
+    setShowTable(true)
+  }
+
+  const getCopyRequest = async () => {
+    const query = getQuery()
+    const values = await resolveVariables(query)
+    if (!values) return null
+    const body = JSON.stringify(JSON.parse(createEsqlBody(substituteVariables(query, values, { json: false }))), null, 2)
+    return { method: 'POST', path: ESQL_QUERY_PATH, body }
+  }
+
+  return {
+    file: 'query.esql',
+    language: ESQL_LANGUAGE_ID,
+    runTitle: 'Run ES|QL Query with _query (Ctrl+Enter)',
+    // 索引来自查询的 FROM，不使用索引选择器
+    hasOwnIndex: true,
+    text,
+    onChange: (value) => {
+      setText(value)
+      scheduleContext()
+      scheduleDiagnostics()
+    },
+    completion: completionRef.current,
+    run,
+    diagnose: (provider, model) => provider.validateEsql(model),
+    getContextIndex: () => getEsqlSource(editorRef.current?.getValue()) || '*',
+    getVariableTexts: () => [text],
+    getCopyRequest,
+    resultBar: table && (
+      <ResultViewBar
+        icon={Table}
+        summary={`${table.rows.length} rows · ${table.columns.length} columns`}
+        viewLabel="Table"
+        showView={showTable}
+        onShowViewChange={setShowTable}
+      />
+    ),
+    resultPanel: table && showTable && (
+      <div className="flex-1 min-h-0">
+        <EsqlResults table={table} />
+      </div>
+    ),
+  }
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import { ListPlus, Table } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { MultiSearchResults } from '@/components/MultiSearchResults'
+import { ResultViewBar } from '@/components/ResultViewBar'
+import { buildRequestPath } from '@/lib/esRequest'
+import { NDJSON_LANGUAGE_ID } from '@/lib/esNdjsonLanguage'
+import {
+  appendMultiSearch,
+  createMultiSearchBody,
+  findMultiSearchBody,
+  getMultiSearchLines,
+  parseMultiSearch,
+  summarizeMultiSearch,
+} from '@/lib/esMultiSearch'
+import { substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_MSEARCH_TEXT = `# One header line and one body line per search; a comment before the header names the column
+# baseline
+{}
+{"query": {"match": {"message": "error"}}}
+
+# phrase
+{}
+{"query": {"match_phrase": {"message": "error"}}}
+`
+
+/**
+ * _msearch 模式：把多个查询作为一个 NDJSON 请求发送，并排比较每个响应
+ * 补全和诊断按行进行，光标所在的 body 行使用 Query DSL 补全
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useMultiSearchMode(workspace) {
+  const {
+    isConnected,
+    indexName,
+    dslQuery,
+    currentEntry,
+    resolveVariables,
+    executeRequest,
+    setError,
+    scheduleDiagnostics,
+  } = workspace
+  const [text, setText] = useState(DEFAULT_MSEARCH_TEXT)
+  const [showComparison, setShowComparison] = useState(true)
+  // 当前显示的结果中每个响应的汇总
+  const comparison = currentEntry?.comparison || null
+
+  const run = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    const values = await resolveVariables(text)
+    if (!values) return
+
+    const searches = parseMultiSearch(substituteVariables(text, values))
+    let body
+    try {
+      body = createMultiSearchBody(searches)
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    await executeRequest('POST', buildRequestPath(indexName, '_msearch'), body, result => ({
+      ...result,
+      comparison: summarizeMultiSearch(result.data, searches),
+    }))
+    setShowComparison(true)
+  }
+
+  // 把 Request 模式中的查询加入编辑器
+  const handleAppendSearch = () => {
+    try {
+      const count = parseMultiSearch(text).length
+      setText(appendMultiSearch(text, indexName, dslQuery, `Query ${count + 1}`))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const getCopyRequest = async () => {
+    const values = await resolveVariables(text)
+    if (!values) return null
+    return {
+      method: 'POST',
+      path: buildRequestPath(indexName, '_msearch'),
+      body: createMultiSearchBody(parseMultiSearch(substituteVariables(text, values))),
+    }
+  }
+
+  return {
+    file: 'msearch.ndjson',
+    language: NDJSON_LANGUAGE_ID,
+    runTitle: 'Run All Searches with _msearch (Ctrl+Enter)',
+    text,
+    onChange: (value) => {
+      setText(value)
+      scheduleDiagnostics()
+    },
+    getQueryBlock: findMultiSearchBody,
+    run,
+    diagnose: (provider, model, index, fields) => {
+      provider.validateLines(model, getMultiSearchLines(parseMultiSearch(model.getValue())), fields)
+    },
+    getVariableTexts: () => [text],
+    getCopyRequest,
+    toolbar: (
+      <Button
+        variant="outline"
+        size="sm"
+        className="ml-2 h-7"
+        onClick={handleAppendSearch}
+        title="Append the query from Request mode as another search"
+      >
+        <ListPlus className="h-4 w-4" />
+        Add request
+      </Button>
+    ),
+    resultBar: comparison && (
+      <ResultViewBar
+        icon={Table}
+        summary={`${comparison.length} searches`}
+        viewLabel="Compare"
+        showView={showComparison}
+        onShowViewChange={setShowComparison}
+      />
+    ),
+    resultPanel: comparison && showComparison && (
+      <div className="flex-1 min-h-0">
+        <MultiSearchResults results={comparison} />
+      </div>
+    ),
+  }
+}
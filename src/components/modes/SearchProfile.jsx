@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { Gauge } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { ProfileResults } from '@/components/ProfileResults'
+import { ResultViewBar } from '@/components/ResultViewBar'
+import { buildRequestPath } from '@/lib/esRequest'
+import { isSearchPath } from '@/lib/esPagination'
+import { createProfileBody, findProfileClause, getProfileShards } from '@/lib/esProfile'
+import { substituteVariables } from '@/lib/esVariables'
+
+/**
+ * Request 模式的搜索 profile：在请求体中加上 profile: true 运行当前搜索，结果显示为每个分片的计时树
+ * 在计时树中点击节点会在编辑器中选中对应的子句
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {{ action: JSX.Element|null, resultBar: JSX.Element|null, resultPanel: JSX.Element|null }}
+ */
+export function useSearchProfile(workspace) {
+  const {
+    editorMode,
+    editorRef,
+    isConnected,
+    isExecuting,
+    indexName,
+    requestPath,
+    dslQuery,
+    currentEntry,
+    resolveVariables,
+    executeRequest,
+    closePager,
+    setError,
+  } = workspace
+  const [showTiming, setShowTiming] = useState(true)
+  // 当前显示的结果中每个分片的计时树
+  const profile = currentEntry?.profile || null
+
+  const handleProfile = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return
+    }
+    const values = await resolveVariables(requestPath, dslQuery)
+    if (!values) return
+
+    const path = buildRequestPath(indexName, substituteVariables(requestPath, values, { json: false }))
+    if (!isSearchPath(path)) {
+      setError('Only _search requests can be profiled')
+      return
+    }
+    let body
+    try {
+      body = createProfileBody(substituteVariables(dslQuery, values))
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    closePager()
+    await executeRequest('POST', path, body, result => ({
+      ...result,
+      profile: getProfileShards(result.data),
+    }))
+    setShowTiming(true)
+  }
+
+  // 在编辑器中选中计时树节点对应的子句
+  const handleLocateClause = (node) => {
+    const editor = editorRef.current
+    const model = editor?.getModel()
+    if (!model) return
+    const clause = findProfileClause(model.getValue(), node)
+    if (!clause) {
+      setError(`Could not find the clause for ${node.type} "${node.description}" in the request body`)
+      return
+    }
+    const start = model.getPositionAt(clause.start)
+    const end = model.getPositionAt(clause.end)
+    const range = {
+      startLineNumber: start.lineNumber,
+      startColumn: start.column,
+      endLineNumber: end.lineNumber,
+      endColumn: end.column,
+    }
+    editor.setSelection(range)
+    editor.revealRangeInCenter(range)
+    editor.focus()
+  }
+
+  return {
+    action: editorMode === 'dsl' && (
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        onClick={handleProfile}
+        disabled={!isConnected || isExecuting}
+        title="Profile the search (adds profile: true) and show the timing of each clause"
+      >
+        <Gauge className="h-4 w-4" />
+      </Button>
+    ),
+    resultBar: profile && (
+      <ResultViewBar
+        icon={Gauge}
+        summary={`Profile · ${profile.length} ${profile.length === 1 ? 'shard' : 'shards'}`}
+        viewLabel="Timing"
+        showView={showTiming}
+        onShowViewChange={setShowTiming}
+      />
+    ),
+    resultPanel: profile && showTiming && (
+      <div className="flex-1 min-h-0">
+        <ProfileResults
+          key={currentEntry.id}
+          shards={profile}
+          onLocate={editorMode === 'dsl' ? handleLocateClause : null}
+        />
+      </div>
+    ),
+  }
+}
@@ -0,0 +1,233 @@
+import { useEffect, useRef, useState } from 'react'
+import { ChevronRight, Languages } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { SqlCompletionProvider } from '@/lib/esSqlCompletion'
+import { formatClusterInfo, getVersionFeatures } from '@/lib/esVersion'
+import {
+  SQL_CLOSE_PATH,
+  SQL_FORMATS,
+  SQL_TRANSLATE_PATH,
+  createSqlBody,
+  createSqlPath,
+  findSqlStatement,
+  getSqlCursor,
+  getSqlTable,
+  splitSqlStatements,
+} from '@/lib/esSql'
+import { substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_SQL_TEXT = `-- Elasticsearch SQL: Ctrl+Enter runs the statement under the cursor, Translate opens its query DSL in Request mode
+SHOW TABLES;
+
+-- SELECT * FROM "my-index" WHERE MATCH(message, 'error') ORDER BY "@timestamp" DESC LIMIT 100;
+`
+
+/**
+ * SQL 模式：用 _sql 运行光标所在的语句，结果有更多行时用游标翻页
+ * 字段补全使用光标所在语句 FROM 的索引 mapping；Translate 把语句翻译为 Query DSL 并在 Request 模式中打开
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useSqlMode(workspace) {
+  const {
+    editorMode,
+    editorRef,
+    isConnected,
+    isExecuting,
+    clusterInfo,
+    history,
+    currentEntry,
+    availableIndices,
+    currentFields,
+    connection,
+    createHeaders,
+    resolveVariables,
+    executeRequest,
+    openInRequestMode,
+    setError,
+    scheduleContext,
+  } = workspace
+  const [text, setText] = useState(DEFAULT_SQL_TEXT)
+  const [format, setFormat] = useState('txt')
+  const completionRef = useRef(null)
+  if (!completionRef.current) {
+    completionRef.current = new SqlCompletionProvider()
+  }
+
+  // 表来自索引列表，字段来自 FROM 的索引的 mapping
+  useEffect(() => {
+    completionRef.current.updateIndices(availableIndices)
+  }, [availableIndices])
+
+  useEffect(() => {
+    completionRef.current.updateFields(currentFields)
+  }, [currentFields])
+
+  // 只有最新的结果可以翻页
+  const paging = editorMode === 'sql' && currentEntry && currentEntry.id === history[0]?.id
+    ? currentEntry.sqlPaging
+    : null
+
+  // 光标所在的语句，有选择时使用选择的第一个语句
+  const getCursorStatement = () => {
+    const editor = editorRef.current
+    const model = editor?.getModel()
+    if (!model || !editor.getPosition()) return null
+    const selection = editor.getSelection()
+    if (selection && !selection.isEmpty()) {
+      return splitSqlStatements(model.getValueInRange(selection))[0]?.text || null
+    }
+    return findSqlStatement(model.getValue(), model.getOffsetAt(editor.getPosition()))?.text || null
+  }
+
+  // 关闭游标（不等待结果，游标过期后也会被集群释放）
+  const closeCursor = (cursor) => {
+    connection.request(SQL_CLOSE_PATH, {
+      method: 'POST',
+      headers: createHeaders({ method: 'POST', contentType: 'application/json' }),
+      body: JSON.stringify({ cursor }),
+    }).catch(err => console.warn('[SQL] Failed to close cursor:', err))
+  }
+
+  /**
+   * 请求前检查，返回替换变量后的语句
+   * @returns {Promise<string|null>} 无法运行时为 null
+   */
+  const prepareStatement = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return null
+    }
+    if (!getVersionFeatures(clusterInfo).sql) {
+      setError(`SQL mode needs Elasticsearch 7.0+ (connected to ${formatClusterInfo(clusterInfo)})`)
+      return null
+    }
+    const statement = getCursorStatement()
+    if (!statement) {
+      setError('Place the cursor inside an SQL statement')
+      return null
+    }
+    const values = await resolveVariables(statement)
+    if (!values) return null
+    return substituteVariables(statement, values, { json: false })
+  }
+
+  // 运行光标所在的语句，结果有更多行时保存游标用于翻页
+  const run = async () => {
+    const statement = await prepareStatement()
+    if (!statement) return
+
+    // 重新运行后之前的游标不再使用
+    if (history[0]?.sqlPaging?.cursor) {
+      closeCursor(history[0].sqlPaging.cursor)
+    }
+
+    const requestFormat = format
+    await executeRequest('POST', createSqlPath(requestFormat), createSqlBody(statement), (result, response) => ({
+      ...result,
+      sqlPaging: { page: 0, cursor: getSqlCursor(response, result.data), format: requestFormat },
+    }))
+  }
+
+  // 用游标读取下一页（游标只能向前）
+  const handleNextPage = async () => {
+    if (!paging?.cursor || isExecuting) return
+    const { page, cursor, format: pageFormat } = paging
+    await executeRequest('POST', createSqlPath(pageFormat), createSqlBody(null, cursor), (result, response) => ({
+      ...result,
+      sqlPaging: { page: page + 1, cursor: getSqlCursor(response, result.data), format: pageFormat },
+    }))
+  }
+
+  // 把光标所在的语句翻译为 Query DSL，并在 Request 模式中打开，继续使用补全和诊断
+  const handleTranslate = async () => {
+    const statement = await prepareStatement()
+    if (!statement) return
+
+    const data = await executeRequest('POST', SQL_TRANSLATE_PATH, JSON.stringify({ query: statement }))
+    if (!data) return
+    openInRequestMode({
+      index: getSqlTable(statement) || '*',
+      method: 'POST',
+      path: '_search',
+      body: JSON.stringify(data, null, 2),
+    })
+  }
+
+  const getCopyRequest = async () => {
+    const statement = getCursorStatement()
+    if (!statement) {
+      throw new Error('Place the cursor inside an SQL statement to copy it')
+    }
+    const values = await resolveVariables(statement)
+    if (!values) return null
+    const body = JSON.stringify(JSON.parse(createSqlBody(substituteVariables(statement, values, { json: false }))), null, 2)
+    return { method: 'POST', path: createSqlPath(format), body }
+  }
+
+  return {
+    file: 'query.sql',
+    language: 'sql',
+    runTitle: 'Run SQL Statement Under Cursor with _sql (Ctrl+Enter)',
+    // 索引来自光标所在语句的 FROM，不使用索引选择器
+    hasOwnIndex: true,
+    text,
+    onChange: (value) => {
+      setText(value)
+      scheduleContext()
+    },
+    completion: completionRef.current,
+    run,
+    // SQL 不做 DSL 诊断
+    diagnose: (provider, model) => provider.clear(model),
+    getContextIndex: () => getSqlTable(getCursorStatement()) || '*',
+    getVariableTexts: () => [text],
+    getCopyRequest,
+    toolbar: (
+      <>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="ml-2 h-7 px-2 text-sm rounded border border-input bg-background"
+          title="Response format"
+        >
+          {SQL_FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={handleTranslate}
+          disabled={!isConnected || isExecuting}
+          title="Translate the statement under the cursor to Query DSL with _sql/translate and open it in Request mode"
+        >
+          <Languages className="h-4 w-4" />
+          Translate
+        </Button>
+      </>
+    ),
+    // 游标翻页
+    resultBar: paging && (
+      <div className="flex items-center gap-2 px-3 h-8 bg-muted border-b shrink-0 text-xs text-muted-foreground">
+        <span>
+          Page {paging.page + 1}
+          {paging.cursor ? ' · more rows available' : ' · last page'}
+        </span>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="ml-auto h-6 w-6"
+          onClick={handleNextPage}
+          disabled={!paging.cursor || isExecuting}
+          title="Next page (SQL cursor)"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+      </div>
+    ),
+  }
+}
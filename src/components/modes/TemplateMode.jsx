@@ -0,0 +1,239 @@
+import { useEffect, useState } from 'react'
+import Editor from '@monaco-editor/react'
+import { Eye, Save } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { buildRequestPath } from '@/lib/esRequest'
+import { MUSTACHE_LANGUAGE_ID } from '@/lib/esMustacheLanguage'
+import {
+  STORED_SCRIPTS_PATH,
+  createStoredTemplateBody,
+  createTemplateBody,
+  getRenderedTemplate,
+  getStoredTemplateIds,
+  getStoredTemplateSource,
+} from '@/lib/esSearchTemplate'
+import { substituteVariables } from '@/lib/esVariables'
+
+const DEFAULT_TEMPLATE_SOURCE = `{
+  "query": {
+    "match": {
+      "{{field}}": "{{query_string}}"
+    }
+  },
+  "size": {{size}}
+}`
+
+const DEFAULT_TEMPLATE_PARAMS = `{
+  "field": "message",
+  "query_string": "error",
+  "size": 10
+}`
+
+/**
+ * 模板模式：编辑 Mustache 搜索模板和参数，用 _search/template 运行
+ * 可以预览 _render/template 渲染后的请求体，以及读取和保存 _scripts 中的模板
+ * @param {Object} workspace 工作区的状态和请求函数（见 Workspace 中的 modeContext）
+ * @returns {Object} 编辑器模式
+ */
+export function useTemplateMode(workspace) {
+  const {
+    workspaceId,
+    editorMode,
+    isConnected,
+    isExecuting,
+    indexName,
+    connection,
+    createHeaders,
+    resolveVariables,
+    executeRequest,
+    setError,
+  } = workspace
+  const [source, setSource] = useState(DEFAULT_TEMPLATE_SOURCE)
+  const [params, setParams] = useState(DEFAULT_TEMPLATE_PARAMS)
+  const [templateId, setTemplateId] = useState('')
+  const [storedTemplates, setStoredTemplates] = useState([])
+  const isActive = editorMode === 'template'
+
+  // 读取保存在 _scripts 中的搜索模板列表（没有权限读取集群状态时列表为空）
+  const fetchStoredTemplates = async () => {
+    try {
+      const response = await connection.request(STORED_SCRIPTS_PATH, {
+        method: 'GET',
+        headers: createHeaders(),
+      })
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`)
+      }
+      setStoredTemplates(getStoredTemplateIds(await response.json()))
+    } catch (err) {
+      console.warn('[Template] Failed to list stored templates:', err)
+      setStoredTemplates([])
+    }
+  }
+
+  // 进入模板模式时读取保存的模板列表，断开连接后清空
+  useEffect(() => {
+    if (!isConnected) {
+      setStoredTemplates([])
+    } else if (isActive) {
+      fetchStoredTemplates()
+    }
+  }, [isConnected, isActive])
+
+  /**
+   * 准备 _render/template 和 _search/template 的请求体
+   * {{variable}} 只在参数中替换，模板源码中的 {{...}} 是 Mustache 标签
+   * @returns {Promise<string|null>} 请求体，出错或取消时为 null
+   */
+  const prepareBody = async () => {
+    if (!isConnected) {
+      setError('Please connect to Elasticsearch first')
+      return null
+    }
+    const values = await resolveVariables(params)
+    if (!values) return null
+    try {
+      return createTemplateBody(source, substituteVariables(params, values))
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  // 预览渲染后的请求体，Workspace 会对它运行 DSL 诊断
+  const handleRender = async () => {
+    const body = await prepareBody()
+    if (body === null) return
+    await executeRequest('POST', '/_render/template', body, result => ({
+      text: getRenderedTemplate(result.data),
+      language: 'json',
+      data: null,
+      rendered: true,
+    }))
+  }
+
+  const run = async () => {
+    const body = await prepareBody()
+    if (body === null) return
+    await executeRequest('POST', buildRequestPath(indexName, '_search/template'), body)
+  }
+
+  // 加载保存的模板到编辑器
+  const handleLoad = async (id) => {
+    setTemplateId(id)
+    if (!id) return
+    const data = await executeRequest('GET', `/_scripts/${encodeURIComponent(id)}`, '')
+    if (!data) return
+    try {
+      setSource(getStoredTemplateSource(data))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleSave = async () => {
+    const id = templateId.trim()
+    if (!id) {
+      setError('Enter a template id to save the template')
+      return
+    }
+    const data = await executeRequest('PUT', `/_scripts/${encodeURIComponent(id)}`, createStoredTemplateBody(source))
+    if (data) {
+      fetchStoredTemplates()
+    }
+  }
+
+  // 复制 _search/template 请求（变量只在参数中替换）
+  const getCopyRequest = async () => {
+    const values = await resolveVariables(params)
+    if (!values) return null
+    const body = JSON.stringify(JSON.parse(createTemplateBody(source, substituteVariables(params, values))), null, 2)
+    return { method: 'POST', path: buildRequestPath(indexName, '_search/template'), body }
+  }
+
+  return {
+    file: 'template.mustache',
+    language: MUSTACHE_LANGUAGE_ID,
+    runTitle: 'Run Template with _search/template (Ctrl+Enter)',
+    text: source,
+    onChange: setSource,
+    run,
+    // 模板源码不是 JSON，改为验证渲染后的结果（见 Preview）
+    diagnose: (provider, model) => provider.clear(model),
+    getVariableTexts: () => [params],
+    getCopyRequest,
+    toolbar: (
+      <>
+        <select
+          value={storedTemplates.includes(templateId) ? templateId : ''}
+          onChange={(e) => handleLoad(e.target.value)}
+          className="ml-2 h-7 px-2 text-sm rounded border border-input bg-background"
+          disabled={!isConnected || isExecuting}
+          title="Load a stored search template"
+        >
+          <option value="">Stored templates…</option>
+          {storedTemplates.map((id) => (
+            <option key={id} value={id}>
+              {id}
+            </option>
+          ))}
+        </select>
+        <Input
+          value={templateId}
+          onChange={(e) => setTemplateId(e.target.value)}
+          placeholder="template id"
+          className="h-7 w-40 text-sm font-mono"
+          title="Id used to save the template to _scripts"
+        />
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-7 w-7"
+          onClick={handleSave}
+          disabled={!isConnected || isExecuting}
+          title="Save template to _scripts"
+        >
+          <Save className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={handleRender}
+          disabled={!isConnected || isExecuting}
+          title="Preview the rendered request body with _render/template"
+        >
+          <Eye className="h-4 w-4" />
+          Preview
+        </Button>
+      </>
+    ),
+    // 参数编辑器，和模板源码并排
+    sidePanel: (
+      <div className="flex flex-col w-2/5 border-l">
+        <div className="px-3 py-1 text-xs font-medium text-muted-foreground bg-muted border-b">
+          Params
+        </div>
+        <div className="flex-1 min-h-0">
+          <Editor
+            height="100%"
+            path={`${workspaceId}/template-params.json`}
+            language="json"
+            value={params}
+            onChange={(value) => setParams(value || '')}
+            theme="vs-dark"
+            options={{
+              minimap: { enabled: false },
+              fontSize: 14,
+              lineNumbers: 'off',
+              scrollBeyondLastLine: false,
+              automaticLayout: true,
+              tabSize: 2,
+            }}
+          />
+        </div>
+      </div>
+    ),
+  }
+}
@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef } from 'react'
+import { createRequestController, describeAbort } from '@/lib/esRequestControl'
+
+/**
+ * 定时轮询 _cluster/health
+ * 上一次检查完成后才开始计时下一次，检查超时也算作失败；连续失败 maxFailures 次后调用 onUnreachable
+ * @param {Object} options
+ * @param {ESConnection} options.connection 当前连接
+ * @param {boolean} options.enabled 是否轮询（已连接时为 true）
+ * @param {number} options.interval 轮询间隔（秒），0 表示不轮询
+ * @param {number} options.timeout 每次检查的超时（秒），0 表示不限制
+ * @param {Function} options.getHeaders 生成请求头
+ * @param {Object|null} options.initialHealth 连接时得到的 health，作为初始值
+ * @param {Function} options.onUnreachable 连续失败后的回调
+ * @param {number} options.maxFailures 允许的连续失败次数
+ * @returns {{ health: Object|null, status: string, failures: number, lastChecked: Date|null }}
+ */
+export function useClusterHealth({
+  connection,
+  enabled,
+  interval,
+  timeout = 30,
+  getHeaders,
+  initialHealth = null,
+  onUnreachable,
+  maxFailures = 3,
+}) {
+  const [health, setHealth] = useState(initialHealth)
+  const [failures, setFailures] = useState(0)
+  const [lastChecked, setLastChecked] = useState(null)
+
+  // 回调放在 ref 中，避免每次渲染都重启定时器
+  const getHeadersRef = useRef(getHeaders)
+  const onUnreachableRef = useRef(onUnreachable)
+  getHeadersRef.current = getHeaders
+  onUnreachableRef.current = onUnreachable
+
+  useEffect(() => {
+    setHealth(initialHealth)
+    setFailures(0)
+    setLastChecked(initialHealth ? new Date() : null)
+  }, [initialHealth])
+
+  useEffect(() => {
+    if (!enabled || !connection || !interval || interval <= 0) {
+      return
+    }
+
+    let cancelled = false
+    let failureCount = 0
+    let timer = null
+    let control = null
+
+    const poll = async () => {
+      control = createRequestController(timeout)
+      try {
+        const response = await connection.request('/_cluster/health', {
+          method: 'GET',
+          headers: getHeadersRef.current(),
+          signal: control.signal,
+        })
+        if (!response.ok) {
+          throw new Error(`Health check failed: ${response.status} ${response.statusText}`)
+        }
+        const data = await response.json()
+        if (cancelled) return
+        failureCount = 0
+        setHealth(data)
+        setFailures(0)
+      } catch (error) {
+        if (cancelled) return
+        const reason = describeAbort(control)
+        failureCount++
+        setFailures(failureCount)
+        console.warn(`[Health] Poll failed (${failureCount}/${maxFailures}):`, reason || error)
+        if (failureCount >= maxFailures) {
+          onUnreachableRef.current?.(reason ? new Error(reason) : error)
+          return
+        }
+      } finally {
+        control.dispose()
+        if (!cancelled) setLastChecked(new Date())
+      }
+      if (!cancelled) schedule()
+    }
+
+    const schedule = () => {
+      timer = setTimeout(poll, interval * 1000)
+    }
+
+    schedule()
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      control?.cancel()
+    }
+  }, [enabled, connection, interval, timeout, maxFailures])
+
+  const status = !enabled
+    ? 'unknown'
+    : failures >= maxFailures
+      ? 'unreachable'
+      : health?.status || 'unknown'
+
+  return { health, status, failures, lastChecked }
+}
@@ -0,0 +1,279 @@
+/**
+ * Credential Vault
+ * 使用主密码派生的密钥（PBKDF2 + AES-GCM）加密保存连接凭据
+ * 非敏感配置仍保存在 settings.json 中，凭据单独加密保存在 vault.json 中
+ */
+
+import { load } from '@tauri-apps/plugin-store'
+
+const VAULT_PATH = 'vault.json'
+const PBKDF2_ITERATIONS = 310000
+
+/**
+ * profile 中需要加密保存的字段
+ */
+export const SECRET_FIELDS = ['password', 'apiKeySecret', 'apiKey', 'bearerToken']
+
+/**
+ * ArrayBuffer / Uint8Array 转 base64
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary)
+}
+
+/**
+ * base64 转 Uint8Array
+ */
+function fromBase64(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * 由主密码派生 AES-GCM 密钥
+ * @param {string} passphrase 主密码
+ * @param {Uint8Array} salt 盐
+ * @param {number} iterations PBKDF2 迭代次数
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * 判断 profile 是否包含明文凭据
+ * @param {Object} profile 连接配置
+ * @returns {boolean}
+ */
+export function hasSecrets(profile) {
+  return SECRET_FIELDS.some(field => !!profile?.[field]) ||
+    (profile?.headers || []).some(h => h.secret && h.value)
+}
+
+/**
+ * 去除 profile 中的凭据字段（包括标记为 secret 的自定义请求头的值）
+ * @param {Object} profile 连接配置
+ * @returns {Object} 不含凭据的 profile
+ */
+export function stripSecrets(profile) {
+  const result = { ...profile }
+  for (const field of SECRET_FIELDS) {
+    result[field] = ''
+  }
+  if (profile.headers) {
+    result.headers = profile.headers.map(h => (h.secret ? { ...h, value: '' } : h))
+  }
+  return result
+}
+
+/**
+ * 提取 profile 中的凭据字段
+ * @param {Object} profile 连接配置
+ * @returns {Object} 凭据，secret 请求头的值按请求头 id 保存在 headerSecrets 中（同名的请求头不会互相覆盖）
+ */
+export function pickSecrets(profile) {
+  const secrets = {}
+  for (const field of SECRET_FIELDS) {
+    if (profile[field]) secrets[field] = profile[field]
+  }
+  for (const header of profile.headers || []) {
+    if (header.secret && header.value) {
+      secrets.headerSecrets = { ...secrets.headerSecrets, [header.id]: header.value }
+    }
+  }
+  return secrets
+}
+
+/**
+ * 将凭据合并回 profile
+ * 旧版保险库中 secret 请求头的值按名称保存在 headerValues 中，找不到 id 时按名称读取
+ * @param {Object} profile 不含凭据的 profile
+ * @param {Object} secrets pickSecrets 的结果
+ * @returns {Object} 完整的 profile
+ */
+export function mergeSecrets(profile, secrets) {
+  const { headerSecrets = {}, headerValues = {}, ...fields } = secrets || {}
+  const result = { ...profile, ...fields }
+  if (profile.headers) {
+    result.headers = profile.headers.map(h => {
+      const value = headerSecrets[h.id] ?? headerValues[h.key]
+      return h.secret && value !== undefined ? { ...h, value } : h
+    })
+  }
+  return result
+}
+
+/**
+ * 凭据保险库
+ */
+class CredentialVault {
+  constructor() {
+    this.key = null
+    this.salt = null
+    this.iterations = PBKDF2_ITERATIONS
+    // { [profileId]: { password, apiKey, ... } }
+    this.secrets = {}
+  }
+
+  /**
+   * 是否已解锁
+   */
+  get isUnlocked() {
+    return this.key !== null
+  }
+
+  /**
+   * 是否已经设置过主密码
+   * @returns {Promise<boolean>}
+   */
+  async isInitialized() {
+    const store = await load(VAULT_PATH)
+    return !!(await store.get('data'))
+  }
+
+  /**
+   * 使用主密码解锁；如果保险库尚未创建，则以该密码创建
+   * @param {string} passphrase 主密码
+   */
+  async unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('Passphrase is required')
+    }
+
+    const store = await load(VAULT_PATH)
+    const data = await store.get('data')
+
+    if (!data) {
+      this.salt = crypto.getRandomValues(new Uint8Array(16))
+      this.iterations = PBKDF2_ITERATIONS
+      this.key = await deriveKey(passphrase, this.salt, this.iterations)
+      this.secrets = {}
+      await this.persist()
+      return
+    }
+
+    const salt = fromBase64(await store.get('salt'))
+    const iterations = (await store.get('iterations')) || PBKDF2_ITERATIONS
+    const key = await deriveKey(passphrase, salt, iterations)
+
+    let plaintext
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(data.iv) },
+        key,
+        fromBase64(data.ciphertext)
+      )
+    } catch (error) {
+      // AES-GCM 认证失败即说明密码错误
+      throw new Error('Incorrect passphrase')
+    }
+
+    this.key = key
+    this.salt = salt
+    this.iterations = iterations
+    this.secrets = JSON.parse(new TextDecoder().decode(plaintext))
+  }
+
+  /**
+   * 锁定保险库，清除内存中的密钥和凭据
+   */
+  lock() {
+    this.key = null
+    this.salt = null
+    this.secrets = {}
+  }
+
+  /**
+   * 更换主密码（重新派生密钥并加密）
+   * @param {string} currentPassphrase 当前主密码
+   * @param {string} newPassphrase 新主密码
+   */
+  async rekey(currentPassphrase, newPassphrase) {
+    if (!newPassphrase) {
+      throw new Error('New passphrase is required')
+    }
+
+    // 用当前密码重新解锁以验证身份
+    await this.unlock(currentPassphrase)
+
+    this.salt = crypto.getRandomValues(new Uint8Array(16))
+    this.iterations = PBKDF2_ITERATIONS
+    this.key = await deriveKey(newPassphrase, this.salt, this.iterations)
+    await this.persist()
+  }
+
+  /**
+   * 清空保险库（忘记主密码时使用，所有凭据都会丢失）
+   */
+  async reset() {
+    const store = await load(VAULT_PATH)
+    await store.clear()
+    await store.save()
+    this.lock()
+  }
+
+  /**
+   * 获取某个 profile 的凭据
+   * @param {string} profileId profile id
+   * @returns {Object} 凭据
+   */
+  getSecrets(profileId) {
+    return this.secrets[profileId] || {}
+  }
+
+  /**
+   * 替换所有 profile 的凭据并加密保存
+   * @param {Object} secrets { [profileId]: 凭据 }
+   */
+  async setAllSecrets(secrets) {
+    if (!this.isUnlocked) {
+      throw new Error('Credential vault is locked')
+    }
+    this.secrets = secrets
+    await this.persist()
+  }
+
+  /**
+   * 加密并写入 vault.json
+   */
+  async persist() {
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(JSON.stringify(this.secrets))
+    )
+
+    const store = await load(VAULT_PATH)
+    await store.set('salt', toBase64(this.salt))
+    await store.set('iterations', this.iterations)
+    await store.set('data', { iv: toBase64(iv), ciphertext: toBase64(ciphertext) })
+    await store.save()
+  }
+}
+
+// 导出单例
+export const credentialVault = new CredentialVault()
+export { CredentialVault }
@@ -0,0 +1,116 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { CredentialVault, hasSecrets, mergeSecrets, pickSecrets, stripSecrets } from '@/lib/credentialVault'
+
+// 内存中的 tauri-plugin-store：每个文件一个 Map，写入和读取时复制，和写入磁盘一样不共享对象
+const { files } = vi.hoisted(() => ({ files: new Map() }))
+
+vi.mock('@tauri-apps/plugin-store', () => ({
+  load: async (path) => {
+    if (!files.has(path)) files.set(path, new Map())
+    const data = files.get(path)
+    return {
+      get: async key => structuredClone(data.get(key)),
+      set: async (key, value) => { data.set(key, structuredClone(value)) },
+      delete: async key => { data.delete(key) },
+      clear: async () => data.clear(),
+      save: async () => {},
+    }
+  },
+}))
+
+const profile = {
+  id: 'p1',
+  url: 'http://localhost:9200',
+  username: 'elastic',
+  password: 'changeme',
+  apiKey: '',
+  headers: [
+    { id: 'h1', key: 'X-Token', value: 'first', secret: true },
+    { id: 'h2', key: 'X-Token', value: 'second', secret: true },
+    { id: 'h3', key: 'X-Tenant', value: 'acme', secret: false },
+  ],
+}
+
+describe('secret fields', () => {
+  it('detects plaintext secrets', () => {
+    expect(hasSecrets(profile)).toBe(true)
+    expect(hasSecrets(stripSecrets(profile))).toBe(false)
+    expect(hasSecrets({ headers: [{ key: 'X-Token', value: 'x', secret: false }] })).toBe(false)
+  })
+
+  it('strips passwords and secret header values only', () => {
+    const stripped = stripSecrets(profile)
+    expect(stripped.username).toBe('elastic')
+    expect(stripped.password).toBe('')
+    expect(stripped.headers.map(h => h.value)).toEqual(['', '', 'acme'])
+  })
+
+  it('keys secret headers by id so headers with the same name keep their own values', () => {
+    const secrets = pickSecrets(profile)
+    expect(secrets).toEqual({ password: 'changeme', headerSecrets: { h1: 'first', h2: 'second' } })
+    expect(mergeSecrets(stripSecrets(profile), secrets)).toMatchObject(profile)
+  })
+
+  it('reads secret headers saved by name in older vaults', () => {
+    const merged = mergeSecrets(stripSecrets(profile), { headerValues: { 'X-Token': 'legacy' } })
+    expect(merged.headers.map(h => h.value)).toEqual(['legacy', 'legacy', 'acme'])
+  })
+
+  it('leaves secret headers without a saved value empty', () => {
+    const merged = mergeSecrets(stripSecrets(profile), { headerSecrets: { h2: 'second' } })
+    expect(merged.headers.map(h => h.value)).toEqual(['', 'second', 'acme'])
+  })
+})
+
+describe('CredentialVault', () => {
+  beforeEach(() => {
+    files.clear()
+  })
+
+  it('creates the vault with the first passphrase and decrypts it again', async () => {
+    const vault = new CredentialVault()
+    expect(await vault.isInitialized()).toBe(false)
+    await vault.unlock('correct horse')
+    await vault.setAllSecrets({ p1: { password: 'changeme' } })
+
+    // 磁盘上只有密文
+    const stored = JSON.stringify(Object.fromEntries(files.get('vault.json')))
+    expect(stored).not.toContain('changeme')
+
+    const reopened = new CredentialVault()
+    expect(await reopened.isInitialized()).toBe(true)
+    await reopened.unlock('correct horse')
+    expect(reopened.getSecrets('p1')).toEqual({ password: 'changeme' })
+  })
+
+  it('rejects a wrong passphrase and stays locked', async () => {
+    await new CredentialVault().unlock('correct horse')
+    const vault = new CredentialVault()
+    await expect(vault.unlock('wrong')).rejects.toThrow('Incorrect passphrase')
+    expect(vault.isUnlocked).toBe(false)
+    await expect(vault.unlock('')).rejects.toThrow('Passphrase is required')
+  })
+
+  it('re-encrypts the secrets with a new passphrase', async () => {
+    const vault = new CredentialVault()
+    await vault.unlock('old')
+    await vault.setAllSecrets({ p1: { apiKey: 'abc' } })
+    await expect(vault.rekey('wrong', 'new')).rejects.toThrow('Incorrect passphrase')
+    await vault.rekey('old', 'new')
+
+    const reopened = new CredentialVault()
+    await expect(reopened.unlock('old')).rejects.toThrow('Incorrect passphrase')
+    await reopened.unlock('new')
+    expect(reopened.getSecrets('p1')).toEqual({ apiKey: 'abc' })
+  })
+
+  it('refuses to save while locked and forgets secrets on lock', async () => {
+    const vault = new CredentialVault()
+    await expect(vault.setAllSecrets({})).rejects.toThrow('Credential vault is locked')
+    await vault.unlock('pass')
+    await vault.setAllSecrets({ p1: { password: 'x' } })
+    vault.lock()
+    expect(vault.isUnlocked).toBe(false)
+    expect(vault.getSecrets('p1')).toEqual({})
+  })
+})
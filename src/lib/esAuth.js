@@ -0,0 +1,54 @@
+/**
+ * Elasticsearch Authentication
+ * 根据 profile 的认证方式生成 Authorization 请求头
+ */
+
+/**
+ * 支持的认证方式
+ */
+export const AUTH_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'basic', label: 'Basic' },
+  { value: 'apikey', label: 'API key' },
+  { value: 'bearer', label: 'Bearer token' },
+]
+
+/**
+ * 推断 profile 的认证方式（兼容没有 authType 字段的旧 profile）
+ * @param {Object} profile 连接配置
+ * @returns {string} 认证方式
+ */
+export function getAuthType(profile) {
+  if (profile?.authType) return profile.authType
+  return profile?.username ? 'basic' : 'none'
+}
+
+/**
+ * 生成 Authorization 请求头的值
+ * @param {Object} profile 连接配置
+ * @returns {string|null} Authorization 头的值，无需认证时返回 null
+ */
+export function createAuthHeader(profile) {
+  if (!profile) return null
+
+  switch (getAuthType(profile)) {
+    case 'basic':
+      if (!profile.username) return null
+      return 'Basic ' + btoa(profile.username + ':' + (profile.password || ''))
+
+    case 'apikey':
+      // 优先使用已编码的 API key，否则由 id:secret 编码
+      if (profile.apiKey) return 'ApiKey ' + profile.apiKey.trim()
+      if (profile.apiKeyId && profile.apiKeySecret) {
+        return 'ApiKey ' + btoa(profile.apiKeyId + ':' + profile.apiKeySecret)
+      }
+      return null
+
+    case 'bearer':
+      if (!profile.bearerToken) return null
+      return 'Bearer ' + profile.bearerToken.trim()
+
+    default:
+      return null
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Bulk Requests
+ * 解析 _bulk 编辑器中的 action / source 行，逐行检查，按批生成 NDJSON 请求体，并汇总失败的项
+ */
+
+export const BULK_ACTIONS = ['index', 'create', 'update', 'delete']
+
+// 默认每批发送的操作数
+export const DEFAULT_BULK_CHUNK_SIZE = 500
+
+// 整行注释（发送前去掉）
+const COMMENT_LINE = /^\s*(#|\/\/)/
+
+// 索引名称中不允许的字符
+const INVALID_INDEX_CHARS = /[\\/*?"<>| ,#:]/
+
+/**
+ * 解析 action 行
+ * @returns {{ action: string|null, meta: Object|null, error: string|null }}
+ */
+function parseActionLine(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (e) {
+    // JSON 错误由 validateJson 报告；根据文本猜测是否为 delete，以便正确配对后面的行
+    return { action: /^\s*\{\s*"delete"/.test(text) ? 'delete' : null, meta: null, error: null }
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    return { action: null, meta: null, error: 'The action line must be an object such as {"index": {"_index": "my-index"}}' }
+  }
+  const keys = Object.keys(parsed)
+  if (keys.length !== 1 || !BULK_ACTIONS.includes(keys[0])) {
+    return { action: null, meta: null, error: `The action line must have exactly one of ${BULK_ACTIONS.join(', ')}` }
+  }
+  const meta = parsed[keys[0]]
+  if (typeof meta !== 'object' || meta === null || Array.isArray(meta)) {
+    return { action: keys[0], meta: null, error: `"${keys[0]}" must be an object with the document metadata` }
+  }
+  return { action: keys[0], meta, error: null }
+}
+
+/**
+ * 解析 _bulk 编辑器内容
+ * @param {string} text 编辑器内容
+ * @returns {Array<{ action: string|null, meta: Object|null, error: string|null, actionLine: Object, source: Object|null }>}
+ *   actionLine / source 为 { lineNumber, text }，delete 没有 source
+ */
+export function parseBulk(text) {
+  const items = []
+  let current = null
+
+  const lines = (text || '').split('\n')
+  lines.forEach((line, i) => {
+    if (!line.trim() || COMMENT_LINE.test(line)) return
+    if (!current) {
+      current = { ...parseActionLine(line), actionLine: { lineNumber: i + 1, text: line }, source: null }
+      items.push(current)
+      if (current.action === 'delete') current = null
+    } else {
+      current.source = { lineNumber: i + 1, text: line }
+      current = null
+    }
+  })
+
+  return items
+}
+
+/**
+ * 检查索引名称
+ * @param {string} name 索引名称
+ * @returns {string|null} 不合法的原因
+ */
+export function getIndexNameError(name) {
+  if (typeof name !== 'string' || !name) return 'The index name must be a non-empty string'
+  if (name !== name.toLowerCase()) return `Index name "${name}" must be lowercase`
+  if (INVALID_INDEX_CHARS.test(name)) return `Index name "${name}" must not contain \\ / * ? " < > | , # : or spaces`
+  if (/^[-_+]/.test(name)) return `Index name "${name}" must not start with -, _ or +`
+  if (name === '.' || name === '..') return `"${name}" is not a valid index name`
+  if (new TextEncoder().encode(name).length > 255) return `Index name "${name}" is longer than 255 bytes`
+  return null
+}
+
+/**
+ * 检查 update 的 source 行
+ */
+function getUpdateSourceError(text) {
+  try {
+    const source = JSON.parse(text)
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+      return 'The update source line must be an object'
+    }
+    if (!('doc' in source) && !('script' in source) && !('upsert' in source)) {
+      return 'The update source line needs "doc", "script" or "upsert"'
+    }
+  } catch (e) {
+    // JSON 错误由 validateJson 报告
+  }
+  return null
+}
+
+/**
+ * 获取要诊断的行
+ * @param {Array} items parseBulk 的结果
+ * @param {Object} options { defaultIndex: 路径中的索引（'*' 表示没有），indices: 已有的索引 }
+ * @returns {Array<{ lineNumber: number, text: string, isQuery: boolean, error?: string, warning?: string }>}
+ */
+export function getBulkLines(items, { defaultIndex, indices }) {
+  const lines = []
+  for (const item of items) {
+    const actionLine = { ...item.actionLine, isQuery: false }
+    if (item.error) {
+      actionLine.error = item.error
+    } else if (item.meta) {
+      const index = item.meta._index ?? (defaultIndex !== '*' ? defaultIndex : null)
+      if (index === null) {
+        actionLine.error = 'Missing "_index": set it here or select a default index'
+      } else {
+        const indexError = getIndexNameError(index)
+        if (indexError) {
+          actionLine.error = indexError
+        } else if (indices.length > 0 && !indices.includes(index)) {
+          actionLine.warning = `Index "${index}" does not exist yet; it is created if automatic index creation is enabled (or it may be an alias or data stream)`
+        }
+      }
+      if (!actionLine.error && item.action !== 'delete' && !item.source) {
+        actionLine.error = `The ${item.action} action needs a source line after it`
+      }
+    }
+    lines.push(actionLine)
+
+    if (item.source) {
+      const sourceLine = { ...item.source, isQuery: false }
+      if (item.action === 'update') {
+        const updateError = getUpdateSourceError(item.source.text)
+        if (updateError) sourceLine.error = updateError
+      }
+      lines.push(sourceLine)
+    }
+  }
+  return lines
+}
+
+/**
+ * 生成一批操作的 NDJSON 请求体
+ * 每一行只用 JSON.parse 检查，发送的是原来的文本：重新序列化会丢失大整数的精度
+ * @param {Array} items parseBulk 的结果
+ * @returns {string}
+ */
+export function createBulkBody(items) {
+  const lines = []
+  for (const item of items) {
+    if (item.error) {
+      throw new Error(`Line ${item.actionLine.lineNumber}: ${item.error}`)
+    }
+    if (item.action !== 'delete' && !item.source) {
+      throw new Error(`Line ${item.actionLine.lineNumber}: the ${item.action || 'action'} line needs a source line after it`)
+    }
+    for (const line of [item.actionLine, item.source].filter(Boolean)) {
+      try {
+        JSON.parse(line.text)
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${line.lineNumber}: ${err.message}`)
+      }
+      lines.push(line.text.trim())
+    }
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 把操作分成多批
+ * @param {Array} items parseBulk 的结果
+ * @param {number} chunkSize 每批的操作数
+ * @returns {Array<Array>}
+ */
+export function chunkBulkItems(items, chunkSize) {
+  const size = Math.max(1, Math.floor(chunkSize) || DEFAULT_BULK_CHUNK_SIZE)
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * 找出一批响应中失败的项
+ * @param {Object} data _bulk 的响应
+ * @param {Array} items 这一批的操作（与 data.items 一一对应）
+ * @returns {Array<{ item: Object, action: string, index: string, id: string, status: number, type: string, reason: string }>}
+ */
+export function getBulkFailures(data, items) {
+  const failures = []
+  const results = data?.items || []
+  results.forEach((result, i) => {
+    const [action, detail] = Object.entries(result)[0] || []
+    if (!detail?.error) return
+    failures.push({
+      item: items[i],
+      action,
+      index: detail._index,
+      id: detail._id,
+      status: detail.status,
+      type: detail.error.type || null,
+      reason: detail.error.reason || JSON.stringify(detail.error),
+    })
+  })
+  return failures
+}
+
+/**
+ * 把失败的项转换回编辑器文本（原来的 action 和 source 行）
+ * @param {Array} failures getBulkFailures 的结果
+ * @returns {string}
+ */
+export function getBulkFailuresText(failures) {
+  return failures
+    .flatMap(({ item }) => [item.actionLine.text, item.source?.text].filter(Boolean))
+    .join('\n') + '\n'
+}
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest'
+import {
+  chunkBulkItems,
+  createBulkBody,
+  getBulkFailures,
+  getBulkFailuresText,
+  getBulkLines,
+  getIndexNameError,
+  parseBulk,
+} from '@/lib/esBulk'
+
+const TEXT = `# import
+{ "index": { "_index": "logs" } }
+{ "id": 12345678901234567890 }
+
+{ "delete": { "_index": "logs", "_id": "1" } }
+{ "update": { "_id": "2" } }
+{ "doc": { "a": 1 } }`
+
+describe('parseBulk', () => {
+  it('pairs action and source lines and skips comments and blank lines', () => {
+    const items = parseBulk(TEXT)
+    expect(items.map(item => [item.action, item.actionLine.lineNumber, item.source?.lineNumber ?? null])).toEqual([
+      ['index', 2, 3],
+      ['delete', 5, null],
+      ['update', 6, 7],
+    ])
+  })
+
+  it('reports action lines that are not actions', () => {
+    expect(parseBulk('{ "index": {}, "create": {} }\n{}')[0].error).toMatch(/exactly one of/)
+    expect(parseBulk('[1]')[0].error).toMatch(/must be an object/)
+    expect(parseBulk('{ "index": 1 }')[0].error).toMatch(/document metadata/)
+  })
+
+  it('pairs a delete written with invalid JSON without a source line', () => {
+    const items = parseBulk('{ "delete": { "_id": 1, } }\n{ "index": {} }\n{}')
+    expect(items.map(item => item.action)).toEqual(['delete', 'index'])
+  })
+})
+
+describe('getIndexNameError', () => {
+  it('accepts valid names', () => {
+    expect(getIndexNameError('logs-2024.01')).toBeNull()
+  })
+
+  it('rejects invalid names', () => {
+    expect(getIndexNameError('Logs')).toMatch(/lowercase/)
+    expect(getIndexNameError('a b')).toMatch(/must not contain/)
+    expect(getIndexNameError('_logs')).toMatch(/must not start/)
+    expect(getIndexNameError('..')).toMatch(/not a valid/)
+    expect(getIndexNameError('')).toMatch(/non-empty/)
+  })
+})
+
+describe('getBulkLines', () => {
+  it('checks the index and the update source', () => {
+    const items = parseBulk('{ "index": {} }\n{}\n{ "update": { "_index": "new" } }\n{ "a": 1 }')
+    const lines = getBulkLines(items, { defaultIndex: '*', indices: ['logs'] })
+    expect(lines[0].error).toMatch(/Missing "_index"/)
+    expect(lines[2].warning).toMatch(/does not exist yet/)
+    expect(lines[3].error).toMatch(/"doc", "script" or "upsert"/)
+  })
+
+  it('uses the selected index and requires a source line', () => {
+    const lines = getBulkLines(parseBulk('{ "create": {} }'), { defaultIndex: 'logs', indices: [] })
+    expect(lines[0].error).toMatch(/needs a source line/)
+  })
+})
+
+describe('createBulkBody', () => {
+  it('sends the lines as written', () => {
+    expect(createBulkBody(parseBulk(TEXT))).toBe([
+      '{ "index": { "_index": "logs" } }',
+      '{ "id": 12345678901234567890 }',
+      '{ "delete": { "_index": "logs", "_id": "1" } }',
+      '{ "update": { "_id": "2" } }',
+      '{ "doc": { "a": 1 } }',
+    ].join('\n') + '\n')
+  })
+
+  it('rejects invalid lines with their line number', () => {
+    expect(() => createBulkBody(parseBulk('{ "index": {} }\n{ "a": }'))).toThrow(/Invalid JSON on line 2/)
+    expect(() => createBulkBody(parseBulk('{ "index": {} }'))).toThrow(/Line 1: the index line needs a source line/)
+  })
+})
+
+describe('chunkBulkItems', () => {
+  it('splits the items into chunks', () => {
+    expect(chunkBulkItems([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]])
+    expect(chunkBulkItems([1, 2], 0)).toEqual([[1, 2]])
+  })
+})
+
+describe('getBulkFailures / getBulkFailuresText', () => {
+  it('collects the failed items and turns them back into editor text', () => {
+    const items = parseBulk(TEXT)
+    const data = {
+      errors: true,
+      items: [
+        { index: { _index: 'logs', _id: 'a', status: 201 } },
+        { delete: { _index: 'logs', _id: '1', status: 404, error: { type: 'not_found', reason: 'missing' } } },
+        { update: { _index: 'logs', _id: '2', status: 409, error: { type: 'version_conflict_engine_exception', reason: 'conflict' } } },
+      ],
+    }
+    const failures = getBulkFailures(data, items)
+    expect(failures.map(({ action, id, status, type }) => ({ action, id, status, type }))).toEqual([
+      { action: 'delete', id: '1', status: 404, type: 'not_found' },
+      { action: 'update', id: '2', status: 409, type: 'version_conflict_engine_exception' },
+    ])
+    expect(getBulkFailuresText(failures)).toBe([
+      '{ "delete": { "_index": "logs", "_id": "1" } }',
+      '{ "update": { "_id": "2" } }',
+      '{ "doc": { "a": 1 } }',
+    ].join('\n') + '\n')
+  })
+})
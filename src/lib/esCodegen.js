@@ -0,0 +1,352 @@
+/**
+ * Request Code Generator
+ * 把当前请求转换为 curl、Kibana 控制台、elasticsearch-py、@elastic/elasticsearch 和 Java 客户端代码
+ * 使用当前连接的地址和认证方式，凭据一律以占位符代替
+ */
+
+import { getAuthType } from '@/lib/esAuth'
+import { getCustomHeaders } from '@/lib/esHeaders'
+import { parseNodeUrls } from '@/lib/esConnection'
+import { isNdjsonPath } from '@/lib/esRequest'
+
+/**
+ * 支持的代码格式
+ */
+export const CODE_FORMATS = [
+  { value: 'curl', label: 'curl' },
+  { value: 'console', label: 'Kibana console' },
+  { value: 'python', label: 'Python (elasticsearch-py)' },
+  { value: 'javascript', label: 'JavaScript (@elastic/elasticsearch)' },
+  { value: 'java', label: 'Java (low-level REST client)' },
+]
+
+// 凭据占位符
+const PASSWORD_PLACEHOLDER = '<password>'
+const API_KEY_PLACEHOLDER = '<api-key>'
+const TOKEN_PLACEHOLDER = '<token>'
+const SECRET_PLACEHOLDER = '<redacted>'
+
+/**
+ * 解析请求体，生成代码时使用
+ * @param {string} method HTTP 方法
+ * @param {string} path 以 / 开头的路径，可以包含 query string
+ * @param {string} bodyText 请求体文本（可以为空）
+ * @returns {{ method: string, pathname: string, params: Array<[string, string]>, path: string, body: *, ndjson: boolean }}
+ *   body 为 JSON 值，NDJSON 接口为对象数组，没有请求体时为 null
+ */
+export function createCodeRequest(method, path, bodyText) {
+  const [pathname, query = ''] = path.split('?')
+  const params = Array.from(new URLSearchParams(query).entries())
+  const ndjson = isNdjsonPath(path)
+
+  let body = null
+  if (method !== 'HEAD' && bodyText && bodyText.trim()) {
+    try {
+      body = ndjson
+        ? bodyText.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        : JSON.parse(bodyText)
+    } catch (err) {
+      throw new Error('Invalid JSON in request body: ' + err.message)
+    }
+  }
+
+  return { method, pathname, params, path, body, ndjson }
+}
+
+/**
+ * 获取认证信息（凭据以占位符代替）
+ * @param {Object} profile 连接配置
+ * @returns {{ type: string, username?: string, header?: string }}
+ */
+function getRedactedAuth(profile) {
+  switch (getAuthType(profile)) {
+    case 'basic':
+      return { type: 'basic', username: profile.username || '<username>' }
+    case 'apikey':
+      return { type: 'apikey', header: `ApiKey ${API_KEY_PLACEHOLDER}` }
+    case 'bearer':
+      return { type: 'bearer', header: `Bearer ${TOKEN_PLACEHOLDER}` }
+    default:
+      return { type: 'none' }
+  }
+}
+
+/**
+ * profile 自定义请求头（secret 请求头的值以占位符代替）
+ */
+function getRedactedHeaders(profile) {
+  return getCustomHeaders(profile).map(h => [h.key.trim(), h.secret ? SECRET_PLACEHOLDER : h.value])
+}
+
+/**
+ * 连接地址（多节点时使用第一个）
+ */
+function getBaseUrl(profile) {
+  return parseNodeUrls(profile?.url)[0] || 'http://localhost:9200'
+}
+
+/**
+ * 请求体的文本形式
+ */
+function bodyToText(request, indent = 2) {
+  if (request.body === null) return null
+  return request.ndjson
+    ? request.body.map(item => JSON.stringify(item)).join('\n') + '\n'
+    : JSON.stringify(request.body, null, indent)
+}
+
+// shell 单引号转义
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`
+}
+
+/**
+ * curl
+ */
+function toCurl(request, profile) {
+  const lines = []
+  const url = `${getBaseUrl(profile)}${request.path}`
+  lines.push(request.method === 'HEAD' ? `curl -I ${shellQuote(url)}` : `curl -X ${request.method} ${shellQuote(url)}`)
+
+  const auth = getRedactedAuth(profile)
+  if (auth.type === 'basic') {
+    lines.push(`-u ${shellQuote(`${auth.username}:${PASSWORD_PLACEHOLDER}`)}`)
+  } else if (auth.header) {
+    lines.push(`-H ${shellQuote(`Authorization: ${auth.header}`)}`)
+  }
+  for (const [key, value] of getRedactedHeaders(profile)) {
+    lines.push(`-H ${shellQuote(`${key}: ${value}`)}`)
+  }
+
+  if (profile?.tlsCaFile) lines.push(`--cacert ${shellQuote(profile.tlsCaFile)}`)
+  if (profile?.tlsCertFile) lines.push(`--cert ${shellQuote(profile.tlsCertFile)}`)
+  if (profile?.tlsKeyFile) lines.push(`--key ${shellQuote(profile.tlsKeyFile)}`)
+  if (profile?.tlsAcceptInvalidCerts) lines.push('-k')
+
+  const body = bodyToText(request)
+  if (body !== null) {
+    lines.push(`-H ${shellQuote(`Content-Type: application/${request.ndjson ? 'x-ndjson' : 'json'}`)}`)
+    lines.push(`${request.ndjson ? '--data-binary' : '-d'} ${shellQuote(body)}`)
+  }
+
+  return lines.join(' \\\n  ')
+}
+
+/**
+ * Kibana 控制台
+ */
+function toConsole(request) {
+  const body = bodyToText(request)
+  return body === null ? `${request.method} ${request.path}` : `${request.method} ${request.path}\n${body.trimEnd()}`
+}
+
+/**
+ * JSON 值转换为 Python 字面量
+ */
+function toPythonLiteral(value, indent = '') {
+  const inner = indent + '    '
+  if (value === null) return 'None'
+  if (value === true) return 'True'
+  if (value === false) return 'False'
+  if (typeof value === 'string') return JSON.stringify(value)
+  if (typeof value === 'number') return String(value)
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]'
+    return `[\n${value.map(v => inner + toPythonLiteral(v, inner)).join(',\n')},\n${indent}]`
+  }
+  const keys = Object.keys(value)
+  if (keys.length === 0) return '{}'
+  return `{\n${keys.map(k => `${inner}${JSON.stringify(k)}: ${toPythonLiteral(value[k], inner)}`).join(',\n')},\n${indent}}`
+}
+
+/**
+ * Python (elasticsearch-py 8.x)
+ */
+function toPython(request, profile) {
+  const options = [`    ${JSON.stringify(getBaseUrl(profile))},`]
+  const auth = getRedactedAuth(profile)
+  if (auth.type === 'basic') {
+    options.push(`    basic_auth=(${JSON.stringify(auth.username)}, ${JSON.stringify(PASSWORD_PLACEHOLDER)}),`)
+  } else if (auth.type === 'apikey') {
+    options.push(`    api_key=${JSON.stringify(API_KEY_PLACEHOLDER)},`)
+  } else if (auth.type === 'bearer') {
+    options.push(`    bearer_auth=${JSON.stringify(TOKEN_PLACEHOLDER)},`)
+  }
+  const headers = getRedactedHeaders(profile)
+  if (headers.length > 0) {
+    options.push(`    headers={${headers.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')}},`)
+  }
+  if (profile?.tlsCaFile) options.push(`    ca_certs=${JSON.stringify(profile.tlsCaFile)},`)
+  if (profile?.tlsCertFile) options.push(`    client_cert=${JSON.stringify(profile.tlsCertFile)},`)
+  if (profile?.tlsKeyFile) options.push(`    client_key=${JSON.stringify(profile.tlsKeyFile)},`)
+  if (profile?.tlsAcceptInvalidCerts) options.push('    verify_certs=False,')
+
+  const args = [`    ${JSON.stringify(request.method)},`, `    ${JSON.stringify(request.pathname)},`]
+  if (request.params.length > 0) {
+    args.push(`    params={${request.params.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')}},`)
+  }
+  const contentType = request.ndjson ? 'application/x-ndjson' : 'application/json'
+  args.push(request.body === null
+    ? '    headers={"accept": "application/json"},'
+    : `    headers={"accept": "application/json", "content-type": ${JSON.stringify(contentType)}},`)
+  if (request.body !== null) {
+    args.push(`    body=${toPythonLiteral(request.body, '    ')},`)
+  }
+
+  return [
+    'from elasticsearch import Elasticsearch',
+    '',
+    'client = Elasticsearch(',
+    ...options,
+    ')',
+    '',
+    'resp = client.perform_request(',
+    ...args,
+    ')',
+    'print(resp)',
+  ].join('\n')
+}
+
+/**
+ * JavaScript (@elastic/elasticsearch 8.x)
+ */
+function toJavaScript(request, profile) {
+  const options = [`  node: ${JSON.stringify(getBaseUrl(profile))},`]
+  const auth = getRedactedAuth(profile)
+  if (auth.type === 'basic') {
+    options.push(`  auth: { username: ${JSON.stringify(auth.username)}, password: ${JSON.stringify(PASSWORD_PLACEHOLDER)} },`)
+  } else if (auth.type === 'apikey') {
+    options.push(`  auth: { apiKey: ${JSON.stringify(API_KEY_PLACEHOLDER)} },`)
+  } else if (auth.type === 'bearer') {
+    options.push(`  auth: { bearer: ${JSON.stringify(TOKEN_PLACEHOLDER)} },`)
+  }
+  const headers = getRedactedHeaders(profile)
+  if (headers.length > 0) {
+    options.push(`  headers: { ${headers.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')} },`)
+  }
+  const tls = []
+  if (profile?.tlsCaFile) tls.push(`ca: fs.readFileSync(${JSON.stringify(profile.tlsCaFile)})`)
+  if (profile?.tlsCertFile) tls.push(`cert: fs.readFileSync(${JSON.stringify(profile.tlsCertFile)})`)
+  if (profile?.tlsKeyFile) tls.push(`key: fs.readFileSync(${JSON.stringify(profile.tlsKeyFile)})`)
+  if (profile?.tlsAcceptInvalidCerts) tls.push('rejectUnauthorized: false')
+  if (tls.length > 0) {
+    options.push(`  tls: { ${tls.join(', ')} },`)
+  }
+
+  const args = [`  method: ${JSON.stringify(request.method)},`, `  path: ${JSON.stringify(request.pathname)},`]
+  if (request.params.length > 0) {
+    args.push(`  querystring: { ${request.params.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')} },`)
+  }
+  if (request.body !== null) {
+    const body = JSON.stringify(request.body, null, 2).replace(/\n/g, '\n  ')
+    args.push(`  ${request.ndjson ? 'bulkBody' : 'body'}: ${body},`)
+  }
+
+  return [
+    ...(tls.some(t => t.includes('fs.')) ? ["import fs from 'node:fs'"] : []),
+    "import { Client } from '@elastic/elasticsearch'",
+    '',
+    'const client = new Client({',
+    ...options,
+    '})',
+    '',
+    'const response = await client.transport.request({',
+    ...args,
+    '})',
+    'console.log(response)',
+  ].join('\n')
+}
+
+// Java 字符串转义
+function javaString(text) {
+  return JSON.stringify(text)
+}
+
+/**
+ * Java (Elasticsearch low-level REST client，Java 客户端的底层传输)
+ */
+function toJava(request, profile) {
+  const imports = [
+    'import org.apache.http.Header;',
+    'import org.apache.http.HttpHost;',
+    'import org.apache.http.message.BasicHeader;',
+    'import org.apache.http.util.EntityUtils;',
+    'import org.elasticsearch.client.Request;',
+    'import org.elasticsearch.client.Response;',
+    'import org.elasticsearch.client.RestClient;',
+  ]
+
+  const headers = []
+  const auth = getRedactedAuth(profile)
+  if (auth.type === 'basic') {
+    imports.push('import java.util.Base64;')
+    headers.push(`new BasicHeader("Authorization", "Basic " + Base64.getEncoder().encodeToString(${javaString(`${auth.username}:${PASSWORD_PLACEHOLDER}`)}.getBytes()))`)
+  } else if (auth.header) {
+    headers.push(`new BasicHeader("Authorization", ${javaString(auth.header)})`)
+  }
+  for (const [key, value] of getRedactedHeaders(profile)) {
+    headers.push(`new BasicHeader(${javaString(key)}, ${javaString(value)})`)
+  }
+
+  const lines = [
+    `RestClient restClient = RestClient.builder(HttpHost.create(${javaString(getBaseUrl(profile))}))`,
+  ]
+  if (headers.length > 0) {
+    lines.push('    .setDefaultHeaders(new Header[]{')
+    lines.push(headers.map(h => `        ${h}`).join(',\n'))
+    lines.push('    })')
+  }
+  lines.push('    .build();')
+  lines.push('')
+  lines.push(`Request request = new Request(${javaString(request.method)}, ${javaString(request.pathname)});`)
+  for (const [key, value] of request.params) {
+    lines.push(`request.addParameter(${javaString(key)}, ${javaString(value)});`)
+  }
+
+  const body = bodyToText(request)
+  if (body !== null) {
+    if (request.ndjson) {
+      imports.push('import org.apache.http.entity.ContentType;', 'import org.apache.http.nio.entity.NStringEntity;')
+      lines.push(`request.setEntity(new NStringEntity(${javaString(body)}, ContentType.create("application/x-ndjson")));`)
+    } else {
+      lines.push('request.setJsonEntity("""')
+      lines.push(...body.replace(/\\/g, '\\\\').split('\n').map(line => `    ${line}`))
+      lines.push('    """);')
+    }
+  }
+
+  lines.push('')
+  lines.push('Response response = restClient.performRequest(request);')
+  lines.push('System.out.println(EntityUtils.toString(response.getEntity()));')
+  lines.push('restClient.close();')
+
+  if (profile?.tlsCaFile || profile?.tlsCertFile || profile?.tlsAcceptInvalidCerts) {
+    lines.unshift('// TLS: configure an SSLContext with setHttpClientConfigCallback for the CA / client certificate of this connection')
+  }
+
+  return [...imports.sort(), '', ...lines].join('\n')
+}
+
+/**
+ * 生成代码
+ * @param {string} format CODE_FORMATS 中的 value
+ * @param {Object} request createCodeRequest 的结果
+ * @param {Object} profile 当前连接配置
+ * @returns {string}
+ */
+export function generateCode(format, request, profile) {
+  switch (format) {
+    case 'curl':
+      return toCurl(request, profile)
+    case 'console':
+      return toConsole(request)
+    case 'python':
+      return toPython(request, profile)
+    case 'javascript':
+      return toJavaScript(request, profile)
+    case 'java':
+      return toJava(request, profile)
+    default:
+      throw new Error(`Unknown code format: ${format}`)
+  }
+}
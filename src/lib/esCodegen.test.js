@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest'
+import { CODE_FORMATS, createCodeRequest, generateCode } from '@/lib/esCodegen'
+
+const SECRETS = ['s3cr3t-password', 'c2VjcmV0LWFwaS1rZXk=', 'api-key-secret', 'bearer-token-value', 'tenant-secret']
+
+const headers = [
+  { key: 'X-Tenant', value: 'acme', secret: false },
+  { key: 'X-Secret', value: 'tenant-secret', secret: true },
+  { key: '  ', value: 'ignored', secret: false },
+]
+
+const profiles = {
+  basic: { url: 'https://es1:9200, https://es2:9200', authType: 'basic', username: 'elastic', password: 's3cr3t-password', headers },
+  apikey: { url: 'https://es1:9200', authType: 'apikey', apiKey: 'c2VjcmV0LWFwaS1rZXk=', apiKeyId: 'key-id', apiKeySecret: 'api-key-secret', headers },
+  bearer: { url: 'https://es1:9200', authType: 'bearer', bearerToken: 'bearer-token-value', headers },
+}
+
+describe('createCodeRequest', () => {
+  it('splits the query string and parses the body', () => {
+    expect(createCodeRequest('POST', '/logs/_search?size=5&q=a b', '{"query": {"match_all": {}}}')).toEqual({
+      method: 'POST',
+      pathname: '/logs/_search',
+      params: [['size', '5'], ['q', 'a b']],
+      path: '/logs/_search?size=5&q=a b',
+      body: { query: { match_all: {} } },
+      ndjson: false,
+    })
+  })
+
+  it('parses NDJSON bodies line by line and ignores HEAD bodies', () => {
+    expect(createCodeRequest('POST', '/_bulk', '{"index": {}}\n\n{"a": 1}\n').body).toEqual([{ index: {} }, { a: 1 }])
+    expect(createCodeRequest('HEAD', '/logs', '{').body).toBeNull()
+    expect(() => createCodeRequest('POST', '/logs/_search', '{')).toThrow(/Invalid JSON in request body/)
+  })
+})
+
+describe('generateCode', () => {
+  const request = createCodeRequest('POST', '/logs/_search?size=5', '{"query": {"match": {"message": "it\'s a \\"quoted\\" \\\\ path"}}}')
+
+  it('never includes passwords, API keys, tokens or secret header values', () => {
+    for (const profile of Object.values(profiles)) {
+      for (const { value: format } of CODE_FORMATS) {
+        const code = generateCode(format, request, profile)
+        for (const secret of SECRETS) {
+          expect(code, `${format} / ${profile.authType}`).not.toContain(secret)
+        }
+      }
+    }
+  })
+
+  it('uses placeholders for the credentials', () => {
+    const curl = generateCode('curl', request, profiles.basic)
+    expect(curl).toContain("-u 'elastic:<password>'")
+    expect(curl).toContain("-H 'X-Tenant: acme'")
+    expect(curl).toContain("-H 'X-Secret: <redacted>'")
+    expect(curl).not.toContain('ignored')
+    expect(generateCode('curl', request, profiles.apikey)).toContain("-H 'Authorization: ApiKey <api-key>'")
+    expect(generateCode('python', request, profiles.bearer)).toContain('bearer_auth="<token>"')
+    expect(generateCode('javascript', request, profiles.apikey)).toContain('auth: { apiKey: "<api-key>" }')
+    expect(generateCode('java', request, profiles.basic)).toContain('"elastic:<password>"')
+  })
+
+  it('uses the first node of the connection', () => {
+    expect(generateCode('curl', request, profiles.basic)).toContain("curl -X POST 'https://es1:9200/logs/_search?size=5'")
+    expect(generateCode('curl', request, null)).toContain("'http://localhost:9200/logs/_search?size=5'")
+  })
+
+  it('quotes single quotes for the shell', () => {
+    expect(generateCode('curl', request, null)).toContain(String.raw`"it'\''s a \"quoted\" \\ path"`)
+  })
+
+  it('writes Python literals', () => {
+    const code = generateCode('python', createCodeRequest('POST', '/logs/_search', '{"a": true, "b": false, "c": null, "d": [], "e": "x\\"y"}'), null)
+    expect(code).toContain('"a": True')
+    expect(code).toContain('"b": False')
+    expect(code).toContain('"c": None')
+    expect(code).toContain('"d": []')
+    expect(code).toContain(String.raw`"e": "x\"y"`)
+  })
+
+  it('writes JavaScript with the query string and NDJSON as bulkBody', () => {
+    const code = generateCode('javascript', createCodeRequest('POST', '/_bulk?refresh=true', '{"index": {}}\n{"a": "\'"}'), null)
+    expect(code).toContain('querystring: { "refresh": "true" }')
+    expect(code).toContain('bulkBody: [')
+    expect(code).toContain(`"a": "'"`)
+  })
+
+  it('escapes backslashes in Java text blocks and strings', () => {
+    const code = generateCode('java', request, null)
+    expect(code).toContain('request.addParameter("size", "5");')
+    expect(code).toContain(String.raw`"message": "it's a \\"quoted\\" \\\\ path"`)
+
+    const bulk = generateCode('java', createCodeRequest('POST', '/_bulk', '{"index": {}}\n{"a": "x\\"y"}'), null)
+    expect(bulk).toContain(String.raw`new NStringEntity("{\"index\":{}}\n{\"a\":\"x\\\"y\"}\n"`)
+  })
+
+  it('writes console requests without connection details', () => {
+    expect(generateCode('console', createCodeRequest('GET', '/_cat/indices?v', ''), profiles.basic)).toBe('GET /_cat/indices?v')
+  })
+
+  it('rejects unknown formats', () => {
+    expect(() => generateCode('ruby', request, null)).toThrow('Unknown code format: ruby')
+  })
+})
@@ -5,6 +5,8 @@
 
 import * as monaco from 'monaco-editor'
 import { getDSLContext } from '@/lib/esDSLParser'
+import { getVersionFeatures } from '@/lib/esVersion'
+import { getPartialVariable } from '@/lib/esVariables'
 
 /**
  * Elasticsearch DSL 关键字和语法定义
@@ -345,6 +347,9 @@ class ESCompletionProvider {
     this.currentIndex = ''
     this.headers = null
     this.mappingService = null
+    this.features = getVersionFeatures(null)
+    // 当前环境中的变量，用于 {{ 之后的补全
+    this.variables = {}
 
     // 用于触发字符
     this.triggerCharacters = ['"', ':', '{', '[', ' ', '.', '"', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z']
@@ -360,6 +365,22 @@ class ESCompletionProvider {
     this.currentFields = fields || {}
   }
 
+  /**
+   * 更新集群版本信息，用于提供与版本匹配的语法建议
+   * @param {Object|null} clusterInfo parseClusterInfo 的结果
+   */
+  updateVersion(clusterInfo) {
+    this.features = getVersionFeatures(clusterInfo)
+  }
+
+  /**
+   * 更新可用的变量
+   * @param {Object} variables 变量名 -> 值（值用于补全项的说明）
+   */
+  updateVariables(variables) {
+    this.variables = variables || {}
+  }
+
   /**
    * Monaco completion provider 接口
    */
@@ -374,6 +395,14 @@ class ESCompletionProvider {
     const lineContent = model.getLineContent(position.lineNumber)
     const lineUntilPosition = lineContent.substring(0, position.column - 1)
 
+    // 在 {{ 之后只补全变量名
+    const partialVariable = getPartialVariable(lineUntilPosition)
+    if (partialVariable !== null) {
+      return {
+        suggestions: this.getVariableSuggestions(partialVariable, lineContent.substring(position.column - 1), position),
+      }
+    }
+
     // 手动获取当前输入的词（支持 JSON 格式，包括引号和下划线）
     const currentWord = this.extractCurrentWord(lineUntilPosition)
     const wordRange = this.getWordRange(lineUntilPosition, position)
@@ -426,6 +455,32 @@ class ESCompletionProvider {
     return result
   }
 
+  /**
+   * 获取变量名建议
+   * @param {string} partial 已输入的变量名
+   * @param {string} lineAfterPosition 光标后的行内容（已有 }} 时不再插入）
+   * @param {Object} position 光标位置
+   */
+  getVariableSuggestions(partial, lineAfterPosition, position) {
+    const closing = /^[\w.-]*\s*\}\}/.exec(lineAfterPosition)
+    const range = {
+      startLineNumber: position.lineNumber,
+      startColumn: position.column - partial.length,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column + (closing ? closing[0].length : 0),
+    }
+    return Object.entries(this.variables)
+      .filter(([name]) => name.toLowerCase().startsWith(partial.toLowerCase()))
+      .map(([name, value]) => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Variable,
+        detail: 'Request variable',
+        documentation: String(value),
+        insertText: `${name}}}`,
+        range,
+      }))
+  }
+
   /**
    * 提取当前正在输入的词
    */
@@ -502,6 +557,16 @@ class ESCompletionProvider {
         { label: 'from', kind: monaco.languages.CompletionItemKind.Property, detail: 'Starting offset', insertText: '"from": ' },
         { label: '_source', kind: monaco.languages.CompletionItemKind.Property, detail: 'Source filtering', insertText: '"_source": ' },
       )
+      if (this.features.retriever) {
+        suggestions.push(
+          { label: 'retriever', kind: monaco.languages.CompletionItemKind.Property, detail: 'Retriever (8.14+)', insertText: '"retriever": {\n  "standard": {\n    "query": {\n      $1\n    }\n  }\n}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
+        )
+      }
+      if (this.features.knnSearch) {
+        suggestions.push(
+          { label: 'knn', kind: monaco.languages.CompletionItemKind.Property, detail: 'kNN search (8.4+)', insertText: '"knn": {\n  "field": "$1",\n  "query_vector": [],\n  "k": 10,\n  "num_candidates": 100\n}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
+        )
+      }
     } else if (location === 'query' && path.length === 1) {
       // query: { 这里，提供所有 query 类型
       suggestions.push(...this.getQueryTypeSuggestions())
@@ -516,6 +581,9 @@ class ESCompletionProvider {
     } else if (location === 'bool_clause') {
       // 在 bool 子句中，提供 query 类型
       suggestions.push(...this.getQueryTypeSuggestions())
+    } else if (dslContext.currentKey === 'date_histogram') {
+      // date_histogram 的参数，interval 写法取决于集群版本
+      suggestions.push(...this.getDateHistogramOptionSuggestions())
     } else if (queryType) {
       // 在特定 query 类型中，提供字段名
       suggestions.push(...this.getFieldNameSuggestions())
@@ -634,6 +702,33 @@ class ESCompletionProvider {
     }))
   }
 
+  /**
+   * 获取 date_histogram 参数建议
+   */
+  getDateHistogramOptionSuggestions() {
+    const options = [{ name: 'field', detail: 'Date field' }]
+    if (this.features.calendarInterval) {
+      options.push(
+        { name: 'calendar_interval', detail: 'Calendar-aware interval (1d, 1M...)' },
+        { name: 'fixed_interval', detail: 'Fixed interval (30m, 12h...)' },
+      )
+    } else {
+      options.push({ name: 'interval', detail: 'Bucket interval' })
+    }
+    options.push(
+      { name: 'format', detail: 'Key format' },
+      { name: 'time_zone', detail: 'Time zone' },
+      { name: 'min_doc_count', detail: 'Minimum document count' },
+    )
+
+    return options.map(o => ({
+      label: o.name,
+      kind: monaco.languages.CompletionItemKind.Property,
+      detail: o.detail,
+      insertText: `"${o.name}": `,
+    }))
+  }
+
   /**
    * 获取查询模板建议
    */
@@ -642,7 +737,10 @@ class ESCompletionProvider {
       label: template.label,
       kind: monaco.languages.CompletionItemKind.Snippet,
       detail: template.description,
-      insertText: template.insertText,
+      // 旧版本集群不支持 calendar_interval
+      insertText: this.features.calendarInterval
+        ? template.insertText
+        : template.insertText.replace('"calendar_interval"', '"interval"'),
       insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
       documentation: template.documentation,
     }))
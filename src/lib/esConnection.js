@@ -0,0 +1,253 @@
+/**
+ * Elasticsearch Connection
+ * 所有请求共用的请求层：多节点选择（轮询 / 粘滞）、连接失败时切换到下一个节点、
+ * 可选的节点嗅探（_nodes/http）、只读模式拦截，并记录最近一次响应来自哪个节点
+ */
+
+import { createFetch } from '@/lib/esTransport'
+import { getReadOnlyViolation, isReadEndpoint } from '@/lib/esReadOnly'
+
+// 节点连接失败后暂时跳过的时间（毫秒）
+const DEAD_NODE_TIMEOUT = 30000
+
+// 这些状态码说明节点暂时不可用，可以换下一个节点重试
+const RETRY_STATUSES = [502, 503, 504]
+
+// 连接没有建立的错误（DNS、拒绝连接、不可达），请求没有到达节点
+const CONNECT_ERROR = /\bconnect\b|\(Connect\)|connection refused|dns error|failed to lookup|no route to host|network is unreachable/i
+
+/**
+ * 判断请求是否可以在其他节点上重发
+ * 读取请求重发是安全的；写请求（_bulk、PUT、DELETE 等）可能已经在节点上执行，重发会重复写入
+ * @param {string} method HTTP 方法
+ * @param {string} path 请求路径
+ * @returns {boolean}
+ */
+function isRetryable(method, path) {
+  const upperMethod = (method || 'GET').toUpperCase()
+  return upperMethod === 'GET' || upperMethod === 'HEAD' || (upperMethod === 'POST' && isReadEndpoint(path))
+}
+
+/**
+ * 节点选择策略
+ */
+export const NODE_SELECTIONS = [
+  { value: 'round-robin', label: 'Round-robin' },
+  { value: 'sticky', label: 'Sticky' },
+]
+
+/**
+ * 解析 profile 中的节点地址（逗号或空白分隔）
+ * @param {string} url profile.url
+ * @returns {Array<string>} 去掉末尾斜杠的节点地址
+ */
+export function parseNodeUrls(url) {
+  return (url || '')
+    .split(/[\s,]+/)
+    .map(u => u.trim().replace(/\/+$/, ''))
+    .filter(Boolean)
+}
+
+/**
+ * 把 _nodes/http 返回的 publish_address 转成 URL
+ * publish_address 可能是 "host:port" 或 "hostname/ip:port"
+ * @param {string} address publish_address
+ * @param {string} protocol 协议，如 'https:'
+ * @returns {string}
+ */
+function publishAddressToUrl(address, protocol) {
+  if (address.includes('/')) {
+    const [hostname, rest] = address.split('/')
+    address = `${hostname}:${rest.split(':').pop()}`
+  }
+  return `${protocol}//${address}`
+}
+
+/**
+ * 获取节点的简短显示名称，如 "es-node-1:9200"
+ * @param {string} nodeUrl 节点地址
+ * @returns {string}
+ */
+export function getNodeLabel(nodeUrl) {
+  try {
+    return new URL(nodeUrl).host
+  } catch (e) {
+    return nodeUrl
+  }
+}
+
+/**
+ * 到某个 profile 的连接
+ */
+class ESConnection {
+  /**
+   * @param {Object|null} profile 连接配置
+   */
+  constructor(profile) {
+    this.profile = profile
+    // 作为 mapping 缓存键、以及识别完整 URL 的前缀
+    this.key = (profile?.url || '').replace(/\/+$/, '')
+    this.nodes = parseNodeUrls(profile?.url)
+    this.selection = profile?.nodeSelection || 'round-robin'
+    this.transport = createFetch(profile)
+    this.cursor = 0
+    this.lastNode = null
+    this.deadUntil = new Map()
+    this.listeners = new Set()
+
+    this.fetch = this.fetch.bind(this)
+  }
+
+  /**
+   * 监听“响应来自哪个节点”的变化
+   * @param {Function} listener (nodeUrl) => void
+   * @returns {Function} 取消监听
+   */
+  onNodeUsed(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 按选择策略排列本次请求要尝试的节点，暂时不可用的节点排在最后
+   * @returns {Array<string>}
+   */
+  getCandidateNodes() {
+    if (this.nodes.length === 0) return []
+
+    let start = 0
+    if (this.selection === 'sticky') {
+      start = Math.max(0, this.nodes.indexOf(this.lastNode))
+    } else {
+      start = this.cursor % this.nodes.length
+      this.cursor++
+    }
+
+    const ordered = [...this.nodes.slice(start), ...this.nodes.slice(0, start)]
+    const now = Date.now()
+    const alive = ordered.filter(node => (this.deadUntil.get(node) || 0) <= now)
+    const dead = ordered.filter(node => (this.deadUntil.get(node) || 0) > now)
+    return [...alive, ...dead]
+  }
+
+  /**
+   * 发送请求，连接失败时依次尝试其他节点
+   * 请求可能已经到达节点时（网关错误、连接中断），只有读取请求才会换节点重试
+   * @param {string} path 以 / 开头的路径，如 '/_cluster/health'
+   * @param {Object} init fetch 选项
+   * @returns {Promise<Response>}
+   */
+  async request(path, init = {}) {
+    this.assertAllowed(path, init)
+
+    const candidates = this.getCandidateNodes()
+    if (candidates.length === 0) {
+      throw new Error('No Elasticsearch node configured')
+    }
+
+    const retryable = isRetryable(init.method, path)
+    let lastError = null
+    for (let i = 0; i < candidates.length; i++) {
+      const node = candidates[i]
+      const isLast = i === candidates.length - 1
+      try {
+        const response = await this.transport(`${node}${path}`, init)
+        if (RETRY_STATUSES.includes(response.status) && retryable && !isLast) {
+          this.markDead(node)
+          lastError = new Error(`${getNodeLabel(node)} responded ${response.status} ${response.statusText}`)
+          continue
+        }
+        this.markAlive(node)
+        return response
+      } catch (error) {
+        // 主动取消或超时不是节点故障，不切换节点
+        if (init.signal?.aborted) {
+          throw error
+        }
+        this.markDead(node)
+        lastError = error
+        console.warn(`[ESConnection] Request to ${getNodeLabel(node)} failed:`, error)
+        if (!retryable && !CONNECT_ERROR.test(error?.message || String(error))) {
+          throw new Error(`${getNodeLabel(node)}: ${error?.message || error} (not retried on another node because the request may have been applied)`)
+        }
+      }
+    }
+
+    const reason = lastError?.message || String(lastError)
+    throw new Error(
+      candidates.length > 1
+        ? `All ${candidates.length} nodes failed. Last error: ${reason}`
+        : reason
+    )
+  }
+
+  /**
+   * 与 window.fetch 兼容的接口（供 esMappingService 使用）
+   * 以当前 profile URL 开头的地址会经过节点选择和重试
+   */
+  fetch(url, init = {}) {
+    if (this.key && url.startsWith(this.key)) {
+      return this.request(url.slice(this.key.length) || '/', init)
+    }
+    try {
+      const { pathname, search } = new URL(url)
+      this.assertAllowed(pathname + search, init)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+    return this.transport(url, init)
+  }
+
+  /**
+   * 只读 profile 上拦截写请求
+   * @param {string} path 请求路径
+   * @param {Object} init fetch 选项
+   */
+  assertAllowed(path, init) {
+    if (!this.profile?.readOnly) return
+    const violation = getReadOnlyViolation(init.method || 'GET', path, init.body)
+    if (violation) {
+      throw new Error(violation)
+    }
+  }
+
+  /**
+   * 通过 _nodes/http 嗅探集群中所有提供 HTTP 服务的节点
+   * @param {Object} headers 请求头
+   * @returns {Promise<Array<string>>} 新的节点列表
+   */
+  async sniff(headers) {
+    const response = await this.request('/_nodes/http', { method: 'GET', headers })
+    if (!response.ok) {
+      throw new Error(`Sniffing failed: ${response.status} ${response.statusText}`)
+    }
+
+    const data = await response.json()
+    const protocol = new URL(this.nodes[0]).protocol
+    const sniffed = Object.values(data.nodes || {})
+      .map(node => node.http?.publish_address)
+      .filter(Boolean)
+      .map(address => publishAddressToUrl(address, protocol))
+
+    if (sniffed.length > 0) {
+      this.nodes = Array.from(new Set(sniffed))
+      this.cursor = 0
+      this.deadUntil.clear()
+    }
+    return this.nodes
+  }
+
+  markDead(node) {
+    this.deadUntil.set(node, Date.now() + DEAD_NODE_TIMEOUT)
+  }
+
+  markAlive(node) {
+    this.deadUntil.delete(node)
+    if (this.lastNode !== node) {
+      this.lastNode = node
+      this.listeners.forEach(listener => listener(node))
+    }
+  }
+}
+
+export { ESConnection }
@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { ESConnection, getNodeLabel, parseNodeUrls } from '@/lib/esConnection'
+
+const NODES = 'http://es1:9200, http://es2:9200 http://es3:9200/'
+
+/**
+ * 创建使用假传输层的连接
+ * @param {Object} profile 连接配置
+ * @param {Function} respond (url, init) => Response，抛出错误时模拟连接失败
+ * @returns {{ connection: ESConnection, calls: Array<string> }} calls 为请求过的地址
+ */
+function createConnection(profile, respond = () => new Response('{}')) {
+  const connection = new ESConnection({ url: NODES, ...profile })
+  const calls = []
+  connection.transport = async (url, init) => {
+    calls.push(url)
+    return respond(url, init)
+  }
+  return { connection, calls }
+}
+
+const failOn = (host, message) => (url) => {
+  if (url.includes(host)) throw new Error(message)
+  return new Response('{}')
+}
+
+describe('parseNodeUrls', () => {
+  it('splits on commas and whitespace and drops trailing slashes', () => {
+    expect(parseNodeUrls(NODES)).toEqual(['http://es1:9200', 'http://es2:9200', 'http://es3:9200'])
+    expect(parseNodeUrls('')).toEqual([])
+  })
+
+  it('labels nodes by host', () => {
+    expect(getNodeLabel('https://es1:9200')).toBe('es1:9200')
+    expect(getNodeLabel('not a url')).toBe('not a url')
+  })
+})
+
+describe('ESConnection', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  describe('node selection', () => {
+    it('rotates through the nodes with round-robin', async () => {
+      const { connection, calls } = createConnection({})
+      for (let i = 0; i < 4; i++) {
+        await connection.request('/_cluster/health')
+      }
+      expect(calls).toEqual([
+        'http://es1:9200/_cluster/health',
+        'http://es2:9200/_cluster/health',
+        'http://es3:9200/_cluster/health',
+        'http://es1:9200/_cluster/health',
+      ])
+    })
+
+    it('keeps using the last node that answered with sticky selection', async () => {
+      const { connection, calls } = createConnection({ nodeSelection: 'sticky' }, failOn('es1', 'connection refused'))
+      await connection.request('/')
+      await connection.request('/')
+      expect(calls).toEqual(['http://es1:9200/', 'http://es2:9200/', 'http://es2:9200/'])
+    })
+
+    it('reports the node that answered', async () => {
+      const { connection } = createConnection({}, failOn('es1', 'connection refused'))
+      const used = []
+      connection.onNodeUsed(node => used.push(node))
+      await connection.request('/')
+      await connection.request('/')
+      expect(used).toEqual(['http://es2:9200'])
+    })
+
+    it('fails without nodes', async () => {
+      const connection = new ESConnection({ url: '' })
+      await expect(connection.request('/')).rejects.toThrow('No Elasticsearch node configured')
+    })
+  })
+
+  describe('failover', () => {
+    it('moves reads to the next node when a node fails or answers 502-504', async () => {
+      const { connection, calls } = createConnection({}, (url) => {
+        if (url.includes('es1')) throw new Error('connection reset by peer')
+        if (url.includes('es2')) return new Response('', { status: 503, statusText: 'Service Unavailable' })
+        return new Response('{"ok": true}')
+      })
+      const response = await connection.request('/logs/_search', { method: 'POST' })
+      expect(await response.json()).toEqual({ ok: true })
+      expect(calls).toEqual(['http://es1:9200/logs/_search', 'http://es2:9200/logs/_search', 'http://es3:9200/logs/_search'])
+    })
+
+    it('does not resend writes that may have reached the node', async () => {
+      const { connection, calls } = createConnection({}, failOn('es1', 'connection reset by peer'))
+      await expect(connection.request('/_bulk', { method: 'POST' })).rejects.toThrow(/es1:9200: connection reset by peer \(not retried/)
+      expect(calls).toEqual(['http://es1:9200/_bulk'])
+    })
+
+    it('returns gateway errors of writes instead of resending them', async () => {
+      const { connection, calls } = createConnection({}, () => new Response('', { status: 502 }))
+      const response = await connection.request('/logs/_doc/1', { method: 'PUT' })
+      expect(response.status).toBe(502)
+      expect(calls).toHaveLength(1)
+    })
+
+    it('resends writes when the connection was never established', async () => {
+      for (const message of ['error sending request: Connect', 'connection refused', 'dns error: failed to lookup address']) {
+        const { connection, calls } = createConnection({}, failOn('es1', message))
+        const response = await connection.request('/logs/_doc/1', { method: 'PUT' })
+        expect(response.ok).toBe(true)
+        expect(calls).toEqual(['http://es1:9200/logs/_doc/1', 'http://es2:9200/logs/_doc/1'])
+      }
+    })
+
+    it('does not switch nodes when the request was cancelled', async () => {
+      const controller = new AbortController()
+      const { connection, calls } = createConnection({}, () => {
+        controller.abort()
+        throw new Error('Request cancelled')
+      })
+      await expect(connection.request('/_search', { signal: controller.signal })).rejects.toThrow('Request cancelled')
+      expect(calls).toHaveLength(1)
+    })
+
+    it('reports the last error when every node fails', async () => {
+      const { connection } = createConnection({}, () => {
+        throw new Error('connection refused')
+      })
+      await expect(connection.request('/')).rejects.toThrow('All 3 nodes failed. Last error: connection refused')
+    })
+  })
+
+  describe('dead nodes', () => {
+    it('tries failed nodes last until they time out', async () => {
+      vi.useFakeTimers()
+      const { connection } = createConnection({}, failOn('es1', 'connection refused'))
+      await connection.request('/')
+
+      // es1 仍在等待中，排在最后
+      connection.cursor = 0
+      expect(connection.getCandidateNodes()).toEqual(['http://es2:9200', 'http://es3:9200', 'http://es1:9200'])
+
+      vi.advanceTimersByTime(30001)
+      connection.cursor = 0
+      expect(connection.getCandidateNodes()).toEqual(['http://es1:9200', 'http://es2:9200', 'http://es3:9200'])
+    })
+
+    it('still tries dead nodes when no other node is left', async () => {
+      const { connection, calls } = createConnection({ url: 'http://es1:9200' })
+      connection.markDead('http://es1:9200')
+      await connection.request('/')
+      expect(calls).toEqual(['http://es1:9200/'])
+      expect(connection.deadUntil.size).toBe(0)
+    })
+  })
+
+  describe('fetch', () => {
+    it('routes profile URLs through node selection', async () => {
+      const { connection, calls } = createConnection({ url: 'http://es1:9200' })
+      await connection.fetch('http://es1:9200/logs/_mapping')
+      expect(calls).toEqual(['http://es1:9200/logs/_mapping'])
+    })
+
+    it('blocks writes on read-only profiles', async () => {
+      const { connection, calls } = createConnection({ readOnly: true })
+      await expect(connection.request('/logs/_doc/1', { method: 'DELETE' })).rejects.toThrow()
+      await expect(connection.fetch('http://other:9200/logs/_doc/1', { method: 'DELETE' })).rejects.toThrow()
+      expect(calls).toEqual([])
+    })
+  })
+
+  describe('sniff', () => {
+    it('replaces the nodes with the HTTP publish addresses of the cluster', async () => {
+      const { connection } = createConnection({ url: 'https://seed:9200' }, () => new Response(JSON.stringify({
+        nodes: {
+          a: { http: { publish_address: '10.0.0.1:9200' } },
+          b: { http: { publish_address: 'es-b/10.0.0.2:9201' } },
+          c: { http: { publish_address: '10.0.0.1:9200' } },
+          d: {},
+        },
+      })))
+      connection.markDead('https://seed:9200')
+      expect(await connection.sniff({})).toEqual(['https://10.0.0.1:9200', 'https://es-b:9201'])
+      expect(connection.deadUntil.size).toBe(0)
+    })
+
+    it('keeps the configured nodes when sniffing finds none', async () => {
+      const { connection } = createConnection({}, () => new Response('{"nodes": {}}'))
+      expect(await connection.sniff({})).toEqual(['http://es1:9200', 'http://es2:9200', 'http://es3:9200'])
+    })
+
+    it('fails on an error response', async () => {
+      const { connection } = createConnection({}, () => new Response('', { status: 401, statusText: 'Unauthorized' }))
+      await expect(connection.sniff({})).rejects.toThrow('Sniffing failed: 401 Unauthorized')
+    })
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Kibana Console Language
+ * 控制台模式使用的 Monaco 语言：请求行（METHOD /path）、注释、JSON 请求体和 """ 三引号字符串
+ * 也用于显示控制台模式收集到的多个响应
+ */
+
+export const CONSOLE_LANGUAGE_ID = 'es-console'
+
+let registered = false
+
+/**
+ * 注册控制台语言（重复调用无效果）
+ * @param {Object} monaco monaco 命名空间
+ */
+export function registerConsoleLanguage(monaco) {
+  if (registered) return
+  registered = true
+
+  monaco.languages.register({ id: CONSOLE_LANGUAGE_ID })
+
+  monaco.languages.setMonarchTokensProvider(CONSOLE_LANGUAGE_ID, {
+    ignoreCase: true,
+    tokenizer: {
+      root: [
+        // 请求行
+        [/^(\s*)(GET|POST|PUT|DELETE|HEAD|PATCH)(\s+)(\S.*)$/, ['white', 'keyword', 'white', 'type.identifier']],
+        // 注释
+        [/^\s*#.*$/, 'comment'],
+        [/\/\/.*$/, 'comment'],
+        // 三引号字符串
+        [/"""/, { token: 'string', next: '@tripleString' }],
+        // JSON 键和值
+        [/"([^"\\]|\\.)*"(?=\s*:)/, 'variable'],
+        [/"([^"\\]|\\.)*"/, 'string'],
+        [/-?\d+(\.\d+)?([eE][+-]?\d+)?/, 'number'],
+        [/\b(true|false|null)\b/, 'keyword'],
+        [/[{}[\]]/, '@brackets'],
+        [/[,:]/, 'delimiter'],
+      ],
+      tripleString: [
+        [/"""/, { token: 'string', next: '@pop' }],
+        [/[^"]+/, 'string'],
+        [/"/, 'string'],
+      ],
+    },
+  })
+
+  monaco.languages.setLanguageConfiguration(CONSOLE_LANGUAGE_ID, {
+    comments: { lineComment: '#' },
+    brackets: [
+      ['{', '}'],
+      ['[', ']'],
+    ],
+    autoClosingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"', notIn: ['string'] },
+    ],
+    surroundingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"' },
+    ],
+  })
+}
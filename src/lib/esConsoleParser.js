@@ -0,0 +1,140 @@
+/**
+ * Kibana Console Parser
+ * 解析 Kibana Dev Tools 控制台格式：一个缓冲区中有多个 "METHOD /path" + 请求体 的请求块
+ */
+
+// 请求行，如 "GET /logs-*/_search"
+const REQUEST_LINE = /^\s*(GET|POST|PUT|DELETE|HEAD|PATCH)\s+(\S.*?)\s*$/i
+
+// 请求块之外或请求体中的整行注释
+const COMMENT_LINE = /^\s*(#|\/\/)/
+
+/**
+ * 解析控制台文本
+ * @param {string} text 编辑器内容
+ * @returns {Array<{ method: string, path: string, startLine: number, bodyStartLine: number, endLine: number, body: string }>}
+ *   startLine 为请求行，endLine 为下一个请求行之前的最后一行（行号从 1 开始）
+ */
+export function parseConsole(text) {
+  const lines = (text || '').split('\n')
+  const blocks = []
+  let current = null
+
+  lines.forEach((line, i) => {
+    const match = line.match(REQUEST_LINE)
+    if (match) {
+      current = {
+        method: match[1].toUpperCase(),
+        path: match[2],
+        startLine: i + 1,
+        bodyStartLine: i + 2,
+        endLine: i + 1,
+        bodyLines: [],
+      }
+      blocks.push(current)
+    } else if (current) {
+      current.bodyLines.push(line)
+      current.endLine = i + 1
+    }
+  })
+
+  return blocks.map(({ bodyLines, ...block }) => ({ ...block, body: bodyLines.join('\n') }))
+}
+
+/**
+ * 查找某一行所在的请求块
+ * @param {Array} blocks parseConsole 的结果
+ * @param {number} lineNumber 行号
+ * @returns {Object|null}
+ */
+export function findBlockAtLine(blocks, lineNumber) {
+  return blocks.find(block => lineNumber >= block.startLine && lineNumber <= block.endLine) || null
+}
+
+/**
+ * 获取与行范围有交集的请求块（用于运行选中的请求）
+ * @param {Array} blocks parseConsole 的结果
+ * @param {number} startLine 起始行
+ * @param {number} endLine 结束行
+ * @returns {Array}
+ */
+export function getBlocksInRange(blocks, startLine, endLine) {
+  return blocks.filter(block => block.startLine <= endLine && block.endLine >= startLine)
+}
+
+/**
+ * 获取要发送的请求体：去掉注释行，并把 """...""" 三引号字符串转成 JSON 字符串
+ * @param {Object} block 请求块
+ * @returns {string}
+ */
+export function getBlockBody(block) {
+  const body = block.body
+    .split('\n')
+    .filter(line => !COMMENT_LINE.test(line))
+    .join('\n')
+  return body
+    .replace(/"""([\s\S]*?)"""/g, (match, content) => JSON.stringify(content))
+    .trim()
+}
+
+/**
+ * 规范化请求路径（控制台中路径可以不以 / 开头）
+ * @param {string} path 请求行中的路径
+ * @returns {string}
+ */
+export function getBlockPath(path) {
+  return path.startsWith('/') ? path : `/${path}`
+}
+
+/**
+ * 从请求路径中取出索引名，如 "/logs/_search" -> "logs"
+ * @param {string} path 请求路径
+ * @returns {string|null} 集群级接口（如 /_cat/indices）返回 null
+ */
+export function getBlockIndex(path) {
+  const segment = getBlockPath(path).split('?')[0].split('/')[1] || ''
+  return segment && !segment.startsWith('_') ? decodeURIComponent(segment) : null
+}
+
+/**
+ * 为请求块的请求体创建一个只读的“子 model”，供按整个文档计算上下文的 provider 使用
+ * 子 model 的行号从 1 开始，toBodyPosition / toModelRange 负责在两者之间转换
+ * @param {monaco.editor.ITextModel} model 控制台编辑器的 model
+ * @param {Object} block 请求块
+ * @returns {Object}
+ */
+export function createBodyModel(model, block) {
+  const lineOffset = block.bodyStartLine - 1
+  const lines = block.body.split('\n')
+  const text = block.body
+
+  return {
+    getValue: () => text,
+    getLineContent: (lineNumber) => lines[lineNumber - 1] ?? '',
+    getOffsetAt: ({ lineNumber, column }) => {
+      let offset = 0
+      for (let i = 0; i < lineNumber - 1 && i < lines.length; i++) {
+        offset += lines[i].length + 1
+      }
+      return offset + column - 1
+    },
+    getValueInRange: (range) => model.getValueInRange({
+      ...range,
+      startLineNumber: range.startLineNumber + lineOffset,
+      endLineNumber: range.endLineNumber + lineOffset,
+    }),
+    getWordAtPosition: (position) => model.getWordAtPosition({
+      ...position,
+      lineNumber: position.lineNumber + lineOffset,
+    }),
+    toBodyPosition: (position) => ({
+      lineNumber: position.lineNumber - lineOffset,
+      column: position.column,
+    }),
+    toModelRange: (range) => ({
+      ...range,
+      startLineNumber: range.startLineNumber + lineOffset,
+      endLineNumber: range.endLineNumber + lineOffset,
+    }),
+  }
+}
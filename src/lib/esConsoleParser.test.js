@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import { findBlockAtLine, getBlockBody, getBlockIndex, getBlockPath, getBlocksInRange, parseConsole } from '@/lib/esConsoleParser'
+
+const TEXT = `# comment before the first request
+GET /logs/_search
+{
+  "query": { "match_all": {} }
+}
+
+post _bulk
+{ "index": {} }
+{ "a": 1 }
+DELETE /old-logs`
+
+describe('parseConsole', () => {
+  it('splits the text into request blocks', () => {
+    const blocks = parseConsole(TEXT)
+    expect(blocks.map(({ method, path, startLine, bodyStartLine, endLine }) => ({ method, path, startLine, bodyStartLine, endLine }))).toEqual([
+      { method: 'GET', path: '/logs/_search', startLine: 2, bodyStartLine: 3, endLine: 6 },
+      { method: 'POST', path: '_bulk', startLine: 7, bodyStartLine: 8, endLine: 9 },
+      { method: 'DELETE', path: '/old-logs', startLine: 10, bodyStartLine: 11, endLine: 10 },
+    ])
+    expect(blocks[1].body).toBe('{ "index": {} }\n{ "a": 1 }')
+    expect(blocks[2].body).toBe('')
+  })
+
+  it('returns no blocks for empty text', () => {
+    expect(parseConsole('')).toEqual([])
+    expect(parseConsole(null)).toEqual([])
+  })
+})
+
+describe('findBlockAtLine / getBlocksInRange', () => {
+  const blocks = parseConsole(TEXT)
+
+  it('finds the block that contains a line', () => {
+    expect(findBlockAtLine(blocks, 4).path).toBe('/logs/_search')
+    expect(findBlockAtLine(blocks, 10).path).toBe('/old-logs')
+    expect(findBlockAtLine(blocks, 1)).toBeNull()
+  })
+
+  it('finds the blocks that overlap a selection', () => {
+    expect(getBlocksInRange(blocks, 5, 8).map(block => block.method)).toEqual(['GET', 'POST'])
+  })
+})
+
+describe('getBlockBody', () => {
+  it('drops comment lines and converts triple-quoted strings', () => {
+    const block = { body: '{\n  // note\n  "script": """\nctx._source.a = "b"\n"""\n}\n' }
+    expect(JSON.parse(getBlockBody(block))).toEqual({ script: '\nctx._source.a = "b"\n' })
+  })
+})
+
+describe('getBlockPath / getBlockIndex', () => {
+  it('adds the leading slash', () => {
+    expect(getBlockPath('_cat/indices')).toBe('/_cat/indices')
+    expect(getBlockPath('/logs')).toBe('/logs')
+  })
+
+  it('reads the index of the path', () => {
+    expect(getBlockIndex('logs%2A/_search?size=1')).toBe('logs*')
+    expect(getBlockIndex('/_cat/indices')).toBeNull()
+    expect(getBlockIndex('/')).toBeNull()
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * curl Command Parser
+ * 把从工单、文档中复制的 curl 命令解析为请求方法、路径、请求头和请求体
+ */
+
+// 带参数的选项
+const DATA_OPTIONS = ['-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--json']
+const VALUE_OPTIONS = [
+  '-X', '--request', '-H', '--header', '-u', '--user', '--url',
+  '-o', '--output', '-A', '--user-agent', '-e', '--referer', '-b', '--cookie',
+  '--cacert', '--cert', '--key', '--connect-timeout', '-m', '--max-time',
+  ...DATA_OPTIONS,
+]
+
+// 由请求本身决定的请求头（Content-Type 按路径和请求体设置），导入时不需要提示
+const IMPLIED_HEADERS = ['content-type', 'accept', 'user-agent', 'host', 'content-length']
+
+/**
+ * 按 shell 规则拆分命令行参数（支持单引号、双引号、$'...'、反斜杠续行）
+ * @param {string} command 命令行
+ * @returns {Array<string>}
+ */
+export function tokenizeShell(command) {
+  const text = command.replace(/\\\r?\n/g, ' ')
+  const tokens = []
+  let current = ''
+  let hasToken = false
+  let i = 0
+
+  while (i < text.length) {
+    const ch = text[i]
+
+    if (/\s/.test(ch)) {
+      if (hasToken) {
+        tokens.push(current)
+        current = ''
+        hasToken = false
+      }
+      i++
+    } else if (ch === "'" || (ch === '$' && text[i + 1] === "'")) {
+      // 单引号中不转义；$'...' 支持 \n、\t、\' 等转义
+      const ansi = ch === '$'
+      i += ansi ? 2 : 1
+      while (i < text.length && text[i] !== "'") {
+        if (ansi && text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1]
+          current += { n: '\n', t: '\t', r: '\r' }[next] ?? next
+          i += 2
+        } else {
+          current += text[i++]
+        }
+      }
+      i++
+      hasToken = true
+    } else if (ch === '"') {
+      i++
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && ['"', '\\', '$', '`'].includes(text[i + 1])) {
+          current += text[i + 1]
+          i += 2
+        } else {
+          current += text[i++]
+        }
+      }
+      i++
+      hasToken = true
+    } else if (ch === '\\' && i + 1 < text.length) {
+      current += text[i + 1]
+      i += 2
+      hasToken = true
+    } else {
+      current += ch
+      i++
+      hasToken = true
+    }
+  }
+
+  if (hasToken) tokens.push(current)
+  return tokens
+}
+
+/**
+ * 解析 curl 命令
+ * @param {string} command curl 命令
+ * @returns {{ method: string, url: string, path: string, headers: Object, body: string|null }}
+ *   path 包含 query string，如 "/logs/_search?size=5"
+ */
+export function parseCurl(command) {
+  const tokens = tokenizeShell((command || '').trim())
+  if (tokens[0] !== 'curl') {
+    throw new Error('Not a curl command: it must start with "curl"')
+  }
+
+  let method = null
+  let url = null
+  const headers = {}
+  const data = []
+
+  for (let i = 1; i < tokens.length; i++) {
+    let token = tokens[i]
+    let value = null
+
+    // --option=value 和 -XPOST 这样的写法
+    const longMatch = token.match(/^(--[\w-]+)=(.*)$/s)
+    if (longMatch) {
+      token = longMatch[1]
+      value = longMatch[2]
+    } else if (/^-[XHdu].+/.test(token)) {
+      value = token.slice(2)
+      token = token.slice(0, 2)
+    }
+
+    if (VALUE_OPTIONS.includes(token) && value === null) {
+      value = tokens[++i]
+      if (value === undefined) {
+        throw new Error(`Missing value for ${token}`)
+      }
+    }
+
+    if (token === '-X' || token === '--request') {
+      method = value.toUpperCase()
+    } else if (token === '-I' || token === '--head') {
+      method = 'HEAD'
+    } else if (token === '-H' || token === '--header') {
+      const index = value.indexOf(':')
+      if (index > 0) {
+        headers[value.slice(0, index).trim()] = value.slice(index + 1).trim()
+      }
+    } else if (DATA_OPTIONS.includes(token)) {
+      if (value.startsWith('@') && token !== '--data-raw') {
+        throw new Error(`Cannot read request body from file ${value.slice(1)}; paste the body into the command instead`)
+      }
+      if (token === '--json') {
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json'
+      }
+      data.push(value)
+    } else if (token === '--url') {
+      url = value
+    } else if (!token.startsWith('-') && url === null) {
+      url = token
+    }
+    // 其他选项（-k、-s、--compressed、-u 等）对请求内容没有影响，忽略
+  }
+
+  if (!url) {
+    throw new Error('No URL found in the curl command')
+  }
+
+  let parsedUrl
+  try {
+    parsedUrl = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`)
+  } catch (e) {
+    throw new Error(`Invalid URL in the curl command: ${url}`)
+  }
+
+  // 和 curl 一样，多个 -d 的值用 & 连接
+  const body = data.length > 0 ? data.join('&') : null
+  return {
+    method: method || (body !== null ? 'POST' : 'GET'),
+    url: parsedUrl.href,
+    path: decodeURI(parsedUrl.pathname) + parsedUrl.search,
+    headers,
+    body,
+  }
+}
+
+/**
+ * 导入时会被忽略的请求头：请求总是通过当前连接发送，使用连接的凭据和 profile 中的请求头
+ * @param {Object} headers parseCurl 解析出的请求头
+ * @returns {Array<string>} 请求头名称
+ */
+export function getIgnoredHeaders(headers) {
+  return Object.keys(headers || {}).filter(name => !IMPLIED_HEADERS.includes(name.toLowerCase()))
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { getIgnoredHeaders, parseCurl, tokenizeShell } from '@/lib/esCurl'
+
+describe('tokenizeShell', () => {
+  it('handles quotes, escapes and line continuations', () => {
+    expect(tokenizeShell(`curl -H 'A: b' "x \\"y\\"" \\\n  a\\ b`)).toEqual(['curl', '-H', 'A: b', 'x "y"', 'a b'])
+  })
+
+  it('expands escapes in $\'...\'', () => {
+    expect(tokenizeShell("curl $'a\\nb\\'c'")).toEqual(['curl', "a\nb'c"])
+  })
+})
+
+describe('parseCurl', () => {
+  it('reads the method, path, headers and body', () => {
+    const request = parseCurl(`curl -XPOST "localhost:9200/logs/_search?size=5" -H 'Content-Type: application/json' -d '{"query": {}}'`)
+    expect(request).toEqual({
+      method: 'POST',
+      url: 'http://localhost:9200/logs/_search?size=5',
+      path: '/logs/_search?size=5',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"query": {}}',
+    })
+  })
+
+  it('defaults to GET without a body and POST with one', () => {
+    expect(parseCurl('curl http://es:9200/_cat/indices').method).toBe('GET')
+    expect(parseCurl('curl --data-raw=x http://es:9200/logs/_doc').method).toBe('POST')
+    expect(parseCurl('curl -I http://es:9200/logs').method).toBe('HEAD')
+  })
+
+  it('joins several -d values with & like curl', () => {
+    expect(parseCurl('curl es:9200/a -d one -d two --data three').body).toBe('one&two&three')
+  })
+
+  it('sets the content type for --json', () => {
+    expect(parseCurl(`curl es:9200/a --json '{}'`).headers).toEqual({ 'Content-Type': 'application/json' })
+  })
+
+  it('rejects bodies read from files and commands without a URL', () => {
+    expect(() => parseCurl('curl es:9200/_bulk --data-binary @bulk.json')).toThrow(/bulk\.json/)
+    expect(() => parseCurl('curl -X GET')).toThrow(/No URL/)
+    expect(() => parseCurl('wget es:9200')).toThrow(/Not a curl command/)
+    expect(() => parseCurl('curl es:9200 -H')).toThrow(/Missing value for -H/)
+  })
+})
+
+describe('getIgnoredHeaders', () => {
+  it('lists the headers that are not implied by the request', () => {
+    const { headers } = parseCurl(`curl es:9200/a -H 'content-type: application/json' -H 'Authorization: ApiKey x' -H 'X-Opaque-Id: 1'`)
+    expect(getIgnoredHeaders(headers)).toEqual(['Authorization', 'X-Opaque-Id'])
+  })
+})
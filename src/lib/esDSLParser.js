@@ -4,6 +4,8 @@
  * 类似 Kibana Dev Tools 的实现方式
  */
 
+import { maskVariables } from '@/lib/esVariables'
+
 /**
  * 解析 DSL 并获取光标位置的上下文
  * @param {string} code - 完整的 DSL 代码
@@ -12,6 +14,9 @@
  */
 export function getDSLContext(code, offset) {
   try {
+    // 0. 值位置的 {{variable}} 占位符替换为等长的字符串，不影响偏移量
+    code = maskVariables(code).text
+
     // 1. 尝试解析完整的 JSON
     let ast
     try {
@@ -4,6 +4,11 @@
  */
 
 import * as monaco from 'monaco-editor'
+import { formatClusterInfo, getEndpointIssue, getVersionFeatures } from '@/lib/esVersion'
+import { dropMaskedValues, findVariables, maskVariables } from '@/lib/esVariables'
+import { validateEsql } from '@/lib/esEsql'
+import { getBlockPath } from '@/lib/esConsoleParser'
+import { isQueryDslPath } from '@/lib/esRequest'
 
 /**
  * 验证错误严重级别
@@ -20,6 +25,10 @@ const Severity = {
 class ESValidator {
   constructor() {
     this.currentFields = {}
+    this.clusterInfo = null
+    this.features = getVersionFeatures(null)
+    // 当前环境中已定义的变量名，null 表示不检查
+    this.variableNames = null
   }
 
   /**
@@ -29,6 +38,30 @@ class ESValidator {
     this.currentFields = fields || {}
   }
 
+  /**
+   * 更新集群版本信息
+   * @param {Object|null} clusterInfo parseClusterInfo 的结果
+   */
+  updateVersion(clusterInfo) {
+    this.clusterInfo = clusterInfo
+    this.features = getVersionFeatures(clusterInfo)
+  }
+
+  /**
+   * 更新已定义的变量名（环境变量和临时输入的值）
+   * @param {Array<string>|null} names 变量名
+   */
+  updateVariables(names) {
+    this.variableNames = names ? new Set(names) : null
+  }
+
+  /**
+   * 当前集群的显示名称（用于错误信息）
+   */
+  get clusterLabel() {
+    return formatClusterInfo(this.clusterInfo) || 'this cluster'
+  }
+
   /**
    * 验证 DSL 查询
    * @param {string} dslText JSON 格式的 DSL 文本
@@ -37,9 +70,13 @@ class ESValidator {
   validate(dslText) {
     const errors = []
 
+    // 0. 检查未定义的变量；值位置的占位符不影响 JSON 解析
+    this.validateVariables(dslText, errors)
+    const masked = maskVariables(dslText)
+
     try {
       // 1. 验证 JSON 格式
-      const query = JSON.parse(dslText)
+      const query = dropMaskedValues(JSON.parse(masked.text), masked.masked)
 
       // 2. 验证顶层结构
       this.validateTopLevel(query, errors)
@@ -65,21 +102,65 @@ class ESValidator {
 
     } catch (e) {
       // JSON 解析错误
-      const match = e.message.match(/position (\d+)/)
-      const position = match ? parseInt(match[1]) : 0
-      const { lineNumber, column } = this.getErrorPosition(dslText, position)
+      errors.push(this.getSyntaxError(dslText, e))
+    }
+
+    return errors
+  }
+
+  /**
+   * 只验证 JSON 格式（NDJSON 中不是查询的行，如 _msearch 的 header）
+   * @param {string} text JSON 文本
+   * @returns {Array} 验证错误列表
+   */
+  validateJson(text) {
+    const errors = []
+    this.validateVariables(text, errors)
+    try {
+      JSON.parse(maskVariables(text).text)
+    } catch (e) {
+      errors.push(this.getSyntaxError(text, e))
+    }
+    return errors
+  }
+
+  /**
+   * JSON 解析错误转换为验证错误
+   */
+  getSyntaxError(text, e) {
+    const match = e.message.match(/position (\d+)/)
+    const position = match ? parseInt(match[1]) : 0
+    const { lineNumber, column } = this.getErrorPosition(text, position)
 
+    return {
+      severity: Severity.Error,
+      message: `JSON syntax error: ${e.message}`,
+      startLineNumber: lineNumber,
+      startColumn: column,
+      endLineNumber: lineNumber,
+      endColumn: column + 1,
+    }
+  }
+
+  /**
+   * 验证 {{variable}} 占位符是否已定义
+   */
+  validateVariables(dslText, errors) {
+    if (!this.variableNames) return
+
+    for (const variable of findVariables(dslText)) {
+      if (this.variableNames.has(variable.name)) continue
+      const start = this.getErrorPosition(dslText, variable.start)
+      const end = this.getErrorPosition(dslText, variable.end)
       errors.push({
-        severity: Severity.Error,
-        message: `JSON syntax error: ${e.message}`,
-        startLineNumber: lineNumber,
-        startColumn: column,
-        endLineNumber: lineNumber,
-        endColumn: column + 1,
+        severity: Severity.Warning,
+        message: `Undefined variable "${variable.name}": add it to the connection's environment, or enter a value when the request runs`,
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column,
       })
     }
-
-    return errors
   }
 
   /**
@@ -117,8 +198,22 @@ class ESValidator {
       'profile', 'highlight', 'rescore', 'search_after', 'collapse',
     ]
 
+    // 版本相关的顶层字段
+    const versionedTopLevelFields = {
+      retriever: { supported: this.features.retriever, requires: 'Elasticsearch 8.14' },
+      knn: { supported: this.features.knnSearch, requires: 'Elasticsearch 8.4' },
+    }
+
     for (const key in query) {
-      if (!validTopLevelFields.includes(key)) {
+      if (versionedTopLevelFields[key]) {
+        const { supported, requires } = versionedTopLevelFields[key]
+        if (!supported) {
+          errors.push({
+            severity: Severity.Error,
+            message: `"${key}" requires ${requires} or later (connected to ${this.clusterLabel})`,
+          })
+        }
+      } else if (!validTopLevelFields.includes(key)) {
         errors.push({
           severity: Severity.Warning,
           message: `Unknown top-level field: "${key}"`,
@@ -153,6 +248,15 @@ class ESValidator {
         continue
       }
 
+      if (queryType === 'type' && !this.features.typeQuery) {
+        errors.push({
+          severity: Severity.Error,
+          message: `The "type" query was removed in ${this.clusterLabel}. Mapping types no longer exist.`,
+          path: [...path, queryType],
+        })
+        continue
+      }
+
       // 根据不同 query 类型进行验证
       switch (queryType) {
         case 'bool':
@@ -670,13 +774,7 @@ class ESValidator {
     // 特定聚合类型的验证
     switch (aggType) {
       case 'date_histogram':
-        if (!config.calendar_interval && !config.fixed_interval) {
-          errors.push({
-            severity: Severity.Warning,
-            message: 'date_histogram should have calendar_interval or fixed_interval',
-            path,
-          })
-        }
+        this.validateDateHistogramInterval(config, errors, path)
         break
 
       case 'histogram':
@@ -697,6 +795,42 @@ class ESValidator {
     }
   }
 
+  /**
+   * 根据集群版本验证 date_histogram 的 interval 参数
+   */
+  validateDateHistogramInterval(config, errors, path) {
+    const { calendarInterval, legacyInterval } = this.features
+    const hasNewInterval = !!(config.calendar_interval || config.fixed_interval)
+
+    if (hasNewInterval && !calendarInterval) {
+      errors.push({
+        severity: Severity.Error,
+        message: `calendar_interval / fixed_interval are not supported by ${this.clusterLabel}; use "interval"`,
+        path,
+      })
+    } else if (config.interval && !legacyInterval) {
+      errors.push({
+        severity: Severity.Error,
+        message: `"interval" was removed in ${this.clusterLabel}; use calendar_interval or fixed_interval`,
+        path,
+      })
+    } else if (config.interval && calendarInterval) {
+      errors.push({
+        severity: Severity.Warning,
+        message: '"interval" is deprecated; use calendar_interval or fixed_interval',
+        path,
+      })
+    } else if (!hasNewInterval && !config.interval) {
+      errors.push({
+        severity: Severity.Warning,
+        message: calendarInterval
+          ? 'date_histogram should have calendar_interval or fixed_interval'
+          : 'date_histogram requires "interval" property',
+        path,
+      })
+    }
+  }
+
   /**
    * 验证 sort
    */
@@ -783,7 +917,7 @@ class ESValidator {
     ) {
       errors.push({
         severity: Severity.Info,
-        message: 'from + size exceeds 10000. Consider using search_after for deep pagination.',
+        message: 'from + size exceeds 10000. Use the result panel\'s page controls (search_after with a point in time) for deep pagination.',
       })
     }
   }
@@ -806,6 +940,22 @@ class ESDiagnosticsProvider {
     this.validator.updateFields(fields)
   }
 
+  /**
+   * 更新集群版本信息
+   * @param {Object|null} clusterInfo parseClusterInfo 的结果
+   */
+  updateVersion(clusterInfo) {
+    this.validator.updateVersion(clusterInfo)
+  }
+
+  /**
+   * 更新已定义的变量名
+   * @param {Array<string>|null} names 变量名
+   */
+  updateVariables(names) {
+    this.validator.updateVariables(names)
+  }
+
   /**
    * 验证 DSL 并在 Monaco 中显示错误
    * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
@@ -824,14 +974,7 @@ class ESDiagnosticsProvider {
     const errors = this.validator.validate(dslText)
 
     // 转换为 Monaco markers
-    const markers = errors.map(error => ({
-      severity: error.severity,
-      message: error.message,
-      startLineNumber: error.startLineNumber || 1,
-      startColumn: error.startColumn || 1,
-      endLineNumber: error.endLineNumber || error.startLineNumber || 1,
-      endColumn: error.endColumn || error.startColumn || 1,
-    }))
+    const markers = this.toMarkers(errors, 0)
 
     // 添加 markers 到模型
     monaco.editor.setModelMarkers(model, 'es-dsl', markers)
@@ -839,6 +982,139 @@ class ESDiagnosticsProvider {
     return markers
   }
 
+  /**
+   * 验证控制台模式中的一个请求块：请求行的路径是否适合当前集群版本（type 的写法），Query DSL 接口再验证请求体
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   * @param {Object} block parseConsole 的请求块
+   * @param {Object} fields 字段映射
+   */
+  validateBlock(model, block, fields) {
+    const path = getBlockPath(block.path)
+    const markers = []
+    const issue = getEndpointIssue(this.validator.clusterInfo, path)
+    if (issue) {
+      const column = model.getLineContent(block.startLine).indexOf(block.path) + 1
+      markers.push({
+        severity: issue.severity === 'error' ? Severity.Error : Severity.Warning,
+        message: issue.message,
+        startLineNumber: block.startLine,
+        startColumn: column,
+        endLineNumber: block.startLine,
+        endColumn: column + block.path.length,
+      })
+    }
+    if (isQueryDslPath(path) && block.body.trim()) {
+      this.updateFields(fields)
+      markers.push(...this.toMarkers(this.validator.validate(block.body), block.bodyStartLine - 1))
+    }
+    monaco.editor.setModelMarkers(model, 'es-dsl', markers)
+    return markers
+  }
+
+  /**
+   * 逐行验证 NDJSON 编辑器（如 _msearch、_bulk）：每行单独解析，查询行再运行 DSL 验证
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   * @param {Array<{ lineNumber: number, text: string, isQuery: boolean, error?: string, warning?: string }>} lines 要验证的行
+   * @param {Object} fields 字段映射
+   */
+  validateLines(model, lines, fields) {
+    this.updateFields(fields)
+    const markers = []
+    for (const line of lines) {
+      const errors = line.isQuery ? this.validator.validate(line.text) : this.validator.validateJson(line.text)
+      for (const [severity, message] of [[Severity.Error, line.error], [Severity.Warning, line.warning]]) {
+        if (!message) continue
+        errors.push({
+          severity,
+          message,
+          startLineNumber: 1,
+          startColumn: 1,
+          endLineNumber: 1,
+          endColumn: line.text.length + 1,
+        })
+      }
+      markers.push(...this.toMarkers(errors, line.lineNumber - 1))
+    }
+    monaco.editor.setModelMarkers(model, 'es-dsl', markers)
+    return markers
+  }
+
+  /**
+   * 验证 ES|QL 查询的基本语法（见 esEsql 的 validateEsql）
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   */
+  validateEsql(model) {
+    const markers = validateEsql(model.getValue()).map(error => {
+      const start = model.getPositionAt(error.start)
+      const end = model.getPositionAt(error.end)
+      return {
+        severity: error.severity === 'error' ? Severity.Error : Severity.Warning,
+        message: error.message,
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column,
+      }
+    })
+    monaco.editor.setModelMarkers(model, 'es-dsl', markers)
+    return markers
+  }
+
+  /**
+   * 清除 model 上的诊断
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   */
+  clear(model) {
+    monaco.editor.setModelMarkers(model, 'es-dsl', [])
+  }
+
+  /**
+   * 显示服务端验证（_validate/query）的错误，使用单独的 owner，和本地诊断的 markers 同时显示
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   * @param {Array<{ message: string, start: number, end: number }>} errors 错误和它们在 model 中的偏移量
+   */
+  setServerMarkers(model, errors) {
+    const markers = errors.map(error => {
+      const start = model.getPositionAt(error.start)
+      const end = model.getPositionAt(error.end)
+      return {
+        severity: Severity.Error,
+        message: error.message,
+        source: '_validate/query',
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column,
+      }
+    })
+    monaco.editor.setModelMarkers(model, 'es-server', markers)
+    return markers
+  }
+
+  /**
+   * 清除服务端验证的 markers
+   * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
+   */
+  clearServer(model) {
+    monaco.editor.setModelMarkers(model, 'es-server', [])
+  }
+
+  /**
+   * 验证错误转换为 Monaco markers
+   * @param {Array} errors 验证错误列表
+   * @param {number} lineOffset 行号偏移
+   */
+  toMarkers(errors, lineOffset) {
+    return errors.map(error => ({
+      severity: error.severity,
+      message: error.message,
+      startLineNumber: (error.startLineNumber || 1) + lineOffset,
+      startColumn: error.startColumn || 1,
+      endLineNumber: (error.endLineNumber || error.startLineNumber || 1) + lineOffset,
+      endColumn: error.endColumn || error.startColumn || 1,
+    }))
+  }
+
   /**
    * 防抖验证
    * @param {monaco.editor.ITextModel} model Monaco 编辑器模型
@@ -0,0 +1,149 @@
+/**
+ * Editor Provider Registry
+ * Monaco 的 provider 按语言全局注册，这里只注册一次，再按 model 分发给各个工作区自己的
+ * ESCompletionProvider，使每个连接的补全使用自己的 mapping 和集群版本
+ * 控制台模式下只把光标所在请求块的请求体交给 provider，NDJSON 编辑器只把光标所在的查询行交给 provider
+ * SQL 编辑器使用 Monaco 自带的 sql 语言，ES|QL 使用自己的语言，补全分别由 SqlCompletionProvider 和 EsqlCompletionProvider 提供
+ * 结果编辑器可以绑定 codeLens（如搜索结果中每个命中上方的 Explain），请求编辑器可以绑定额外的 hover（如服务端验证的 Lucene 查询）
+ */
+
+import { ESHoverProvider } from '@/lib/esCompletionProvider'
+import { CONSOLE_LANGUAGE_ID, registerConsoleLanguage } from '@/lib/esConsoleLanguage'
+import { createBodyModel, findBlockAtLine, parseConsole } from '@/lib/esConsoleParser'
+import { registerMustacheLanguage } from '@/lib/esMustacheLanguage'
+import { NDJSON_LANGUAGE_ID, registerNdjsonLanguage } from '@/lib/esNdjsonLanguage'
+import { ESQL_LANGUAGE_ID, registerEsqlLanguage } from '@/lib/esEsqlLanguage'
+
+// model uri -> { completion, getQueryBlock, codeLens, hover }
+const modelProviders = new Map()
+
+let registered = false
+
+/**
+ * 控制台 model 中光标所在请求块的请求体
+ * @returns {Object|null} createBodyModel 的结果，光标不在请求体中时返回 null
+ */
+function getConsoleBodyModel(model, position) {
+  const block = findBlockAtLine(parseConsole(model.getValue()), position.lineNumber)
+  if (!block || position.lineNumber < block.bodyStartLine) return null
+  return createBodyModel(model, block)
+}
+
+/**
+ * 在请求体子 model 上运行补全，并把建议的范围转换回原 model
+ */
+function provideBodyCompletion(completion, bodyModel, position, context, token) {
+  const result = completion.provideCompletionItems(
+    bodyModel, bodyModel.toBodyPosition(position), context, token
+  )
+  return {
+    suggestions: result.suggestions.map(s => ({ ...s, range: bodyModel.toModelRange(s.range) })),
+  }
+}
+
+/**
+ * 注册控制台、搜索模板、NDJSON 和 ES|QL 语言，以及它们的补全和悬停提示（重复调用无效果）
+ * @param {Object} monaco monaco 命名空间
+ */
+export function registerESProviders(monaco) {
+  if (registered) return
+  registered = true
+
+  registerConsoleLanguage(monaco)
+  registerMustacheLanguage(monaco)
+  registerNdjsonLanguage(monaco)
+  registerEsqlLanguage(monaco)
+
+  // 注册 completion provider
+  monaco.languages.registerCompletionItemProvider('json', {
+    provideCompletionItems: (model, position, context, token) => {
+      const providers = modelProviders.get(model.uri.toString())
+      if (!providers?.completion) {
+        return { suggestions: [] }
+      }
+      return providers.completion.provideCompletionItems(model, position, context, token)
+    },
+    triggerCharacters: ['"', ':', '{', '[', ' ', '.'],
+  })
+
+  monaco.languages.registerCompletionItemProvider(CONSOLE_LANGUAGE_ID, {
+    provideCompletionItems: (model, position, context, token) => {
+      const providers = modelProviders.get(model.uri.toString())
+      const bodyModel = providers?.completion && getConsoleBodyModel(model, position)
+      if (!bodyModel) {
+        return { suggestions: [] }
+      }
+      return provideBodyCompletion(providers.completion, bodyModel, position, context, token)
+    },
+    triggerCharacters: ['"', ':', '{', '[', ' ', '.'],
+  })
+
+  // NDJSON：由工作区决定哪些行是查询（如 _msearch 的 body 行）
+  monaco.languages.registerCompletionItemProvider(NDJSON_LANGUAGE_ID, {
+    provideCompletionItems: (model, position, context, token) => {
+      const providers = modelProviders.get(model.uri.toString())
+      const block = providers?.completion && providers.getQueryBlock?.(model.getValue(), position.lineNumber)
+      if (!block) {
+        return { suggestions: [] }
+      }
+      return provideBodyCompletion(providers.completion, createBodyModel(model, block), position, context, token)
+    },
+    triggerCharacters: ['"', ':', '{', '[', ' ', '.'],
+  })
+
+  // SQL 和 ES|QL：整个 model 交给 provider
+  for (const language of ['sql', ESQL_LANGUAGE_ID]) {
+    monaco.languages.registerCompletionItemProvider(language, {
+      provideCompletionItems: (model, position, context, token) => {
+        const providers = modelProviders.get(model.uri.toString())
+        if (!providers?.completion) {
+          return { suggestions: [] }
+        }
+        return providers.completion.provideCompletionItems(model, position, context, token)
+      },
+      triggerCharacters: [' ', '.', '"', '|'],
+    })
+  }
+
+  // 结果编辑器中的 code lens
+  monaco.languages.registerCodeLensProvider('json', {
+    provideCodeLenses: (model) => {
+      const providers = modelProviders.get(model.uri.toString())
+      return { lenses: providers?.codeLens?.provideCodeLenses(model) || [], dispose: () => {} }
+    },
+  })
+
+  // 注册 hover provider
+  const hoverProvider = new ESHoverProvider()
+  for (const language of ['json', CONSOLE_LANGUAGE_ID, NDJSON_LANGUAGE_ID]) {
+    monaco.languages.registerHoverProvider(language, {
+      provideHover: (model, position, token) => {
+        return hoverProvider.provideHover(model, position, token)
+      },
+    })
+  }
+
+  // 工作区绑定到 model 的 hover
+  monaco.languages.registerHoverProvider('json', {
+    provideHover: (model, position) => {
+      const providers = modelProviders.get(model.uri.toString())
+      return providers?.hover?.provideHover(model, position)
+    },
+  })
+}
+
+/**
+ * 把 provider 绑定到某个编辑器 model
+ * @param {monaco.editor.ITextModel} model 编辑器 model
+ * @param {Object} providers { completion?: ESCompletionProvider | SqlCompletionProvider | EsqlCompletionProvider, getQueryBlock?: (text, lineNumber) => block|null, codeLens?: { provideCodeLenses: model => lenses }, hover?: { provideHover: (model, position) => hover } }
+ * @returns {Function} 解除绑定
+ */
+export function attachModelProviders(model, providers) {
+  const key = model.uri.toString()
+  modelProviders.set(key, providers)
+  return () => {
+    if (modelProviders.get(key) === providers) {
+      modelProviders.delete(key)
+    }
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * ES|QL Queries
+ * ES|QL 的命令和函数、按管道拆分查询、基本的语法检查，以及 _query 的请求和列式响应
+ * 不依赖 Monaco，语言、补全和诊断都基于这里的定义
+ */
+
+export const ESQL_QUERY_PATH = '/_query'
+
+// 源命令：只能出现在查询开头
+export const ESQL_SOURCE_COMMANDS = [
+  { name: 'FROM', detail: 'Read documents from indices, aliases or data streams' },
+  { name: 'ROW', detail: 'Produce a single row of literal values' },
+  { name: 'SHOW', detail: 'Show deployment information (SHOW INFO)' },
+  { name: 'METRICS', detail: 'Read time series metrics' },
+]
+
+// 处理命令：跟在 | 之后
+export const ESQL_PROCESSING_COMMANDS = [
+  { name: 'WHERE', detail: 'Keep rows that match a condition' },
+  { name: 'EVAL', detail: 'Add computed columns' },
+  { name: 'STATS', detail: 'Aggregate rows, optionally BY grouping columns' },
+  { name: 'KEEP', detail: 'Keep and reorder columns' },
+  { name: 'DROP', detail: 'Remove columns' },
+  { name: 'RENAME', detail: 'Rename columns (old AS new)' },
+  { name: 'SORT', detail: 'Sort rows (ASC / DESC, NULLS FIRST / LAST)' },
+  { name: 'LIMIT', detail: 'Limit the number of rows' },
+  { name: 'DISSECT', detail: 'Extract columns from a string with a dissect pattern' },
+  { name: 'GROK', detail: 'Extract columns from a string with a grok pattern' },
+  { name: 'ENRICH', detail: 'Add columns from an enrich policy' },
+  { name: 'MV_EXPAND', detail: 'Expand a multi-valued column into one row per value' },
+  { name: 'LOOKUP JOIN', detail: 'Join rows with a lookup index' },
+  { name: 'CHANGE_POINT', detail: 'Detect spikes, dips and change points' },
+  { name: 'SAMPLE', detail: 'Keep a random sample of rows' },
+  { name: 'FORK', detail: 'Run several branches and combine their results' },
+  { name: 'COMPLETION', detail: 'Send a prompt to an inference endpoint' },
+  { name: 'RERANK', detail: 'Rerank rows with an inference endpoint' },
+]
+
+// 命令中使用的关键字
+export const ESQL_KEYWORDS = [
+  'BY', 'AS', 'ON', 'WITH', 'METADATA', 'ASC', 'DESC', 'NULLS FIRST', 'NULLS LAST',
+  'AND', 'OR', 'NOT', 'IS NULL', 'IS NOT NULL', 'LIKE', 'RLIKE', 'IN', 'TRUE', 'FALSE', 'NULL',
+]
+
+export const ESQL_FUNCTIONS = [
+  // 聚合
+  { name: 'AVG', detail: 'Aggregate: average' },
+  { name: 'COUNT', detail: 'Aggregate: number of values (COUNT(*) counts rows)' },
+  { name: 'COUNT_DISTINCT', detail: 'Aggregate: approximate number of distinct values' },
+  { name: 'MAX', detail: 'Aggregate: maximum' },
+  { name: 'MEDIAN', detail: 'Aggregate: median' },
+  { name: 'MEDIAN_ABSOLUTE_DEVIATION', detail: 'Aggregate: median absolute deviation' },
+  { name: 'MIN', detail: 'Aggregate: minimum' },
+  { name: 'PERCENTILE', detail: 'Aggregate: percentile' },
+  { name: 'ST_CENTROID_AGG', detail: 'Aggregate: centroid of points' },
+  { name: 'STD_DEV', detail: 'Aggregate: standard deviation' },
+  { name: 'SUM', detail: 'Aggregate: sum' },
+  { name: 'TOP', detail: 'Aggregate: top values' },
+  { name: 'VALUES', detail: 'Aggregate: all values as a multi-valued column' },
+  { name: 'WEIGHTED_AVG', detail: 'Aggregate: weighted average' },
+  { name: 'BUCKET', detail: 'Grouping: buckets of numbers or dates' },
+  // 条件
+  { name: 'CASE', detail: 'Conditional: first value whose condition is true' },
+  { name: 'COALESCE', detail: 'Conditional: first non-null argument' },
+  { name: 'GREATEST', detail: 'Conditional: largest argument' },
+  { name: 'LEAST', detail: 'Conditional: smallest argument' },
+  // 日期
+  { name: 'DATE_DIFF', detail: 'Date: difference between two dates in a unit' },
+  { name: 'DATE_EXTRACT', detail: 'Date: extract a part of a date' },
+  { name: 'DATE_FORMAT', detail: 'Date: format a date' },
+  { name: 'DATE_PARSE', detail: 'Date: parse a string into a date' },
+  { name: 'DATE_TRUNC', detail: 'Date: round a date down to an interval' },
+  { name: 'NOW', detail: 'Date: current date and time' },
+  // IP
+  { name: 'CIDR_MATCH', detail: 'IP: whether an IP is in a CIDR block' },
+  { name: 'IP_PREFIX', detail: 'IP: truncate an IP to a prefix length' },
+  // 数学
+  { name: 'ABS', detail: 'Math: absolute value' },
+  { name: 'CEIL', detail: 'Math: round up' },
+  { name: 'EXP', detail: 'Math: e raised to a power' },
+  { name: 'FLOOR', detail: 'Math: round down' },
+  { name: 'LOG', detail: 'Math: logarithm to a base' },
+  { name: 'LOG10', detail: 'Math: base 10 logarithm' },
+  { name: 'PI', detail: 'Math: ratio of a circle\'s circumference to its diameter' },
+  { name: 'POW', detail: 'Math: value raised to a power' },
+  { name: 'ROUND', detail: 'Math: round to a number of decimals' },
+  { name: 'SIGNUM', detail: 'Math: sign of a number' },
+  { name: 'SQRT', detail: 'Math: square root' },
+  // 字符串
+  { name: 'CONCAT', detail: 'String: concatenate strings' },
+  { name: 'ENDS_WITH', detail: 'String: whether a string ends with another' },
+  { name: 'LEFT', detail: 'String: leftmost characters' },
+  { name: 'LENGTH', detail: 'String: number of characters' },
+  { name: 'LOCATE', detail: 'String: position of a substring' },
+  { name: 'LTRIM', detail: 'String: remove leading whitespace' },
+  { name: 'REPLACE', detail: 'String: replace matches of a regular expression' },
+  { name: 'REVERSE', detail: 'String: reverse a string' },
+  { name: 'RIGHT', detail: 'String: rightmost characters' },
+  { name: 'RTRIM', detail: 'String: remove trailing whitespace' },
+  { name: 'SPLIT', detail: 'String: split into a multi-valued column' },
+  { name: 'STARTS_WITH', detail: 'String: whether a string starts with another' },
+  { name: 'SUBSTRING', detail: 'String: substring from a position' },
+  { name: 'TO_LOWER', detail: 'String: lower-case' },
+  { name: 'TO_UPPER', detail: 'String: upper-case' },
+  { name: 'TRIM', detail: 'String: remove leading and trailing whitespace' },
+  // 类型转换
+  { name: 'TO_BOOLEAN', detail: 'Conversion: to boolean' },
+  { name: 'TO_DATETIME', detail: 'Conversion: to date' },
+  { name: 'TO_DOUBLE', detail: 'Conversion: to double' },
+  { name: 'TO_GEOPOINT', detail: 'Conversion: to geo_point' },
+  { name: 'TO_INTEGER', detail: 'Conversion: to integer' },
+  { name: 'TO_IP', detail: 'Conversion: to IP' },
+  { name: 'TO_LONG', detail: 'Conversion: to long' },
+  { name: 'TO_STRING', detail: 'Conversion: to keyword' },
+  { name: 'TO_VERSION', detail: 'Conversion: to version' },
+  // 多值
+  { name: 'MV_AVG', detail: 'Multi-value: average' },
+  { name: 'MV_CONCAT', detail: 'Multi-value: join into one string' },
+  { name: 'MV_COUNT', detail: 'Multi-value: number of values' },
+  { name: 'MV_DEDUPE', detail: 'Multi-value: remove duplicates' },
+  { name: 'MV_FIRST', detail: 'Multi-value: first value' },
+  { name: 'MV_LAST', detail: 'Multi-value: last value' },
+  { name: 'MV_MAX', detail: 'Multi-value: maximum' },
+  { name: 'MV_MIN', detail: 'Multi-value: minimum' },
+  { name: 'MV_SORT', detail: 'Multi-value: sort the values' },
+  { name: 'MV_SUM', detail: 'Multi-value: sum' },
+  // 全文
+  { name: 'MATCH', detail: 'Full-text: match query on a field' },
+  { name: 'QSTR', detail: 'Full-text: query_string query' },
+  { name: 'KQL', detail: 'Full-text: KQL query' },
+  // 空间
+  { name: 'ST_CONTAINS', detail: 'Spatial: whether a geometry contains another' },
+  { name: 'ST_DISTANCE', detail: 'Spatial: distance between two points' },
+  { name: 'ST_INTERSECTS', detail: 'Spatial: whether two geometries intersect' },
+  { name: 'ST_WITHIN', detail: 'Spatial: whether a geometry is within another' },
+  { name: 'ST_X', detail: 'Spatial: x coordinate of a point' },
+  { name: 'ST_Y', detail: 'Spatial: y coordinate of a point' },
+]
+
+const SOURCE_COMMAND_NAMES = ESQL_SOURCE_COMMANDS.map(c => c.name)
+const PROCESSING_COMMAND_NAMES = ESQL_PROCESSING_COMMANDS.map(c => c.name.split(' ')[0])
+const FUNCTION_NAMES = new Set(ESQL_FUNCTIONS.map(f => f.name))
+
+/**
+ * 扫描查询，跳过字符串、反引号标识符和注释
+ * @param {string} query ES|QL 查询
+ * @param {Function} visit (ch, index) => void，只对代码中的字符调用
+ * @returns {{ unterminated: Object|null }} 未闭合的字符串或注释 { kind, start }
+ */
+function scanEsql(query, visit) {
+  let i = 0
+  while (i < query.length) {
+    const rest = query.slice(i, i + 3)
+    let close = null
+    let kind = null
+    if (rest === '"""') {
+      close = '"""'
+      kind = 'string'
+    } else if (rest[0] === '"') {
+      close = '"'
+      kind = 'string'
+    } else if (rest[0] === '`') {
+      close = '`'
+      kind = 'quoted identifier'
+    } else if (rest.startsWith('//')) {
+      const newline = query.indexOf('\n', i)
+      i = newline === -1 ? query.length : newline
+      continue
+    } else if (rest.startsWith('/*')) {
+      close = '*/'
+      kind = 'comment'
+    }
+
+    if (!close) {
+      visit(query[i], i)
+      i++
+      continue
+    }
+
+    // 找到闭合的引号（单行字符串中 \ 转义下一个字符）
+    let j = i + (kind === 'comment' ? 2 : close.length)
+    while (j < query.length && !query.startsWith(close, j)) {
+      j += close === '"' && query[j] === '\\' ? 2 : 1
+    }
+    if (j >= query.length) {
+      return { unterminated: { kind, start: i } }
+    }
+    i = j + close.length
+  }
+  return { unterminated: null }
+}
+
+/**
+ * 按管道拆分查询
+ * @param {string} query ES|QL 查询
+ * @returns {Array<{ text: string, start: number, end: number }>} 每个命令（包括首尾空白）和它的偏移量
+ */
+export function splitEsqlCommands(query) {
+  const source = query || ''
+  const commands = []
+  let start = 0
+  let depth = 0
+  scanEsql(source, (ch, index) => {
+    if (ch === '(' || ch === '[') depth++
+    if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1)
+    // FORK 的分支在括号中，其中的管道属于分支
+    if (ch === '|' && depth === 0) {
+      commands.push({ text: source.slice(start, index), start, end: index })
+      start = index + 1
+    }
+  })
+  commands.push({ text: source.slice(start), start, end: source.length })
+  return commands
+}
+
+/**
+ * 命令的名称（大写），如 "WHERE"、"LOOKUP"
+ * @param {string} text 命令文本
+ * @returns {string|null}
+ */
+function getCommandName(text) {
+  const match = stripComments(text).match(/^\s*([A-Za-z_]+)/)
+  return match ? match[1].toUpperCase() : null
+}
+
+// 去掉注释（保持长度不变，偏移量仍然准确）
+function stripComments(text) {
+  return text.replace(/\/\/[^\n]*|\/\*[\s\S]*?(\*\/|$)/g, match => match.replace(/[^\n]/g, ' '))
+}
+
+/**
+ * 查询的数据源：FROM 之后的索引（多个索引用逗号连接），用于加载 mapping
+ * @param {string} query ES|QL 查询
+ * @returns {string|null}
+ */
+export function getEsqlSource(query) {
+  const first = splitEsqlCommands(query)[0]
+  const match = stripComments(first.text).match(/^\s*(?:FROM|METRICS)\s+([^\s,|]+(?:\s*,\s*[^\s,|]+)*)/i)
+  if (!match) return null
+  return match[1]
+    .split(',')
+    .map(index => index.trim().replace(/^"|"$/g, ''))
+    .filter(index => index && index.toUpperCase() !== 'METADATA')
+    .join(',') || null
+}
+
+/**
+ * 基本的语法检查：源命令、未知的命令和函数、空管道、括号和未闭合的字符串
+ * 只做服务端执行前能确定的检查，字段和类型错误由 _query 的响应报告
+ * @param {string} query ES|QL 查询
+ * @returns {Array<{ severity: string, message: string, start: number, end: number }>} severity 为 'error' | 'warning'
+ */
+export function validateEsql(query) {
+  const source = query || ''
+  const errors = []
+  const push = (severity, message, start, end) => errors.push({ severity, message, start, end: Math.max(end, start + 1) })
+
+  // 字符串、注释和括号
+  const brackets = []
+  const { unterminated } = scanEsql(source, (ch, index) => {
+    if (ch === '(' || ch === '[') {
+      brackets.push({ ch, index })
+    } else if (ch === ')' || ch === ']') {
+      const open = brackets.pop()
+      if (!open || (open.ch === '(') !== (ch === ')')) {
+        push('error', `Unexpected "${ch}"`, index, index + 1)
+      }
+    }
+  })
+  if (unterminated) {
+    push('error', `Unterminated ${unterminated.kind}`, unterminated.start, source.length)
+    return errors
+  }
+  for (const open of brackets) {
+    push('error', `Unclosed "${open.ch}"`, open.index, open.index + 1)
+  }
+
+  const commands = splitEsqlCommands(source)
+  if (stripComments(source).trim() === '') return errors
+
+  commands.forEach((command, i) => {
+    const text = stripComments(command.text)
+    const leading = text.length - text.trimStart().length
+    const start = command.start + leading
+    const name = getCommandName(command.text)
+
+    if (!name) {
+      push('error', i === 0 ? 'The query must start with a source command such as FROM or ROW' : 'Empty command after "|"',
+        i === 0 ? start : command.start - 1, i === 0 ? start + 1 : command.start)
+      return
+    }
+
+    const end = start + name.length
+    if (i === 0) {
+      if (PROCESSING_COMMAND_NAMES.includes(name)) {
+        push('error', `The query must start with a source command such as FROM or ROW, not ${name}`, start, end)
+      } else if (!SOURCE_COMMAND_NAMES.includes(name)) {
+        push('error', `Unknown source command "${name}". Expected ${SOURCE_COMMAND_NAMES.join(', ')}`, start, end)
+      } else if (name === 'FROM' && !getEsqlSource(command.text)) {
+        push('error', 'FROM needs an index, alias or data stream', start, end)
+      }
+    } else if (SOURCE_COMMAND_NAMES.includes(name)) {
+      push('error', `${name} is a source command and can only start the query`, start, end)
+    } else if (!PROCESSING_COMMAND_NAMES.includes(name)) {
+      push('error', `Unknown command "${name}"`, start, end)
+    }
+
+    // 函数调用：名称后面紧跟 (
+    if (name === 'FROM') return
+    for (const match of maskStrings(text).matchAll(/\b([A-Za-z_][A-Za-z0-9_]*)\s*\(/g)) {
+      const fn = match[1].toUpperCase()
+      if (FUNCTION_NAMES.has(fn) || ['IN', 'NOT', 'AND', 'OR', 'BY', 'WHERE', 'FORK', 'ON', 'WITH', 'AS'].includes(fn)) continue
+      const fnStart = command.start + match.index
+      push('warning', `Unknown function "${match[1]}" (it may need a newer Elasticsearch version)`, fnStart, fnStart + match[1].length)
+    }
+  })
+
+  return errors
+}
+
+// 把字符串和反引号标识符替换为空格（保持长度不变）
+function maskStrings(text) {
+  return text.replace(/"""[\s\S]*?"""|"([^"\\\n]|\\.)*"|`[^`]*`/g, match => match.replace(/[^\n]/g, ' '))
+}
+
+/**
+ * _query 的请求体
+ * @param {string} query ES|QL 查询
+ * @returns {string}
+ */
+export function createEsqlBody(query) {
+  return JSON.stringify({ query })
+}
+
+/**
+ * 把 _query 的响应转换为表格
+ * @param {Object} data 响应 { columns: [{ name, type }], values: [[...]] }
+ * @returns {{ columns: Array<{ name: string, type: string }>, rows: Array<Array> }|null} 不是 ES|QL 响应时为 null
+ */
+export function getEsqlTable(data) {
+  if (!Array.isArray(data?.columns)) return null
+  return {
+    columns: data.columns.map(column => ({ name: column.name, type: column.type })),
+    rows: data.values || [],
+  }
+}
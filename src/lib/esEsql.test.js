@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { createEsqlBody, getEsqlSource, getEsqlTable, splitEsqlCommands, validateEsql } from '@/lib/esEsql'
+
+describe('splitEsqlCommands', () => {
+  it('splits on pipes outside strings, comments and brackets', () => {
+    const query = 'FROM logs | WHERE msg == "a|b" // c|d\n| FORK (WHERE a > 1 | LIMIT 1) (LIMIT 2)'
+    expect(splitEsqlCommands(query).map(command => command.text.trim())).toEqual([
+      'FROM logs',
+      'WHERE msg == "a|b" // c|d',
+      'FORK (WHERE a > 1 | LIMIT 1) (LIMIT 2)',
+    ])
+  })
+
+  it('keeps the offsets of each command', () => {
+    const [first, second] = splitEsqlCommands('ROW a = 1 | LIMIT 1')
+    expect(first).toEqual({ text: 'ROW a = 1 ', start: 0, end: 10 })
+    expect(second).toEqual({ text: ' LIMIT 1', start: 11, end: 19 })
+  })
+})
+
+describe('getEsqlSource', () => {
+  it('reads the indices after FROM', () => {
+    expect(getEsqlSource('FROM logs-*, "metrics" METADATA _id | LIMIT 1')).toBe('logs-*,metrics')
+    expect(getEsqlSource('/* all */ from logs')).toBe('logs')
+  })
+
+  it('returns null for other source commands', () => {
+    expect(getEsqlSource('ROW a = 1')).toBeNull()
+    expect(getEsqlSource('FROM')).toBeNull()
+  })
+})
+
+describe('validateEsql', () => {
+  const messages = query => validateEsql(query).map(error => `${error.severity}: ${error.message}`)
+
+  it('accepts valid queries', () => {
+    expect(validateEsql('FROM logs | WHERE a > 1 | STATS c = COUNT(*) BY host | SORT c DESC | LIMIT 10')).toEqual([])
+    expect(validateEsql('FROM logs | LOOKUP JOIN hosts ON host')).toEqual([])
+    expect(validateEsql('')).toEqual([])
+  })
+
+  it('reports the source command', () => {
+    expect(messages('WHERE a > 1')).toEqual(['error: The query must start with a source command such as FROM or ROW, not WHERE'])
+    expect(messages('SELECT a')).toEqual(['error: Unknown source command "SELECT". Expected FROM, ROW, SHOW, METRICS'])
+    expect(messages('FROM | LIMIT 1')).toEqual(['error: FROM needs an index, alias or data stream'])
+    expect(messages('FROM logs | ROW a = 1')).toEqual(['error: ROW is a source command and can only start the query'])
+  })
+
+  it('reports unknown commands and empty pipes', () => {
+    expect(messages('FROM logs | FILTER a')).toEqual(['error: Unknown command "FILTER"'])
+    expect(messages('FROM logs | | LIMIT 1')).toEqual(['error: Empty command after "|"'])
+  })
+
+  it('reports brackets and unterminated strings', () => {
+    expect(messages('FROM logs | EVAL a = ROUND(b')).toEqual(['error: Unclosed "("'])
+    expect(messages('FROM logs | WHERE a == "b')).toEqual(['error: Unterminated string'])
+    expect(messages('FROM logs | EVAL a = b)')).toEqual(['error: Unexpected ")"'])
+  })
+
+  it('warns about unknown functions but not about function names in strings', () => {
+    expect(messages('FROM logs | EVAL a = MY_FN(b)')).toEqual(['warning: Unknown function "MY_FN" (it may need a newer Elasticsearch version)'])
+    expect(messages('FROM logs | WHERE msg == "MY_FN(b)"')).toEqual([])
+  })
+
+  it('points at the command', () => {
+    const [error] = validateEsql('FROM logs | FILTER a')
+    expect(error).toMatchObject({ start: 12, end: 18 })
+  })
+})
+
+describe('createEsqlBody / getEsqlTable', () => {
+  it('wraps the query', () => {
+    expect(JSON.parse(createEsqlBody('ROW a = 1'))).toEqual({ query: 'ROW a = 1' })
+  })
+
+  it('reads the columnar response', () => {
+    expect(getEsqlTable({ columns: [{ name: 'a', type: 'long', extra: 1 }], values: [[1], [2]] })).toEqual({
+      columns: [{ name: 'a', type: 'long' }],
+      rows: [[1], [2]],
+    })
+    expect(getEsqlTable({ columns: [] })).toEqual({ columns: [], rows: [] })
+    expect(getEsqlTable({ hits: {} })).toBeNull()
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * ES|QL Completion Provider
+ * 查询开头补全源命令，| 之后补全处理命令，FROM 之后补全索引名，其他位置补全字段、函数和关键字
+ * 字段来自 FROM 的索引的 mapping（ESMappingService），表来自连接时读取的索引列表
+ */
+
+import * as monaco from 'monaco-editor'
+import {
+  ESQL_FUNCTIONS,
+  ESQL_KEYWORDS,
+  ESQL_PROCESSING_COMMANDS,
+  ESQL_SOURCE_COMMANDS,
+  splitEsqlCommands,
+} from '@/lib/esEsql'
+
+// 光标前正在输入的标识符（索引名可以包含 - * . : @）
+const PARTIAL_IDENTIFIER = /`?[\w.*:@-]*$/
+
+// 不带反引号就不能使用的字段名
+function quoteField(name) {
+  return /^[A-Za-z_@][\w.@]*$/.test(name) ? name : `\`${name.replace(/`/g, '``')}\``
+}
+
+export class EsqlCompletionProvider {
+  constructor() {
+    this.indices = []
+    this.fields = {}
+  }
+
+  /**
+   * 更新可补全的索引
+   * @param {Array<string>} indices 索引名
+   */
+  updateIndices(indices) {
+    this.indices = indices || []
+  }
+
+  /**
+   * 更新可补全的字段（FROM 的索引的 mapping）
+   * @param {Object} fields ESMappingService 解析出的字段
+   */
+  updateFields(fields) {
+    this.fields = fields || {}
+  }
+
+  provideCompletionItems(model, position) {
+    const textUntilPosition = model.getValueInRange({
+      startLineNumber: 1,
+      startColumn: 1,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    })
+    const partial = textUntilPosition.match(PARTIAL_IDENTIFIER)[0]
+    const range = {
+      startLineNumber: position.lineNumber,
+      startColumn: position.column - partial.length,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    }
+
+    // 光标所在的命令（最后一个管道之后的文本）
+    const commands = splitEsqlCommands(textUntilPosition)
+    const current = commands[commands.length - 1].text
+    const beforePartial = current.slice(0, current.length - partial.length)
+
+    // 命令名称的位置
+    if (beforePartial.trim() === '') {
+      return {
+        suggestions: this.getCommandSuggestions(
+          commands.length === 1 ? ESQL_SOURCE_COMMANDS : ESQL_PROCESSING_COMMANDS, range
+        ),
+      }
+    }
+
+    // FROM 之后的索引列表
+    if (/^\s*(FROM|METRICS)\s+([^\s,]+\s*,\s*)*$/i.test(beforePartial)) {
+      return { suggestions: this.getIndexSuggestions(range) }
+    }
+
+    return {
+      suggestions: [
+        ...this.getFieldSuggestions(range),
+        ...this.getFunctionSuggestions(range),
+        ...this.getKeywordSuggestions(range),
+      ],
+    }
+  }
+
+  getCommandSuggestions(commands, range) {
+    return commands.map(command => ({
+      label: command.name,
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      detail: command.detail,
+      insertText: `${command.name} `,
+      range,
+    }))
+  }
+
+  getIndexSuggestions(range) {
+    return this.indices.map(index => ({
+      label: index,
+      kind: monaco.languages.CompletionItemKind.Module,
+      detail: 'Index',
+      insertText: index,
+      range,
+    }))
+  }
+
+  getFieldSuggestions(range) {
+    return Object.entries(this.fields)
+      .filter(([, field]) => !field.hasProperties)
+      .map(([name, field]) => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Field,
+        detail: field.type,
+        insertText: quoteField(name),
+        sortText: `0_${name}`,
+        range,
+      }))
+  }
+
+  getFunctionSuggestions(range) {
+    return ESQL_FUNCTIONS.map(fn => ({
+      label: fn.name,
+      kind: monaco.languages.CompletionItemKind.Function,
+      detail: fn.detail,
+      insertText: `${fn.name}($1)`,
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      sortText: `1_${fn.name}`,
+      range,
+    }))
+  }
+
+  getKeywordSuggestions(range) {
+    return ESQL_KEYWORDS.map(keyword => ({
+      label: keyword,
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: keyword,
+      sortText: `2_${keyword}`,
+      range,
+    }))
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * ES|QL Language
+ * ES|QL 编辑器使用的 Monaco 语言：命令、函数、关键字、字符串、时间单位和注释
+ */
+
+import { ESQL_FUNCTIONS, ESQL_KEYWORDS, ESQL_PROCESSING_COMMANDS, ESQL_SOURCE_COMMANDS } from '@/lib/esEsql'
+
+export const ESQL_LANGUAGE_ID = 'es-esql'
+
+let registered = false
+
+/**
+ * 注册 ES|QL 语言（重复调用无效果）
+ * @param {Object} monaco monaco 命名空间
+ */
+export function registerEsqlLanguage(monaco) {
+  if (registered) return
+  registered = true
+
+  monaco.languages.register({ id: ESQL_LANGUAGE_ID })
+
+  monaco.languages.setMonarchTokensProvider(ESQL_LANGUAGE_ID, {
+    ignoreCase: true,
+    commands: [...ESQL_SOURCE_COMMANDS, ...ESQL_PROCESSING_COMMANDS].flatMap(c => c.name.split(' ')),
+    keywords: ESQL_KEYWORDS.flatMap(k => k.split(' ')),
+    functions: ESQL_FUNCTIONS.map(f => f.name),
+    tokenizer: {
+      root: [
+        // 注释
+        [/\/\/.*$/, 'comment'],
+        [/\/\*/, { token: 'comment', next: '@comment' }],
+        // 字符串和反引号标识符
+        [/"""/, { token: 'string', next: '@tripleString' }],
+        [/"([^"\\]|\\.)*"/, 'string'],
+        [/`[^`]*`/, 'variable'],
+        // 查询参数，如 ?name
+        [/\?\w*/, 'variable'],
+        // 数字和时间单位，如 1 hour
+        [/\d+(\.\d+)?([eE][+-]?\d+)?/, 'number'],
+        // 命令、函数和关键字
+        [/[A-Za-z_@][\w.@]*(?=\s*\()/, { cases: { '@functions': 'type.identifier', '@default': 'identifier' } }],
+        [/[A-Za-z_@][\w.@]*/, { cases: { '@commands': 'keyword', '@keywords': 'keyword', '@default': 'identifier' } }],
+        [/\|/, 'delimiter'],
+        [/==|!=|<=|>=|[<>+\-*/%:=]/, 'operator'],
+        [/[()[\]]/, '@brackets'],
+        [/[,]/, 'delimiter'],
+      ],
+      comment: [
+        [/\*\//, { token: 'comment', next: '@pop' }],
+        [/[^*]+/, 'comment'],
+        [/\*/, 'comment'],
+      ],
+      tripleString: [
+        [/"""/, { token: 'string', next: '@pop' }],
+        [/[^"]+/, 'string'],
+        [/"/, 'string'],
+      ],
+    },
+  })
+
+  monaco.languages.setLanguageConfiguration(ESQL_LANGUAGE_ID, {
+    comments: { lineComment: '//', blockComment: ['/*', '*/'] },
+    brackets: [
+      ['(', ')'],
+      ['[', ']'],
+    ],
+    autoClosingPairs: [
+      { open: '(', close: ')' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"', notIn: ['string'] },
+      { open: '`', close: '`', notIn: ['string'] },
+    ],
+    surroundingPairs: [
+      { open: '(', close: ')' },
+      { open: '"', close: '"' },
+      { open: '`', close: '`' },
+    ],
+  })
+}
@@ -0,0 +1,155 @@
+/**
+ * Score Explanation
+ * 对结果中的一个命中运行 _explain：生成路径和请求体，把 explanation 的 details 树转换为显示用的节点，并诊断不匹配的原因
+ */
+
+// 词项统计和相似度参数（BM25 的 n / N / freq / dl / avgdl 等，以及旧版本 TF-IDF 的写法）
+const STAT_DESCRIPTION = /^(n|N|freq|k1|b|dl|avgdl|boost|docFreq|docCount|termFreq|fieldLength|avgFieldLength|fieldNorm|queryNorm)\b/
+
+// 某个词项或子句对得分的贡献，如 weight(message:error in 12) [PerFieldSimilarity]
+const WEIGHT_DESCRIPTION = /^weight\((.+) in \d+\)/
+
+// 不匹配时 Lucene 给出的原因
+const NOT_MATCHED_DESCRIPTION = /^(no match|no matching|failure to meet|match on prohibited|not in|does not match|doesn't match|document .* not found)/i
+
+// 描述末尾括号中的子句，如 no match on required clause (message:error)
+const TRAILING_CLAUSE = /\s\(([^()]*(?:\([^()]*\)[^()]*)*)\)\s*$/
+
+/**
+ * _explain 的请求路径
+ * 7.0 之前的接口带类型：/<index>/<type>/<id>/_explain
+ * 使用自定义 routing 的文档要带上相同的 routing，否则会在错误的分片上查找
+ * @param {Object} features getVersionFeatures 的结果
+ * @param {{ index: string, id: string, type?: string, routing?: string }} hit 命中
+ * @returns {string}
+ */
+export function createExplainPath(features, hit) {
+  const index = encodeURIComponent(hit.index)
+  const id = encodeURIComponent(hit.id)
+  const query = hit.routing ? `?routing=${encodeURIComponent(hit.routing)}` : ''
+  if (features.typelessEndpoints) {
+    return `/${index}/_explain/${id}${query}`
+  }
+  return `/${index}/${encodeURIComponent(hit.type || '_doc')}/${id}/_explain${query}`
+}
+
+/**
+ * _explain 的请求体：只接受 query，没有 query 时解释 match_all
+ * @param {string} bodyText 搜索的请求体（可以为空）
+ * @returns {string}
+ */
+export function createExplainBody(bodyText) {
+  let body = {}
+  if (bodyText && bodyText.trim()) {
+    try {
+      body = JSON.parse(bodyText)
+    } catch (err) {
+      throw new Error('Invalid JSON in request body: ' + err.message)
+    }
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new Error('The request body must be a JSON object to explain it')
+  }
+  if (!body.query && (body.knn || body.retriever)) {
+    throw new Error('Only the "query" of a search can be explained (knn and retrievers are not supported by _explain)')
+  }
+  return JSON.stringify({ query: body.query || { match_all: {} } })
+}
+
+/**
+ * 搜索结果文本中的命中和它们 "_id" 所在的行（用于在结果编辑器中显示 Explain）
+ * @param {string} text 结果编辑器的内容
+ * @returns {Array<{ index: string, id: string, type: string|null, routing: string|null, lineNumber: number }>}
+ */
+export function findResultHits(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (e) {
+    return []
+  }
+  const hits = data?.hits?.hits
+  if (!Array.isArray(hits)) return []
+
+  // 按顺序在文本中找到每个命中的 "_id"（结果是格式化后的 JSON，每个键各占一行）
+  const result = []
+  let offset = 0
+  for (const hit of hits) {
+    if (typeof hit?._index !== 'string' || typeof hit._id !== 'string') continue
+    const position = text.indexOf(`"_id": ${JSON.stringify(hit._id)}`, offset)
+    if (position === -1) continue
+    offset = position + 1
+    result.push({
+      index: hit._index,
+      id: hit._id,
+      type: hit._type || null,
+      routing: hit._routing ?? null,
+      lineNumber: text.slice(0, position).split('\n').length,
+    })
+  }
+  return result
+}
+
+/**
+ * 转换 explanation 的一个节点
+ * @param {Object} detail { value, description, details }
+ * @param {string} key 唯一键（用于折叠状态）
+ */
+function toExplainNode(detail, key) {
+  const description = detail.description || ''
+  const weight = description.match(WEIGHT_DESCRIPTION)
+  return {
+    key,
+    value: detail.value ?? 0,
+    description,
+    kind: weight ? 'weight' : STAT_DESCRIPTION.test(description) ? 'stat' : 'function',
+    clause: weight ? weight[1] : null,
+    details: (detail.details || []).map((child, i) => toExplainNode(child, `${key}.${i}`)),
+  }
+}
+
+// 收集不匹配的原因（同一原因只保留一次）
+function collectMismatches(node, reasons) {
+  if (NOT_MATCHED_DESCRIPTION.test(node.description)) {
+    const match = node.description.match(TRAILING_CLAUSE)
+    const reason = {
+      message: match ? node.description.slice(0, match.index).trim() : node.description,
+      clause: match ? match[1] : null,
+    }
+    if (!reasons.some(other => other.message === reason.message && other.clause === reason.clause)) {
+      reasons.push(reason)
+    }
+  }
+  node.details.forEach(child => collectMismatches(child, reasons))
+  return reasons
+}
+
+/**
+ * 读取 _explain 响应
+ * @param {Object} data _explain 的响应
+ * @returns {{ index: string, id: string, matched: boolean, root: Object|null, diagnosis: Array<{ message: string, clause: string|null }> }}
+ */
+export function getExplanation(data) {
+  const root = data?.explanation ? toExplainNode(data.explanation, '0') : null
+  const matched = !!data?.matched
+
+  let diagnosis = []
+  if (!matched) {
+    if (!root) {
+      diagnosis = [{ message: 'The document was not found in the index; it may have been deleted since the search', clause: null }]
+    } else {
+      diagnosis = collectMismatches(root, [])
+      if (diagnosis.length === 0) {
+        diagnosis = [{ message: root.description, clause: null }]
+      }
+    }
+  }
+
+  return {
+    index: data?._index ?? null,
+    id: data?._id ?? null,
+    matched,
+    root,
+    diagnosis,
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import { createExplainBody, createExplainPath, findResultHits, getExplanation } from '@/lib/esExplain'
+
+describe('createExplainPath', () => {
+  it('uses the typeless endpoint on 7.0+', () => {
+    expect(createExplainPath({ typelessEndpoints: true }, { index: 'logs', id: 'a/b' })).toBe('/logs/_explain/a%2Fb')
+  })
+
+  it('uses the typed endpoint before 7.0', () => {
+    expect(createExplainPath({ typelessEndpoints: false }, { index: 'logs', id: '1', type: 'event' })).toBe('/logs/event/1/_explain')
+    expect(createExplainPath({ typelessEndpoints: false }, { index: 'logs', id: '1', type: null })).toBe('/logs/_doc/1/_explain')
+  })
+
+  it('passes the routing of the hit', () => {
+    expect(createExplainPath({ typelessEndpoints: true }, { index: 'logs', id: '1', routing: 'user 1' }))
+      .toBe('/logs/_explain/1?routing=user%201')
+  })
+})
+
+describe('createExplainBody', () => {
+  it('keeps only the query', () => {
+    expect(createExplainBody('{"query": {"term": {"a": 1}}, "size": 5}')).toBe('{"query":{"term":{"a":1}}}')
+    expect(createExplainBody('')).toBe('{"query":{"match_all":{}}}')
+  })
+
+  it('rejects bodies that cannot be explained', () => {
+    expect(() => createExplainBody('[1]')).toThrow(/JSON object/)
+    expect(() => createExplainBody('{"knn": {}}')).toThrow(/Only the "query"/)
+    expect(() => createExplainBody('{')).toThrow(/Invalid JSON/)
+  })
+})
+
+describe('findResultHits', () => {
+  it('finds each hit and the line of its _id', () => {
+    const data = {
+      hits: {
+        hits: [
+          { _index: 'logs', _id: '1', _routing: 'u1', _score: 1 },
+          { _index: 'logs', _id: '2', _score: 0.5 },
+        ],
+      },
+    }
+    const hits = findResultHits(JSON.stringify(data, null, 2))
+    expect(hits).toEqual([
+      { index: 'logs', id: '1', type: null, routing: 'u1', lineNumber: 6 },
+      { index: 'logs', id: '2', type: null, routing: null, lineNumber: 12 },
+    ])
+  })
+
+  it('returns nothing for other results', () => {
+    expect(findResultHits('not json')).toEqual([])
+    expect(findResultHits('{"acknowledged": true}')).toEqual([])
+  })
+})
+
+describe('getExplanation', () => {
+  it('builds the score tree', () => {
+    const explanation = getExplanation({
+      _index: 'logs',
+      _id: '1',
+      matched: true,
+      explanation: {
+        value: 1.5,
+        description: 'weight(message:error in 3) [PerFieldSimilarity], result of:',
+        details: [{ value: 2, description: 'freq, occurrences of term within document', details: [] }],
+      },
+    })
+    expect(explanation.matched).toBe(true)
+    expect(explanation.root).toMatchObject({ kind: 'weight', clause: 'message:error', value: 1.5 })
+    expect(explanation.root.details[0]).toMatchObject({ kind: 'stat', key: '0.0' })
+    expect(explanation.diagnosis).toEqual([])
+  })
+
+  it('explains why a document did not match', () => {
+    const explanation = getExplanation({
+      matched: false,
+      explanation: {
+        value: 0,
+        description: 'Failure to meet condition(s) of required/prohibited clause(s)',
+        details: [{ value: 0, description: 'no match on required clause (message:error)', details: [] }],
+      },
+    })
+    expect(explanation.diagnosis).toContainEqual({ message: 'no match on required clause', clause: 'message:error' })
+  })
+
+  it('reports missing documents', () => {
+    expect(getExplanation({ matched: false }).diagnosis[0].message).toMatch(/not found/)
+  })
+})
@@ -0,0 +1,377 @@
+/**
+ * Search Result Export
+ * 把一个搜索的全部命中写入文件（NDJSON 或 CSV）
+ * 支持 point in time 的集群用 PIT + search_after 分批读取，较旧的集群使用 scroll
+ * 每一批写入成功后才推进游标，PIT 导出失败后可以从最后的排序值继续
+ * scroll 请求失败时服务端可能已经推进了 scroll，再次发送同一个 scroll id 会漏掉一批，所以 scroll 导出不能继续
+ */
+
+import { invoke } from '@tauri-apps/api/core'
+import {
+  createPageBody,
+  createPagePath,
+  createPitClose,
+  createPitOpenPath,
+  getNextSearchAfter,
+  getPitId,
+} from '@/lib/esPagination'
+import { createRequestController, describeAbort } from '@/lib/esRequestControl'
+
+export const EXPORT_FORMATS = [
+  { value: 'ndjson', label: 'NDJSON', extension: 'ndjson' },
+  { value: 'csv', label: 'CSV', extension: 'csv' },
+]
+
+// 每批读取的命中数
+const BATCH_SIZE = 1000
+
+// scroll 上下文的保留时间
+const SCROLL_KEEP_ALIVE = '5m'
+
+// CSV 中可以选择的元数据列
+export const META_COLUMNS = ['_index', '_id']
+
+/**
+ * 从 mapping 的字段中得到可以导出的列：叶子字段（不含 object 和 multi-field，它们不在 _source 中）
+ * @param {Object} fields ESMappingService 解析出的字段
+ * @returns {Array<string>} 字段路径，按字母排序
+ */
+export function getExportColumns(fields) {
+  return Object.entries(fields || {})
+    .filter(([, field]) => !field.hasProperties && !field.isMultiField && field.type !== 'object')
+    .map(([path]) => path)
+    .sort()
+}
+
+/**
+ * 按点分路径取 _source 中的值，数组中的对象（如 nested）逐个取值
+ * 也支持以点分键名直接保存的字段，如 { "user.name": "x" }
+ * @param {Object} source _source
+ * @param {string} path 字段路径
+ * @returns {*} 不存在时为 undefined
+ */
+export function getSourceValue(source, path) {
+  if (source === null || typeof source !== 'object') return undefined
+  if (Array.isArray(source)) {
+    const values = source.map(item => getSourceValue(item, path)).filter(value => value !== undefined)
+    return values.length > 0 ? values.flat() : undefined
+  }
+  if (path in source) return source[path]
+
+  // 依次尝试更长的前缀作为键名
+  const parts = path.split('.')
+  for (let i = 1; i < parts.length; i++) {
+    const key = parts.slice(0, i).join('.')
+    if (key in source) {
+      return getSourceValue(source[key], parts.slice(i).join('.'))
+    }
+  }
+  return undefined
+}
+
+/**
+ * 转义一个 CSV 单元格：对象和数组写为 JSON，含逗号、引号或换行时加引号
+ * @param {*} value 单元格的值
+ * @returns {string}
+ */
+export function escapeCsv(value) {
+  if (value === undefined || value === null) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 把一批命中转换为文件内容
+ * @param {Array} hits 命中
+ * @param {string} format 'ndjson' | 'csv'
+ * @param {Array<string>} columns CSV 的列
+ * @returns {string}
+ */
+export function formatHits(hits, format, columns) {
+  if (format === 'csv') {
+    return hits.map(hit => columns.map(column => escapeCsv(
+      META_COLUMNS.includes(column) ? hit[column] : getSourceValue(hit._source, column)
+    )).join(',') + '\n').join('')
+  }
+  return hits.map(hit => JSON.stringify({
+    _index: hit._index,
+    _id: hit._id,
+    _source: hit._source,
+  }) + '\n').join('')
+}
+
+/**
+ * 在保存对话框中选择导出文件（Rust 端的 export_open 命令），选择后文件被创建或清空
+ * 路径只保存在 Rust 端，之后只能通过返回的句柄追加内容
+ * @param {string} defaultName 默认文件名
+ * @param {string} format 导出格式
+ * @returns {Promise<{ handle: number, path: string }|null>} 取消选择时为 null
+ */
+export function openExportFile(defaultName, format) {
+  const extension = EXPORT_FORMATS.find(f => f.value === format).extension
+  return invoke('export_open', { defaultName, extension })
+}
+
+/**
+ * 追加到导出文件（Rust 端的 export_write 命令）
+ * @param {number} handle openExportFile 返回的句柄
+ * @param {string} contents 内容
+ * @returns {Promise<number>} 写入后的文件大小
+ */
+export function writeExportFile(handle, contents) {
+  return invoke('export_write', { handle, contents })
+}
+
+/**
+ * 关闭导出文件的句柄
+ * @param {number} handle openExportFile 返回的句柄
+ */
+export function closeExportFile(handle) {
+  return invoke('export_close', { handle })
+}
+
+/**
+ * 在路径的 query string 中加上一个参数
+ */
+function withQueryParam(path, key, value) {
+  return `${path}${path.includes('?') ? '&' : '?'}${key}=${value}`
+}
+
+/**
+ * 一次导出任务
+ * PIT 导出失败或取消后保留游标和已写入的数量，run() 再次调用时从中断的位置继续
+ */
+export class ExportJob {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send (method, path, bodyText, control) => Promise<Object>，返回响应 JSON，失败时抛出错误
+   * @param {Object|null} options.clusterInfo 集群信息
+   * @param {boolean} options.pointInTime 是否使用 PIT（否则使用 scroll）
+   * @param {string} options.path 搜索路径（包含索引）
+   * @param {string} options.index 打开 PIT 的索引
+   * @param {string} options.bodyText 搜索请求体
+   * @param {string} options.format 'ndjson' | 'csv'
+   * @param {Array<string>} options.columns CSV 的列
+   * @param {number} options.file 导出文件的句柄（openExportFile）
+   * @param {number} options.timeoutSeconds 每个请求的超时（秒）
+   * @param {Function} options.onProgress 进度回调 ({ written, total, bytes, eta }) => void
+   */
+  constructor(options) {
+    this.options = options
+    this.written = 0
+    this.total = null
+    this.bytes = 0
+    this.pitId = null
+    this.searchAfter = null
+    this.scrollId = null
+    this.started = false
+    this.finished = false
+    this.failed = false
+    this.pending = null
+    this.control = null
+    this.startedAt = null
+    this.startedWith = 0
+  }
+
+  /**
+   * 失败后能否继续：只有 PIT + search_after 可以，scroll 只能重新开始
+   */
+  get canResume() {
+    return this.options.pointInTime
+  }
+
+  /**
+   * 取消正在执行的请求（已写入的内容保留，PIT 导出可以继续）
+   */
+  cancel() {
+    this.control?.cancel()
+  }
+
+  /**
+   * 发送一个请求，取消和超时时抛出相应的说明
+   */
+  async request(method, path, bodyText) {
+    const control = createRequestController(this.options.timeoutSeconds)
+    this.control = control
+    try {
+      return await this.options.send(method, path, bodyText, control)
+    } catch (err) {
+      throw new Error(describeAbort(control) || err.message)
+    } finally {
+      control.dispose()
+      this.control = null
+    }
+  }
+
+  /**
+   * 导出用的请求体：固定每批数量，去掉聚合，CSV 只读取选中的字段
+   */
+  createBody(trackTotalHits) {
+    const { bodyText, format, columns } = this.options
+    let body
+    try {
+      body = bodyText && bodyText.trim() ? JSON.parse(bodyText) : {}
+    } catch (err) {
+      throw new Error('Invalid JSON in request body: ' + err.message)
+    }
+    const { aggs, aggregations, from, size, ...rest } = body
+    const sourceColumns = columns.filter(column => !META_COLUMNS.includes(column))
+    return JSON.stringify({
+      ...rest,
+      size: BATCH_SIZE,
+      ...(trackTotalHits && { track_total_hits: true }),
+      ...(format === 'csv' && { _source: sourceColumns.length > 0 ? sourceColumns : false }),
+    })
+  }
+
+  /**
+   * 读取下一批命中
+   * @returns {Promise<{ hits: Array, cursor: Object }>} cursor 为写入成功后要保存的游标
+   */
+  async fetchBatch() {
+    const { clusterInfo, pointInTime, path, index } = this.options
+    const trackTotalHits = this.total === null
+
+    if (pointInTime) {
+      if (!this.pitId) {
+        const opened = await this.request('POST', createPitOpenPath(clusterInfo, index), '')
+        this.pitId = getPitId(opened)
+      }
+      let data
+      try {
+        data = await this.request('POST', createPagePath(path),
+          createPageBody(clusterInfo, this.createBody(trackTotalHits), this.pitId, this.searchAfter))
+      } catch (err) {
+        // PIT 过期后清除，下次继续时打开新的 PIT 并从最后的排序值继续
+        if (/search_context_missing|point in time/i.test(err.message)) {
+          this.pitId = null
+        }
+        throw err
+      }
+      const hits = data?.hits?.hits || []
+      this.updateTotal(data)
+      return {
+        hits,
+        cursor: { pitId: data?.pit_id || this.pitId, searchAfter: getNextSearchAfter(data) },
+      }
+    }
+
+    let data
+    if (!this.scrollId) {
+      const body = JSON.parse(this.createBody(trackTotalHits))
+      // 没有排序时按 _doc 读取，scroll 最快的顺序
+      data = await this.request('POST', withQueryParam(path, 'scroll', SCROLL_KEEP_ALIVE),
+        JSON.stringify(body.sort ? body : { ...body, sort: ['_doc'] }))
+    } else {
+      data = await this.request('POST', '/_search/scroll',
+        JSON.stringify({ scroll: SCROLL_KEEP_ALIVE, scroll_id: this.scrollId }))
+    }
+    this.updateTotal(data)
+    return {
+      hits: data?.hits?.hits || [],
+      cursor: { scrollId: data?._scroll_id || this.scrollId },
+    }
+  }
+
+  updateTotal(data) {
+    const total = data?.hits?.total
+    if (this.total === null && total !== undefined) {
+      this.total = typeof total === 'number' ? total : total.value
+    }
+  }
+
+  /**
+   * 追加一批内容；第一次写入时 CSV 加上表头
+   */
+  async write(contents) {
+    const { format, columns, file } = this.options
+    const header = !this.started && format === 'csv' ? columns.map(escapeCsv).join(',') + '\n' : ''
+    this.bytes = await writeExportFile(file, header + contents)
+    this.started = true
+  }
+
+  reportProgress() {
+    const elapsed = (Date.now() - this.startedAt) / 1000
+    const rate = (this.written - this.startedWith) / elapsed
+    const remaining = this.total === null ? null : Math.max(0, this.total - this.written)
+    this.options.onProgress?.({
+      written: this.written,
+      total: this.total,
+      bytes: this.bytes,
+      eta: remaining !== null && rate > 0 ? remaining / rate : null,
+    })
+  }
+
+  /**
+   * 运行或继续导出，直到读完所有命中
+   * 读取后先保存为 pending，写入成功后才推进游标，因此写入失败时不会丢失这一批
+   * 失败的 scroll 导出不能继续（见 canResume）
+   */
+  async run() {
+    if (this.failed && !this.canResume) {
+      throw new Error('A failed scroll export cannot be resumed: start the export over')
+    }
+    this.startedAt = Date.now()
+    this.startedWith = this.written
+
+    try {
+      while (!this.finished) {
+        if (!this.pending) {
+          const { hits, cursor } = await this.fetchBatch()
+          this.pending = { contents: formatHits(hits, this.options.format, this.options.columns), count: hits.length, cursor }
+        }
+
+        const { contents, count, cursor } = this.pending
+        if (count > 0 || !this.started) {
+          await this.write(contents)
+        }
+        this.written += count
+        this.pitId = cursor.pitId ?? this.pitId
+        this.searchAfter = cursor.searchAfter ?? this.searchAfter
+        this.scrollId = cursor.scrollId ?? this.scrollId
+        this.pending = null
+        this.finished = count < BATCH_SIZE
+        this.reportProgress()
+      }
+    } catch (err) {
+      this.failed = true
+      throw err
+    }
+  }
+
+  /**
+   * 释放 PIT 或 scroll 上下文并关闭导出文件（不等待结果，过期后也会被集群释放）
+   */
+  release() {
+    const { clusterInfo, file } = this.options
+    closeExportFile(file).catch(err => console.warn('[Export] Failed to close the export file:', err))
+    let request = null
+    if (this.pitId) {
+      request = { method: 'DELETE', ...createPitClose(clusterInfo, this.pitId) }
+    } else if (this.scrollId) {
+      request = { method: 'DELETE', path: '/_search/scroll', body: JSON.stringify({ scroll_id: [this.scrollId] }) }
+    }
+    this.pitId = null
+    this.scrollId = null
+    if (!request) return
+
+    const control = createRequestController(0)
+    this.options.send(request.method, request.path, request.body, control)
+      .catch(err => console.warn('[Export] Failed to release the search context:', err))
+      .finally(() => control.dispose())
+  }
+}
+
+/**
+ * 格式化剩余时间，如 "1m 20s"
+ * @param {number|null} seconds 秒
+ * @returns {string}
+ */
+export function formatEta(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) return ''
+  const total = Math.ceil(seconds)
+  if (total < 60) return `${total}s`
+  const minutes = Math.floor(total / 60)
+  if (minutes < 60) return `${minutes}m ${total % 60}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest'
+import { ExportJob, escapeCsv, formatEta, formatHits, getExportColumns, getSourceValue } from '@/lib/esExport'
+
+describe('getSourceValue', () => {
+  const source = {
+    user: { name: 'ann', tags: ['a', 'b'] },
+    'host.name': 'web-1',
+    items: [{ sku: 1 }, { sku: 2 }, { other: 3 }],
+    zero: 0,
+  }
+
+  it('follows dotted paths', () => {
+    expect(getSourceValue(source, 'user.name')).toBe('ann')
+    expect(getSourceValue(source, 'user.tags')).toEqual(['a', 'b'])
+    expect(getSourceValue(source, 'zero')).toBe(0)
+  })
+
+  it('reads keys that contain dots', () => {
+    expect(getSourceValue(source, 'host.name')).toBe('web-1')
+  })
+
+  it('collects the values of objects in arrays', () => {
+    expect(getSourceValue(source, 'items.sku')).toEqual([1, 2])
+  })
+
+  it('returns undefined for missing fields', () => {
+    expect(getSourceValue(source, 'user.age')).toBeUndefined()
+    expect(getSourceValue(source, 'items.missing')).toBeUndefined()
+    expect(getSourceValue(null, 'a')).toBeUndefined()
+  })
+})
+
+describe('escapeCsv', () => {
+  it('leaves plain values alone', () => {
+    expect(escapeCsv('abc')).toBe('abc')
+    expect(escapeCsv(42)).toBe('42')
+    expect(escapeCsv(false)).toBe('false')
+  })
+
+  it('writes missing values as empty cells', () => {
+    expect(escapeCsv(null)).toBe('')
+    expect(escapeCsv(undefined)).toBe('')
+  })
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(escapeCsv('a,b')).toBe('"a,b"')
+    expect(escapeCsv('say "hi"')).toBe('"say ""hi"""')
+    expect(escapeCsv('a\nb')).toBe('"a\nb"')
+  })
+
+  it('writes objects and arrays as JSON', () => {
+    expect(escapeCsv(['a', 'b'])).toBe('"[""a"",""b""]"')
+    expect(escapeCsv({ a: 1 })).toBe('"{""a"":1}"')
+  })
+})
+
+describe('formatHits', () => {
+  const hits = [{ _index: 'logs', _id: '1', _score: 1, _source: { msg: 'a, b', n: 1 } }]
+
+  it('writes CSV rows with metadata and source columns', () => {
+    expect(formatHits(hits, 'csv', ['_id', 'msg', 'n'])).toBe('1,"a, b",1\n')
+  })
+
+  it('writes NDJSON without the score', () => {
+    expect(formatHits(hits, 'ndjson', [])).toBe('{"_index":"logs","_id":"1","_source":{"msg":"a, b","n":1}}\n')
+  })
+})
+
+describe('getExportColumns', () => {
+  it('keeps leaf fields only', () => {
+    const fields = {
+      user: { type: 'object', hasProperties: true },
+      'user.name': { type: 'text' },
+      'user.name.keyword': { type: 'keyword', isMultiField: true },
+      age: { type: 'long' },
+    }
+    expect(getExportColumns(fields)).toEqual(['age', 'user.name'])
+  })
+})
+
+describe('formatEta', () => {
+  it('formats seconds, minutes and hours', () => {
+    expect(formatEta(null)).toBe('')
+    expect(formatEta(4.2)).toBe('5s')
+    expect(formatEta(80)).toBe('1m 20s')
+    expect(formatEta(3720)).toBe('1h 2m')
+  })
+})
+
+describe('ExportJob', () => {
+  const createJob = (pointInTime) => new ExportJob({
+    send: () => Promise.reject(new Error('connection reset')),
+    clusterInfo: null,
+    pointInTime,
+    path: '/logs/_search',
+    index: 'logs',
+    bodyText: '',
+    format: 'ndjson',
+    columns: [],
+    timeoutSeconds: 0,
+  })
+
+  it('can resume point in time exports after a failure', async () => {
+    const job = createJob(true)
+    await expect(job.run()).rejects.toThrow('connection reset')
+    expect(job.canResume).toBe(true)
+    await expect(job.run()).rejects.toThrow('connection reset')
+  })
+
+  it('refuses to resume a failed scroll export', async () => {
+    const job = createJob(false)
+    await expect(job.run()).rejects.toThrow('connection reset')
+    expect(job.canResume).toBe(false)
+    await expect(job.run()).rejects.toThrow(/cannot be resumed/)
+  })
+})
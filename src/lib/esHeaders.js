@@ -0,0 +1,86 @@
+/**
+ * Elasticsearch Request Headers
+ * 生成请求头：默认 User-Agent、认证头、profile 自定义请求头以及 X-Opaque-Id
+ */
+
+import { createAuthHeader } from '@/lib/esAuth'
+
+export const APP_NAME = 'ElasticQ'
+// __APP_VERSION__ 由 vite.config.js 的 define 注入（package.json 中的版本号）
+export const USER_AGENT = `${APP_NAME}/${__APP_VERSION__}`
+
+// 本次会话内的请求计数器，用于 X-Opaque-Id
+let requestCounter = 0
+
+/**
+ * 生成下一个 X-Opaque-Id，如 "ElasticQ-42"
+ * @returns {string}
+ */
+export function nextOpaqueId() {
+  requestCounter++
+  return `${APP_NAME}-${requestCounter}`
+}
+
+/**
+ * 判断 headers 中是否已包含某个请求头（大小写不敏感）
+ */
+function hasHeader(headers, name) {
+  const lowerName = name.toLowerCase()
+  return Object.keys(headers).some(key => key.toLowerCase() === lowerName)
+}
+
+/**
+ * 获取 profile 中有效的自定义请求头
+ * @param {Object} profile 连接配置
+ * @returns {Array<{key: string, value: string, secret: boolean}>}
+ */
+export function getCustomHeaders(profile) {
+  return (profile?.headers || []).filter(h => h.key && h.key.trim())
+}
+
+/**
+ * 生成请求头
+ * @param {Object} profile 连接配置
+ * @param {Object} options 选项，method 为 POST/PUT 时添加 Content-Type；
+ *   contentType 指定请求体类型（如 NDJSON，或带 body 的 DELETE）
+ * @returns {Object} 请求头
+ */
+export function createRequestHeaders(profile, options = {}) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+  }
+  if (options.contentType || options.method === 'POST' || options.method === 'PUT') {
+    headers['Content-Type'] = options.contentType || 'application/json'
+  }
+
+  const authValue = createAuthHeader(profile)
+  if (authValue) {
+    headers['Authorization'] = authValue
+  }
+
+  // 自定义请求头可以覆盖以上默认值；保险库未解锁时 secret 请求头的值为空，不发送（也不覆盖认证头）
+  for (const header of getCustomHeaders(profile)) {
+    if (header.secret && !header.value) continue
+    for (const key of Object.keys(headers)) {
+      if (key.toLowerCase() === header.key.trim().toLowerCase()) {
+        delete headers[key]
+      }
+    }
+    headers[header.key.trim()] = header.value
+  }
+
+  return headers
+}
+
+/**
+ * 为请求添加 X-Opaque-Id（profile 关闭该选项或已自定义时不添加）
+ * @param {Object} profile 连接配置
+ * @param {Object} headers 请求头
+ * @returns {Object} 新的请求头
+ */
+export function withOpaqueId(profile, headers = {}) {
+  if (profile?.opaqueId === false || hasHeader(headers, 'X-Opaque-Id')) {
+    return headers
+  }
+  return { ...headers, 'X-Opaque-Id': nextOpaqueId() }
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { USER_AGENT, createRequestHeaders, getCustomHeaders, nextOpaqueId, withOpaqueId } from '@/lib/esHeaders'
+
+describe('USER_AGENT', () => {
+  it('uses the app version', () => {
+    expect(USER_AGENT).toMatch(/^ElasticQ\/\d+\.\d+\.\d+/)
+  })
+})
+
+describe('getCustomHeaders', () => {
+  it('ignores headers without a name', () => {
+    const headers = [{ key: 'X-Tenant', value: 'acme' }, { key: '  ', value: 'x' }, { key: '', value: 'y' }]
+    expect(getCustomHeaders({ headers })).toEqual([{ key: 'X-Tenant', value: 'acme' }])
+    expect(getCustomHeaders(null)).toEqual([])
+  })
+})
+
+describe('createRequestHeaders', () => {
+  it('adds the content type to writes and uses the given type', () => {
+    expect(createRequestHeaders(null)).toEqual({ 'User-Agent': USER_AGENT })
+    expect(createRequestHeaders(null, { method: 'POST' })['Content-Type']).toBe('application/json')
+    expect(createRequestHeaders(null, { method: 'POST', contentType: 'application/x-ndjson' })['Content-Type']).toBe('application/x-ndjson')
+    expect(createRequestHeaders(null, { method: 'DELETE', contentType: 'application/json' })['Content-Type']).toBe('application/json')
+  })
+
+  it('adds the authorization of the profile', () => {
+    const headers = createRequestHeaders({ authType: 'basic', username: 'elastic', password: 'pw' })
+    expect(headers.Authorization).toBe(`Basic ${btoa('elastic:pw')}`)
+  })
+
+  it('lets custom headers replace the defaults regardless of case', () => {
+    const profile = {
+      authType: 'basic',
+      username: 'elastic',
+      password: 'pw',
+      headers: [
+        { key: ' authorization ', value: 'Bearer custom', secret: true },
+        { key: 'user-agent', value: 'tool/1.0', secret: false },
+        { key: 'X-Tenant', value: 'acme', secret: false },
+      ],
+    }
+    expect(createRequestHeaders(profile, { method: 'PUT' })).toEqual({
+      'Content-Type': 'application/json',
+      authorization: 'Bearer custom',
+      'user-agent': 'tool/1.0',
+      'X-Tenant': 'acme',
+    })
+  })
+
+  it('skips secret headers whose value is not unlocked but sends empty plain headers', () => {
+    const profile = {
+      authType: 'basic',
+      username: 'elastic',
+      password: 'pw',
+      headers: [
+        { key: 'Authorization', value: '', secret: true },
+        { key: 'X-Empty', value: '', secret: false },
+      ],
+    }
+    const headers = createRequestHeaders(profile)
+    expect(headers.Authorization).toBe(`Basic ${btoa('elastic:pw')}`)
+    expect(headers['X-Empty']).toBe('')
+  })
+})
+
+describe('withOpaqueId', () => {
+  it('tags requests unless disabled or set by the profile', () => {
+    const next = Number(nextOpaqueId().split('-')[1]) + 1
+    expect(withOpaqueId({}, { a: '1' })).toEqual({ a: '1', 'X-Opaque-Id': `ElasticQ-${next}` })
+    expect(withOpaqueId({ opaqueId: false }, { a: '1' })).toEqual({ a: '1' })
+    expect(withOpaqueId({}, { 'x-opaque-id': 'mine' })).toEqual({ 'x-opaque-id': 'mine' })
+  })
+})
@@ -23,19 +23,29 @@ function getFetch() {
 
 /**
  * 防抖函数
+ * 返回的 Promise 在最后一次调用真正执行后，以其结果 resolve（被合并的调用得到同一结果）
  * @param {Function} func 要防抖的函数
  * @param {number} wait 等待时间（毫秒）
  * @returns {Function} 防抖后的函数
  */
 function debounce(func, wait) {
   let timeout
+  let waiting = []
   return function executedFunction(...args) {
-    const later = () => {
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject })
+      const later = () => {
+        clearTimeout(timeout)
+        const callers = waiting
+        waiting = []
+        Promise.resolve(func(...args)).then(
+          result => callers.forEach(c => c.resolve(result)),
+          error => callers.forEach(c => c.reject(error))
+        )
+      }
       clearTimeout(timeout)
-      func(...args)
-    }
-    clearTimeout(timeout)
-    timeout = setTimeout(later, wait)
+      timeout = setTimeout(later, wait)
+    })
   }
 }
 
@@ -322,7 +332,14 @@ class ValueSuggestionGenerator {
  * Elasticsearch Mapping Service 主类
  */
 class ESMappingService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch 此实例使用的 fetch（每个连接一个实例，缓存互不影响）；
+   *   不传时使用 setTauriFetch 设置的全局 fetch
+   */
+  constructor(options = {}) {
+    this.fetchFn = options.fetch || null
+
     // 使用 LRU 缓存，最多缓存 50 个索引的 mapping
     this.cache = new LRUCache(50)
     this.parser = new MappingParser()
@@ -387,7 +404,7 @@ class ESMappingService {
       const url = `${elasticsearchUrl}/${indexName}/_mapping`
       console.log(`[ESMappingService] Fetching: ${url}`)
 
-      const fetchFn = getFetch()
+      const fetchFn = this.fetchFn || getFetch()
       const response = await fetchFn(url, {
         method: 'GET',
         headers,
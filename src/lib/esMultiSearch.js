@@ -0,0 +1,136 @@
+/**
+ * Multi-search
+ * 解析 _msearch 编辑器中的 header / body 行对，生成 NDJSON 请求体，并汇总每个响应用于并排比较
+ */
+
+// 整行注释；紧挨在 header 之前的注释作为这个查询的名称
+const COMMENT_LINE = /^\s*(#|\/\/)\s*/
+
+/**
+ * 解析 _msearch 编辑器内容
+ * @param {string} text 编辑器内容
+ * @returns {Array<{ label: string|null, header: Object, body: Object|null }>}
+ *   header / body 为 { lineNumber, text }，最后一个 header 没有 body 时 body 为 null
+ */
+export function parseMultiSearch(text) {
+  const searches = []
+  let label = null
+  let current = null
+
+  const lines = (text || '').split('\n')
+  lines.forEach((line, i) => {
+    if (!line.trim()) return
+    if (COMMENT_LINE.test(line)) {
+      label = line.replace(COMMENT_LINE, '').trim() || null
+      return
+    }
+    if (!current) {
+      current = { label, header: { lineNumber: i + 1, text: line }, body: null }
+      searches.push(current)
+      label = null
+    } else {
+      current.body = { lineNumber: i + 1, text: line }
+      current = null
+    }
+  })
+
+  return searches
+}
+
+/**
+ * 获取要诊断的行
+ * @param {Array} searches parseMultiSearch 的结果
+ * @returns {Array<{ lineNumber: number, text: string, isQuery: boolean, error?: string }>}
+ */
+export function getMultiSearchLines(searches) {
+  return searches.flatMap(({ header, body }) => (
+    body
+      ? [{ ...header, isQuery: false }, { ...body, isQuery: true }]
+      : [{ ...header, isQuery: false, error: 'Header line without a search body on the next line' }]
+  ))
+}
+
+/**
+ * 查找某一行所在的查询 body（用于补全）
+ * @param {string} text 编辑器内容
+ * @param {number} lineNumber 行号
+ * @returns {{ bodyStartLine: number, body: string }|null}
+ */
+export function findMultiSearchBody(text, lineNumber) {
+  const search = parseMultiSearch(text).find(s => s.body?.lineNumber === lineNumber)
+  return search ? { bodyStartLine: lineNumber, body: search.body.text } : null
+}
+
+/**
+ * 生成 _msearch 的 NDJSON 请求体
+ * @param {Array} searches parseMultiSearch 的结果
+ * @returns {string}
+ */
+export function createMultiSearchBody(searches) {
+  if (searches.length === 0) {
+    throw new Error('Add at least one header and body line pair')
+  }
+
+  const lines = []
+  for (const { header, body } of searches) {
+    if (!body) {
+      throw new Error(`Line ${header.lineNumber}: header line without a search body on the next line`)
+    }
+    for (const line of [header, body]) {
+      try {
+        lines.push(JSON.stringify(JSON.parse(line.text)))
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${line.lineNumber}: ${err.message}`)
+      }
+    }
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 把一个请求加入 _msearch 编辑器（header 使用它的索引）
+ * @param {string} text 编辑器内容
+ * @param {string} indexName 索引
+ * @param {string} bodyText 请求体 JSON
+ * @param {string} label 查询名称
+ * @returns {string} 新的编辑器内容
+ */
+export function appendMultiSearch(text, indexName, bodyText, label) {
+  let body
+  try {
+    body = JSON.stringify(JSON.parse(bodyText || '{}'))
+  } catch (err) {
+    throw new Error('Invalid JSON in request body: ' + err.message)
+  }
+  const header = JSON.stringify(indexName && indexName !== '*' ? { index: indexName } : {})
+  const prefix = text.trim() ? `${text.replace(/\s+$/, '')}\n\n` : ''
+  return `${prefix}# ${label}\n${header}\n${body}\n`
+}
+
+/**
+ * 汇总每个查询的响应，用于并排比较
+ * @param {Object} data _msearch 的响应
+ * @param {Array} searches parseMultiSearch 的结果
+ * @returns {Array<{ label: string, took: number, total: number|null, relation: string, hits: Array, error: string|null }>}
+ */
+export function summarizeMultiSearch(data, searches) {
+  return (data?.responses || []).map((response, i) => {
+    const search = searches[i]
+    let index = null
+    try {
+      index = JSON.parse(search?.header.text || '{}').index || null
+    } catch (e) {
+      // header 已在发送前验证
+    }
+    const total = response.hits?.total
+    return {
+      label: search?.label || `Query ${i + 1}`,
+      index: Array.isArray(index) ? index.join(',') : index,
+      took: response.took,
+      total: typeof total === 'object' ? total?.value ?? null : total ?? null,
+      relation: typeof total === 'object' ? total?.relation || 'eq' : 'eq',
+      hits: (response.hits?.hits || []).map(hit => ({ id: hit._id, index: hit._index, score: hit._score })),
+      error: response.error ? response.error.reason || response.error.type || JSON.stringify(response.error) : null,
+    }
+  })
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import {
+  appendMultiSearch,
+  createMultiSearchBody,
+  findMultiSearchBody,
+  getMultiSearchLines,
+  parseMultiSearch,
+  summarizeMultiSearch,
+} from '@/lib/esMultiSearch'
+
+const text = `# errors
+{"index": "logs"}
+{"query": {"match": {"level": "error"}}}
+
+// all docs
+{}
+
+{"query": {"match_all": {}}}
+{"index": ["a", "b"]}
+`
+
+describe('parseMultiSearch', () => {
+  it('pairs each header with the next non-empty line and names it after the comment above', () => {
+    expect(parseMultiSearch(text)).toEqual([
+      {
+        label: 'errors',
+        header: { lineNumber: 2, text: '{"index": "logs"}' },
+        body: { lineNumber: 3, text: '{"query": {"match": {"level": "error"}}}' },
+      },
+      {
+        label: 'all docs',
+        header: { lineNumber: 6, text: '{}' },
+        body: { lineNumber: 8, text: '{"query": {"match_all": {}}}' },
+      },
+      {
+        label: null,
+        header: { lineNumber: 9, text: '{"index": ["a", "b"]}' },
+        body: null,
+      },
+    ])
+  })
+
+  it('marks a header without a body for the diagnostics', () => {
+    const lines = getMultiSearchLines(parseMultiSearch(text))
+    expect(lines.map(l => [l.lineNumber, l.isQuery])).toEqual([[2, false], [3, true], [6, false], [8, true], [9, false]])
+    expect(lines[4].error).toBe('Header line without a search body on the next line')
+  })
+
+  it('finds the body on a line for completion', () => {
+    expect(findMultiSearchBody(text, 8)).toEqual({ bodyStartLine: 8, body: '{"query": {"match_all": {}}}' })
+    expect(findMultiSearchBody(text, 6)).toBeNull()
+  })
+})
+
+describe('createMultiSearchBody', () => {
+  it('writes compact NDJSON header and body pairs', () => {
+    const searches = parseMultiSearch(text).slice(0, 2)
+    expect(createMultiSearchBody(searches)).toBe(
+      '{"index":"logs"}\n{"query":{"match":{"level":"error"}}}\n{}\n{"query":{"match_all":{}}}\n'
+    )
+  })
+
+  it('reports a missing body, invalid JSON and an empty editor', () => {
+    expect(() => createMultiSearchBody(parseMultiSearch(text))).toThrow('Line 9: header line without a search body on the next line')
+    expect(() => createMultiSearchBody(parseMultiSearch('{}\n{"query": }'))).toThrow(/^Invalid JSON on line 2/)
+    expect(() => createMultiSearchBody([])).toThrow('Add at least one header and body line pair')
+  })
+})
+
+describe('appendMultiSearch', () => {
+  it('adds a named pair after the existing searches', () => {
+    expect(appendMultiSearch('{}\n{}\n\n\n', 'logs', '{"size": 1}', 'from history')).toBe(
+      '{}\n{}\n\n# from history\n{"index":"logs"}\n{"size":1}\n'
+    )
+    expect(appendMultiSearch('', '*', '', 'all')).toBe('# all\n{}\n{}\n')
+    expect(() => appendMultiSearch('', 'logs', '{', 'broken')).toThrow(/Invalid JSON in request body/)
+  })
+})
+
+describe('summarizeMultiSearch', () => {
+  it('matches each response to its search in order', () => {
+    const searches = parseMultiSearch(text)
+    const data = {
+      responses: [
+        { took: 3, hits: { total: { value: 10000, relation: 'gte' }, hits: [{ _id: '1', _index: 'logs', _score: 1.5 }] } },
+        { took: 1, hits: { total: 2, hits: [] } },
+        { error: { type: 'index_not_found_exception', reason: 'no such index [a]' } },
+      ],
+    }
+    expect(summarizeMultiSearch(data, searches)).toEqual([
+      { label: 'errors', index: 'logs', took: 3, total: 10000, relation: 'gte', hits: [{ id: '1', index: 'logs', score: 1.5 }], error: null },
+      { label: 'all docs', index: null, took: 1, total: 2, relation: 'eq', hits: [], error: null },
+      { label: 'Query 3', index: 'a,b', took: undefined, total: null, relation: 'eq', hits: [], error: 'no such index [a]' },
+    ])
+  })
+
+  it('handles a response without a matching search', () => {
+    expect(summarizeMultiSearch({ responses: [{ took: 1 }] }, [])[0]).toMatchObject({ label: 'Query 1', index: null })
+    expect(summarizeMultiSearch(null, [])).toEqual([])
+  })
+})
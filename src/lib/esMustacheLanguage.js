@@ -0,0 +1,71 @@
+/**
+ * Mustache Template Language
+ * 搜索模板模式使用的 Monaco 语言：JSON 加上 {{var}}、{{#section}}、{{/section}}、{{^inverted}}、{{{raw}}} 等标签
+ * 模板源码通常不是合法的 JSON（如 "size": {{size}}），所以不使用 json 语言和它的校验
+ */
+
+export const MUSTACHE_LANGUAGE_ID = 'es-mustache'
+
+let registered = false
+
+/**
+ * 注册 Mustache 模板语言（重复调用无效果）
+ * @param {Object} monaco monaco 命名空间
+ */
+export function registerMustacheLanguage(monaco) {
+  if (registered) return
+  registered = true
+
+  monaco.languages.register({ id: MUSTACHE_LANGUAGE_ID })
+
+  monaco.languages.setMonarchTokensProvider(MUSTACHE_LANGUAGE_ID, {
+    tokenizer: {
+      root: [
+        // Mustache 标签
+        [/\{\{\{/, { token: 'delimiter.curly', next: '@tag' }],
+        [/\{\{[#^/]/, { token: 'keyword', next: '@tag' }],
+        [/\{\{!/, { token: 'comment', next: '@comment' }],
+        [/\{\{[&>]?/, { token: 'delimiter.curly', next: '@tag' }],
+        // JSON 键和值
+        [/"/, { token: 'string', next: '@string' }],
+        [/-?\d+(\.\d+)?([eE][+-]?\d+)?/, 'number'],
+        [/\b(true|false|null)\b/, 'keyword'],
+        [/[{}[\]]/, '@brackets'],
+        [/[,:]/, 'delimiter'],
+      ],
+      tag: [
+        [/\}\}\}?/, { token: 'delimiter.curly', next: '@pop' }],
+        [/[\w.-]+/, 'variable'],
+        [/\s+/, 'white'],
+      ],
+      comment: [
+        [/\}\}/, { token: 'comment', next: '@pop' }],
+        [/./, 'comment'],
+      ],
+      string: [
+        [/\{\{\{?[#^/&]?/, { token: 'delimiter.curly', next: '@tag' }],
+        [/[^"\\{]+/, 'string'],
+        [/\\./, 'string.escape'],
+        [/\{/, 'string'],
+        [/"/, { token: 'string', next: '@pop' }],
+      ],
+    },
+  })
+
+  monaco.languages.setLanguageConfiguration(MUSTACHE_LANGUAGE_ID, {
+    brackets: [
+      ['{', '}'],
+      ['[', ']'],
+    ],
+    autoClosingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"', notIn: ['string'] },
+    ],
+    surroundingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"' },
+    ],
+  })
+}
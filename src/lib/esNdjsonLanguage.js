@@ -0,0 +1,53 @@
+/**
+ * NDJSON Language
+ * _msearch 等 NDJSON 编辑器使用的 Monaco 语言：每行一个 JSON，# 开头的行为注释（发送前去掉）
+ */
+
+export const NDJSON_LANGUAGE_ID = 'es-ndjson'
+
+let registered = false
+
+/**
+ * 注册 NDJSON 语言（重复调用无效果）
+ * @param {Object} monaco monaco 命名空间
+ */
+export function registerNdjsonLanguage(monaco) {
+  if (registered) return
+  registered = true
+
+  monaco.languages.register({ id: NDJSON_LANGUAGE_ID })
+
+  monaco.languages.setMonarchTokensProvider(NDJSON_LANGUAGE_ID, {
+    tokenizer: {
+      root: [
+        // 注释
+        [/^\s*(#|\/\/).*$/, 'comment'],
+        // JSON 键和值
+        [/"([^"\\]|\\.)*"(?=\s*:)/, 'variable'],
+        [/"([^"\\]|\\.)*"/, 'string'],
+        [/-?\d+(\.\d+)?([eE][+-]?\d+)?/, 'number'],
+        [/\b(true|false|null)\b/, 'keyword'],
+        [/[{}[\]]/, '@brackets'],
+        [/[,:]/, 'delimiter'],
+      ],
+    },
+  })
+
+  monaco.languages.setLanguageConfiguration(NDJSON_LANGUAGE_ID, {
+    comments: { lineComment: '#' },
+    brackets: [
+      ['{', '}'],
+      ['[', ']'],
+    ],
+    autoClosingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"', notIn: ['string'] },
+    ],
+    surroundingPairs: [
+      { open: '{', close: '}' },
+      { open: '[', close: ']' },
+      { open: '"', close: '"' },
+    ],
+  })
+}
@@ -0,0 +1,140 @@
+/**
+ * Point-in-time Pagination
+ * 用 point in time (PIT) + search_after 翻页：打开 / 关闭 PIT、添加排序 tiebreaker、生成每一页的请求体
+ * Elasticsearch 使用 /_pit，OpenSearch 使用 /_search/point_in_time
+ */
+
+// PIT 的保留时间，每次翻页都会续期
+export const PIT_KEEP_ALIVE = '2m'
+
+// 默认每页数量（与 Elasticsearch 相同）
+const DEFAULT_PAGE_SIZE = 10
+
+/**
+ * 判断路径是否为 _search 接口
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isSearchPath(path) {
+  const pathname = (path || '').split('?')[0].replace(/\/+$/, '')
+  return /(^|\/)_search$/.test(pathname)
+}
+
+/**
+ * 打开 PIT 的路径
+ * @param {Object} clusterInfo 集群信息
+ * @param {string} index 索引（可以是逗号分隔的多个索引，逗号不编码）
+ * @returns {string}
+ */
+export function createPitOpenPath(clusterInfo, index) {
+  const endpoint = clusterInfo?.distribution === 'opensearch' ? '_search/point_in_time' : '_pit'
+  const indices = index.split(',').map(name => encodeURIComponent(name.trim())).join(',')
+  return `/${indices}/${endpoint}?keep_alive=${PIT_KEEP_ALIVE}`
+}
+
+/**
+ * 从打开 PIT 的响应中取出 id
+ * @param {Object} data 响应
+ * @returns {string}
+ */
+export function getPitId(data) {
+  const id = data?.id || data?.pit_id
+  if (!id) {
+    throw new Error('The cluster did not return a point in time id')
+  }
+  return id
+}
+
+/**
+ * 关闭 PIT 的请求
+ * @param {Object} clusterInfo 集群信息
+ * @param {string} pitId PIT id
+ * @returns {{ path: string, body: string }}
+ */
+export function createPitClose(clusterInfo, pitId) {
+  if (clusterInfo?.distribution === 'opensearch') {
+    return { path: '/_search/point_in_time', body: JSON.stringify({ pit_id: [pitId] }) }
+  }
+  return { path: '/_pit', body: JSON.stringify({ id: pitId }) }
+}
+
+/**
+ * 每一页的请求路径：使用 PIT 时不能在路径中指定索引，保留原来的 query string
+ * @param {string} path 原来的请求路径
+ * @returns {string}
+ */
+export function createPagePath(path) {
+  const queryIndex = path.indexOf('?')
+  return queryIndex === -1 ? '/_search' : `/_search${path.slice(queryIndex)}`
+}
+
+/**
+ * 读取每页数量：路径中的 ?size= 优先于请求体中的 size（与 Elasticsearch 一致）
+ * @param {string} bodyText 请求体
+ * @param {string} [path] 请求路径（可以包含 query string）
+ * @returns {number}
+ */
+export function getPageSize(bodyText, path = '') {
+  const querySize = new URLSearchParams(path.split('?')[1] || '').get('size')
+  if (querySize !== null && /^\d+$/.test(querySize)) {
+    return Number(querySize)
+  }
+  try {
+    const size = JSON.parse(bodyText || '{}').size
+    return Number.isInteger(size) ? size : DEFAULT_PAGE_SIZE
+  } catch (e) {
+    return DEFAULT_PAGE_SIZE
+  }
+}
+
+/**
+ * 生成某一页的请求体：加上 PIT、tiebreaker 排序和 search_after，去掉 from
+ * Elasticsearch 使用 _shard_doc 作为 tiebreaker，OpenSearch 使用 _id
+ * @param {Object} clusterInfo 集群信息
+ * @param {string} bodyText 原来的请求体
+ * @param {string} pitId PIT id
+ * @param {Array|null} searchAfter 上一页最后一个命中的排序值，第一页为 null
+ * @returns {string}
+ */
+export function createPageBody(clusterInfo, bodyText, pitId, searchAfter) {
+  let body
+  try {
+    body = bodyText && bodyText.trim() ? JSON.parse(bodyText) : {}
+  } catch (err) {
+    throw new Error('Invalid JSON in request body: ' + err.message)
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new Error('The search body must be a JSON object')
+  }
+
+  const tiebreaker = clusterInfo?.distribution === 'opensearch' ? '_id' : '_shard_doc'
+  const sort = body.sort === undefined ? [] : [].concat(body.sort)
+  const hasTiebreaker = sort.some(item => (
+    item === tiebreaker || (typeof item === 'object' && item !== null && tiebreaker in item)
+  ))
+  // 没有排序时按相关度排序，和原来的查询一致
+  if (sort.length === 0) {
+    sort.push({ _score: 'desc' })
+  }
+  if (!hasTiebreaker) {
+    sort.push({ [tiebreaker]: 'asc' })
+  }
+
+  const { from, search_after: ignored, ...rest } = body
+  return JSON.stringify({
+    ...rest,
+    pit: { id: pitId, keep_alive: PIT_KEEP_ALIVE },
+    sort,
+    ...(searchAfter && { search_after: searchAfter }),
+  })
+}
+
+/**
+ * 下一页的 search_after：当前页最后一个命中的排序值
+ * @param {Object} data 搜索响应
+ * @returns {Array|null} 没有命中时为 null
+ */
+export function getNextSearchAfter(data) {
+  const hits = data?.hits?.hits || []
+  return hits.length > 0 ? hits[hits.length - 1].sort || null : null
+}
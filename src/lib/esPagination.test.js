@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { createPageBody, createPagePath, createPitOpenPath, getPageSize, isSearchPath } from '@/lib/esPagination'
+
+describe('createPitOpenPath', () => {
+  it('encodes each index of a comma-separated list', () => {
+    expect(createPitOpenPath(null, 'logs-a,logs b')).toBe('/logs-a,logs%20b/_pit?keep_alive=2m')
+    expect(createPitOpenPath(null, 'remote:logs-*')).toBe('/remote%3Alogs-*/_pit?keep_alive=2m')
+  })
+
+  it('uses the OpenSearch endpoint', () => {
+    expect(createPitOpenPath({ distribution: 'opensearch' }, 'logs')).toBe('/logs/_search/point_in_time?keep_alive=2m')
+  })
+})
+
+describe('getPageSize', () => {
+  it('reads the size of the body', () => {
+    expect(getPageSize('{"size": 25}')).toBe(25)
+    expect(getPageSize('')).toBe(10)
+    expect(getPageSize('{')).toBe(10)
+  })
+
+  it('prefers ?size= in the path', () => {
+    expect(getPageSize('{"size": 25}', '/logs/_search?size=5')).toBe(5)
+    expect(getPageSize('{}', '/logs/_search?q=a&size=50')).toBe(50)
+    expect(getPageSize('{"size": 25}', '/logs/_search?size=')).toBe(25)
+  })
+})
+
+describe('createPagePath', () => {
+  it('drops the index and keeps the query string', () => {
+    expect(createPagePath('/logs/_search?size=5')).toBe('/_search?size=5')
+    expect(createPagePath('/logs/_search')).toBe('/_search')
+  })
+})
+
+describe('isSearchPath', () => {
+  it('matches _search endpoints only', () => {
+    expect(isSearchPath('/logs/_search?size=5')).toBe(true)
+    expect(isSearchPath('/_search/')).toBe(true)
+    expect(isSearchPath('/logs/_search/template')).toBe(false)
+    expect(isSearchPath('/logs/_count')).toBe(false)
+  })
+})
+
+describe('createPageBody', () => {
+  it('adds the PIT, a tiebreaker and search_after and drops from', () => {
+    const body = JSON.parse(createPageBody(null, '{"from": 20, "sort": "@timestamp"}', 'pit-1', [1, 2]))
+    expect(body).toEqual({
+      pit: { id: 'pit-1', keep_alive: '2m' },
+      sort: ['@timestamp', { _shard_doc: 'asc' }],
+      search_after: [1, 2],
+    })
+  })
+
+  it('sorts by score without a sort and uses _id on OpenSearch', () => {
+    const body = JSON.parse(createPageBody({ distribution: 'opensearch' }, '', 'pit-1', null))
+    expect(body.sort).toEqual([{ _score: 'desc' }, { _id: 'asc' }])
+    expect(body.search_after).toBeUndefined()
+  })
+})
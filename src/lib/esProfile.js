@@ -0,0 +1,201 @@
+/**
+ * Search Profiler
+ * 解析 profile: true 的响应：每个分片的 query 和 aggregation 计时树、各阶段耗时，以及找到树节点在请求体中对应的子句
+ */
+
+// 各阶段的显示顺序（query 在前，aggregation 在后），不在列表中的阶段排在最后
+export const PROFILE_PHASES = [
+  'create_weight',
+  'build_scorer',
+  'next_doc',
+  'advance',
+  'match',
+  'score',
+  'shallow_advance',
+  'compute_max_score',
+  'set_min_competitive_score',
+  'count_weight',
+  'initialize',
+  'build_leaf_collector',
+  'collect',
+  'post_collection',
+  'build_aggregation',
+  'reduce',
+]
+
+// 最耗时的节点数量（按自身耗时），且至少占分片总耗时的比例
+const HOT_NODE_COUNT = 3
+const HOT_NODE_SHARE = 0.1
+
+// Lucene 查询描述中的第一个字段和值，如 +message:error 或 status:[200 TO 299]
+const DESCRIPTION_CLAUSE = /(?:^|[\s(+#-])([\w.@-]+):("[^"]*"|\[[^\]]*\]|\{[^}]*\}|[^\s)]+)/
+
+/**
+ * 在请求体中设置 profile: true
+ * @param {string} bodyText 请求体（可以为空）
+ * @returns {string}
+ */
+export function createProfileBody(bodyText) {
+  let body = {}
+  if (bodyText && bodyText.trim()) {
+    try {
+      body = JSON.parse(bodyText)
+    } catch (err) {
+      throw new Error('Invalid JSON in request body: ' + err.message)
+    }
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new Error('The request body must be a JSON object to profile it')
+  }
+  return JSON.stringify({ ...body, profile: true })
+}
+
+/**
+ * 各阶段的耗时，不含 *_count 计数项
+ */
+function getBreakdown(breakdown) {
+  const order = phase => {
+    const index = PROFILE_PHASES.indexOf(phase)
+    return index === -1 ? PROFILE_PHASES.length : index
+  }
+  return Object.entries(breakdown || {})
+    .filter(([phase, time]) => !phase.endsWith('_count') && time > 0)
+    .map(([phase, time]) => ({ phase, time, count: breakdown[`${phase}_count`] ?? null }))
+    .sort((a, b) => order(a.phase) - order(b.phase))
+}
+
+/**
+ * 转换计时树的一个节点；time 包含子节点的耗时，selfTime 不包含
+ * @param {Object} node 响应中的 query 或 aggregation 节点
+ * @param {string} kind 'query' | 'aggregation'
+ * @param {string} key 节点在分片中的唯一键（用于折叠状态）
+ */
+function toProfileNode(node, kind, key) {
+  const children = (node.children || []).map((child, i) => toProfileNode(child, kind, `${key}.${i}`))
+  const time = node.time_in_nanos || 0
+  const childTime = children.reduce((sum, child) => sum + child.time, 0)
+  const clause = kind === 'query' ? (node.description || '').match(DESCRIPTION_CLAUSE) : null
+
+  return {
+    key,
+    kind,
+    type: node.type,
+    description: node.description || '',
+    time,
+    selfTime: Math.max(0, time - childTime),
+    breakdown: getBreakdown(node.breakdown),
+    children,
+    // query 节点的第一个字段和值；aggregation 节点的 description 就是聚合的名称
+    field: clause ? clause[1] : null,
+    term: clause ? clause[2].replace(/^"|"$/g, '') : null,
+    hot: false,
+  }
+}
+
+// 树中的所有节点
+function flattenNodes(nodes) {
+  return nodes.flatMap(node => [node, ...flattenNodes(node.children)])
+}
+
+/**
+ * 读取分片的索引名、分片号和节点
+ * 旧版本只有 id（[nodeId][index][shard]），新版本另外返回 index / shard_id / node_id
+ */
+function getShardInfo(shard) {
+  const match = (shard.id || '').match(/^\[([^\]]*)\]\[([^\]]*)\]\[(\d+)\]$/)
+  return {
+    node: shard.node_id ?? match?.[1] ?? null,
+    index: shard.index ?? match?.[2] ?? null,
+    shard: shard.shard_id ?? (match ? Number(match[3]) : null),
+  }
+}
+
+/**
+ * 把 profile 响应转换为每个分片的计时树，并标记最耗时的节点
+ * @param {Object} data 搜索响应
+ * @returns {Array<Object>|null} 没有 profile 时为 null
+ */
+export function getProfileShards(data) {
+  const shards = data?.profile?.shards
+  if (!Array.isArray(shards)) return null
+
+  return shards.map((shard, shardIndex) => {
+    const searches = (shard.searches || []).map((search, i) => ({
+      rewriteTime: search.rewrite_time || 0,
+      queries: (search.query || []).map((query, j) => toProfileNode(query, 'query', `${shardIndex}.s${i}.${j}`)),
+    }))
+    const aggregations = (shard.aggregations || []).map((agg, i) => toProfileNode(agg, 'aggregation', `${shardIndex}.a${i}`))
+
+    const roots = [...searches.flatMap(search => search.queries), ...aggregations]
+    const queryTime = searches.reduce((sum, search) => (
+      sum + search.rewriteTime + search.queries.reduce((total, query) => total + query.time, 0)
+    ), 0)
+    const aggregationTime = aggregations.reduce((sum, agg) => sum + agg.time, 0)
+    const totalTime = roots.reduce((sum, node) => sum + node.time, 0)
+
+    flattenNodes(roots)
+      .filter(node => totalTime > 0 && node.selfTime / totalTime >= HOT_NODE_SHARE)
+      .sort((a, b) => b.selfTime - a.selfTime)
+      .slice(0, HOT_NODE_COUNT)
+      .forEach(node => { node.hot = true })
+
+    return {
+      key: String(shardIndex),
+      id: shard.id,
+      ...getShardInfo(shard),
+      searches,
+      aggregations,
+      queryTime,
+      aggregationTime,
+      totalTime,
+    }
+  })
+}
+
+/**
+ * 显示纳秒耗时
+ * @param {number} nanos 纳秒
+ * @returns {string}
+ */
+export function formatNanos(nanos) {
+  if (nanos >= 1e9) return `${(nanos / 1e9).toFixed(2)}s`
+  if (nanos >= 1e6) return `${(nanos / 1e6).toFixed(2)}ms`
+  if (nanos >= 1e3) return `${(nanos / 1e3).toFixed(1)}µs`
+  return `${nanos}ns`
+}
+
+/**
+ * 在 JSON 文本中查找一个键（"name": ）的位置
+ * @returns {Array<number>} 每个匹配的键（含引号）的开始偏移量
+ */
+function findKeys(text, name) {
+  const escaped = JSON.stringify(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const pattern = new RegExp(`${escaped}\\s*:`, 'g')
+  return [...text.matchAll(pattern)].map(match => match.index)
+}
+
+/**
+ * 找到计时树节点在请求体中对应的子句（尽量匹配，profile 响应中没有子句的位置）
+ * query 节点按描述中的字段名查找，有多个时优先选择后面出现了同一个值的；aggregation 节点按聚合名查找
+ * @param {string} text 请求体
+ * @param {Object} node getProfileShards 中的节点
+ * @returns {{ start: number, end: number }|null} 子句键的偏移量范围
+ */
+export function findProfileClause(text, node) {
+  if (node.kind === 'aggregation') {
+    const aggs = text.search(/"(aggs|aggregations)"\s*:/)
+    const start = findKeys(text, node.description).find(offset => aggs !== -1 && offset > aggs)
+    return start === undefined ? null : { start, end: start + JSON.stringify(node.description).length }
+  }
+
+  if (!node.field) return null
+  const offsets = findKeys(text, node.field)
+  if (offsets.length === 0) return null
+
+  // 分析后的词项可能和输入的大小写不同，所以不区分大小写比较；只在下一个同名的键之前查找值
+  const term = (node.term || '').toLowerCase()
+  const start = offsets.find((offset, i) => (
+    term && text.slice(offset, Math.min(offset + 200, offsets[i + 1] ?? Infinity)).toLowerCase().includes(term)
+  )) ?? offsets[0]
+  return { start, end: start + JSON.stringify(node.field).length }
+}
@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest'
+import { createProfileBody, findProfileClause, formatNanos, getProfileShards } from '@/lib/esProfile'
+
+const data = {
+  profile: {
+    shards: [
+      {
+        id: '[node-1][logs][0]',
+        searches: [
+          {
+            rewrite_time: 1000,
+            query: [
+              {
+                type: 'BooleanQuery',
+                description: '+message:error #status:[500 TO 599]',
+                time_in_nanos: 10000,
+                breakdown: { score: 500, score_count: 4, create_weight: 2000, create_weight_count: 1, next_doc: 0, custom_phase: 10 },
+                children: [
+                  { type: 'TermQuery', description: 'message:error', time_in_nanos: 6000, breakdown: {} },
+                  { type: 'IndexOrDocValuesQuery', description: 'status:[500 TO 599]', time_in_nanos: 1000, breakdown: {} },
+                ],
+              },
+            ],
+          },
+        ],
+        aggregations: [
+          {
+            type: 'GlobalOrdinalsStringTermsAggregator',
+            description: 'by_host',
+            time_in_nanos: 3000,
+            children: [{ type: 'MaxAggregator', description: 'latest', time_in_nanos: 200 }],
+          },
+        ],
+      },
+      { id: '[node-2][logs][1]', index: 'logs-000002', shard_id: 1, node_id: 'abc', searches: [] },
+    ],
+  },
+}
+
+describe('createProfileBody', () => {
+  it('adds profile: true to the body', () => {
+    expect(JSON.parse(createProfileBody('{"size": 0}'))).toEqual({ size: 0, profile: true })
+    expect(JSON.parse(createProfileBody(''))).toEqual({ profile: true })
+  })
+
+  it('rejects bodies that are not JSON objects', () => {
+    expect(() => createProfileBody('{')).toThrow(/^Invalid JSON in request body/)
+    expect(() => createProfileBody('[]')).toThrow('The request body must be a JSON object to profile it')
+  })
+})
+
+describe('getProfileShards', () => {
+  const [shard, second] = getProfileShards(data)
+  const [query] = shard.searches[0].queries
+  const [agg] = shard.aggregations
+
+  it('returns null without a profile', () => {
+    expect(getProfileShards({ hits: {} })).toBeNull()
+  })
+
+  it('reads the shard from the id of older versions or from its own fields', () => {
+    expect(shard).toMatchObject({ key: '0', node: 'node-1', index: 'logs', shard: 0 })
+    expect(second).toMatchObject({ key: '1', node: 'abc', index: 'logs-000002', shard: 1, totalTime: 0 })
+  })
+
+  it('builds the query tree with the self time of each node', () => {
+    expect(query).toMatchObject({ key: '0.s0.0', kind: 'query', type: 'BooleanQuery', time: 10000, selfTime: 3000 })
+    expect(query.children.map(c => [c.key, c.time, c.selfTime])).toEqual([['0.s0.0.0', 6000, 6000], ['0.s0.0.1', 1000, 1000]])
+    expect(agg).toMatchObject({ key: '0.a0', kind: 'aggregation', description: 'by_host', time: 3000, selfTime: 2800 })
+  })
+
+  it('orders the breakdown by phase and keeps the counts', () => {
+    expect(query.breakdown).toEqual([
+      { phase: 'create_weight', time: 2000, count: 1 },
+      { phase: 'score', time: 500, count: 4 },
+      { phase: 'custom_phase', time: 10, count: null },
+    ])
+  })
+
+  it('adds up the query, rewrite and aggregation time', () => {
+    expect(shard.queryTime).toBe(11000)
+    expect(shard.aggregationTime).toBe(3000)
+    expect(shard.totalTime).toBe(13000)
+  })
+
+  it('marks the slowest nodes by their own time', () => {
+    const hot = [query, ...query.children, agg, ...agg.children].filter(node => node.hot).map(node => node.description)
+    expect(hot).toEqual(['+message:error #status:[500 TO 599]', 'message:error', 'by_host'])
+  })
+
+  it('takes the first field and value from the query description', () => {
+    expect([query.field, query.term]).toEqual(['message', 'error'])
+    expect([query.children[1].field, query.children[1].term]).toEqual(['status', '[500 TO 599]'])
+    expect([agg.field, agg.term]).toEqual([null, null])
+  })
+})
+
+describe('formatNanos', () => {
+  it('picks the unit', () => {
+    expect(formatNanos(512)).toBe('512ns')
+    expect(formatNanos(1500)).toBe('1.5µs')
+    expect(formatNanos(2345678)).toBe('2.35ms')
+    expect(formatNanos(3e9)).toBe('3.00s')
+  })
+})
+
+describe('findProfileClause', () => {
+  const text = `{
+  "query": {
+    "bool": {
+      "must": [{ "match": { "message": "warning" } }, { "match": { "message": "Error" } }]
+    }
+  },
+  "aggs": { "by_host": { "terms": { "field": "host" } } }
+}`
+
+  it('prefers the clause with the same value', () => {
+    const clause = findProfileClause(text, { kind: 'query', field: 'message', term: 'error' })
+    expect(text.slice(clause.start, clause.end)).toBe('"message"')
+    expect(text.slice(clause.start)).toMatch(/^"message": "Error"/)
+  })
+
+  it('falls back to the first clause on the field', () => {
+    const clause = findProfileClause(text, { kind: 'query', field: 'message', term: 'other' })
+    expect(text.slice(clause.start)).toMatch(/^"message": "warning"/)
+  })
+
+  it('finds aggregations by name inside aggs only', () => {
+    const clause = findProfileClause(text, { kind: 'aggregation', description: 'by_host' })
+    expect(text.slice(clause.start, clause.end)).toBe('"by_host"')
+    expect(findProfileClause('{"by_host": 1}', { kind: 'aggregation', description: 'by_host' })).toBeNull()
+  })
+
+  it('returns null for unknown fields', () => {
+    expect(findProfileClause(text, { kind: 'query', field: 'missing', term: 'x' })).toBeNull()
+    expect(findProfileClause(text, { kind: 'query', field: null })).toBeNull()
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Read-only Safety Mode
+ * 判断一个请求在只读 profile 上是否允许发送
+ * 只允许 GET/HEAD 以及读取类的 POST 接口；搜索请求中运行脚本的也会被拦截
+ */
+
+// 读取类接口（路径不含 query string）
+const READ_ENDPOINTS = [
+  /(^|\/)_search$/,
+  /(^|\/)_search\/template$/,
+  /^\/_search\/scroll(\/[^/]+)?$/,
+  /(^|\/)_msearch$/,
+  /(^|\/)_msearch\/template$/,
+  /(^|\/)_count$/,
+  /(^|\/)_field_caps$/,
+  /(^|\/)_validate\/query$/,
+  /(^|\/)_explain\/[^/]+$/,
+  /^\/[^/]+\/[^/]+\/[^/]+\/_explain$/,
+  /(^|\/)_mget$/,
+  /(^|\/)_termvectors(\/[^/]+)?$/,
+  /(^|\/)_mtermvectors$/,
+  /(^|\/)_analyze$/,
+  /(^|\/)_rank_eval$/,
+  /(^|\/)_eql\/search$/,
+  /(^|\/)_pit$/,
+  /(^|\/)_search\/point_in_time$/,
+  /^\/_render\/template(\/[^/]+)?$/,
+  /^\/_sql(\/translate|\/close)?$/,
+  /^\/_query$/,
+]
+
+// 允许 DELETE 的接口：只用于释放读取时打开的上下文（PIT、scroll）
+const RELEASE_ENDPOINTS = [
+  /^\/_pit$/,
+  /^\/_search\/point_in_time$/,
+  /^\/_search\/scroll(\/[^/]+)?$/,
+]
+
+// 会执行脚本的搜索参数（含 scripted_metric 聚合的各阶段脚本）
+const SCRIPT_KEYS = [
+  'script',
+  'script_fields',
+  'script_score',
+  'runtime_mappings',
+  'init_script',
+  'map_script',
+  'combine_script',
+  'reduce_script',
+]
+
+// 文本中的脚本参数（字符串形式的搜索模板、无法解析的 NDJSON 行）
+const TEMPLATE_SCRIPT_KEY = new RegExp(`"(${SCRIPT_KEYS.join('|')})"\\s*:`)
+
+// 搜索模板的模板内容所在的键
+const TEMPLATE_SOURCE_KEYS = ['source', 'inline']
+
+// 只读 SQL 语句
+const READ_SQL = /^\s*(SELECT|SHOW|DESCRIBE|DESC|WITH|EXPLAIN)\b/i
+
+/**
+ * 递归查找 body 中是否有运行脚本的参数
+ * 搜索模板的 source 是字符串时，在模板文本中查找（模板中可以有 Mustache 标签，不一定是合法 JSON）
+ * @param {*} value JSON 值
+ * @returns {string|null} 找到的参数名
+ */
+function findScriptKey(value) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findScriptKey(item)
+      if (found) return found
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key in value) {
+      if (SCRIPT_KEYS.includes(key)) return key
+      if (TEMPLATE_SOURCE_KEYS.includes(key) && typeof value[key] === 'string') {
+        const match = value[key].match(TEMPLATE_SCRIPT_KEY)
+        if (match) return match[1]
+      }
+      const found = findScriptKey(value[key])
+      if (found) return found
+    }
+  }
+  return null
+}
+
+/**
+ * 解析请求体（支持 JSON 和 NDJSON，如 _msearch），无法解析的行保留原文
+ * @param {string} body 请求体
+ * @returns {Array} JSON 对象或原文的列表
+ */
+function parseBodies(body) {
+  if (!body || typeof body !== 'string') return []
+  try {
+    return [JSON.parse(body)]
+  } catch (e) {
+    return body
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line)
+        } catch (err) {
+          return line
+        }
+      })
+  }
+}
+
+/**
+ * 判断路径是否是读取类接口（POST 时也不修改集群）
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isReadEndpoint(path) {
+  const pathname = (path || '/').split('?')[0].replace(/\/+$/, '') || '/'
+  return READ_ENDPOINTS.some(pattern => pattern.test(pathname))
+}
+
+/**
+ * 检查请求在只读模式下是否被允许
+ * @param {string} method HTTP 方法
+ * @param {string} path 请求路径（可以包含 query string）
+ * @param {string} body 请求体
+ * @returns {string|null} 被拦截的原因，允许时返回 null
+ */
+export function getReadOnlyViolation(method, path, body) {
+  const upperMethod = (method || 'GET').toUpperCase()
+  const pathname = (path || '/').split('?')[0].replace(/\/+$/, '') || '/'
+  const request = `${upperMethod} ${pathname}`
+
+  if (upperMethod === 'DELETE' && RELEASE_ENDPOINTS.some(pattern => pattern.test(pathname))) {
+    return null
+  }
+
+  if (!['GET', 'HEAD', 'POST'].includes(upperMethod)) {
+    return `Blocked by read-only mode: ${request} can modify the cluster. Only GET/HEAD and read endpoints such as _search, _count and _msearch are allowed on this profile.`
+  }
+
+  if (upperMethod === 'POST' && !isReadEndpoint(pathname)) {
+    return `Blocked by read-only mode: ${request} is not a read endpoint. Only GET/HEAD and read endpoints such as _search, _count and _msearch are allowed on this profile.`
+  }
+
+  const bodies = parseBodies(body)
+
+  if (/^\/_sql$/.test(pathname)) {
+    const statement = bodies[0]?.query
+    if (statement && !READ_SQL.test(statement)) {
+      return `Blocked by read-only mode: only SELECT, SHOW and DESCRIBE statements can be sent to ${request}.`
+    }
+  }
+
+  for (const parsed of bodies) {
+    const scriptKey = typeof parsed === 'string'
+      ? parsed.match(TEMPLATE_SCRIPT_KEY)?.[1]
+      : findScriptKey(parsed)
+    if (scriptKey) {
+      return `Blocked by read-only mode: the request body uses "${scriptKey}", and requests that run scripts are not allowed on this profile.`
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest'
+import { getReadOnlyViolation, isReadEndpoint } from '@/lib/esReadOnly'
+
+describe('getReadOnlyViolation', () => {
+  it('allows GET and read endpoints', () => {
+    expect(getReadOnlyViolation('GET', '/_cat/indices')).toBeNull()
+    expect(getReadOnlyViolation('POST', '/logs/_search?size=1', '{"query":{"match_all":{}}}')).toBeNull()
+    expect(getReadOnlyViolation('DELETE', '/_pit', '{"id":"x"}')).toBeNull()
+  })
+
+  it('blocks writes', () => {
+    expect(getReadOnlyViolation('PUT', '/logs')).toMatch(/can modify the cluster/)
+    expect(getReadOnlyViolation('POST', '/_bulk', '')).toMatch(/not a read endpoint/)
+    expect(getReadOnlyViolation('DELETE', '/logs')).toMatch(/can modify the cluster/)
+  })
+
+  it('blocks scripts in search bodies', () => {
+    const body = JSON.stringify({ script_fields: { f: { script: 'doc.x' } } })
+    expect(getReadOnlyViolation('POST', '/logs/_search', body)).toMatch(/"script_fields"/)
+  })
+
+  it('blocks scripted_metric aggregations', () => {
+    const body = JSON.stringify({
+      aggs: { total: { scripted_metric: { init_script: 'state.x = 0', map_script: 'state.x++', combine_script: 'state.x', reduce_script: 'states.sum()' } } },
+    })
+    expect(getReadOnlyViolation('POST', '/logs/_search', body)).toMatch(/"init_script"/)
+  })
+
+  it('checks every line of _msearch bodies', () => {
+    const body = '{"index":"logs"}\n{"query":{"match_all":{}}}\n{}\n{"query":{"script_score":{"query":{"match_all":{}},"script":"1"}}}\n'
+    expect(getReadOnlyViolation('POST', '/_msearch', body)).toMatch(/"script_score"/)
+  })
+
+  it('checks unparseable _msearch lines as text', () => {
+    const body = '{"index":"logs"}\n{"query":{"match_all":{}}, "runtime_mappings": {\n'
+    expect(getReadOnlyViolation('POST', '/_msearch', body)).toMatch(/"runtime_mappings"/)
+  })
+
+  it('checks the source of search templates', () => {
+    const body = JSON.stringify({ source: '{"script_fields": {"f": {"script": "{{code}}"}}}', params: { code: 'doc.x' } })
+    expect(getReadOnlyViolation('POST', '/logs/_search/template', body)).toMatch(/"script_fields"/)
+  })
+
+  it('only allows read SQL statements', () => {
+    expect(getReadOnlyViolation('POST', '/_sql', '{"query":"SELECT * FROM logs"}')).toBeNull()
+    expect(getReadOnlyViolation('POST', '/_sql', '{"query":"DROP TABLE logs"}')).toMatch(/only SELECT/)
+  })
+})
+
+describe('isReadEndpoint', () => {
+  it('ignores the query string', () => {
+    expect(isReadEndpoint('/logs/_count?q=x')).toBe(true)
+    expect(isReadEndpoint('/logs/_doc/1')).toBe(false)
+  })
+})
@@ -0,0 +1,163 @@
+/**
+ * Elasticsearch REST Request
+ * 发送任意 REST 请求时用到的辅助函数：拼接路径、准备请求体、读取 JSON / 文本响应
+ */
+
+/**
+ * 支持的 HTTP 方法
+ */
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'HEAD']
+
+// 请求体为 NDJSON 的接口
+const NDJSON_ENDPOINTS = /(^|\/)(_bulk|_msearch|_msearch\/template)$/
+
+// 请求体为 Query DSL 的接口（用于决定是否运行 DSL 诊断）
+// 6.x 带 type 的 _explain 为 /{index}/{type}/{id}/_explain
+const QUERY_DSL_ENDPOINTS = /(^|\/)(_search|_async_search|_count|_validate\/query|_explain\/[^/]+|[^/]+\/_explain|_delete_by_query|_update_by_query)$/
+
+// GET 和 POST 含义相同的只读接口：GET 带请求体时可以改用 POST 发送
+// 6.x 带 type 的 _explain 为 /{index}/{type}/{id}/_explain，7.x 以后为 /{index}/_explain/{id}
+const GET_BODY_ENDPOINTS = /(^|\/)(_search|_count|_msearch|_validate\/query|_field_caps|_search\/template|_sql|_explain(\/[^/]+)?)$/
+
+// 接受 ?timeout 参数的接口及方法（未知参数会让 ES 返回 400，所以只对这些接口添加）
+const SERVER_TIMEOUT_ENDPOINTS = [
+  { pattern: /(^|\/)_search$/, methods: ['GET', 'POST'] },
+  { pattern: /(^|\/)(_bulk|_delete_by_query|_update_by_query)$/, methods: ['POST', 'PUT'] },
+  { pattern: /^\/_reindex$/, methods: ['POST'] },
+  { pattern: /^\/_cluster\/health(\/[^/]+)?$/, methods: ['GET'] },
+  { pattern: /^\/_cluster\/settings$/, methods: ['PUT'] },
+  { pattern: /(^|\/)(_mapping|_settings|_aliases)$/, methods: ['PUT', 'POST'] },
+  { pattern: /\/(_doc|_create|_update)(\/[^/]+)?$/, methods: ['PUT', 'POST', 'DELETE'] },
+]
+
+/**
+ * 拼接请求路径
+ * 以 / 开头的路径直接使用（如 /_cat/indices?v），否则相对于当前索引（如 _count）
+ * @param {string} indexName 当前选择的索引
+ * @param {string} path 用户输入的路径和 query string
+ * @returns {string} 以 / 开头的完整路径
+ */
+export function buildRequestPath(indexName, path) {
+  const trimmed = (path || '').trim()
+  if (trimmed.startsWith('/')) return trimmed
+  if (!trimmed) return `/${indexName}`
+  return `/${indexName}/${trimmed}`
+}
+
+/**
+ * 判断接口的请求体是否为 NDJSON
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isNdjsonPath(path) {
+  const pathname = (path || '').split('?')[0].replace(/\/+$/, '')
+  return NDJSON_ENDPOINTS.test(pathname)
+}
+
+/**
+ * 判断接口的请求体是否为 Query DSL（_search、_count 等）
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isQueryDslPath(path) {
+  const pathname = (path || '').split('?')[0].replace(/\/+$/, '')
+  return QUERY_DSL_ENDPOINTS.test(pathname)
+}
+
+/**
+ * 为支持的接口添加服务端超时参数 ?timeout=Ns（已经指定 timeout 时不覆盖）
+ * @param {string} method HTTP 方法
+ * @param {string} path 请求路径（可以包含 query string）
+ * @param {number} timeoutSeconds 超时（秒），0 表示不添加
+ * @returns {string} 新的路径
+ */
+export function withServerTimeout(method, path, timeoutSeconds) {
+  if (!timeoutSeconds || timeoutSeconds <= 0) return path
+
+  const [pathname, query = ''] = path.split('?')
+  const params = new URLSearchParams(query)
+  if (params.has('timeout')) return path
+
+  const normalized = pathname.replace(/\/+$/, '')
+  const supported = SERVER_TIMEOUT_ENDPOINTS.some(({ pattern, methods }) => (
+    methods.includes(method) && pattern.test(normalized)
+  ))
+  if (!supported) return path
+
+  return `${path}${query ? '&' : '?'}timeout=${timeoutSeconds}s`
+}
+
+/**
+ * 判断 GET 带请求体时能否改用 POST 发送（_search、_count 等只读接口）
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isGetBodyPath(path) {
+  const pathname = (path || '').split('?')[0].replace(/\/+$/, '')
+  return GET_BODY_ENDPOINTS.test(pathname)
+}
+
+/**
+ * 校验并准备请求体
+ * fetch 不允许 GET 带 body：_search 等 GET 和 POST 含义相同的接口改用 POST 发送，
+ * 其他接口（如 _doc/1、_mapping）的 POST 是写操作，丢弃请求体仍用 GET 发送
+ * @param {string} method HTTP 方法
+ * @param {string} path 请求路径
+ * @param {string} text 编辑器中的请求体，可以为空
+ * @returns {{ method: string, body: string|null, contentType: string|null }}
+ */
+export function prepareRequestBody(method, path, text) {
+  if (method === 'HEAD' || !text || !text.trim()) {
+    return { method, body: null, contentType: null }
+  }
+  if (method === 'GET' && !isGetBodyPath(path)) {
+    return { method, body: null, contentType: null }
+  }
+
+  const sendMethod = method === 'GET' ? 'POST' : method
+
+  if (isNdjsonPath(path)) {
+    const lines = text.split('\n').filter(line => line.trim())
+    lines.forEach((line, i) => {
+      try {
+        JSON.parse(line)
+      } catch (err) {
+        throw new Error(`Invalid JSON on NDJSON line ${i + 1}: ${err.message}`)
+      }
+    })
+    return { method: sendMethod, body: lines.join('\n') + '\n', contentType: 'application/x-ndjson' }
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (err) {
+    throw new Error('Invalid JSON in request body: ' + err.message)
+  }
+  return { method: sendMethod, body: JSON.stringify(parsed), contentType: 'application/json' }
+}
+
+/**
+ * 读取响应内容：JSON 格式化显示，其他（如 _cat 的文本表格）原样显示
+ * @param {Response} response fetch 响应
+ * @param {string} method 请求方法
+ * @returns {Promise<{ text: string, language: string, data: Object|null }>}
+ */
+export async function readResponseBody(response, method) {
+  // HEAD 请求没有响应体，只显示状态
+  if (method === 'HEAD') {
+    return { text: `${response.status} ${response.statusText}`, language: 'plaintext', data: null }
+  }
+
+  const text = await response.text()
+  const contentType = response.headers.get('content-type') || ''
+  if (contentType.includes('json') || /^\s*[{[]/.test(text)) {
+    try {
+      const data = JSON.parse(text)
+      return { text: JSON.stringify(data, null, 2), language: 'json', data }
+    } catch (e) {
+      // 不是合法 JSON，按文本显示
+    }
+  }
+  return { text, language: 'plaintext', data: null }
+}
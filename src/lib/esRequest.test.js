@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import { buildRequestPath, isGetBodyPath, prepareRequestBody, withServerTimeout } from '@/lib/esRequest'
+
+describe('buildRequestPath', () => {
+  it('keeps absolute paths and prefixes relative ones with the index', () => {
+    expect(buildRequestPath('logs', '/_cat/indices?v')).toBe('/_cat/indices?v')
+    expect(buildRequestPath('logs', '_count')).toBe('/logs/_count')
+    expect(buildRequestPath('logs', '')).toBe('/logs')
+  })
+})
+
+describe('isGetBodyPath', () => {
+  it('accepts read-only endpoints where GET and POST mean the same', () => {
+    for (const path of [
+      '/logs/_search?size=5',
+      '/_count',
+      '/logs/_msearch',
+      '/logs/_validate/query?explain=true',
+      '/logs/_explain/1',
+      '/logs/event/1/_explain',
+      '/logs/_field_caps?fields=*',
+      '/logs/_search/template',
+      '/_sql?format=txt',
+    ]) {
+      expect(isGetBodyPath(path), path).toBe(true)
+    }
+  })
+
+  it('rejects endpoints where POST writes', () => {
+    for (const path of ['/logs/_doc/1', '/logs/_mapping', '/logs/_settings', '/logs', '/logs/_search_shards/x']) {
+      expect(isGetBodyPath(path), path).toBe(false)
+    }
+  })
+})
+
+describe('prepareRequestBody', () => {
+  const body = '{"query": {"match_all": {}}}'
+
+  it('sends GET with a body as POST on search endpoints', () => {
+    expect(prepareRequestBody('GET', '/logs/_search', body)).toEqual({
+      method: 'POST',
+      body: '{"query":{"match_all":{}}}',
+      contentType: 'application/json',
+    })
+  })
+
+  it('drops the body of GET on other endpoints instead of turning it into a write', () => {
+    expect(prepareRequestBody('GET', '/logs/_doc/1', body)).toEqual({ method: 'GET', body: null, contentType: null })
+    expect(prepareRequestBody('GET', '/logs/_mapping', body)).toEqual({ method: 'GET', body: null, contentType: null })
+  })
+
+  it('keeps the method and body of writes', () => {
+    expect(prepareRequestBody('PUT', '/logs/_doc/1', '{"a": 1}')).toEqual({ method: 'PUT', body: '{"a":1}', contentType: 'application/json' })
+  })
+
+  it('sends no body for HEAD or an empty editor', () => {
+    expect(prepareRequestBody('HEAD', '/logs', body).body).toBeNull()
+    expect(prepareRequestBody('POST', '/logs/_search', '  ').body).toBeNull()
+  })
+
+  it('validates NDJSON line by line', () => {
+    expect(prepareRequestBody('GET', '/_msearch', '{}\n\n{"query": {}}')).toEqual({
+      method: 'POST',
+      body: '{}\n{"query": {}}\n',
+      contentType: 'application/x-ndjson',
+    })
+    expect(() => prepareRequestBody('POST', '/_bulk', '{}\n{')).toThrow(/NDJSON line 2/)
+  })
+
+  it('reports invalid JSON', () => {
+    expect(() => prepareRequestBody('POST', '/logs/_search', '{')).toThrow(/Invalid JSON in request body/)
+  })
+})
+
+describe('withServerTimeout', () => {
+  it('adds the timeout only to endpoints that accept it', () => {
+    expect(withServerTimeout('POST', '/logs/_search?size=1', 30)).toBe('/logs/_search?size=1&timeout=30s')
+    expect(withServerTimeout('GET', '/_cat/indices', 30)).toBe('/_cat/indices')
+    expect(withServerTimeout('POST', '/logs/_search?timeout=5s', 30)).toBe('/logs/_search?timeout=5s')
+    expect(withServerTimeout('POST', '/logs/_search', 0)).toBe('/logs/_search')
+  })
+})
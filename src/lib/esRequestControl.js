@@ -0,0 +1,69 @@
+/**
+ * Request Control
+ * 取消正在执行的请求、客户端超时，以及区分“已取消 / 已超时”和 HTTP 错误
+ */
+
+export const REQUEST_CANCELLED = 'cancelled'
+export const REQUEST_TIMED_OUT = 'timed-out'
+
+/**
+ * 创建一个可取消、带超时的请求控制器
+ * @param {number} timeoutSeconds 客户端超时（秒），0 表示不限制
+ * @returns {{ signal: AbortSignal, cancel: Function, dispose: Function, reason: string|null, timeoutSeconds: number }}
+ *   reason 为 REQUEST_CANCELLED / REQUEST_TIMED_OUT，未中止时为 null
+ */
+export function createRequestController(timeoutSeconds) {
+  const controller = new AbortController()
+  let reason = null
+
+  const abort = (abortReason) => {
+    if (controller.signal.aborted) return
+    reason = abortReason
+    controller.abort()
+  }
+
+  const timer = timeoutSeconds > 0
+    ? setTimeout(() => abort(REQUEST_TIMED_OUT), timeoutSeconds * 1000)
+    : null
+
+  return {
+    signal: controller.signal,
+    timeoutSeconds,
+    get reason() {
+      return reason
+    },
+    cancel: () => abort(REQUEST_CANCELLED),
+    dispose: () => clearTimeout(timer),
+  }
+}
+
+/**
+ * 请求被中止时的说明
+ * @param {Object} control createRequestController 的结果
+ * @returns {string|null} 没有被中止时返回 null
+ */
+export function describeAbort(control) {
+  if (control?.reason === REQUEST_CANCELLED) {
+    return 'Request cancelled'
+  }
+  if (control?.reason === REQUEST_TIMED_OUT) {
+    return `Request timed out after ${control.timeoutSeconds}s (client-side timeout; raise it in the toolbar or the connection settings)`
+  }
+  return null
+}
+
+/**
+ * 让一个无法取消的 Promise 在 signal 中止时立即失败（结果被丢弃）
+ * @param {Promise} promise 原 Promise
+ * @param {AbortSignal} signal 取消信号
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(new Error('Request cancelled'))
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error('Request cancelled'))
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
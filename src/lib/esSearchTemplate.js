@@ -0,0 +1,95 @@
+/**
+ * Search Templates
+ * Mustache 搜索模板：请求体、参数解析，以及保存在 _scripts 中的模板的读取和保存
+ */
+
+// 列出保存的脚本（_scripts 没有列表接口，从集群状态中读取）
+export const STORED_SCRIPTS_PATH = '/_cluster/state/metadata?filter_path=metadata.stored_scripts'
+
+/**
+ * 解析模板参数
+ * @param {string} text 参数编辑器中的 JSON，可以为空
+ * @returns {Object}
+ */
+export function parseTemplateParams(text) {
+  if (!text || !text.trim()) return {}
+
+  let params
+  try {
+    params = JSON.parse(text)
+  } catch (err) {
+    throw new Error('Invalid JSON in template params: ' + err.message)
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw new Error('Template params must be a JSON object')
+  }
+  return params
+}
+
+/**
+ * 创建 _render/template 和 _search/template 的请求体
+ * 模板源码按字符串发送，这样 {{#section}} 等不是合法 JSON 的模板也可以使用
+ * @param {string} source 模板源码
+ * @param {string} paramsText 参数 JSON
+ * @returns {string} 请求体
+ */
+export function createTemplateBody(source, paramsText) {
+  if (!source || !source.trim()) {
+    throw new Error('The template source is empty')
+  }
+  return JSON.stringify({ source, params: parseTemplateParams(paramsText) })
+}
+
+/**
+ * 创建保存模板的请求体（PUT /_scripts/<id>）
+ * @param {string} source 模板源码
+ * @returns {string}
+ */
+export function createStoredTemplateBody(source) {
+  return JSON.stringify({ script: { lang: 'mustache', source } })
+}
+
+/**
+ * 从集群状态中取出 mustache 脚本的 id
+ * @param {Object} data STORED_SCRIPTS_PATH 的响应
+ * @returns {Array<string>} 排序后的 id
+ */
+export function getStoredTemplateIds(data) {
+  const scripts = data?.metadata?.stored_scripts || {}
+  return Object.keys(scripts)
+    .filter(id => scripts[id]?.lang === 'mustache')
+    .sort()
+}
+
+/**
+ * 取出保存的模板源码（GET /_scripts/<id> 的响应）
+ * @param {Object} data 响应
+ * @returns {string}
+ */
+export function getStoredTemplateSource(data) {
+  if (!data?.found || !data.script) {
+    throw new Error(`Stored script "${data?._id}" was not found`)
+  }
+  if (data.script.lang !== 'mustache') {
+    throw new Error(`Stored script "${data._id}" is a ${data.script.lang} script, not a search template`)
+  }
+  const { source } = data.script
+  if (typeof source !== 'string') {
+    return JSON.stringify(source, null, 2)
+  }
+  // 保存时被压缩成一行的 JSON 重新格式化
+  try {
+    return JSON.stringify(JSON.parse(source), null, 2)
+  } catch (e) {
+    return source
+  }
+}
+
+/**
+ * 取出 _render/template 渲染后的请求体
+ * @param {Object} data 响应
+ * @returns {string} 格式化的 JSON
+ */
+export function getRenderedTemplate(data) {
+  return JSON.stringify(data?.template_output ?? {}, null, 2)
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest'
+import {
+  createStoredTemplateBody,
+  createTemplateBody,
+  getRenderedTemplate,
+  getStoredTemplateIds,
+  getStoredTemplateSource,
+  parseTemplateParams,
+} from '@/lib/esSearchTemplate'
+
+const source = `{
+  "query": {{#match}}{"match": {"message": "{{text}}"}}{{/match}}{{^match}}{"match_all": {}}{{/match}},
+  "size": {{size}}
+}`
+
+describe('parseTemplateParams', () => {
+  it('reads a JSON object and treats an empty editor as no params', () => {
+    expect(parseTemplateParams('{"size": 5, "match": true}')).toEqual({ size: 5, match: true })
+    expect(parseTemplateParams('')).toEqual({})
+    expect(parseTemplateParams('  \n')).toEqual({})
+  })
+
+  it('rejects invalid JSON and values that are not objects', () => {
+    expect(() => parseTemplateParams('{"size": }')).toThrow(/^Invalid JSON in template params/)
+    for (const text of ['[1]', 'null', '5', '"text"']) {
+      expect(() => parseTemplateParams(text), text).toThrow('Template params must be a JSON object')
+    }
+  })
+})
+
+describe('createTemplateBody', () => {
+  it('sends the source as a string so sections that are not JSON still work', () => {
+    expect(JSON.parse(createTemplateBody(source, '{"size": 5, "text": "error"}'))).toEqual({
+      source,
+      params: { size: 5, text: 'error' },
+    })
+    expect(JSON.parse(createTemplateBody(source, ''))).toEqual({ source, params: {} })
+  })
+
+  it('rejects an empty source and invalid params', () => {
+    expect(() => createTemplateBody('  ', '{}')).toThrow('The template source is empty')
+    expect(() => createTemplateBody(source, '[]')).toThrow('Template params must be a JSON object')
+  })
+
+  it('wraps the source in a mustache script for _scripts', () => {
+    expect(JSON.parse(createStoredTemplateBody(source))).toEqual({ script: { lang: 'mustache', source } })
+  })
+})
+
+describe('stored templates', () => {
+  it('lists mustache scripts only', () => {
+    const data = {
+      metadata: {
+        stored_scripts: {
+          'logs-by-level': { lang: 'mustache', source: '{}' },
+          'score-boost': { lang: 'painless', source: 'return 1' },
+          'all-docs': { lang: 'mustache', source: '{}' },
+        },
+      },
+    }
+    expect(getStoredTemplateIds(data)).toEqual(['all-docs', 'logs-by-level'])
+    expect(getStoredTemplateIds({})).toEqual([])
+  })
+
+  it('reformats a source stored as one line of JSON and keeps other sources as they are', () => {
+    expect(getStoredTemplateSource({ _id: 't', found: true, script: { lang: 'mustache', source: '{"size":1}' } }))
+      .toBe('{\n  "size": 1\n}')
+    expect(getStoredTemplateSource({ _id: 't', found: true, script: { lang: 'mustache', source } })).toBe(source)
+    expect(getStoredTemplateSource({ _id: 't', found: true, script: { lang: 'mustache', source: { size: 1 } } }))
+      .toBe('{\n  "size": 1\n}')
+  })
+
+  it('rejects missing scripts and scripts that are not templates', () => {
+    expect(() => getStoredTemplateSource({ _id: 't', found: false })).toThrow('Stored script "t" was not found')
+    expect(() => getStoredTemplateSource({ _id: 't', found: true, script: { lang: 'painless', source: '1' } }))
+      .toThrow('Stored script "t" is a painless script, not a search template')
+  })
+})
+
+describe('getRenderedTemplate', () => {
+  it('formats the rendered request body', () => {
+    expect(getRenderedTemplate({ template_output: { size: 5 } })).toBe('{\n  "size": 5\n}')
+    expect(getRenderedTemplate({})).toBe('{}')
+  })
+})
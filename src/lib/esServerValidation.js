@@ -0,0 +1,91 @@
+/**
+ * Server-side Query Validation
+ * 用 _validate/query?explain=true 在集群上检查请求体中的 query：错误转换为编辑器中的位置，成功时读取改写后的 Lucene 查询
+ * 本地的 ESValidator 只认识内置的查询类型，字段类型不符、query_string 语法错误等只有服务端才能发现
+ */
+
+import { getBlockIndex } from '@/lib/esConsoleParser'
+
+// 停止输入后多久发送验证请求（毫秒）
+export const SERVER_VALIDATION_DELAY = 800
+
+// Java 异常类名前缀，如 org.elasticsearch.index.query.QueryShardException:
+const EXCEPTION_PREFIX = /^([\w$]+\.)*[\w$]+(Exception|Error):\s*/
+
+/**
+ * 验证请求的路径：使用请求路径中的索引（如 /other/_search 验证 other），集群级路径（如 /_search）验证所有索引
+ * @param {string} path 以 / 开头的请求路径（buildRequestPath 的结果）
+ * @returns {string}
+ */
+export function createValidatePath(path) {
+  const index = getBlockIndex(path)
+  // 和 createPitOpenPath 一样逐个编码，逗号分隔的多个索引保留逗号
+  const target = index ? `/${index.split(',').map(name => encodeURIComponent(name.trim())).join(',')}` : ''
+  return `${target}/_validate/query?explain=true&all_shards=false`
+}
+
+/**
+ * 验证请求的请求体：只包含 query
+ * @param {string} bodyText 编辑器中的请求体
+ * @returns {string|null} 请求体不是 JSON 或没有 query 时为 null（本地诊断会报告 JSON 错误）
+ */
+export function createValidateBody(bodyText) {
+  try {
+    const body = JSON.parse(bodyText)
+    if (!body || typeof body !== 'object' || !body.query) return null
+    return JSON.stringify({ query: body.query })
+  } catch (e) {
+    return null
+  }
+}
+
+// "query" 键的偏移量范围
+function findQueryKey(text) {
+  const match = text.match(/"query"\s*:/)
+  return match ? { start: match.index, end: match.index + '"query"'.length } : { start: 0, end: 0 }
+}
+
+/**
+ * 找到错误信息提到的子句：依次尝试 [xxx] 和 "xxx" 中的名称（查询类型或字段名），都找不到时使用 "query" 键
+ * @param {string} text 请求体
+ * @param {string} message 错误信息
+ * @returns {{ start: number, end: number }}
+ */
+function findErrorRange(text, message) {
+  const names = [...message.matchAll(/\[([^[\]\s]+)\]|"([^"\s]+)"/g)].map(match => match[1] || match[2])
+  const queryStart = findQueryKey(text).start
+  for (const name of names) {
+    const key = JSON.stringify(name)
+    const start = text.indexOf(key, queryStart)
+    if (start !== -1) return { start, end: start + key.length }
+  }
+  return findQueryKey(text)
+}
+
+/**
+ * 读取 _validate/query 的响应
+ * @param {string} text 发送验证时编辑器中的请求体（用于定位错误）
+ * @param {Object} data 响应
+ * @returns {{ valid: boolean, errors: Array<{ message: string, start: number, end: number }>, explanations: Array<{ index: string, explanation: string }>, queryRange: { start: number, end: number } }}
+ */
+export function getServerValidation(text, data) {
+  const explanations = data?.explanations || []
+  const failures = explanations
+    .filter(item => item.valid === false && item.error)
+    .map(item => ({ index: item.index || null, error: item.error.replace(EXCEPTION_PREFIX, '') }))
+  if (failures.length === 0 && data?.valid === false) {
+    failures.push({ index: null, error: data.error ? data.error.replace(EXCEPTION_PREFIX, '') : 'The query is not valid on the server' })
+  }
+
+  return {
+    valid: data?.valid !== false,
+    errors: failures.map(({ index, error }) => ({
+      message: index ? `[${index}] ${error}` : error,
+      ...findErrorRange(text, error),
+    })),
+    explanations: explanations
+      .filter(item => item.valid !== false && item.explanation)
+      .map(item => ({ index: item.index || null, explanation: item.explanation })),
+    queryRange: findQueryKey(text),
+  }
+}
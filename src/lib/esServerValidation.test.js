@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { createValidateBody, createValidatePath, getServerValidation } from '@/lib/esServerValidation'
+
+describe('createValidatePath / createValidateBody', () => {
+  it('asks for the rewritten query on the index of the request path', () => {
+    expect(createValidatePath('/logs/_search')).toBe('/logs/_validate/query?explain=true&all_shards=false')
+    expect(createValidatePath('/other/_search?size=5')).toBe('/other/_validate/query?explain=true&all_shards=false')
+    expect(createValidatePath('/_search')).toBe('/_validate/query?explain=true&all_shards=false')
+  })
+
+  it('encodes index names and keeps the commas between them', () => {
+    expect(createValidatePath('/logs-*,my%20index/_search')).toBe('/logs-*,my%20index/_validate/query?explain=true&all_shards=false')
+    expect(createValidatePath('/a#b/_count')).toBe('/a%23b/_validate/query?explain=true&all_shards=false')
+  })
+
+  it('sends only the query', () => {
+    expect(createValidateBody('{"query": {"term": {"a": 1}}, "size": 5}')).toBe('{"query":{"term":{"a":1}}}')
+  })
+
+  it('skips bodies without a query or with invalid JSON', () => {
+    expect(createValidateBody('{"size": 5}')).toBeNull()
+    expect(createValidateBody('{')).toBeNull()
+    expect(createValidateBody('null')).toBeNull()
+  })
+})
+
+describe('getServerValidation', () => {
+  const text = `{
+  "query": {
+    "match": { "status": "ok" }
+  }
+}`
+
+  it('reads the explanations of a valid query', () => {
+    const result = getServerValidation(text, {
+      valid: true,
+      explanations: [{ index: 'logs', valid: true, explanation: 'status:ok' }],
+    })
+    expect(result.valid).toBe(true)
+    expect(result.errors).toEqual([])
+    expect(result.explanations).toEqual([{ index: 'logs', explanation: 'status:ok' }])
+    expect(text.slice(result.queryRange.start, result.queryRange.end)).toBe('"query"')
+  })
+
+  it('places errors on the clause or field they mention', () => {
+    const result = getServerValidation(text, {
+      valid: false,
+      explanations: [{
+        index: 'logs',
+        valid: false,
+        error: 'org.elasticsearch.index.query.QueryShardException: failed to create query: [match] field "status" is a number',
+      }],
+    })
+    expect(result.valid).toBe(false)
+    expect(result.errors).toHaveLength(1)
+    const [error] = result.errors
+    expect(error.message).toBe('[logs] failed to create query: [match] field "status" is a number')
+    expect(text.slice(error.start, error.end)).toBe('"match"')
+  })
+
+  it('falls back to the query key and to the top-level error', () => {
+    const result = getServerValidation(text, { valid: false, error: 'ParsingException: unknown thing' })
+    expect(result.errors).toHaveLength(1)
+    expect(result.errors[0].message).toBe('unknown thing')
+    expect(text.slice(result.errors[0].start, result.errors[0].end)).toBe('"query"')
+  })
+
+  it('reports an invalid query without details', () => {
+    expect(getServerValidation(text, { valid: false }).errors[0].message).toBe('The query is not valid on the server')
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * SQL Queries
+ * Elasticsearch SQL（/_sql）：拆分编辑器中的语句、生成请求体、读取游标，以及 _sql/translate
+ */
+
+export const SQL_FORMATS = [
+  { value: 'txt', label: 'Text' },
+  { value: 'json', label: 'JSON' },
+]
+
+// 每页行数（游标翻页）
+export const SQL_FETCH_SIZE = 100
+
+export const SQL_TRANSLATE_PATH = '/_sql/translate'
+export const SQL_CLOSE_PATH = '/_sql/close'
+
+// 语句开头的空白和注释
+const LEADING_COMMENTS = /^(\s|--[^\n]*|\/\*[\s\S]*?(\*\/|$))*/
+
+/**
+ * 把编辑器内容拆分为语句（按引号和注释之外的分号）
+ * @param {string} text SQL 文本
+ * @returns {Array<{ text: string, start: number, end: number }>} 去掉首尾空白的语句和它在文本中的偏移量
+ */
+export function splitSqlStatements(text) {
+  const source = text || ''
+  const statements = []
+  let start = 0
+  let quote = null
+
+  // 去掉语句前面的空白和注释（只读模式按语句开头的关键字判断）
+  const push = (end) => {
+    const raw = source.slice(start, end)
+    const leading = raw.match(LEADING_COMMENTS)[0].length
+    const trimmed = raw.slice(leading).trimEnd()
+    if (trimmed) {
+      statements.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length })
+    }
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    if (quote) {
+      if (ch === quote) quote = null
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch
+    } else if (ch === '-' && source[i + 1] === '-') {
+      const newline = source.indexOf('\n', i)
+      i = newline === -1 ? source.length : newline
+    } else if (ch === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2)
+      i = close === -1 ? source.length : close + 1
+    } else if (ch === ';') {
+      push(i)
+      start = i + 1
+    }
+  }
+  push(source.length)
+  return statements
+}
+
+/**
+ * 光标所在的语句；光标在两个语句之间时取前一个
+ * @param {string} text SQL 文本
+ * @param {number} offset 光标偏移量
+ * @returns {Object|null} splitSqlStatements 的一项
+ */
+export function findSqlStatement(text, offset) {
+  const statements = splitSqlStatements(text)
+  let found = null
+  for (const statement of statements) {
+    if (statement.start <= offset) found = statement
+  }
+  return found || statements[0] || null
+}
+
+/**
+ * 语句中 FROM 之后的第一个表（索引名或索引模式），用于加载 mapping
+ * @param {string} statement SQL 语句
+ * @returns {string|null}
+ */
+export function getSqlTable(statement) {
+  const match = (statement || '').match(/\bFROM\s+(?:"([^"]+)"|`([^`]+)`|([\w.*:@-]+))/i)
+  if (!match) return null
+  return match[1] || match[2] || match[3]
+}
+
+/**
+ * 查询的请求路径
+ * @param {string} format 'txt' | 'json'
+ * @returns {string}
+ */
+export function createSqlPath(format) {
+  return `/_sql?format=${format}`
+}
+
+/**
+ * 查询的请求体：第一页发送语句，后面的页只发送游标
+ * @param {string} statement SQL 语句
+ * @param {string|null} cursor 上一页返回的游标
+ * @returns {string}
+ */
+export function createSqlBody(statement, cursor = null) {
+  if (cursor) {
+    return JSON.stringify({ cursor })
+  }
+  return JSON.stringify({ query: statement, fetch_size: SQL_FETCH_SIZE })
+}
+
+/**
+ * 读取下一页的游标：JSON 格式在响应体中，文本格式在 Cursor 响应头中
+ * @param {Response} response 响应
+ * @param {Object|null} data 响应 JSON
+ * @returns {string|null} 没有更多行时为 null
+ */
+export function getSqlCursor(response, data) {
+  return data?.cursor || response.headers.get('Cursor') || null
+}
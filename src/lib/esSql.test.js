@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { createSqlBody, createSqlPath, findSqlStatement, getSqlCursor, getSqlTable, splitSqlStatements } from '@/lib/esSql'
+
+describe('splitSqlStatements', () => {
+  it('splits on semicolons and keeps the offsets of each statement', () => {
+    const text = 'SELECT 1;\n  SELECT 2 ;'
+    expect(splitSqlStatements(text)).toEqual([
+      { text: 'SELECT 1', start: 0, end: 8 },
+      { text: 'SELECT 2', start: 12, end: 20 },
+    ])
+  })
+
+  it('ignores semicolons in strings, quoted identifiers and comments', () => {
+    const text = `SELECT ';' FROM "a;b" WHERE x = \`c;d\` -- e;f\n/* g; h */ LIMIT 1; SELECT 2`
+    expect(splitSqlStatements(text).map(statement => statement.text)).toEqual([
+      `SELECT ';' FROM "a;b" WHERE x = \`c;d\` -- e;f\n/* g; h */ LIMIT 1`,
+      'SELECT 2',
+    ])
+  })
+
+  it('drops leading comments and empty statements', () => {
+    const text = '-- list\n/* all */ SHOW TABLES;;  ;\n'
+    const [statement, ...rest] = splitSqlStatements(text)
+    expect(statement.text).toBe('SHOW TABLES')
+    expect(text.slice(statement.start, statement.end)).toBe('SHOW TABLES')
+    expect(rest).toEqual([])
+  })
+
+  it('handles unterminated comments and empty text', () => {
+    expect(splitSqlStatements('SELECT 1 /* open')).toEqual([{ text: 'SELECT 1 /* open', start: 0, end: 16 }])
+    expect(splitSqlStatements('')).toEqual([])
+    expect(splitSqlStatements(null)).toEqual([])
+  })
+})
+
+describe('findSqlStatement', () => {
+  const text = 'SELECT 1;\n\nSELECT 2;'
+
+  it('finds the statement at the cursor or the one before it', () => {
+    expect(findSqlStatement(text, 3).text).toBe('SELECT 1')
+    expect(findSqlStatement(text, 10).text).toBe('SELECT 1')
+    expect(findSqlStatement(text, 15).text).toBe('SELECT 2')
+  })
+
+  it('returns null without statements', () => {
+    expect(findSqlStatement('  ', 0)).toBeNull()
+  })
+})
+
+describe('getSqlTable', () => {
+  it('reads the first table after FROM', () => {
+    expect(getSqlTable('SELECT * FROM logs-* WHERE a = 1')).toBe('logs-*')
+    expect(getSqlTable('select a from "my index" join b')).toBe('my index')
+    expect(getSqlTable('SHOW TABLES')).toBeNull()
+  })
+})
+
+describe('createSqlPath / createSqlBody / getSqlCursor', () => {
+  it('sends the statement first and then only the cursor', () => {
+    expect(createSqlPath('txt')).toBe('/_sql?format=txt')
+    expect(JSON.parse(createSqlBody('SELECT 1'))).toEqual({ query: 'SELECT 1', fetch_size: 100 })
+    expect(JSON.parse(createSqlBody('SELECT 1', 'abc'))).toEqual({ cursor: 'abc' })
+  })
+
+  it('reads the cursor from the body or the Cursor header', () => {
+    const response = { headers: new Headers({ Cursor: 'from-header' }) }
+    expect(getSqlCursor(response, { cursor: 'from-body' })).toBe('from-body')
+    expect(getSqlCursor(response, null)).toBe('from-header')
+    expect(getSqlCursor({ headers: new Headers() }, {})).toBeNull()
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * SQL Completion Provider
+ * SQL 模式的补全：FROM / JOIN 之后补全索引名，其他位置补全当前表的字段、关键字和常用函数
+ * 字段来自 ESMappingService 解析的 mapping，表来自连接时读取的索引列表
+ */
+
+import * as monaco from 'monaco-editor'
+
+const SQL_KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'HAVING', 'ORDER BY', 'LIMIT', 'AS', 'AND', 'OR', 'NOT',
+  'IN', 'BETWEEN', 'LIKE', 'RLIKE', 'IS NULL', 'IS NOT NULL', 'ASC', 'DESC', 'DISTINCT', 'PIVOT',
+  'SHOW TABLES', 'SHOW COLUMNS IN', 'SHOW FUNCTIONS', 'DESCRIBE',
+]
+
+const SQL_FUNCTIONS = [
+  { name: 'COUNT', detail: 'Aggregate: number of rows' },
+  { name: 'AVG', detail: 'Aggregate: average' },
+  { name: 'SUM', detail: 'Aggregate: sum' },
+  { name: 'MIN', detail: 'Aggregate: minimum' },
+  { name: 'MAX', detail: 'Aggregate: maximum' },
+  { name: 'PERCENTILE', detail: 'Aggregate: percentile of a field' },
+  { name: 'HISTOGRAM', detail: 'Grouping: buckets of a numeric or date field' },
+  { name: 'MATCH', detail: 'Full-text: match query on a field' },
+  { name: 'QUERY', detail: 'Full-text: query_string query' },
+  { name: 'SCORE', detail: 'Relevance score of the document' },
+  { name: 'NOW', detail: 'Current date and time' },
+  { name: 'DATE_TRUNC', detail: 'Truncate a date to a unit' },
+  { name: 'YEAR', detail: 'Year of a date' },
+  { name: 'MONTH', detail: 'Month of a date' },
+  { name: 'DAY', detail: 'Day of the month of a date' },
+  { name: 'CAST', detail: 'Convert a value to another type' },
+  { name: 'CONCAT', detail: 'Concatenate two strings' },
+  { name: 'LENGTH', detail: 'Length of a string' },
+  { name: 'LCASE', detail: 'Lower-case a string' },
+  { name: 'UCASE', detail: 'Upper-case a string' },
+  { name: 'COALESCE', detail: 'First non-null argument' },
+  { name: 'ROUND', detail: 'Round a number' },
+]
+
+// 光标前正在输入的标识符（索引名可以包含 - * . : @，也可以带引号）
+const PARTIAL_IDENTIFIER = /["`]?[\w.*:@-]*$/
+
+// 不带引号就不能使用的标识符
+function quoteIdentifier(name) {
+  return /^[A-Za-z_][\w.]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`
+}
+
+export class SqlCompletionProvider {
+  constructor() {
+    this.indices = []
+    this.fields = {}
+  }
+
+  /**
+   * 更新可补全的表
+   * @param {Array<string>} indices 索引名
+   */
+  updateIndices(indices) {
+    this.indices = indices || []
+  }
+
+  /**
+   * 更新可补全的字段（当前语句 FROM 的索引的 mapping）
+   * @param {Object} fields ESMappingService 解析出的字段
+   */
+  updateFields(fields) {
+    this.fields = fields || {}
+  }
+
+  provideCompletionItems(model, position) {
+    const lineUntilPosition = model.getValueInRange({
+      startLineNumber: position.lineNumber,
+      startColumn: 1,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    })
+    const partial = lineUntilPosition.match(PARTIAL_IDENTIFIER)[0]
+    const range = {
+      startLineNumber: position.lineNumber,
+      startColumn: position.column - partial.length,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    }
+
+    // FROM / JOIN / SHOW COLUMNS IN / DESCRIBE 之后是表名
+    const textUntilPosition = model.getValueInRange({
+      startLineNumber: 1,
+      startColumn: 1,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    })
+    const beforePartial = textUntilPosition.slice(0, textUntilPosition.length - partial.length)
+    if (/\b(FROM|JOIN|COLUMNS\s+IN|DESCRIBE)\s+$/i.test(beforePartial)) {
+      return { suggestions: this.getTableSuggestions(range) }
+    }
+
+    return {
+      suggestions: [
+        ...this.getFieldSuggestions(range),
+        ...this.getFunctionSuggestions(range),
+        ...this.getKeywordSuggestions(range),
+      ],
+    }
+  }
+
+  getTableSuggestions(range) {
+    return this.indices.map(index => ({
+      label: index,
+      kind: monaco.languages.CompletionItemKind.Module,
+      detail: 'Index',
+      insertText: quoteIdentifier(index),
+      range,
+    }))
+  }
+
+  getFieldSuggestions(range) {
+    return Object.entries(this.fields)
+      .filter(([, field]) => !field.hasProperties)
+      .map(([name, field]) => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Field,
+        detail: field.type,
+        insertText: quoteIdentifier(name),
+        sortText: `0_${name}`,
+        range,
+      }))
+  }
+
+  getFunctionSuggestions(range) {
+    return SQL_FUNCTIONS.map(fn => ({
+      label: fn.name,
+      kind: monaco.languages.CompletionItemKind.Function,
+      detail: fn.detail,
+      insertText: `${fn.name}($1)`,
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      sortText: `1_${fn.name}`,
+      range,
+    }))
+  }
+
+  getKeywordSuggestions(range) {
+    return SQL_KEYWORDS.map(keyword => ({
+      label: keyword,
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: keyword,
+      sortText: `2_${keyword}`,
+      range,
+    }))
+  }
+}
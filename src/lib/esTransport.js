@@ -0,0 +1,96 @@
+/**
+ * Elasticsearch Transport
+ * 根据 profile 的 TLS 配置选择请求通道：
+ * 默认使用 tauri-plugin-http；配置了自定义 CA、客户端证书或忽略证书校验时，
+ * 通过 Rust 端的 tls_fetch 命令发送请求
+ */
+
+import { fetch as tauriFetch } from '@tauri-apps/plugin-http'
+import { invoke } from '@tauri-apps/api/core'
+import { withOpaqueId } from '@/lib/esHeaders'
+import { abortable } from '@/lib/esRequestControl'
+
+// 这些状态码的响应不能带 body
+const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+// tls_fetch 请求的编号，用于取消
+let nextTlsRequestId = 1
+
+/**
+ * 判断 profile 是否配置了自定义 TLS 选项
+ * @param {Object} profile 连接配置
+ * @returns {boolean}
+ */
+export function hasTlsOptions(profile) {
+  return !!(
+    profile?.tlsCaFile ||
+    profile?.tlsCertFile ||
+    profile?.tlsKeyFile ||
+    profile?.tlsAcceptInvalidCerts
+  )
+}
+
+/**
+ * 通过 Rust 端发送带 TLS 配置的请求，并转换为标准 Response
+ * init.signal 中止时通知 Rust 端取消请求（关闭连接），并立即失败
+ * 连接超时使用 profile 的 requestTimeout；整个请求的超时使用 init.timeoutSeconds（请求的超时，可以被工具栏覆盖），没有时同样使用 profile 的设置
+ * @param {Object} profile 连接配置
+ * @param {string} url 请求地址
+ * @param {Object} init fetch 选项
+ * @returns {Promise<Response>}
+ */
+async function tlsFetch(profile, url, init = {}) {
+  if (init.signal?.aborted) throw new Error('Request cancelled')
+  const id = nextTlsRequestId++
+  const cancel = () => {
+    invoke('tls_fetch_cancel', { id }).catch(err => console.warn('[Transport] Failed to cancel the request:', err))
+  }
+  init.signal?.addEventListener('abort', cancel, { once: true })
+
+  const request = invoke('tls_fetch', {
+    request: {
+      id,
+      method: init.method || 'GET',
+      url,
+      headers: Array.from(new Headers(init.headers || {}).entries()),
+      body: init.body ?? null,
+      tls: {
+        caFile: profile.tlsCaFile || null,
+        certFile: profile.tlsCertFile || null,
+        keyFile: profile.tlsKeyFile || null,
+        acceptInvalidCerts: !!profile.tlsAcceptInvalidCerts,
+      },
+      connectTimeoutSeconds: profile.requestTimeout ?? 30,
+      timeoutSeconds: init.timeoutSeconds ?? profile.requestTimeout ?? 30,
+    },
+  })
+  let result
+  try {
+    result = await abortable(request, init.signal)
+  } finally {
+    init.signal?.removeEventListener('abort', cancel)
+  }
+
+  return new Response(NULL_BODY_STATUSES.includes(result.status) ? null : result.body, {
+    status: result.status,
+    statusText: result.statusText,
+    headers: result.headers,
+  })
+}
+
+/**
+ * 为 profile 创建 fetch 函数（签名与 window.fetch 相同）
+ * 每个请求都会带上 X-Opaque-Id 以便在服务端日志中追踪
+ * @param {Object} profile 连接配置
+ * @returns {Function} fetch 函数
+ */
+export function createFetch(profile) {
+  const send = hasTlsOptions(profile)
+    ? (url, init) => tlsFetch(profile, url, init)
+    : tauriFetch
+
+  return (url, init = {}) => {
+    const headers = Object.fromEntries(new Headers(init.headers || {}).entries())
+    return send(url, { ...init, headers: withOpaqueId(profile, headers) })
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Request Variables
+ * 请求体和路径中的 {{variable}} 占位符：查找、在执行时替换，以及让编辑器的 JSON 解析容忍占位符
+ * 变量值来自 profile 的环境（dev / staging / prod 等）和运行时临时输入的值
+ * 搜索模板请求中 source / inline 里的 {{...}} 是 Mustache 标签，不作为变量
+ */
+
+// {{name}}，名称允许字母、数字、_ . -
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g
+
+// 正在输入的占位符，如 "{{ten"（用于补全）
+const PARTIAL_VARIABLE = /\{\{\s*([\w.-]*)$/
+
+// 请求体中包含 Mustache 模板的接口：内联模板的搜索和渲染，以及保存模板的 _scripts
+const TEMPLATE_PATH = /(^|\/)(_search\/template|_msearch\/template|_render\/template|_scripts)(\/|$)/
+
+// 模板内容所在的键
+const TEMPLATE_SOURCE_KEY = /"(source|inline)"\s*:\s*/g
+
+/**
+ * 判断请求的请求体是否包含 Mustache 模板
+ * @param {string} path 请求路径（可以包含 query string）
+ * @returns {boolean}
+ */
+export function isTemplatePath(path) {
+  return TEMPLATE_PATH.test((path || '').split('?')[0])
+}
+
+/**
+ * 查找文本中的所有占位符
+ * @param {string} text 文本
+ * @param {Object} options { template: 是否跳过模板内容（source / inline 的值）中的 Mustache 标签 }
+ * @returns {Array<{ name: string, start: number, end: number, inString: boolean }>}
+ *   start / end 为偏移量，inString 表示占位符是否在 JSON 字符串中
+ */
+export function findVariables(text, { template = false } = {}) {
+  const source = text || ''
+  const stringRanges = getStringRanges(source)
+  const templateRanges = template ? getTemplateRanges(source, stringRanges) : []
+  const variables = []
+  for (const match of source.matchAll(VARIABLE_PATTERN)) {
+    const start = match.index
+    if (templateRanges.some(([from, to]) => start >= from && start < to)) continue
+    variables.push({
+      name: match[1],
+      start,
+      end: start + match[0].length,
+      inString: stringRanges.some(([from, to]) => start > from && start < to),
+    })
+  }
+  return variables
+}
+
+/**
+ * 获取文本中用到的变量名（去重，保持出现顺序）
+ * @param {...(string|{ text: string, template: boolean })} texts 路径、请求体等；模板请求的请求体传入 { text, template: true }
+ * @returns {Array<string>}
+ */
+export function getVariableNames(...texts) {
+  const names = []
+  for (const item of texts) {
+    const { text, template } = typeof item === 'object' && item !== null ? item : { text: item, template: false }
+    for (const { name } of findVariables(text, { template })) {
+      if (!names.includes(name)) names.push(name)
+    }
+  }
+  return names
+}
+
+/**
+ * 光标前正在输入的占位符名称
+ * @param {string} lineUntilPosition 光标前的行内容
+ * @returns {string|null} 不在占位符中时返回 null
+ */
+export function getPartialVariable(lineUntilPosition) {
+  const match = lineUntilPosition.match(PARTIAL_VARIABLE)
+  return match ? match[1] : null
+}
+
+/**
+ * 获取某个环境的变量
+ * @param {Object} profile profile
+ * @param {string} environmentName 环境名称
+ * @returns {Object} 变量名 -> 值
+ */
+export function getEnvironmentVariables(profile, environmentName) {
+  const environment = (profile?.environments || []).find(env => env.name === environmentName)
+  const values = {}
+  for (const { key, value } of environment?.variables || []) {
+    if (key) values[key] = value
+  }
+  return values
+}
+
+/**
+ * 把 JSON 字符串之外的占位符替换为等长的字符串，使 JSON.parse 可以解析
+ * 如 "size": {{size}} -> "size": "{size}"，偏移量保持不变，错误位置和补全上下文仍然准确
+ * @param {string} text JSON 文本
+ * @returns {{ text: string, masked: Set<string> }} masked 为替换后的字符串值，供 dropMaskedValues 使用
+ */
+export function maskVariables(text) {
+  const masked = new Set()
+  let result = text || ''
+  for (const variable of findVariables(result)) {
+    if (variable.inString) continue
+    const inner = result.slice(variable.start + 2, variable.end - 2)
+    masked.add(`{${inner}}`)
+    result = result.slice(0, variable.start) + `"{${inner}}"` + result.slice(variable.end)
+  }
+  return { text: result, masked }
+}
+
+/**
+ * 去掉解析结果中由占位符替换来的值，避免对尚未确定的值做类型检查
+ * @param {*} value JSON.parse 的结果
+ * @param {Set<string>} masked maskVariables 返回的 masked
+ * @returns {*} 新的值
+ */
+export function dropMaskedValues(value, masked) {
+  if (masked.size === 0 || typeof value !== 'object' || value === null) return value
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => !masked.has(item))
+      .map(item => dropMaskedValues(item, masked))
+  }
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    if (!masked.has(item)) result[key] = dropMaskedValues(item, masked)
+  }
+  return result
+}
+
+/**
+ * 替换占位符
+ * JSON 字符串中的占位符按字符串内容转义；值位置的占位符原样插入合法的 JSON（如数字、对象），否则作为字符串插入
+ * @param {string} text 请求体或路径
+ * @param {Object} values 变量名 -> 值
+ * @param {Object} options { json: 是否按 JSON 处理（路径为 false，原样插入），template: 是否跳过模板内容中的 Mustache 标签 }
+ * @returns {string}
+ */
+export function substituteVariables(text, values, { json = true, template = false } = {}) {
+  let result = ''
+  let last = 0
+  for (const variable of findVariables(text, { template })) {
+    const value = String(values[variable.name] ?? '')
+    result += text.slice(last, variable.start)
+    if (!json) {
+      result += value
+    } else if (variable.inString) {
+      result += JSON.stringify(value).slice(1, -1)
+    } else {
+      result += isJsonValue(value) ? value : JSON.stringify(value)
+    }
+    last = variable.end
+  }
+  return result + (text || '').slice(last)
+}
+
+function isJsonValue(value) {
+  try {
+    JSON.parse(value)
+    return value.trim() !== ''
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * JSON 字符串的范围（包括引号），未闭合的字符串延伸到文本末尾
+ * @returns {Array<[number, number]>}
+ */
+function getStringRanges(text) {
+  const ranges = []
+  let start = -1
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (start >= 0) {
+      if (ch === '\\') {
+        i++
+      } else if (ch === '"' || ch === '\n') {
+        ranges.push([start, i])
+        start = -1
+      }
+    } else if (ch === '"') {
+      start = i
+    }
+  }
+  if (start >= 0) ranges.push([start, text.length])
+  return ranges
+}
+
+/**
+ * 模板内容的范围：键 "source" / "inline" 的值（字符串，或包含 Mustache 标签的对象、数组）
+ * @param {string} text JSON 或 NDJSON 文本
+ * @param {Array<[number, number]>} stringRanges getStringRanges 的结果
+ * @returns {Array<[number, number]>}
+ */
+function getTemplateRanges(text, stringRanges) {
+  const ranges = []
+  for (const match of text.matchAll(TEMPLATE_SOURCE_KEY)) {
+    // 键必须是一个完整的字符串，而不是其他字符串的一部分
+    if (!stringRanges.some(([from]) => from === match.index)) continue
+    const start = match.index + match[0].length
+    const string = stringRanges.find(([from]) => from === start)
+    if (string) {
+      ranges.push([start, string[1] + 1])
+    } else if (text[start] === '{' || text[start] === '[') {
+      ranges.push([start, findClosingBracket(text, start, stringRanges)])
+    }
+  }
+  return ranges
+}
+
+/**
+ * 对象或数组的结束位置（不含），跳过字符串中的括号；未闭合时为文本末尾
+ */
+function findClosingBracket(text, start, stringRanges) {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    const string = stringRanges.find(([from]) => from === i)
+    if (string) {
+      i = string[1]
+    } else if (text[i] === '{' || text[i] === '[') {
+      depth++
+    } else if (text[i] === '}' || text[i] === ']') {
+      depth--
+      if (depth === 0) return i + 1
+    }
+  }
+  return text.length
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest'
+import {
+  dropMaskedValues,
+  findVariables,
+  getPartialVariable,
+  getVariableNames,
+  isTemplatePath,
+  maskVariables,
+  substituteVariables,
+} from '@/lib/esVariables'
+
+describe('findVariables', () => {
+  it('finds placeholders inside and outside strings', () => {
+    const text = '{"index": "{{index}}", "size": {{ size }}}'
+    expect(findVariables(text)).toEqual([
+      { name: 'index', start: 11, end: 20, inString: true },
+      { name: 'size', start: 31, end: 41, inString: false },
+    ])
+  })
+
+  it('skips Mustache tags in template sources', () => {
+    const text = '{"source": {"query": {"match": {"f": "{{q}}"}}}, "params": {"q": "{{term}}"}}'
+    expect(findVariables(text, { template: true }).map(v => v.name)).toEqual(['term'])
+    expect(findVariables(text).map(v => v.name)).toEqual(['q', 'term'])
+  })
+
+  it('skips Mustache tags in string template sources', () => {
+    const text = '{"inline": "{\\"size\\": {{size}}}", "params": {"size": {{size}}}}'
+    const variables = findVariables(text, { template: true })
+    expect(variables).toHaveLength(1)
+    expect(text.slice(variables[0].start)).toBe('{{size}}}}')
+  })
+})
+
+describe('getVariableNames', () => {
+  it('deduplicates names across texts in order', () => {
+    expect(getVariableNames('/{{index}}/_search', '{"q": "{{q}}", "i": "{{index}}"}')).toEqual(['index', 'q'])
+  })
+
+  it('accepts template bodies', () => {
+    const body = { text: '{"source": "{{a}}", "params": {"a": "{{b}}"}}', template: true }
+    expect(getVariableNames('/_render/template', body)).toEqual(['b'])
+  })
+})
+
+describe('substituteVariables', () => {
+  it('escapes values inside strings', () => {
+    expect(substituteVariables('{"q": "{{q}}"}', { q: 'say "hi"' })).toBe('{"q": "say \\"hi\\""}')
+  })
+
+  it('inserts JSON values as-is and quotes other values', () => {
+    expect(substituteVariables('{"size": {{size}}, "q": {{q}}}', { size: '10', q: 'error' })).toBe('{"size": 10, "q": "error"}')
+  })
+
+  it('inserts values into paths without JSON handling', () => {
+    expect(substituteVariables('/{{index}}/_search', { index: 'logs-*' }, { json: false })).toBe('/logs-*/_search')
+  })
+
+  it('leaves template sources untouched', () => {
+    const text = '{"source": {"query": {"term": {"user": "{{user}}"}}}, "params": {"user": "{{user}}"}}'
+    expect(substituteVariables(text, { user: 'kim' }, { template: true }))
+      .toBe('{"source": {"query": {"term": {"user": "{{user}}"}}}, "params": {"user": "kim"}}')
+  })
+})
+
+describe('maskVariables', () => {
+  it('keeps offsets and drops masked values after parsing', () => {
+    const text = '{"size": {{size}}, "from": 0}'
+    const masked = maskVariables(text)
+    expect(masked.text).toHaveLength(text.length)
+    expect(dropMaskedValues(JSON.parse(masked.text), masked.masked)).toEqual({ from: 0 })
+  })
+})
+
+describe('helpers', () => {
+  it('detects template endpoints', () => {
+    expect(isTemplatePath('/logs/_search/template?typed_keys')).toBe(true)
+    expect(isTemplatePath('/_msearch/template')).toBe(true)
+    expect(isTemplatePath('/_scripts/my-template')).toBe(true)
+    expect(isTemplatePath('/logs/_search')).toBe(false)
+  })
+
+  it('reads the partial variable before the cursor', () => {
+    expect(getPartialVariable('"index": "{{ten')).toBe('ten')
+    expect(getPartialVariable('"index": "ten')).toBeNull()
+  })
+})
@@ -0,0 +1,154 @@
+/**
+ * Elasticsearch Version Detection
+ * 解析 `GET /` 返回的集群信息，并推导出与版本相关的语法特性
+ */
+
+/**
+ * 比较两个版本号
+ * @param {string} a 版本号，如 '8.11.0'
+ * @param {string} b 版本号
+ * @returns {number} a < b 返回负数，a > b 返回正数，相等返回 0
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).split(/[.-]/).map(n => parseInt(n, 10) || 0)
+  const pb = String(b).split(/[.-]/).map(n => parseInt(n, 10) || 0)
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+/**
+ * 解析 `GET /` 的响应
+ * @param {Object} body 响应体
+ * @returns {Object} 集群信息 { distribution, version, major, buildFlavor, clusterName, nodeName }
+ */
+export function parseClusterInfo(body) {
+  const version = body?.version || {}
+  const number = version.number || '0.0.0'
+  return {
+    distribution: version.distribution === 'opensearch' ? 'opensearch' : 'elasticsearch',
+    version: number,
+    major: parseInt(number, 10) || 0,
+    buildFlavor: version.build_flavor || null,
+    clusterName: body?.cluster_name || null,
+    nodeName: body?.name || null,
+  }
+}
+
+/**
+ * 格式化集群信息用于显示，如 "Elasticsearch 8.11.0 (serverless)"
+ * @param {Object} info 集群信息
+ * @returns {string}
+ */
+export function formatClusterInfo(info) {
+  if (!info) return ''
+  const name = info.distribution === 'opensearch' ? 'OpenSearch' : 'Elasticsearch'
+  const flavor = info.buildFlavor && info.buildFlavor !== 'default' ? ` (${info.buildFlavor})` : ''
+  return `${name} ${info.version}${flavor}`
+}
+
+/**
+ * 检查集群版本是否不低于指定版本
+ * @param {Object} info 集群信息
+ * @param {string} elasticsearch Elasticsearch 的最低版本（null 表示不支持）
+ * @param {string} opensearch OpenSearch 的最低版本（null 表示不支持）
+ */
+function atLeast(info, elasticsearch, opensearch) {
+  const minimum = info.distribution === 'opensearch' ? opensearch : elasticsearch
+  return minimum !== null && compareVersions(info.version, minimum) >= 0
+}
+
+/**
+ * 根据集群信息推导版本相关的语法特性
+ * 未连接（info 为空）时所有特性都视为可用，避免误报
+ * @param {Object|null} info 集群信息
+ * @returns {Object} 特性开关
+ */
+export function getVersionFeatures(info) {
+  if (!info) {
+    return {
+      calendarInterval: true,
+      legacyInterval: true,
+      typeQuery: true,
+      typelessEndpoints: true,
+      typedEndpoints: true,
+      retriever: true,
+      knnSearch: true,
+      pointInTime: true,
+      sql: true,
+      esql: true,
+    }
+  }
+
+  return {
+    // date_histogram 的 calendar_interval / fixed_interval（ES 7.2+）
+    calendarInterval: atLeast(info, '7.2.0', '1.0.0'),
+    // date_histogram 的 interval（ES 8.0 移除）
+    legacyInterval: !atLeast(info, '8.0.0', '3.0.0'),
+    // type query（ES 8.0 / OpenSearch 2.0 移除）
+    typeQuery: !atLeast(info, '8.0.0', '2.0.0'),
+    // 无 type 的 /{index}/_doc 接口（ES 7.0+）
+    typelessEndpoints: atLeast(info, '7.0.0', '1.0.0'),
+    // 带 type 的 /{index}/{type}/... 接口（ES 7.x 弃用，8.0 / OpenSearch 2.0 移除）
+    typedEndpoints: !atLeast(info, '8.0.0', '2.0.0'),
+    // 顶层 retriever（ES 8.14+）
+    retriever: atLeast(info, '8.14.0', null),
+    // 顶层 knn 搜索（ES 8.4+）
+    knnSearch: atLeast(info, '8.4.0', null),
+    // point in time 翻页（ES 7.12+ 才有 _shard_doc tiebreaker，OpenSearch 2.4+）
+    pointInTime: atLeast(info, '7.12.0', '2.4.0'),
+    // /_sql 接口（ES 7.0+，之前为 /_xpack/sql；OpenSearch 的 SQL 插件接口不同）
+    sql: atLeast(info, '7.0.0', null),
+    // ES|QL 的 /_query 接口（ES 8.11+）
+    esql: atLeast(info, '8.11.0', null),
+  }
+}
+
+// 带 type 的接口，如 /logs/event/_search；type 不以 _ 开头
+const TYPED_ENDPOINT = /^\/([^/_][^/]*)\/([^/_][^/]*)\/(_search|_count|_msearch|_validate\/query|_mapping|_mget|_bulk|_update_by_query|_delete_by_query)$/
+
+// 带 type 的文档接口，如 /logs/event/1 或 /logs/event/1/_explain
+const TYPED_DOCUMENT = /^\/([^/_][^/]*)\/([^/_][^/]*)\/([^/_][^/]*)(?:\/(_explain|_update|_source|_termvectors|_create))?$/
+
+// ES 7.0 的无 type 文档接口，如 /logs/_explain/1（/logs/_doc/1 在 6.x 中是 type 为 _doc 的写法，不在此列）
+const TYPELESS_DOCUMENT = /^\/([^/_][^/]*)\/(_explain|_update|_source|_termvectors|_create)\/([^/]+)$/
+
+/**
+ * 检查请求路径与集群版本的 type 支持是否相符
+ * 7.0+ 的集群上使用带 type 的接口时给出改写建议（8.0 起为错误）；6.x 的集群上使用 7.0 的无 type 文档接口时给出带 type 的写法
+ * @param {Object|null} info 集群信息（未连接时不检查）
+ * @param {string} path 以 / 开头的请求路径（可以包含 query string）
+ * @returns {{ severity: 'error'|'warning', message: string }|null}
+ */
+export function getEndpointIssue(info, path) {
+  if (!info) return null
+  const features = getVersionFeatures(info)
+  const pathname = (path || '').split('?')[0].replace(/\/+$/, '')
+  const cluster = formatClusterInfo(info)
+
+  if (features.typelessEndpoints) {
+    let typeless = null
+    const endpoint = pathname.match(TYPED_ENDPOINT)
+    const document = pathname.match(TYPED_DOCUMENT)
+    if (endpoint) {
+      typeless = `/${endpoint[1]}/${endpoint[3]}`
+    } else if (document) {
+      typeless = document[4] ? `/${document[1]}/${document[4]}/${document[3]}` : `/${document[1]}/_doc/${document[3]}`
+    }
+    if (!typeless) return null
+    return features.typedEndpoints
+      ? { severity: 'warning', message: `Mapping types are deprecated on ${cluster}: use ${typeless}` }
+      : { severity: 'error', message: `Mapping types were removed in ${cluster}: use ${typeless}` }
+  }
+
+  const typeless = pathname.match(TYPELESS_DOCUMENT)
+  if (typeless) {
+    return {
+      severity: 'error',
+      message: `${cluster} has no typeless ${typeless[2]} endpoint: use /${typeless[1]}/{type}/${typeless[3]}/${typeless[2]}`,
+    }
+  }
+  return null
+}
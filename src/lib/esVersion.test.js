@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { compareVersions, getEndpointIssue, getVersionFeatures, parseClusterInfo } from '@/lib/esVersion'
+
+const cluster = (number, distribution) => parseClusterInfo({ version: { number, distribution } })
+
+describe('compareVersions', () => {
+  it('compares major, minor and patch numerically', () => {
+    expect(compareVersions('7.10.0', '7.9.3')).toBeGreaterThan(0)
+    expect(compareVersions('8.0.0-rc1', '8.0.0')).toBe(0)
+    expect(compareVersions('6.8.23', '7.0.0')).toBeLessThan(0)
+  })
+})
+
+describe('getVersionFeatures', () => {
+  it('tracks typed and typeless endpoints', () => {
+    expect(getVersionFeatures(cluster('6.8.0'))).toMatchObject({ typelessEndpoints: false, typedEndpoints: true })
+    expect(getVersionFeatures(cluster('7.17.0'))).toMatchObject({ typelessEndpoints: true, typedEndpoints: true })
+    expect(getVersionFeatures(cluster('8.11.0'))).toMatchObject({ typelessEndpoints: true, typedEndpoints: false })
+    expect(getVersionFeatures(cluster('2.11.0', 'opensearch'))).toMatchObject({ typelessEndpoints: true, typedEndpoints: false })
+  })
+})
+
+describe('getEndpointIssue', () => {
+  it('warns about typed endpoints on 7.x', () => {
+    expect(getEndpointIssue(cluster('7.17.0'), '/logs/event/_search?q=error')).toEqual({
+      severity: 'warning',
+      message: 'Mapping types are deprecated on Elasticsearch 7.17.0: use /logs/_search',
+    })
+    expect(getEndpointIssue(cluster('7.17.0'), '/logs/event/1/_explain').message).toMatch(/use \/logs\/_explain\/1$/)
+    expect(getEndpointIssue(cluster('7.17.0'), '/logs/event/1').message).toMatch(/use \/logs\/_doc\/1$/)
+  })
+
+  it('reports typed endpoints as errors once types are removed', () => {
+    expect(getEndpointIssue(cluster('8.11.0'), '/logs/event/_count').severity).toBe('error')
+  })
+
+  it('accepts the typed form on 6.x and flags typeless document endpoints', () => {
+    expect(getEndpointIssue(cluster('6.8.0'), '/logs/event/_search')).toBeNull()
+    expect(getEndpointIssue(cluster('6.8.0'), '/logs/_doc/1')).toBeNull()
+    expect(getEndpointIssue(cluster('6.8.0'), '/logs/_explain/1')).toEqual({
+      severity: 'error',
+      message: 'Elasticsearch 6.8.0 has no typeless _explain endpoint: use /logs/{type}/1/_explain',
+    })
+  })
+
+  it('ignores typeless and cluster-level paths', () => {
+    expect(getEndpointIssue(cluster('8.11.0'), '/logs/_search')).toBeNull()
+    expect(getEndpointIssue(cluster('8.11.0'), '/_cat/indices/logs')).toBeNull()
+    expect(getEndpointIssue(null, '/logs/event/_search')).toBeNull()
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * Connection Profile Store
+ * 负责命名连接配置（profile）的创建、持久化，以及旧版单连接配置的迁移
+ * 凭据字段不写入 settings.json，而是交给 credentialVault 加密保存
+ */
+
+import { load } from '@tauri-apps/plugin-store'
+import { getAuthType } from '@/lib/esAuth'
+import { credentialVault, hasSecrets, mergeSecrets, pickSecrets, stripSecrets } from '@/lib/credentialVault'
+
+const STORE_PATH = 'settings.json'
+
+/**
+ * 可选的颜色标签（对应 Tailwind 类名，必须是完整字符串以便被扫描到）
+ */
+export const PROFILE_COLORS = {
+  gray: 'bg-gray-400',
+  green: 'bg-green-500',
+  blue: 'bg-blue-500',
+  yellow: 'bg-yellow-500',
+  orange: 'bg-orange-500',
+  red: 'bg-red-500',
+  purple: 'bg-purple-500',
+}
+
+/**
+ * 生成 profile id
+ */
+function generateProfileId() {
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * 创建一个自定义请求头
+ * secret 请求头的值按 id 保存在保险库中
+ * @param {Object} overrides 覆盖默认值的字段
+ * @returns {Object} 请求头 { id, key, value, secret }
+ */
+export function createHeader(overrides = {}) {
+  return {
+    id: `header-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    key: '',
+    value: '',
+    secret: false,
+    ...overrides,
+  }
+}
+
+/**
+ * 创建一个新的 profile
+ * @param {Object} overrides 覆盖默认值的字段
+ * @returns {Object} profile
+ */
+export function createProfile(overrides = {}) {
+  return {
+    id: generateProfileId(),
+    name: 'New connection',
+    url: 'http://localhost:9200',
+    nodeSelection: 'round-robin',
+    sniffOnConnect: false,
+    healthInterval: 30,
+    requestTimeout: 30,
+    readOnly: false,
+    // 在 Request 模式中用 _validate/query 检查查询（每次停止输入都会发送一个请求）
+    serverValidation: false,
+    authType: 'none',
+    username: '',
+    password: '',
+    apiKeyId: '',
+    apiKeySecret: '',
+    apiKey: '',
+    bearerToken: '',
+    tlsCaFile: '',
+    tlsCertFile: '',
+    tlsKeyFile: '',
+    tlsAcceptInvalidCerts: false,
+    headers: [],
+    opaqueId: true,
+    // 请求变量的环境，如 [{ name: 'dev', variables: [{ key: 'tenant', value: 'acme' }] }]，第一个为默认环境
+    environments: [],
+    defaultIndex: '',
+    color: 'gray',
+    ...overrides,
+  }
+}
+
+/**
+ * 复制一个 profile（生成新的 id 和名称）
+ * @param {Object} profile 源 profile
+ * @returns {Object} 新的 profile
+ */
+export function duplicateProfile(profile) {
+  return {
+    ...profile,
+    id: generateProfileId(),
+    name: `${profile.name} (copy)`,
+  }
+}
+
+/**
+ * 获取 profile 颜色对应的类名
+ * @param {Object} profile profile
+ * @returns {string} Tailwind 背景色类名
+ */
+export function getProfileColorClass(profile) {
+  return PROFILE_COLORS[profile?.color] || PROFILE_COLORS.gray
+}
+
+/**
+ * 从 store 中加载所有 profile
+ * 如果还没有 profile，则从旧版的 url/username/password 键迁移出一个默认 profile
+ * 保险库已解锁时，会把旧版明文凭据迁入保险库，并合并保险库中的凭据
+ * 保险库未解锁时返回的 profile 不含凭据；如果 store 中还有明文凭据，pendingSecrets 为 true，需要先解锁（或创建）保险库完成迁移
+ * @returns {Promise<{profiles: Array, activeProfileId: string, pendingSecrets: boolean}>}
+ */
+export async function loadProfiles() {
+  const store = await load(STORE_PATH)
+  let profiles = await store.get('profiles')
+  let activeProfileId = await store.get('activeProfileId')
+
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    const legacyUrl = await store.get('url')
+    const legacyUsername = await store.get('username')
+    const legacyPassword = await store.get('password')
+
+    profiles = [createProfile({
+      name: 'Default',
+      url: legacyUrl || 'http://localhost:9200',
+      authType: legacyUsername ? 'basic' : 'none',
+      username: legacyUsername || '',
+      password: legacyPassword || '',
+    })]
+    activeProfileId = profiles[0].id
+
+    await store.set('profiles', profiles)
+    await store.set('activeProfileId', activeProfileId)
+    await store.delete('url')
+    await store.delete('username')
+    await store.delete('password')
+    await store.save()
+  }
+
+  // 补全旧 profile 缺失的认证方式和请求头 id
+  profiles = profiles.map(p => ({
+    ...p,
+    authType: getAuthType(p),
+    headers: (p.headers || []).map(h => (h.id ? h : createHeader(h))),
+  }))
+
+  if (!profiles.some(p => p.id === activeProfileId)) {
+    activeProfileId = profiles[0].id
+  }
+
+  if (!credentialVault.isUnlocked) {
+    return {
+      profiles: profiles.map(stripSecrets),
+      activeProfileId,
+      pendingSecrets: profiles.some(hasSecrets),
+    }
+  }
+
+  // 迁移明文凭据
+  if (profiles.some(hasSecrets)) {
+    const secrets = { ...credentialVault.secrets }
+    for (const profile of profiles) {
+      if (hasSecrets(profile)) {
+        secrets[profile.id] = pickSecrets(profile)
+      }
+    }
+    await credentialVault.setAllSecrets(secrets)
+    await store.set('profiles', profiles.map(stripSecrets))
+    await store.save()
+  }
+
+  return {
+    profiles: profiles.map(p => mergeSecrets(p, credentialVault.getSecrets(p.id))),
+    activeProfileId,
+    pendingSecrets: false,
+  }
+}
+
+/**
+ * 保存所有 profile 及当前选中的 profile
+ * 凭据只写入保险库，settings.json 中的 profile 总是去除凭据
+ * 保险库未解锁时凭据无法编辑，保险库中的凭据保持不变；store 中还有未迁移的明文凭据时拒绝保存（否则它们会丢失）
+ * @param {Array} profiles profile 列表
+ * @param {string} activeProfileId 当前选中的 profile id
+ */
+export async function saveProfiles(profiles, activeProfileId) {
+  const store = await load(STORE_PATH)
+  if (credentialVault.isUnlocked) {
+    const secrets = {}
+    for (const profile of profiles) {
+      secrets[profile.id] = pickSecrets(profile)
+    }
+    await credentialVault.setAllSecrets(secrets)
+  } else {
+    const storedProfiles = await store.get('profiles')
+    if (Array.isArray(storedProfiles) && storedProfiles.some(hasSecrets)) {
+      throw new Error('Unlock the credential vault first: saved credentials have not been moved into it yet')
+    }
+  }
+
+  await store.set('profiles', profiles.map(stripSecrets))
+  await store.set('activeProfileId', activeProfileId)
+  await store.save()
+}
+
+/**
+ * 仅保存当前选中的 profile（工具栏切换时使用）
+ * @param {string} activeProfileId 当前选中的 profile id
+ */
+export async function saveActiveProfileId(activeProfileId) {
+  const store = await load(STORE_PATH)
+  await store.set('activeProfileId', activeProfileId)
+  await store.save()
+}
@@ -0,0 +1,116 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { credentialVault } from '@/lib/credentialVault'
+import { createHeader, loadProfiles, saveProfiles } from '@/lib/profileStore'
+
+// 内存中的 tauri-plugin-store：每个文件一个 Map，写入和读取时复制，和写入磁盘一样不共享对象
+const { files } = vi.hoisted(() => ({ files: new Map() }))
+
+vi.mock('@tauri-apps/plugin-store', () => ({
+  load: async (path) => {
+    if (!files.has(path)) files.set(path, new Map())
+    const data = files.get(path)
+    return {
+      get: async key => structuredClone(data.get(key)),
+      set: async (key, value) => { data.set(key, structuredClone(value)) },
+      delete: async key => { data.delete(key) },
+      clear: async () => data.clear(),
+      save: async () => {},
+    }
+  },
+}))
+
+const settings = () => {
+  if (!files.has('settings.json')) files.set('settings.json', new Map())
+  return files.get('settings.json')
+}
+
+// 旧版本保存的 profile：明文凭据，请求头没有 id
+const legacyProfile = {
+  id: 'p1',
+  name: 'Production',
+  url: 'https://es:9200',
+  username: 'elastic',
+  password: 'changeme',
+  headers: [
+    { key: 'X-Token', value: 'first', secret: true },
+    { key: 'X-Tenant', value: 'acme', secret: false },
+  ],
+}
+
+describe('profileStore', () => {
+  beforeEach(() => {
+    files.clear()
+    credentialVault.lock()
+  })
+
+  it('creates a default profile from the single-connection settings', async () => {
+    settings().set('url', 'http://old:9200')
+    settings().set('username', 'admin')
+
+    const { profiles, activeProfileId } = await loadProfiles()
+    expect(profiles).toHaveLength(1)
+    expect(profiles[0]).toMatchObject({ name: 'Default', url: 'http://old:9200', authType: 'basic', username: 'admin' })
+    expect(activeProfileId).toBe(profiles[0].id)
+    expect(settings().has('url')).toBe(false)
+  })
+
+  it('hides plaintext secrets while the vault is locked and asks for the migration', async () => {
+    settings().set('profiles', [legacyProfile])
+
+    const { profiles, pendingSecrets } = await loadProfiles()
+    expect(pendingSecrets).toBe(true)
+    expect(profiles[0].password).toBe('')
+    expect(profiles[0].headers[0].value).toBe('')
+  })
+
+  it('moves plaintext secrets into the vault once it is unlocked', async () => {
+    settings().set('profiles', [legacyProfile])
+    await credentialVault.unlock('pass')
+
+    const { profiles, pendingSecrets } = await loadProfiles()
+    expect(pendingSecrets).toBe(false)
+    expect(profiles[0].password).toBe('changeme')
+    expect(profiles[0].headers.map(h => h.value)).toEqual(['first', 'acme'])
+
+    const stored = settings().get('profiles')[0]
+    expect(stored.password).toBe('')
+    expect(stored.headers[0]).toMatchObject({ id: profiles[0].headers[0].id, value: '' })
+    expect(JSON.stringify(stored)).not.toContain('changeme')
+    expect(credentialVault.getSecrets('p1').password).toBe('changeme')
+  })
+
+  it('refuses to save while unmigrated secrets remain', async () => {
+    settings().set('profiles', [legacyProfile])
+    const { profiles } = await loadProfiles()
+
+    await expect(saveProfiles(profiles, 'p1')).rejects.toThrow(/Unlock the credential vault first/)
+    expect(settings().get('profiles')[0].password).toBe('changeme')
+  })
+
+  it('keeps the vault untouched when saving while locked after the migration', async () => {
+    settings().set('profiles', [legacyProfile])
+    await credentialVault.unlock('pass')
+    await loadProfiles()
+    credentialVault.lock()
+
+    const { profiles } = await loadProfiles()
+    await saveProfiles(profiles.map(p => ({ ...p, name: 'Renamed' })), 'p1')
+    expect(settings().get('profiles')[0].name).toBe('Renamed')
+
+    await credentialVault.unlock('pass')
+    expect((await loadProfiles()).profiles[0].password).toBe('changeme')
+  })
+
+  it('keeps separate values for secret headers with the same name', async () => {
+    await credentialVault.unlock('pass')
+    const headers = [
+      createHeader({ key: 'Authorization', value: 'one', secret: true }),
+      createHeader({ key: 'Authorization', value: 'two', secret: true }),
+    ]
+    await saveProfiles([{ id: 'p1', name: 'Two tokens', url: 'http://es:9200', headers }], 'p1')
+
+    const { profiles } = await loadProfiles()
+    expect(profiles[0].headers.map(h => h.value)).toEqual(['one', 'two'])
+    expect(settings().get('profiles')[0].headers.map(h => h.value)).toEqual(['', ''])
+  })
+})